@@ -0,0 +1,100 @@
+/**
+ * Add collection_jobs table
+ *
+ * The collection queue used to be an in-memory Set, lost on every restart. Queued
+ * collections are now jobs in this table, leased and retried by the collector
+ * (see src/utils/collectionJobs.js). Run this once on databases created before
+ * the table existed; on a table created by an earlier version it adds the
+ * outcome column and the per-symbol index.
+ */
+
+require('dotenv').config();
+const { initDB, getDB, closeDB } = require('./config/database');
+
+/**
+ * Columns and indexes added after the table was first released
+ */
+async function upgradeTable(db) {
+  const [columns] = await db.query(`
+    SELECT COLUMN_NAME
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = '${process.env.DB_NAME}'
+    AND TABLE_NAME = 'collection_jobs'
+    AND COLUMN_NAME = 'outcome'
+  `);
+  if (columns.length === 0) {
+    await db.query('ALTER TABLE collection_jobs ADD COLUMN outcome JSON NULL AFTER completed_at');
+    console.log('✅ Added outcome column');
+  }
+
+  const [indexes] = await db.query(`
+    SELECT INDEX_NAME
+    FROM INFORMATION_SCHEMA.STATISTICS
+    WHERE TABLE_SCHEMA = '${process.env.DB_NAME}'
+    AND TABLE_NAME = 'collection_jobs'
+    AND INDEX_NAME = 'idx_symbol_completed'
+  `);
+  if (indexes.length === 0) {
+    await db.query('ALTER TABLE collection_jobs ADD INDEX idx_symbol_completed (symbol, status, completed_at)');
+    console.log('✅ Added idx_symbol_completed index');
+  }
+
+  console.log('✅ Table is up to date');
+}
+
+async function addTable() {
+  try {
+    await initDB();
+    const db = getDB();
+
+    console.log('Creating collection_jobs table...');
+
+    const [tables] = await db.query(`
+      SELECT TABLE_NAME
+      FROM INFORMATION_SCHEMA.TABLES
+      WHERE TABLE_SCHEMA = '${process.env.DB_NAME}'
+      AND TABLE_NAME = 'collection_jobs'
+    `);
+
+    if (tables.length > 0) {
+      await upgradeTable(db);
+      return;
+    }
+
+    await db.query(`
+      CREATE TABLE collection_jobs (
+        job_id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        symbol VARCHAR(20) NOT NULL,
+        interval_type VARCHAR(10),
+        reason VARCHAR(20) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        priority INT NOT NULL DEFAULT 0,
+        attempts INT NOT NULL DEFAULT 0,
+        max_attempts INT NOT NULL DEFAULT 5,
+        error_message TEXT,
+        open_key VARCHAR(40),
+        run_after DATETIME NOT NULL,
+        lease_owner VARCHAR(150),
+        lease_expires_at DATETIME NULL,
+        created_at DATETIME NOT NULL,
+        started_at DATETIME NULL,
+        completed_at DATETIME NULL,
+        outcome JSON NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_open_job (open_key),
+        INDEX idx_lease (status, run_after, priority),
+        INDEX idx_lease_owner (lease_owner),
+        INDEX idx_completed (status, completed_at),
+        INDEX idx_symbol_completed (symbol, status, completed_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Table created successfully!');
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+  } finally {
+    await closeDB();
+  }
+}
+
+addTable();
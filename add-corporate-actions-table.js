@@ -0,0 +1,85 @@
+/**
+ * Add corporate_actions table and mark candles collected split-adjusted
+ *
+ * Candles are now stored unadjusted and the API applies splits/dividends from
+ * this table at read time. Rows stored before this change were served by Alpaca
+ * already split-adjusted, so adjusting them again would apply each split twice.
+ * This adds candles.split_adjusted_through and sets it on every existing row to
+ * the date it was collected; the read path undoes the splits up to that date, and
+ * re-collecting a row stores it raw and clears the marker.
+ *
+ * Run this once, before starting the updated app (it writes the new column), then
+ * ingest actions with node ingest-corporate-actions.js.
+ */
+
+require('dotenv').config();
+const { initDB, getDB, closeDB } = require('./config/database');
+
+async function addTable() {
+  try {
+    await initDB();
+    const db = getDB();
+
+    console.log('Creating corporate_actions table...');
+
+    const [tables] = await db.query(`
+      SELECT TABLE_NAME
+      FROM INFORMATION_SCHEMA.TABLES
+      WHERE TABLE_SCHEMA = '${process.env.DB_NAME}'
+      AND TABLE_NAME = 'corporate_actions'
+    `);
+
+    if (tables.length > 0) {
+      console.log('✅ Table already exists');
+    } else {
+      await db.query(`
+        CREATE TABLE corporate_actions (
+          action_id INT PRIMARY KEY AUTO_INCREMENT,
+          stock_id INT NOT NULL,
+          action_type VARCHAR(20) NOT NULL,
+          ex_date DATE NOT NULL,
+          split_from DECIMAL(12, 6),
+          split_to DECIMAL(12, 6),
+          cash_amount DECIMAL(12, 6),
+          price_factor DECIMAL(20, 12),
+          data_source VARCHAR(50),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          UNIQUE KEY unique_action (stock_id, action_type, ex_date),
+          INDEX idx_stock_ex_date (stock_id, ex_date),
+          FOREIGN KEY (stock_id) REFERENCES stocks(stock_id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+      console.log('✅ Table created successfully!');
+    }
+
+    console.log('Marking split-adjusted candles...');
+
+    const [columns] = await db.query(`
+      SELECT COLUMN_NAME
+      FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = '${process.env.DB_NAME}'
+      AND TABLE_NAME = 'candles'
+      AND COLUMN_NAME = 'split_adjusted_through'
+    `);
+
+    if (columns.length > 0) {
+      // Rows written since the column was added are raw - never mark them
+      console.log('✅ Column already exists');
+    } else {
+      await db.query('ALTER TABLE candles ADD COLUMN split_adjusted_through DATE NULL');
+      // Every existing row was requested split-adjusted (Alpaca adjustment=split), as of its collection
+      const [result] = await db.query('UPDATE candles SET split_adjusted_through = DATE(created_at)');
+      console.log(`✅ Marked ${result.affectedRows} candles as split-adjusted`);
+    }
+
+    console.log('   Next: node ingest-corporate-actions.js (optionally node setup.js to re-collect raw candles)');
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+  } finally {
+    await closeDB();
+  }
+}
+
+addTable();
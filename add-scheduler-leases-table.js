@@ -0,0 +1,50 @@
+/**
+ * Add scheduler_leases table
+ *
+ * Collector instances elect a leader through a lease row in this table; only the
+ * leader runs the cron collection, gap filling and cleanup (see
+ * src/utils/leaderElection.js). Run this once on databases created before the
+ * table existed.
+ */
+
+require('dotenv').config();
+const { initDB, getDB, closeDB } = require('./config/database');
+
+async function addTable() {
+  try {
+    await initDB();
+    const db = getDB();
+
+    console.log('Creating scheduler_leases table...');
+
+    const [tables] = await db.query(`
+      SELECT TABLE_NAME
+      FROM INFORMATION_SCHEMA.TABLES
+      WHERE TABLE_SCHEMA = '${process.env.DB_NAME}'
+      AND TABLE_NAME = 'scheduler_leases'
+    `);
+
+    if (tables.length > 0) {
+      console.log('✅ Table already exists');
+      return;
+    }
+
+    await db.query(`
+      CREATE TABLE scheduler_leases (
+        name VARCHAR(50) PRIMARY KEY,
+        owner VARCHAR(150) NOT NULL,
+        acquired_at DATETIME NOT NULL,
+        renewed_at DATETIME NOT NULL,
+        expires_at DATETIME NOT NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+    console.log('✅ Table created successfully!');
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+  } finally {
+    await closeDB();
+  }
+}
+
+addTable();
@@ -0,0 +1,90 @@
+/**
+ * Add session/trading_date columns to candles table and backfill existing rows
+ *
+ * The read path filters regular-session bars on the indexed `session` column
+ * (computed with real America/New_York offsets at insert time). Run this once
+ * on databases created before those columns existed.
+ */
+
+require('dotenv').config();
+const { initDB, getDB, closeDB } = require('./config/database');
+const { getCandleMarketFields } = require('./src/utils/tradingCalendar');
+
+const BACKFILL_CHUNK = 1000;
+
+async function addColumns() {
+  try {
+    await initDB();
+    const db = getDB();
+
+    console.log('Adding session/trading_date columns to candles table...');
+
+    // Check each column separately - a partially applied upgrade may have only one
+    const [columns] = await db.query(`
+      SELECT COLUMN_NAME
+      FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = '${process.env.DB_NAME}'
+      AND TABLE_NAME = 'candles'
+      AND COLUMN_NAME IN ('session', 'trading_date')
+    `);
+    const existing = new Set(columns.map(c => c.COLUMN_NAME));
+
+    const [indexes] = await db.query(`
+      SELECT INDEX_NAME
+      FROM INFORMATION_SCHEMA.STATISTICS
+      WHERE TABLE_SCHEMA = '${process.env.DB_NAME}'
+      AND TABLE_NAME = 'candles'
+      AND INDEX_NAME = 'idx_session_ts'
+    `);
+
+    const changes = [];
+    if (!existing.has('session')) changes.push('ADD COLUMN session VARCHAR(10) NULL AFTER data_source');
+    if (!existing.has('trading_date')) changes.push('ADD COLUMN trading_date DATE NULL AFTER session');
+    if (indexes.length === 0) changes.push('ADD INDEX idx_session_ts (stock_id, interval_type, session, ts)');
+
+    if (changes.length > 0) {
+      await db.query(`ALTER TABLE candles ${changes.join(', ')}`);
+      console.log(`✅ Applied: ${changes.join(', ')}`);
+    } else {
+      console.log('✅ Columns already exist');
+    }
+
+    // Backfill rows that predate the columns, grouped by identical (interval, ts)
+    console.log('Backfilling existing candles...');
+    // Both columns are written together, so trading_date marks finished rows - unless
+    // trading_date predates a session column that was only just added
+    const pending = existing.has('session') ? 'WHERE trading_date IS NULL' : '';
+    const [series] = await db.query(
+      `SELECT DISTINCT interval_type, ts FROM candles ${pending} ORDER BY interval_type, ts`
+    );
+
+    let updated = 0;
+    const groups = new Map(); // "interval|session|date" -> [ts, ...]
+    for (const { interval_type: intervalType, ts } of series) {
+      const { session, tradingDate } = getCandleMarketFields(ts, intervalType);
+      const key = `${intervalType}|${session || ''}|${tradingDate}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(ts);
+    }
+
+    for (const [key, timestamps] of groups) {
+      const [intervalType, session, tradingDate] = key.split('|');
+      for (let i = 0; i < timestamps.length; i += BACKFILL_CHUNK) {
+        const [result] = await db.query(
+          'UPDATE candles SET session = ?, trading_date = ? WHERE interval_type = ? AND ts IN (?)',
+          [session || null, tradingDate, intervalType, timestamps.slice(i, i + BACKFILL_CHUNK)]
+        );
+        updated += result.affectedRows;
+      }
+    }
+
+    console.log(`✅ Backfilled ${updated} candles`);
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+  } finally {
+    await closeDB();
+  }
+}
+
+addColumns();
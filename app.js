@@ -9,19 +9,44 @@
  * - Gap filling: Periodic random check for missing data
  * 
  * This prevents deadlocks - only collector writes to candles!
+ *
+ * Roles: node app.js --role=api|collector|all (default all). API replicas queue
+ * collection jobs in the database (collection_jobs); a collector process consumes
+ * them and runs the cron schedules.
  */
 
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const cron = require('node-cron');
 const { initDB, getDB, closeDB } = require('./config/database');
 const providerManager = require('./src/providers/ProviderManager');
 const { processBatchedSymbols, ALPACA_BATCH_SIZE } = require('./src/utils/batchProcessor');
+const { getETOffsetSeconds, getTradingDate, addDays } = require('./src/utils/marketTime');
+const tradingCalendar = require('./src/utils/tradingCalendar');
+const { aggregateBars } = require('./src/utils/barAggregation');
+const { STORED_INTERVALS, normalizeInterval, getIntervalSeconds, isIntradayInterval } = require('./src/utils/intervals');
+const { parseStudies, getWarmupBars, computeStudies, sliceStudies } = require('./src/utils/indicators');
+const { ROW_FORMATS, writeCandleRows } = require('./src/utils/candleFormats');
+const { upsertCandles } = require('./src/utils/candleStore');
+const collectionJobs = require('./src/utils/collectionJobs');
+const jobBus = require('./src/utils/jobBus');
+const leaderElection = require('./src/utils/leaderElection');
+const eventRelay = require('./src/utils/eventRelay');
+const barEvents = require('./src/utils/barEvents');
+const clock = require('./src/utils/clock');
+const { DEFAULT_ADJUSTMENT, parseAdjustment, loadCorporateActions, adjustCandles, ingestCorporateActions } = require('./src/utils/corporateActions');
+const { WebSocketServer, WebSocket } = require('ws');
+const os = require('os');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+const COLLECTOR_PORT = process.env.COLLECTOR_PORT || 3002; // Health/ops endpoints of a --role=collector process
+
+// Process roles: the API and the collector can run as separate processes sharing
+// the database (collection_jobs is the job channel between them)
+const ROLES = ['api', 'collector', 'all'];
+let appRole = 'all';
 
 // ===== CONFIGURATION =====
 
@@ -32,13 +57,15 @@ const GAP_FILL_PRIORITY = process.env.GAP_FILL_PRIORITY
   ? process.env.GAP_FILL_PRIORITY.split(',').map(s => s.trim())
   : ['1d', '1w', '1mo', '4h', '2h', '1h', '30m', '15m', '5m', '2m', '1m'];
 
-// Collection queue for triggered collections
-const collectionQueue = new Set();
+// Triggered collections are queued in the collection_jobs table (src/utils/collectionJobs.js)
+const COLLECTION_QUEUE_POLL_SECONDS = parseInt(process.env.COLLECTION_QUEUE_POLL_SECONDS) || 5; // Collector polls for jobs from API processes
+const COLLECTION_JOB_BATCH = parseInt(process.env.COLLECTION_JOB_BATCH) || 100; // Jobs leased per worker pass
+const COLLECTION_JOB_RETENTION_DAYS = parseInt(process.env.COLLECTION_JOB_RETENTION_DAYS) || 7;
+const COLLECTION_TRUNCATION_RETRIES = parseInt(process.env.COLLECTION_TRUNCATION_RETRIES) || 3; // Follow-up requests for a truncated batch
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
 const intervalLocks = new Map(); // Track which intervals are currently collecting
 const queueLock = { isProcessing: false }; // Separate lock for queue processing
-
-// Track recently collected symbols to prevent repeated staleness errors
-const recentlyCollected = new Map(); // symbol -> timestamp
+const EVENT_RELAY_POLL_SECONDS = parseInt(process.env.EVENT_RELAY_POLL_SECONDS) || 5; // API-only processes poll for collector events
 
 // Debug logging to file
 const fs = require('fs');
@@ -86,6 +113,10 @@ app.use(cors({
 
 app.use(express.json());
 
+// Health and operations endpoints - also served on COLLECTOR_PORT by a collector-only process
+const opsRouter = express.Router();
+app.use(opsRouter);
+
 // ===== HELPER FUNCTIONS =====
 
 function normalizeSymbol(symbol) {
@@ -93,103 +124,95 @@ function normalizeSymbol(symbol) {
 }
 
 /**
- * Aggregate bars for non-stored intervals
- * @param {Array} bars - Source bars to aggregate
- * @param {number} multiplier - How many source bars to combine (e.g., 3 for 3m from 1m)
- * @returns {Array} Aggregated bars
+ * Split a comma-separated parameter into unique, non-empty values
+ * @param {string|Array<string>} value - 'a,b' or ['a', 'b'] (repeated query params)
+ * @returns {Array<string>}
  */
-function aggregateBars(bars, multiplier) {
-  if (multiplier === 1) return bars;
-  
-  const aggregated = [];
-  
-  for (let i = 0; i < bars.length; i += multiplier) {
-    const chunk = bars.slice(i, i + multiplier);
-    if (chunk.length === 0) continue;
-    
-    // OHLCV aggregation rules:
-    // Open = first bar's open
-    // High = max of all highs
-    // Low = min of all lows
-    // Close = last bar's close
-    // Volume = sum of all volumes
-    const highs = chunk.map(b => Number(b.high)).filter(v => !isNaN(v));
-    const lows = chunk.map(b => Number(b.low)).filter(v => !isNaN(v));
-    const volumes = chunk.map(b => Number(b.volume) || 0);
-    
-    aggregated.push({
-      ts: chunk[0].ts,
-      open: chunk[0].open,
-      high: highs.length > 0 ? Math.max(...highs) : chunk[0].high,
-      low: lows.length > 0 ? Math.min(...lows) : chunk[0].low,
-      close: chunk[chunk.length - 1].close,
-      volume: volumes.reduce((sum, v) => sum + v, 0)
-    });
+function parseList(value) {
+  const list = Array.isArray(value) ? value.join(',') : String(value || '');
+  return Array.from(new Set(
+    list
+      .split(',')
+      .map(s => s.trim())
+      .filter(s => s.length > 0)
+  ));
+}
+
+/**
+ * Parse a comma-separated symbols parameter into unique normalized symbols
+ * @param {string|Array<string>} value - 'AAPL,MSFT' or ['AAPL', 'MSFT']
+ * @returns {Array<string>}
+ */
+function parseSymbolList(value) {
+  return Array.from(new Set(parseList(value).map(normalizeSymbol)));
+}
+
+const MAX_LIMIT = 10000;
+
+/**
+ * Parse a time query parameter (unix seconds, unix milliseconds or ISO date)
+ * @param {string} value - Raw query value
+ * @returns {number|null} Unix timestamp in seconds, null if not provided
+ */
+function parseTimeParam(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (/^\d+$/.test(value)) {
+    const num = parseInt(value);
+    // Treat 13-digit values as milliseconds
+    return num > 1e11 ? Math.floor(num / 1000) : num;
   }
-  
-  return aggregated;
+
+  const parsed = Date.parse(value);
+  if (isNaN(parsed)) {
+    throw new Error(`Invalid date parameter: ${value}`);
+  }
+  return Math.floor(parsed / 1000);
 }
 
-function normalizeInterval(intervalParam) {
-  // Stored intervals (no aggregation needed)
-  const storedIntervals = ['1m', '2m', '5m', '15m', '30m', '1h', '2h', '4h', '1d', '1w', '1mo'];
-  if (storedIntervals.includes(intervalParam)) {
-    return { interval: intervalParam, sourceInterval: intervalParam, multiplier: 1 };
-  }
-  
-  // Aggregatable intervals with optimal source selection
-  const aggregationMap = {
-    // Minutes (from 1m, 2m, 5m)
-    '3m': { sourceInterval: '1m', multiplier: 3 },
-    '6m': { sourceInterval: '2m', multiplier: 3 },
-    '10m': { sourceInterval: '5m', multiplier: 2 },
-    '12m': { sourceInterval: '2m', multiplier: 6 },
-    '20m': { sourceInterval: '5m', multiplier: 4 },
-    '45m': { sourceInterval: '15m', multiplier: 3 },
-    
-    // Hours (from 1h, 2h, 4h)
-    '3h': { sourceInterval: '1h', multiplier: 3 },
-    '6h': { sourceInterval: '2h', multiplier: 3 },
-    '8h': { sourceInterval: '4h', multiplier: 2 },
-    '12h': { sourceInterval: '4h', multiplier: 3 },
-    
-    // Days (from 1d)
-    '2d': { sourceInterval: '1d', multiplier: 2 },
-    '3d': { sourceInterval: '1d', multiplier: 3 },
-    '4d': { sourceInterval: '1d', multiplier: 4 },
-    '5d': { sourceInterval: '1d', multiplier: 5 },
-    
-    // Weeks (from 1w)
-    '2w': { sourceInterval: '1w', multiplier: 2 },
-    '3w': { sourceInterval: '1w', multiplier: 3 },
-    
-    // Months (from 1mo)
-    '2mo': { sourceInterval: '1mo', multiplier: 2 },
-    '3mo': { sourceInterval: '1mo', multiplier: 3 },
-    '4mo': { sourceInterval: '1mo', multiplier: 4 },
-    '6mo': { sourceInterval: '1mo', multiplier: 6 },
-    '12mo': { sourceInterval: '1mo', multiplier: 12 }
-  };
-  
-  if (aggregationMap[intervalParam]) {
-    return { 
-      interval: intervalParam, 
-      ...aggregationMap[intervalParam] 
-    };
+/**
+ * Parse and validate range/cursor query parameters for candle endpoints
+ * @param {Object} query - Express req.query
+ * @returns {Object} { period1, period2, limit, before } (null when not provided)
+ */
+function parseRangeParams(query) {
+  const period1 = parseTimeParam(query.period1);
+  const period2 = parseTimeParam(query.period2);
+  const before = parseTimeParam(query.before);
+
+  let limit = null;
+  if (query.limit !== undefined && query.limit !== '') {
+    limit = parseInt(query.limit);
+    if (isNaN(limit) || limit <= 0 || String(limit) !== String(query.limit).trim()) {
+      throw new Error(`Invalid limit parameter: ${query.limit}`);
+    }
+    limit = Math.min(limit, MAX_LIMIT);
   }
-  
-  // Legacy range mappings (for backward compatibility)
-  const intervalMap = {
-    '1d': '1d', '5d': '5m', '1mo': '15m', '3mo': '1h',
-    '6mo': '1h', '1y': '1d', '2y': '1d', '5y': '1w', 'max': '1w'
-  };
-  
-  const mapped = intervalMap[intervalParam] || '1d';
-  return { interval: mapped, sourceInterval: mapped, multiplier: 1 };
+
+  if (period1 !== null && period2 !== null && period1 >= period2) {
+    throw new Error('Invalid date range: period1 must be before period2');
+  }
+
+  return { period1, period2, limit, before };
+}
+
+const INCLUDE_OPTIONS = ['vwap', 'trades', 'source'];
+
+/**
+ * Parse include=vwap,trades,source
+ * @returns {Array<string>} Requested extras (empty when not given)
+ */
+function parseIncludeParam(value) {
+  const include = parseList(value);
+  const unknown = include.filter(option => !INCLUDE_OPTIONS.includes(option));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid include option: ${unknown.join(', ')}. Use any of ${INCLUDE_OPTIONS.join(', ')}`);
+  }
+  return include;
 }
 
 function getTimeRangeForInterval(intervalParam) {
-  const now = Math.floor(Date.now() / 1000);
+  const now = clock.nowSeconds();
   const intervalLookback = {
     // Stored minute intervals
     '1m': 24 * 60 * 60,           // 1 day
@@ -237,76 +260,248 @@ function getTimeRangeForInterval(intervalParam) {
     '3mo': 3650 * 24 * 60 * 60,   // 10 years
     '4mo': 3650 * 24 * 60 * 60,   // 10 years
     '6mo': 3650 * 24 * 60 * 60,   // 10 years
-    '12mo': 3650 * 24 * 60 * 60   // 10 years
+    '12mo': 3650 * 24 * 60 * 60,  // 10 years
+    
+    // Legacy ranges
+    '1y': 365 * 24 * 60 * 60,     // 1 year
+    '2y': 730 * 24 * 60 * 60,     // 2 years
+    '5y': 1825 * 24 * 60 * 60,    // 5 years
+    'max': 3650 * 24 * 60 * 60    // 10 years
   };
   
-  const lookback = intervalLookback[intervalParam] || 365 * 24 * 60 * 60;
+  // Any other interval scales its source's lookback (capped at 10 years)
+  const { interval, sourceInterval, multiplier } = normalizeInterval(intervalParam);
+  const lookback = intervalLookback[intervalParam]
+    || intervalLookback[interval]
+    || Math.min(intervalLookback[sourceInterval] * multiplier, intervalLookback['1mo']);
   
   // For intraday intervals, if market is closed, adjust end time to last market close (4 PM ET)
-  const intradayIntervals = ['1m', '2m', '5m', '15m', '30m', '1h', '2h', '4h'];
   let endTime = now;
   
-  if (intradayIntervals.includes(intervalParam) && !isMarketHours()) {
-    // Get current time in ET
-    const nowDate = new Date();
-    const etDate = new Date(nowDate.toLocaleString('en-US', { timeZone: 'America/New_York' }));
-    
-    // Set to 4:00 PM ET today
-    const marketClose = new Date(etDate);
-    marketClose.setHours(16, 0, 0, 0);
-    
-    // If current ET time is before 4 PM, use previous trading day's close
-    if (etDate.getHours() < 16 || (etDate.getHours() === 16 && etDate.getMinutes() === 0)) {
-      marketClose.setDate(marketClose.getDate() - 1);
-      // If that's a weekend, go back to Friday
-      while (marketClose.getDay() === 0 || marketClose.getDay() === 6) {
-        marketClose.setDate(marketClose.getDate() - 1);
-      }
-    }
-    
-    endTime = Math.floor(marketClose.getTime() / 1000);
+  if (isIntradayInterval(interval) && !isMarketHours()) {
+    // Market closed (overnight, weekend or holiday) - end at the last regular close
+    endTime = tradingCalendar.getLastMarketClose(now);
   }
   
   return { start: endTime - lookback, end: endTime };
 }
 
+/**
+ * Regular session open right now (holiday and early-close aware)
+ */
 function isMarketHours() {
-  const now = new Date();
-  const et = new Date(now.toLocaleString('en-US', { timeZone: 'America/New_York' }));
-  const day = et.getDay();
-  const hour = et.getHours();
-  const minute = et.getMinutes();
-  
-  if (day === 0 || day === 6) return false; // Weekend
-  const time = hour * 60 + minute;
-  return time >= (9 * 60 + 30) && time <= (16 * 60); // 9:30 AM - 4:00 PM ET
+  return tradingCalendar.isMarketOpen();
 }
 
-async function retryOnDeadlock(fn, maxRetries = 3) {
-  for (let i = 0; i < maxRetries; i++) {
-    try {
-      return await fn();
-    } catch (error) {
-      if (error.code === 'ER_LOCK_DEADLOCK' && i < maxRetries - 1) {
-        console.log(`  ⚠️  Deadlock detected, retrying (${i + 1}/${maxRetries})...`);
-        await new Promise(resolve => setTimeout(resolve, 100 * Math.pow(2, i)));
-        continue;
-      }
-      throw error;
+// ===== DATABASE FUNCTIONS (READ-ONLY FOR API) =====
+
+const MAX_BATCH_SYMBOLS = parseInt(process.env.MAX_BATCH_SYMBOLS) || 100;
+
+/**
+ * Resolve the time window to read for a request
+ * @param {string} intervalParam - Requested interval (stored, aggregated or legacy range)
+ * @param {Object} range - Optional { period1, period2, limit, before } from parseRangeParams()
+ * @param {string} adjust - Corporate action adjustment from parseAdjustment()
+ * @returns {Object} Normalized interval info plus { start, end, limit, adjust, hasExplicitRange, isHistorical }
+ */
+function resolveCandleWindow(intervalParam, range = {}, adjust = DEFAULT_ADJUSTMENT) {
+  const { interval, sourceInterval, multiplier } = normalizeInterval(intervalParam);
+  const defaultRange = getTimeRangeForInterval(intervalParam);
+  
+  const period1 = range.period1 ?? null;
+  const period2 = range.period2 ?? null;
+  const before = range.before ?? null;
+  const limit = range.limit ?? null;
+  const hasExplicitRange = period1 !== null || period2 !== null || before !== null;
+  // Windows that end in the past are historical - staleness doesn't apply to them
+  const isHistorical = period2 !== null || before !== null;
+  
+  let end = period2 ?? (period1 !== null ? clock.nowSeconds() : defaultRange.end);
+  let start = period1 ?? (end - (defaultRange.end - defaultRange.start));
+  if (before !== null) {
+    end = Math.min(end, before - 1);
+  }
+  
+  if (start > end) {
+    throw new Error('Invalid date range: window is empty');
+  }
+  
+  return { interval, sourceInterval, multiplier, start, end, limit, adjust, hasExplicitRange, isHistorical };
+}
+
+/**
+ * SQL fragment restricting intraday candles to the regular session
+ * @returns {string} Empty string when no filter applies
+ */
+function buildMarketHoursFilter(interval, includeExtended) {
+  // Filter extended hours for intraday intervals
+  if (!includeExtended && isIntradayInterval(interval)) {
+    console.log(`     Applying market hours filter (regular session, 9:30-16:00 ET)`);
+    // Session is classified at insert time with real America/New_York offsets (DST-aware),
+    // see src/utils/marketTime.js - filtering on the indexed column keeps this query cheap
+    return ` AND session = 'regular'`;
+  }
+  
+  console.log(`     No market hours filter (includeExtended=${includeExtended}, interval=${interval})`);
+  return '';
+}
+
+/**
+ * Aggregate source candles and apply the bar limit
+ * @param {Object} window - Resolved window from resolveCandleWindow()
+ * @returns {Object} { candles, hasMore }
+ */
+function finalizeCandles(candles, window) {
+  const { sourceInterval, multiplier, limit } = window;
+  
+  // Apply aggregation if needed (time buckets aligned to sessions / calendar periods)
+  if (multiplier > 1) {
+    candles = aggregateBars(candles, sourceInterval, multiplier);
+    if (candles.length === 0) {
+      throw new Error('No data available after aggregation');
     }
   }
+  
+  // Keep the newest `limit` bars; older ones are reachable with before=<nextBefore>
+  let hasMore = false;
+  if (limit !== null && candles.length > limit) {
+    candles = candles.slice(candles.length - limit);
+    hasMore = true;
+  }
+  
+  return { candles, hasMore };
 }
 
-// ===== DATABASE FUNCTIONS (READ-ONLY FOR API) =====
+/**
+ * Throw if the newest candle is too old for the interval and market state
+ * A symbol collected in the last 2 minutes passes anyway: the provider had nothing
+ * newer. The collection time comes from collection_jobs, so the grace applies in
+ * every process, not just the collector that ran the job.
+ */
+async function checkStaleness(symbol, interval, latestTs, isHistorical) {
+  if (isHistorical) {
+    console.log(`     Historical window requested, skipping staleness check`);
+    return;
+  }
+  
+  const ageMinutes = (clock.now() / 1000 - latestTs) / 60;
+  
+  // For daily intervals, allow up to 4 days (weekend + Monday)
+  // For intraday intervals, use configured threshold
+  let staleThreshold = DATA_STALE_MINUTES;
+  if (!isIntradayInterval(interval)) {
+    staleThreshold = 4 * 24 * 60; // 4 days for daily data
+  }
+  
+  // If market is closed, the clock effectively stops at the last regular close:
+  // extend the threshold by the closed time so nights, weekends, holidays and
+  // early closes don't make data look stale
+  if (!isMarketHours()) {
+    const minutesSinceClose = (clock.now() / 1000 - tradingCalendar.getLastMarketClose()) / 60;
+    staleThreshold += Math.max(0, minutesSinceClose);
+  }
+  
+  if (ageMinutes <= staleThreshold) return;
+  
+  const lastCollected = await collectionJobs.getLastCollectedAt(getDB(), symbol);
+  if (lastCollected && (clock.now() - lastCollected.getTime()) < 120000) {
+    // Data was just collected, trust it even if timestamp seems old
+    console.log(`  ℹ️  Using recently collected data (${Math.floor((clock.now() - lastCollected.getTime()) / 1000)}s ago)`);
+    return;
+  }
+  
+  throw new Error(`Data is stale (${Math.floor(ageMinutes)} minutes old)`);
+}
+
+/**
+ * Build one Yahoo-style chart.result[] entry
+ * @param {Object} window - Resolved window from resolveCandleWindow()
+ * @param {Array<string>} include - Extras from parseIncludeParam()
+ */
+function buildChartResult(symbol, stockInfo, candles, window, hasMore, include = []) {
+  const latestTs = candles[candles.length - 1].ts;
+  
+  // Calculate regularMarketPrice (latest close)
+  const latestClose = parseFloat(candles[candles.length - 1].close);
+  const gmtoffset = getETOffsetSeconds(latestTs);
+  
+  const result = {
+    meta: {
+      currency: "USD",
+      symbol: symbol,
+      exchangeName: stockInfo.exchange || "NYSE",
+      instrumentType: "EQUITY",
+      firstTradeDate: null,
+      regularMarketTime: latestTs,
+      regularMarketPrice: latestClose,
+      gmtoffset: gmtoffset,
+      timezone: gmtoffset === -14400 ? "EDT" : "EST",
+      exchangeTimezoneName: "America/New_York",
+      companyName: stockInfo.company_name || symbol,
+      dataGranularity: window.interval,
+      // Corporate action adjustment applied to prices/volumes ('raw' | 'split' | 'all')
+      adjustment: window.adjust,
+      // Window actually served (requested bounds + first/last bar returned)
+      window: {
+        requestedStart: window.start,
+        requestedEnd: window.end,
+        start: candles[0].ts,
+        end: latestTs,
+        count: candles.length,
+        limit: window.limit,
+        hasMore: hasMore,
+        nextBefore: hasMore ? candles[0].ts : null
+      },
+      // Derived intervals: how bars were built and which buckets are incomplete
+      aggregation: window.multiplier > 1 ? {
+        sourceInterval: window.sourceInterval,
+        multiplier: window.multiplier,
+        partial: candles.filter(c => c.partial).map(c => c.ts)
+      } : null
+    },
+    timestamp: candles.map(c => c.ts),
+    indicators: {
+      quote: [{
+        open: candles.map(c => parseFloat(c.open)),
+        high: candles.map(c => parseFloat(c.high)),
+        low: candles.map(c => parseFloat(c.low)),
+        close: candles.map(c => parseFloat(c.close)),
+        volume: candles.map(c => parseInt(c.volume))
+      }]
+    }
+  };
+  
+  // Opt-in columns the chart format otherwise drops (include=vwap,trades,source)
+  if (include.includes('vwap')) {
+    result.indicators.vwap = [{ vwap: candles.map(c => (c.vwap === null || c.vwap === undefined ? null : parseFloat(c.vwap))) }];
+  }
+  if (include.includes('trades')) {
+    result.indicators.tradeCount = [{ tradeCount: candles.map(c => (c.trade_count === null || c.trade_count === undefined ? null : parseInt(c.trade_count))) }];
+  }
+  if (include.includes('source')) {
+    result.dataSource = candles.map(c => c.data_source || null);
+  }
+  
+  return result;
+}
 
-async function fetchFromMySQL(symbol, intervalParam, includeExtended = false) {
+/**
+ * Read (and aggregate) candles for a symbol from MySQL
+ * @param {string} symbol - Normalized symbol
+ * @param {string} intervalParam - Requested interval (stored, aggregated or legacy range)
+ * @param {boolean} includeExtended - Include pre/post market bars for intraday intervals
+ * @param {Object} range - Optional { period1, period2, limit, before } from parseRangeParams()
+ * @param {string} adjust - 'raw' | 'split' | 'all' from parseAdjustment()
+ * @returns {Promise<Object>} { stockInfo, candles, window, hasMore }
+ */
+async function readCandles(symbol, intervalParam, includeExtended = false, range = {}, adjust = DEFAULT_ADJUSTMENT) {
   const db = getDB();
-  const { interval, sourceInterval, multiplier } = normalizeInterval(intervalParam);
-  const { start, end } = getTimeRangeForInterval(intervalParam);
+  const window = resolveCandleWindow(intervalParam, range, adjust);
+  const { interval, sourceInterval, multiplier, start, end, limit } = window;
   
-  console.log(`  🔍 fetchFromMySQL: symbol=${symbol}, interval=${intervalParam}, includeExtended=${includeExtended}`);
+  console.log(`  🔍 readCandles: symbol=${symbol}, interval=${intervalParam}, includeExtended=${includeExtended}`);
   console.log(`     Normalized: interval=${interval}, sourceInterval=${sourceInterval}, multiplier=${multiplier}`);
-  console.log(`     Time range: ${new Date(start * 1000).toISOString()} to ${new Date(end * 1000).toISOString()}`);
+  console.log(`     Time range: ${new Date(start * 1000).toISOString()} to ${new Date(end * 1000).toISOString()}${limit ? ` (limit ${limit})` : ''}`);
   
   const [rows] = await db.query(
     'SELECT stock_id, is_active, company_name, exchange FROM stocks WHERE symbol = ?',
@@ -326,118 +521,181 @@ async function fetchFromMySQL(symbol, intervalParam, includeExtended = false) {
   
   console.log(`     Stock ID: ${stockId}, Active: ${stockInfo.is_active}`);
   
+  // Validate explicit windows against what is actually stored for this series
+  if (window.hasExplicitRange) {
+    const [bounds] = await db.query(
+      'SELECT MIN(ts) as min_ts, MAX(ts) as max_ts FROM candles WHERE stock_id = ? AND interval_type = ?',
+      [stockId, sourceInterval]
+    );
+    const { min_ts: minTs, max_ts: maxTs } = bounds[0];
+    
+    if (minTs !== null && (end < minTs || start > maxTs)) {
+      throw outsideStoredDataError(minTs, maxTs);
+    }
+  }
+  
   let query = `
-    SELECT ts, open, high, low, close, volume 
+    SELECT ts, open, high, low, close, volume, vwap, trade_count, data_source, session,
+      DATE_FORMAT(split_adjusted_through, '%Y-%m-%d') AS split_adjusted_through
     FROM candles 
     WHERE stock_id = ? AND interval_type = ? AND ts >= ? AND ts <= ?
   `;
   
   const params = [stockId, sourceInterval, start, end];
   
-  // Filter extended hours for intraday intervals
-  const intradayIntervals = ['1m', '2m', '3m', '5m', '6m', '10m', '12m', '15m', '20m', '30m', '45m', '1h', '2h', '3h', '4h', '6h', '8h', '12h'];
-  if (!includeExtended && intradayIntervals.includes(interval)) {
-    console.log(`     Applying market hours filter (9:30-16:00 ET)`);
-    // Calculate ET time using UTC offset instead of CONVERT_TZ (which requires timezone tables)
-    // Market hours: 9:30 AM - 4:00 PM ET (09:30 - 16:00)
-    // ET is UTC-5 (EST) or UTC-4 (EDT), so we check hour range accounting for offset
-    // Using modulo arithmetic: ((ts % 86400) - offset) / 3600 gives hour of day in ET
-    // 9.5 hours = 34200 seconds (9:30 AM), 16 hours = 57600 seconds (4:00 PM)
-    query += ` AND (
-      MOD(ts - 18000, 86400) >= 34200 AND 
-      MOD(ts - 18000, 86400) <= 57600
-    )`;
+  query += buildMarketHoursFilter(interval, includeExtended);
+  
+  // Stored intervals can be limited in SQL (newest first, one extra row to detect more pages)
+  const limitInSQL = limit !== null && multiplier === 1;
+  if (limitInSQL) {
+    query += ' ORDER BY ts DESC LIMIT ?';
+    params.push(limit + 1);
   } else {
-    console.log(`     No market hours filter (includeExtended=${includeExtended}, interval=${interval})`);
+    query += ' ORDER BY ts ASC';
   }
   
-  query += ' ORDER BY ts ASC';
-  
   console.log(`     Executing query...`);
   let [candles] = await db.query(query, params);
+  if (limitInSQL) {
+    candles.reverse();
+  }
   
   console.log(`     Query result: ${candles.length} candles`);
   
   if (candles.length === 0) {
+    if (window.hasExplicitRange) {
+      throw new Error('Requested range contains no candles');
+    }
     throw new Error('No data available in cache');
   }
   
-  // Apply aggregation if needed
-  if (multiplier > 1) {
-    candles = aggregateBars(candles, multiplier);
-    if (candles.length === 0) {
-      throw new Error('No data available after aggregation');
-    }
-  }
+  // Candles are stored raw - apply splits/dividends before aggregating (raw mode still
+  // needs the splits to undo on rows collected split-adjusted)
+  const actions = await loadCorporateActions(db, [stockId], candles[0].ts);
+  candles = adjustCandles(candles, actions.get(stockId), adjust);
+  
+  const finalized = finalizeCandles(candles, window);
+  candles = finalized.candles;
   
   // Smart staleness check based on interval and market hours
-  const latestTs = candles[candles.length - 1].ts;
-  const ageMinutes = (Date.now() / 1000 - latestTs) / 60;
+  await checkStaleness(symbol, interval, candles[candles.length - 1].ts, window.isHistorical);
   
-  // Skip staleness check if recently collected (within last 2 minutes)
-  const lastCollected = recentlyCollected.get(symbol);
-  if (lastCollected && (Date.now() - lastCollected) < 120000) {
-    // Data was just collected, trust it even if timestamp seems old
-    console.log(`  ℹ️  Using recently collected data (${Math.floor((Date.now() - lastCollected) / 1000)}s ago)`);
-  } else {
-    // For daily intervals, allow up to 4 days (weekend + Monday)
-    // For intraday intervals, use configured threshold
-    let staleThreshold = DATA_STALE_MINUTES;
-    const dailyIntervals = ['1d', '2d', '3d', '4d', '5d', '1w', '2w', '3w', '1mo', '2mo', '3mo', '4mo', '6mo', '12mo'];
-    if (dailyIntervals.includes(interval)) {
-      staleThreshold = 4 * 24 * 60; // 4 days for daily data
+  return { stockInfo, candles, window, hasMore: finalized.hasMore };
+}
+
+/**
+ * Error for an explicit window that doesn't overlap the stored series
+ */
+function outsideStoredDataError(minTs, maxTs) {
+  const error = new Error(`Requested range is outside stored data (${new Date(minTs * 1000).toISOString()} to ${new Date(maxTs * 1000).toISOString()})`);
+  error.availableRange = { start: minTs, end: maxTs };
+  return error;
+}
+
+/**
+ * Read candles for a symbol from MySQL in Yahoo chart format
+ * Same parameters as readCandles(), plus include extras from parseIncludeParam()
+ */
+async function fetchFromMySQL(symbol, intervalParam, includeExtended = false, range = {}, include = [], adjust = DEFAULT_ADJUSTMENT) {
+  const { stockInfo, candles, window, hasMore } = await readCandles(symbol, intervalParam, includeExtended, range, adjust);
+  
+  return {
+    chart: {
+      result: [buildChartResult(symbol, stockInfo, candles, window, hasMore, include)],
+      error: null
     }
+  };
+}
+
+/**
+ * Read candles for many symbols with a single candles query
+ * @param {Array<string>} symbols - Normalized symbols
+ * @returns {Promise<Array>} One entry per symbol (in request order):
+ *   { symbol, result } on success, { symbol, error } with the same messages fetchFromMySQL throws
+ */
+async function fetchManyFromMySQL(symbols, intervalParam, includeExtended = false, range = {}, include = [], adjust = DEFAULT_ADJUSTMENT) {
+  const db = getDB();
+  const window = resolveCandleWindow(intervalParam, range, adjust);
+  const { interval, sourceInterval, multiplier, start, end, limit } = window;
+  
+  console.log(`  🔍 fetchManyFromMySQL: ${symbols.length} symbols, interval=${intervalParam}, includeExtended=${includeExtended}`);
+  console.log(`     Time range: ${new Date(start * 1000).toISOString()} to ${new Date(end * 1000).toISOString()}`);
+  
+  const [stockRows] = await db.query(
+    'SELECT stock_id, symbol, is_active, company_name, exchange FROM stocks WHERE symbol IN (?)',
+    [symbols]
+  );
+  const stocksBySymbol = new Map(stockRows.map(row => [row.symbol, row]));
+  
+  const activeIds = stockRows.filter(row => row.is_active).map(row => row.stock_id);
+  const candlesByStock = new Map(activeIds.map(id => [id, []]));
+  let actionsByStock = new Map();
+  
+  if (activeIds.length > 0) {
+    let query = `
+      SELECT stock_id, ts, open, high, low, close, volume, vwap, trade_count, data_source, session,
+        DATE_FORMAT(split_adjusted_through, '%Y-%m-%d') AS split_adjusted_through
+      FROM candles 
+      WHERE stock_id IN (?) AND interval_type = ? AND ts >= ? AND ts <= ?
+    `;
+    query += buildMarketHoursFilter(interval, includeExtended);
+    query += ' ORDER BY stock_id, ts ASC';
     
-    // If market is closed, be more lenient with staleness for intraday data
-    if (!isMarketHours()) {
-      // After market close, allow data to be old until next market open
-      // Check if latest candle is from a recent market day (within 4 days)
-      const intradayIntervals = ['1m', '2m', '5m', '15m', '30m', '1h', '2h', '4h'];
-      if (intradayIntervals.includes(interval)) {
-        staleThreshold = 4 * 24 * 60; // 4 days (covers weekend)
-      } else {
-        staleThreshold = Math.max(staleThreshold, 24 * 60);
-      }
-    }
+    const [rows] = await db.query(query, [activeIds, sourceInterval, start, end]);
+    console.log(`     Query result: ${rows.length} candles for ${activeIds.length} symbols`);
     
-    if (ageMinutes > staleThreshold) {
-      throw new Error(`Data is stale (${Math.floor(ageMinutes)} minutes old)`);
+    for (const row of rows) {
+      candlesByStock.get(row.stock_id).push(row);
     }
+    
+    actionsByStock = await loadCorporateActions(db, activeIds, start);
   }
   
-  // Calculate regularMarketPrice (latest close)
-  const latestClose = parseFloat(candles[candles.length - 1].close);
+  // Explicit windows: like readCandles(), tell a window outside a series' stored data
+  // apart from a gap inside it (only series without candles in the window can be outside)
+  const boundsByStock = new Map();
+  const emptyIds = activeIds.filter(id => candlesByStock.get(id).length === 0);
+  if (window.hasExplicitRange && emptyIds.length > 0) {
+    const [bounds] = await db.query(
+      `SELECT stock_id, MIN(ts) as min_ts, MAX(ts) as max_ts FROM candles
+       WHERE interval_type = ? AND stock_id IN (?)
+       GROUP BY stock_id`,
+      [sourceInterval, emptyIds]
+    );
+    for (const row of bounds) {
+      boundsByStock.set(row.stock_id, row);
+    }
+  }
   
-  return {
-    chart: {
-      result: [{
-        meta: {
-          currency: "USD",
-          symbol: symbol,
-          exchangeName: stockInfo.exchange || "NYSE",
-          instrumentType: "EQUITY",
-          firstTradeDate: null,
-          regularMarketTime: latestTs,
-          regularMarketPrice: latestClose,
-          gmtoffset: -18000,
-          timezone: "EST",
-          exchangeTimezoneName: "America/New_York",
-          companyName: stockInfo.company_name || symbol
-        },
-        timestamp: candles.map(c => c.ts),
-        indicators: {
-          quote: [{
-            open: candles.map(c => parseFloat(c.open)),
-            high: candles.map(c => parseFloat(c.high)),
-            low: candles.map(c => parseFloat(c.low)),
-            close: candles.map(c => parseFloat(c.close)),
-            volume: candles.map(c => parseInt(c.volume))
-          }]
-        }
-      }],
-      error: null
+  return Promise.all(symbols.map(async symbol => {
+    const stockInfo = stocksBySymbol.get(symbol);
+    
+    try {
+      if (!stockInfo) {
+        throw new Error(`Symbol ${symbol} not found in database`);
+      }
+      if (!stockInfo.is_active) {
+        throw new Error(`Symbol ${symbol} is inactive (not supported by provider)`);
+      }
+      
+      const sourceCandles = candlesByStock.get(stockInfo.stock_id);
+      const bounds = boundsByStock.get(stockInfo.stock_id);
+      if (bounds && (end < bounds.min_ts || start > bounds.max_ts)) {
+        throw outsideStoredDataError(bounds.min_ts, bounds.max_ts);
+      }
+      if (sourceCandles.length === 0) {
+        throw new Error(window.hasExplicitRange ? 'Requested range contains no candles' : 'No data available in cache');
+      }
+      
+      const adjusted = adjustCandles(sourceCandles, actionsByStock.get(stockInfo.stock_id), adjust);
+      const { candles, hasMore } = finalizeCandles(adjusted, window);
+      await checkStaleness(symbol, interval, candles[candles.length - 1].ts, window.isHistorical);
+      
+      return { symbol, result: buildChartResult(symbol, stockInfo, candles, window, hasMore, include) };
+    } catch (error) {
+      return { symbol, error };
     }
-  };
+  }));
 }
 
 /**
@@ -461,6 +719,7 @@ async function queueSymbolForCollection(symbol) {
         [symbol]
       );
       console.log(`  ♻️  Reactivated symbol ${symbol}`);
+      await enqueueCollection(symbol, 'reactivated');
     }
     return existing[0].stock_id;
   }
@@ -484,32 +743,113 @@ async function queueSymbolForCollection(symbol) {
   console.log(`  ✅ Symbol ${symbol} queued for collection (stock_id: ${result.insertId})`);
   
   // Add to collection queue for immediate collection
-  collectionQueue.add(symbol);
+  await enqueueCollection(symbol, 'new');
   
   return result.insertId;
 }
 
+/**
+ * Queue a collection job for all intervals of a symbol and tell WebSocket subscribers
+ * symbol_ready / refresh_complete follows once processCollectionQueue() has finished the job
+ * Queueing failures are logged, not thrown - the client retries and queues again
+ * @param {string} reason - 'new' | 'reactivated' | 'refresh'
+ * @returns {Promise<boolean>} Whether a new job was queued
+ */
+async function enqueueCollection(symbol, reason) {
+  try {
+    const { created } = await collectionJobs.enqueueJob(getDB(), symbol, { reason });
+    if (created) {
+      barEvents.publishCollection('symbol_queued', symbol, { reason, retryAfter: 15 });
+    }
+    return created;
+  } catch (error) {
+    console.error(`  ❌ Failed to queue ${symbol}: ${error.message}`);
+    return false;
+  }
+}
+
 // ===== API ENDPOINTS (READ-ONLY) =====
 
-app.get('/health', (req, res) => {
+opsRouter.get('/health', (req, res) => {
   res.json({ 
     status: 'ok', 
+    role: appRole,
+    scheduler: appRole === 'api' ? null : leaderElection.getStatus(),
     timestamp: new Date().toISOString(),
-    collectionEnabled: COLLECTION_ENABLED
+    collectionEnabled: COLLECTION_ENABLED,
+    streamClients: streamClients.size,
+    webSocketClients: webSocketServer ? webSocketServer.clients.size : 0
   });
 });
 
+// Accept header media types for the row formats (chart JSON stays the default)
+const FORMAT_MEDIA_TYPES = {
+  'application/json': 'json',
+  'text/csv': 'csv',
+  'application/x-ndjson': 'ndjson',
+  'application/ndjson': 'ndjson'
+};
+
+/**
+ * Pick the output format from ?format= or the Accept header
+ * @returns {string|null} 'json' (Yahoo chart) | 'csv' | 'ndjson' | 'json-rows', or null when
+ *   the Accept header allows none of them (no header = chart JSON)
+ * @throws {Error} 'Invalid format ...' for an unknown ?format=
+ */
+function resolveOutputFormat(req) {
+  const format = req.query.format;
+  if (format) {
+    if (format !== 'json' && !ROW_FORMATS[format]) {
+      throw new Error(`Invalid format: ${format}. Use one of json, ${Object.keys(ROW_FORMATS).join(', ')}`);
+    }
+    return format;
+  }
+  
+  const accepted = req.accepts(Object.keys(FORMAT_MEDIA_TYPES));
+  return accepted ? FORMAT_MEDIA_TYPES[accepted] : null;
+}
+
 app.get('/api/stock/:symbol', async (req, res) => {
   const rawSymbol = req.params.symbol;
   const symbol = normalizeSymbol(rawSymbol);
   const intervalParam = req.query.interval || req.query.range || '1d';
   const includePrePost = req.query.includePrePost === 'true';
   
-  console.log(`\n📊 API Request: ${symbol} ${intervalParam} (extended: ${includePrePost})`);
+  let range, format, include, adjust;
+  try {
+    normalizeInterval(intervalParam);
+    range = parseRangeParams(req.query);
+    include = parseIncludeParam(req.query.include);
+    adjust = parseAdjustment(req.query.adjust);
+    format = resolveOutputFormat(req);
+    res.vary('Accept');
+  } catch (error) {
+    return res.status(400).json(describeParamError(error));
+  }
+  
+  if (format === null) {
+    return res.status(406).json({
+      error: 'Not acceptable',
+      message: `No supported media type in Accept: ${req.get('Accept')}. Use one of ${Object.keys(FORMAT_MEDIA_TYPES).join(', ')} (or ?format=)`,
+      mediaTypes: Object.keys(FORMAT_MEDIA_TYPES)
+    });
+  }
+  
+  console.log(`\n📊 API Request: ${symbol} ${intervalParam} (extended: ${includePrePost}${format !== 'json' ? `, format: ${format}` : ''})`);
   
   try {
+    // Row formats (CSV / NDJSON / JSON rows) for data-science clients
+    if (format !== 'json') {
+      const { candles, window } = await readCandles(symbol, intervalParam, includePrePost, range, adjust);
+      console.log(`  ✓ MySQL: ${candles.length} bars as ${format}`);
+      
+      res.type(ROW_FORMATS[format].contentType);
+      res.set('Content-Disposition', `inline; filename="${symbol}_${window.interval}.${ROW_FORMATS[format].extension}"`);
+      return await writeCandleRows(res, format, symbol, candles);
+    }
+    
     // STRICTLY READ-ONLY: Only fetch from MySQL
-    const data = await fetchFromMySQL(symbol, intervalParam, includePrePost);
+    const data = await fetchFromMySQL(symbol, intervalParam, includePrePost, range, include, adjust);
     console.log(`  ✓ MySQL: ${data.chart.result[0].timestamp.length} bars`);
     return res.json(data);
     
@@ -521,12 +861,8 @@ app.get('/api/stock/:symbol', async (req, res) => {
       try {
         await queueSymbolForCollection(symbol);
         
-        // Trigger immediate processing (don't wait for cron)
-        setImmediate(() => {
-          processCollectionQueue().catch(err => {
-            console.error('❌ Immediate queue processing error:', err.message);
-          });
-        });
+        // Wake the queue worker (don't wait for the next poll)
+        jobBus.notify();
         
         return res.status(503)
           .set('Retry-After', '15')
@@ -545,19 +881,38 @@ app.get('/api/stock/:symbol', async (req, res) => {
       }
     }
     
+    // Explicit range that doesn't overlap stored data - refreshing won't help
+    if (error.message.includes('outside stored data')) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        message: error.message,
+        availableRange: error.availableRange
+      });
+    }
+    
+    if (error.message.includes('Invalid date range')) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('contains no candles')) {
+      return res.status(404).json({
+        error: 'No data in range',
+        message: `No ${intervalParam} candles for ${symbol} in the requested range.`
+      });
+    }
+    
     // Data is stale or missing - trigger collector refresh
     if (error.message.includes('stale') || error.message.includes('No data')) {
       console.log(`  ⏰ Data stale, triggering collector refresh...`);
       
       // Add to collection queue for immediate refresh
-      collectionQueue.add(symbol);
+      await enqueueCollection(symbol, 'refresh');
       
-      // Trigger immediate processing (don't wait for cron)
-      setImmediate(() => {
-        processCollectionQueue().catch(err => {
-          console.error('❌ Immediate queue processing error:', err.message);
-        });
-      });
+      // Wake the queue worker (don't wait for the next poll)
+      jobBus.notify();
       
       return res.status(503)
         .set('Retry-After', '15')
@@ -586,6 +941,283 @@ app.get('/api/stock/:symbol', async (req, res) => {
   }
 });
 
+/**
+ * 400 body for a rejected query parameter (intervals also list the accepted units)
+ */
+function describeParamError(error) {
+  if (error.validUnits) {
+    return {
+      error: 'Invalid interval',
+      message: error.message,
+      validUnits: error.validUnits
+    };
+  }
+  if (error.validStudies) {
+    return {
+      error: 'Invalid studies',
+      message: error.message,
+      validStudies: error.validStudies
+    };
+  }
+  return {
+    error: 'Invalid parameters',
+    message: error.message
+  };
+}
+
+// Multi-symbol batch endpoint - one candles query for all requested symbols
+app.get('/api/stocks', async (req, res) => {
+  const symbols = parseSymbolList(req.query.symbols);
+  const intervalParam = req.query.interval || req.query.range || '1d';
+  const includePrePost = req.query.includePrePost === 'true';
+  
+  if (symbols.length === 0) {
+    return res.status(400).json({
+      error: 'Invalid parameters',
+      message: 'symbols query parameter is required (e.g. ?symbols=AAPL,MSFT)'
+    });
+  }
+  
+  if (symbols.length > MAX_BATCH_SYMBOLS) {
+    return res.status(400).json({
+      error: 'Invalid parameters',
+      message: `Too many symbols (${symbols.length}). Maximum is ${MAX_BATCH_SYMBOLS} per request.`
+    });
+  }
+  
+  let range, include, adjust;
+  try {
+    normalizeInterval(intervalParam);
+    range = parseRangeParams(req.query);
+    include = parseIncludeParam(req.query.include);
+    adjust = parseAdjustment(req.query.adjust);
+  } catch (error) {
+    return res.status(400).json(describeParamError(error));
+  }
+  
+  console.log(`\n📊 Batch API Request: ${symbols.length} symbols ${intervalParam} (extended: ${includePrePost})`);
+  
+  try {
+    const entries = await fetchManyFromMySQL(symbols, intervalParam, includePrePost, range, include, adjust);
+    
+    const result = [];
+    let pending = false;
+    
+    for (const entry of entries) {
+      if (entry.result) {
+        result.push(entry.result);
+        continue;
+      }
+      
+      const symbolError = await describeSymbolError(entry.symbol, entry.error);
+      if (symbolError.code === 503) pending = true;
+      result.push({ meta: { symbol: entry.symbol }, error: symbolError });
+    }
+    
+    if (pending) {
+      // Wake the queue worker (don't wait for the next poll)
+      jobBus.notify();
+      res.set('Retry-After', '15');
+    }
+    
+    const okCount = result.filter(r => !r.error).length;
+    console.log(`  ✓ Batch: ${okCount}/${symbols.length} symbols served`);
+    
+    return res.json({
+      chart: {
+        result,
+        error: null
+      }
+    });
+  } catch (error) {
+    console.error(`  ✗ Batch error: ${error.message}`);
+    if (error.message.includes('Invalid date range')) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: error.message
+      });
+    }
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Map a per-symbol read error to a batch error entry, queueing collection where needed
+ * Mirrors the status semantics of GET /api/stock/:symbol
+ */
+async function describeSymbolError(symbol, error) {
+  if (error.message.includes('not found in database')) {
+    try {
+      await queueSymbolForCollection(symbol);
+      return {
+        code: 503,
+        status: 'queued',
+        message: `Symbol ${symbol} has been queued for collection. Please retry in 10-30 seconds.`,
+        retryAfter: 15
+      };
+    } catch (validationError) {
+      return {
+        code: 404,
+        status: 'not_found',
+        message: `Symbol ${symbol} does not exist or is not supported by any provider.`
+      };
+    }
+  }
+  
+  if (error.message.includes('outside stored data')) {
+    return {
+      code: 400,
+      status: 'invalid_range',
+      message: error.message,
+      availableRange: error.availableRange
+    };
+  }
+  
+  if (error.message.includes('contains no candles')) {
+    return {
+      code: 404,
+      status: 'no_data',
+      message: `No candles for ${symbol} in the requested range.`
+    };
+  }
+  
+  if (error.message.includes('stale') || error.message.includes('No data')) {
+    await enqueueCollection(symbol, 'refresh');
+    return {
+      code: 503,
+      status: 'refreshing',
+      message: `Data for ${symbol} is being updated. Please retry in 10-30 seconds.`,
+      retryAfter: 15
+    };
+  }
+  
+  if (error.message.includes('inactive')) {
+    return {
+      code: 404,
+      status: 'inactive',
+      message: `Symbol ${symbol} is not supported by the current provider.`
+    };
+  }
+  
+  return {
+    code: 500,
+    status: 'error',
+    message: error.message
+  };
+}
+
+// Calendar span searched per warm-up bar (covers the nights between sessions)
+const WARMUP_SPAN_FACTOR = 6;
+// Plus the longest closure a handful of bars can straddle: a holiday weekend
+// (Thursday's close to Monday's open is ~3.7 days)
+const WARMUP_MAX_CLOSURE_SECONDS = 4 * 24 * 60 * 60;
+
+/**
+ * Read up to `count` bars immediately before `firstTs` (indicator warm-up)
+ * @returns {Promise<Object|null>} Yahoo chart result entry, or null when no earlier data is stored
+ */
+async function fetchWarmupCandles(symbol, intervalParam, includeExtended, firstTs, count, adjust) {
+  if (count === 0) return null;
+  
+  const span = count * getIntervalSeconds(intervalParam) * WARMUP_SPAN_FACTOR + WARMUP_MAX_CLOSURE_SECONDS;
+  try {
+    const data = await fetchFromMySQL(symbol, intervalParam, includeExtended, {
+      period1: firstTs - span,
+      before: firstTs,
+      limit: Math.min(count, MAX_LIMIT)
+    }, ['vwap'], adjust);
+    return data.chart.result[0];
+  } catch (error) {
+    console.log(`     No warm-up bars available (${error.message})`);
+    return null;
+  }
+}
+
+// Technical indicators computed over the same candles as /api/stock/:symbol
+app.get('/api/indicators/:symbol', async (req, res) => {
+  const symbol = normalizeSymbol(req.params.symbol);
+  const intervalParam = req.query.interval || req.query.range || '1d';
+  const includePrePost = req.query.includePrePost === 'true';
+  
+  let range, studies, adjust;
+  try {
+    normalizeInterval(intervalParam);
+    range = parseRangeParams(req.query);
+    studies = parseStudies(req.query.studies);
+    adjust = parseAdjustment(req.query.adjust);
+  } catch (error) {
+    return res.status(400).json(describeParamError(error));
+  }
+  
+  console.log(`\n📈 Indicators Request: ${symbol} ${intervalParam} [${studies.map(s => s.key).join(', ')}]`);
+  
+  try {
+    const data = await fetchFromMySQL(symbol, intervalParam, includePrePost, range, ['vwap'], adjust);
+    const chart = data.chart.result[0];
+    const quote = { ...chart.indicators.quote[0], vwap: chart.indicators.vwap[0].vwap };
+    
+    // Pull earlier bars so the first visible values are already valid
+    const warmupBars = getWarmupBars(studies);
+    const warmup = await fetchWarmupCandles(symbol, intervalParam, includePrePost, chart.timestamp[0], warmupBars, adjust);
+    const warmupCount = warmup ? warmup.timestamp.length : 0;
+    const warmupQuote = warmup ? { ...warmup.indicators.quote[0], vwap: warmup.indicators.vwap[0].vwap } : null;
+    
+    const series = { timestamp: warmup ? warmup.timestamp.concat(chart.timestamp) : chart.timestamp };
+    for (const field of ['open', 'high', 'low', 'close', 'volume', 'vwap']) {
+      series[field] = warmup ? warmupQuote[field].concat(quote[field]) : quote[field];
+    }
+    
+    const results = computeStudies(studies, series, { intraday: isIntradayInterval(intervalParam) });
+    
+    console.log(`  ✓ ${studies.length} studies over ${chart.timestamp.length} bars (+${warmupCount} warm-up)`);
+    
+    return res.json({
+      symbol,
+      interval: chart.meta.dataGranularity,
+      timestamp: chart.timestamp,
+      studies: sliceStudies(results, warmupCount),
+      meta: {
+        window: chart.meta.window,
+        adjustment: chart.meta.adjustment,
+        warmup: {
+          requested: warmupBars,
+          available: warmupCount
+        }
+      }
+    });
+  } catch (error) {
+    console.log(`  ✗ Indicators: ${error.message}`);
+    
+    if (error.message.includes('outside stored data')) {
+      return res.status(400).json({
+        error: 'Invalid date range',
+        message: error.message,
+        availableRange: error.availableRange
+      });
+    }
+    
+    if (error.message.includes('Invalid date range')) {
+      return res.status(400).json(describeParamError(error));
+    }
+    
+    const symbolError = await describeSymbolError(symbol, error);
+    if (symbolError.code === 503) {
+      // Wake the queue worker (don't wait for the next poll)
+      jobBus.notify();
+      res.set('Retry-After', String(symbolError.retryAfter));
+    }
+    
+    return res.status(symbolError.code).json({
+      error: symbolError.status === 'error' ? 'Internal server error' : 'Data not available',
+      message: symbolError.message,
+      status: symbolError.status
+    });
+  }
+});
+
 app.get('/symbols', async (req, res) => {
   try {
     const db = getDB();
@@ -605,7 +1237,7 @@ app.get('/symbols', async (req, res) => {
   }
 });
 
-app.get('/stats', async (req, res) => {
+opsRouter.get('/stats', async (req, res) => {
   try {
     const db = getDB();
     
@@ -632,11 +1264,361 @@ app.get('/stats', async (req, res) => {
     );
     
     res.json({
-      symbols: symbolStats[0],
-      candles: candleStats,
-      latestLogs,
-      collectionQueue: Array.from(collectionQueue),
-      isCollecting
+      symbols: symbolStats[0],
+      candles: candleStats,
+      latestLogs,
+      collectionQueue: await collectionJobs.countJobs(db),
+      collectingIntervals: Array.from(intervalLocks.keys())
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Provider health and circuit breaker state (priority order, before demotion)
+opsRouter.get('/providers', (req, res) => {
+  const capabilities = new Map(providerManager.getProviderCapabilities().map(({ name, ...rest }) => [name, rest]));
+
+  res.json({
+    circuitBreaker: {
+      failureThreshold: providerManager.failureThreshold,
+      cooldownSeconds: providerManager.cooldownMs / 1000
+    },
+    providers: providerManager.getProviderHealth().map((health, index) => ({
+      priority: index + 1,
+      ...health,
+      capabilities: capabilities.get(health.name)
+    }))
+  });
+});
+
+const STREAM_HEARTBEAT_MS = parseInt(process.env.STREAM_HEARTBEAT_MS) || 15000;
+const streamClients = new Set();
+
+/**
+ * Write one SSE event
+ */
+function writeStreamEvent(res, event, data, id = null) {
+  if (id) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function formatBarEvent(event) {
+  return {
+    symbol: event.symbol,
+    interval: event.interval,
+    change: event.change,
+    source: event.source,
+    ...event.bar
+  };
+}
+
+// Server-Sent Events stream of candles as the collector stores them
+app.get('/api/stream', (req, res) => {
+  const symbols = new Set(parseSymbolList(req.query.symbols));
+  const interval = req.query.interval || null;
+  
+  if (symbols.size === 0 || symbols.size > MAX_BATCH_SYMBOLS) {
+    return res.status(400).json({
+      error: 'Invalid parameters',
+      message: `symbols query parameter is required (1-${MAX_BATCH_SYMBOLS} symbols, e.g. ?symbols=AAPL,MSFT)`
+    });
+  }
+  
+  // Only stored intervals are written as individual candles
+  if (interval !== null && !STORED_INTERVALS.includes(interval)) {
+    return res.status(400).json({
+      error: 'Invalid interval',
+      message: `Streaming supports stored intervals only: ${STORED_INTERVALS.join(', ')}`,
+      validIntervals: STORED_INTERVALS
+    });
+  }
+  
+  const matches = (event) => symbols.has(event.symbol) && (interval === null || event.interval === interval);
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+  res.write(`retry: 3000\n\n`);
+  
+  console.log(`\n📡 Stream opened: ${Array.from(symbols).join(',')} ${interval || 'all intervals'} (${streamClients.size + 1} clients)`);
+  
+  // Resume after a reconnect: replay buffered events the client missed
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId) {
+    const { events, gap } = barEvents.since(lastEventId);
+    if (gap) {
+      // Some events are gone - client should refetch via /api/stock before relying on the stream
+      writeStreamEvent(res, 'gap', { lastEventId, message: 'Missed events are no longer buffered; refetch candles via /api/stock' });
+    }
+    for (const event of events.filter(matches)) {
+      writeStreamEvent(res, 'bar', formatBarEvent(event), event.id);
+    }
+  }
+  
+  writeStreamEvent(res, 'ready', {
+    symbols: Array.from(symbols),
+    interval,
+    heartbeatMs: STREAM_HEARTBEAT_MS
+  });
+  
+  const onBar = (event) => {
+    if (matches(event)) {
+      writeStreamEvent(res, 'bar', formatBarEvent(event), event.id);
+    }
+  };
+  barEvents.on('bar', onBar);
+  // In an API-only process the bars come from the database (no-op otherwise)
+  const unwatch = eventRelay.watch(Array.from(symbols), interval);
+  
+  const heartbeat = setInterval(() => {
+    writeStreamEvent(res, 'heartbeat', { time: clock.nowSeconds() });
+  }, STREAM_HEARTBEAT_MS);
+  
+  const client = { symbols, interval, openedAt: Date.now() };
+  streamClients.add(client);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    barEvents.off('bar', onBar);
+    unwatch();
+    streamClients.delete(client);
+    console.log(`📡 Stream closed (${streamClients.size} clients)`);
+  });
+});
+
+const WS_PATH = '/api/ws';
+const WS_PING_MS = 30000;
+let webSocketServer = null;
+
+/**
+ * WebSocket subscription API, attached to the HTTP server
+ * Client messages:
+ *   { type: 'subscribe', symbols: ['AAPL'], interval: '1m' }   (interval optional = all stored intervals)
+ *   { type: 'unsubscribe', symbols: ['AAPL'], interval: '1m' } (interval optional = drop the symbol)
+ *   { type: 'ping' }
+ * Server messages: subscribed, unsubscribed, bar, symbol_queued, symbol_ready, refresh_complete, pong, error
+ */
+function attachWebSocketServer(server) {
+  const wss = new WebSocketServer({ server, path: WS_PATH });
+  
+  wss.on('connection', (socket) => {
+    const subscriptions = new Map(); // symbol -> Set of intervals ('*' = all)
+    const unwatchers = new Map(); // 'AAPL:1m' -> eventRelay unwatch
+    socket.isAlive = true;
+    
+    const send = (message) => {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+    };
+    
+    const listSubscriptions = () => Array.from(subscriptions.entries()).flatMap(([symbol, intervals]) =>
+      Array.from(intervals).map(interval => ({ symbol, interval: interval === '*' ? null : interval }))
+    );
+    
+    const onBar = (event) => {
+      const intervals = subscriptions.get(event.symbol);
+      if (intervals && (intervals.has('*') || intervals.has(event.interval))) {
+        send({ type: 'bar', id: event.id, ...formatBarEvent(event) });
+      }
+    };
+    
+    // Collection events go to anyone subscribed to the symbol, whatever the interval
+    const onCollection = (event) => {
+      if (subscriptions.has(event.symbol)) {
+        send(event);
+      }
+    };
+    
+    barEvents.on('bar', onBar);
+    barEvents.on('collection', onCollection);
+    
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+    
+    socket.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw);
+      } catch (error) {
+        return send({ type: 'error', message: 'Messages must be JSON' });
+      }
+      
+      // JSON.parse also accepts null, numbers, strings and arrays
+      if (message === null || typeof message !== 'object' || Array.isArray(message)) {
+        return send({ type: 'error', message: 'Messages must be JSON objects' });
+      }
+      
+      if (message.type === 'ping') {
+        return send({ type: 'pong', time: Math.floor(Date.now() / 1000) });
+      }
+      
+      if (message.type !== 'subscribe' && message.type !== 'unsubscribe') {
+        return send({ type: 'error', message: `Unknown message type: ${message.type}` });
+      }
+      
+      const validSymbols = typeof message.symbols === 'string'
+        || (Array.isArray(message.symbols) && message.symbols.every(symbol => typeof symbol === 'string'));
+      if (!validSymbols) {
+        return send({ type: 'error', message: `${message.type} requires symbols as a string or an array of strings` });
+      }
+      if (message.interval !== undefined && message.interval !== null && typeof message.interval !== 'string') {
+        return send({ type: 'error', message: 'interval must be a string' });
+      }
+      
+      const symbols = parseSymbolList(message.symbols);
+      const interval = message.interval || null;
+      
+      if (symbols.length === 0) {
+        return send({ type: 'error', message: `${message.type} requires symbols` });
+      }
+      if (interval !== null && !STORED_INTERVALS.includes(interval)) {
+        return send({ type: 'error', message: `Streaming supports stored intervals only: ${STORED_INTERVALS.join(', ')}` });
+      }
+      
+      if (message.type === 'subscribe') {
+        const added = symbols.filter(symbol => !subscriptions.has(symbol));
+        if (subscriptions.size + added.length > MAX_BATCH_SYMBOLS) {
+          return send({ type: 'error', message: `Too many symbols. Maximum is ${MAX_BATCH_SYMBOLS} per connection.` });
+        }
+        for (const symbol of symbols) {
+          if (!subscriptions.has(symbol)) subscriptions.set(symbol, new Set());
+          subscriptions.get(symbol).add(interval || '*');
+          const key = `${symbol}:${interval || '*'}`;
+          if (!unwatchers.has(key)) unwatchers.set(key, eventRelay.watch([symbol], interval));
+        }
+        return send({ type: 'subscribed', subscriptions: listSubscriptions() });
+      }
+      
+      for (const symbol of symbols) {
+        const intervals = subscriptions.get(symbol);
+        if (!intervals) continue;
+        if (interval) intervals.delete(interval);
+        if (!interval || intervals.size === 0) subscriptions.delete(symbol);
+        
+        for (const [key, unwatch] of unwatchers) {
+          if (key === `${symbol}:${interval}` || (!interval && key.startsWith(`${symbol}:`))) {
+            unwatch();
+            unwatchers.delete(key);
+          }
+        }
+      }
+      return send({ type: 'unsubscribed', subscriptions: listSubscriptions() });
+    });
+    
+    socket.on('close', () => {
+      barEvents.off('bar', onBar);
+      barEvents.off('collection', onCollection);
+      unwatchers.forEach(unwatch => unwatch());
+    });
+  });
+  
+  // Drop connections that stop answering pings
+  const pingTimer = setInterval(() => {
+    for (const socket of wss.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, WS_PING_MS);
+  wss.on('close', () => clearInterval(pingTimer));
+  
+  console.log(`✅ WebSocket API on ws://localhost:${PORT}${WS_PATH}`);
+  return wss;
+}
+
+// Trading calendar (holidays, early closes, session boundaries)
+app.get('/calendar', (req, res) => {
+  const MAX_CALENDAR_DAYS = 366;
+  
+  // Plain YYYY-MM-DD is taken as an ET calendar date; anything else goes through parseTimeParam
+  const toCalendarDate = (value) => {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value))) return value;
+    const ts = parseTimeParam(value);
+    return ts !== null ? getTradingDate(ts) : null;
+  };
+  
+  let from, to;
+  try {
+    from = toCalendarDate(req.query.from) || getTradingDate(clock.nowSeconds());
+    to = toCalendarDate(req.query.to) || addDays(from, 30);
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Invalid parameters',
+      message: error.message
+    });
+  }
+  
+  if (from > to) {
+    return res.status(400).json({
+      error: 'Invalid parameters',
+      message: 'from must not be after to'
+    });
+  }
+  
+  if (addDays(from, MAX_CALENDAR_DAYS) <= to) {
+    return res.status(400).json({
+      error: 'Invalid parameters',
+      message: `Range too large. Maximum is ${MAX_CALENDAR_DAYS} days per request.`
+    });
+  }
+  
+  const now = clock.nowSeconds();
+  const calendar = tradingCalendar.loadCalendar();
+  
+  res.json({
+    exchange: calendar.exchange,
+    timezone: calendar.timezone,
+    from,
+    to,
+    marketOpen: tradingCalendar.isMarketOpen(now),
+    currentSession: tradingCalendar.getMarketSession(now),
+    lastMarketClose: tradingCalendar.getLastMarketClose(now),
+    nextMarketOpen: tradingCalendar.getNextMarketOpen(now),
+    days: tradingCalendar.getCalendar(from, to).map(day => ({
+      date: day.date,
+      isTradingDay: day.isTradingDay,
+      holiday: day.holiday,
+      earlyClose: day.earlyClose,
+      covered: day.covered,
+      sessions: day.sessions
+    }))
+  });
+});
+
+// Persistent collection queue - job counts by status plus the most recent jobs
+opsRouter.get('/queue', async (req, res) => {
+  const status = req.query.status || null;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  
+  if (status && !collectionJobs.JOB_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: 'Invalid parameters',
+      message: `Invalid status: ${status}. Use one of ${collectionJobs.JOB_STATUSES.join(', ')}`
+    });
+  }
+  
+  try {
+    const db = getDB();
+    const counts = await collectionJobs.countJobs(db);
+    const jobs = await collectionJobs.listJobs(db, { status, limit });
+    
+    res.json({
+      counts,
+      retry: {
+        maxAttempts: collectionJobs.MAX_ATTEMPTS,
+        leaseSeconds: collectionJobs.LEASE_SECONDS
+      },
+      jobs: jobs.map(collectionJobs.describeJob)
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -651,6 +1633,14 @@ app.post('/collect/:symbol', async (req, res) => {
   
   console.log(`\n🎯 Manual collection request: ${symbol} ${intervalParam}`);
   
+  // Queued jobs are retried, so reject intervals the collector can never fetch up front
+  if (intervalParam !== 'all' && !INTERVALS.some(interval => interval.name === intervalParam)) {
+    return res.status(400).json({
+      error: 'Invalid interval',
+      message: `Invalid interval: ${intervalParam}. Use 'all' or one of ${INTERVALS.map(interval => interval.name).join(', ')}`
+    });
+  }
+  
   try {
     // Validate symbol exists in stocks table
     const stockId = await getStockId(symbol);
@@ -662,18 +1652,17 @@ app.post('/collect/:symbol', async (req, res) => {
     }
     
     // Add to collection queue
-    if (intervalParam === 'all') {
-      collectionQueue.add(symbol);
-      console.log(`  ✓ Queued ${symbol} for all intervals`);
-    } else {
-      collectionQueue.add(`${symbol}:${intervalParam}`);
-      console.log(`  ✓ Queued ${symbol} for ${intervalParam} interval`);
-    }
+    const db = getDB();
+    const interval = intervalParam === 'all' ? null : intervalParam;
+    const { created } = await collectionJobs.enqueueJob(db, symbol, { interval, reason: 'manual' });
+    console.log(`  ✓ ${created ? 'Queued' : 'Already queued:'} ${symbol} for ${interval ? `${interval} interval` : 'all intervals'}`);
+    jobBus.notify();
     
+    const counts = await collectionJobs.countJobs(db);
     res.json({
       message: `Collection queued for ${symbol}`,
       interval: intervalParam,
-      queueSize: collectionQueue.size
+      queueSize: counts.pending + counts.running
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -704,42 +1693,177 @@ async function getStockId(symbol) {
   return rows.length > 0 ? rows[0].stock_id : null;
 }
 
-async function storeBars(stockId, intervalType, bars, source) {
-  if (!bars || bars.length === 0) return { inserted: 0, updated: 0 };
+/**
+ * Provider that supplied a symbol's bars (a batch can mix providers)
+ */
+function barSource(result, symbol) {
+  return (result.sources && result.sources[symbol]) || result.source;
+}
+
+/**
+ * Bars of a fetchBars() result keyed by symbol (a one-symbol request comes back as an array)
+ */
+function barsBySymbol(result, symbols) {
+  return Array.isArray(result.bars) ? { [symbols[0]]: result.bars } : { ...result.bars };
+}
+
+/**
+ * Fetch a chunk of symbols, requesting the rest of a truncated response
+ * A provider that stops paging early (ALPACA_MAX_PAGES) returns symbols in order up
+ * to one it didn't finish. That symbol is requested again from its last bar, and the
+ * symbols it never reached from startDate, up to COLLECTION_TRUNCATION_RETRIES times.
+ * @param {Array<string>} symbols
+ * @returns {Promise<Object>} fetchBars() result plus incomplete: symbols whose range is
+ *   still cut short (empty unless the follow-ups were truncated or failed too)
+ */
+async function fetchChunkBars(symbols, intervalName, startDate, endDate) {
+  const result = await providerManager.fetchBars(symbols.join(','), intervalName, startDate, endDate);
+  if (!result.truncated) return { ...result, incomplete: [] };
   
-  const db = getDB();
-  let inserted = 0;
-  let updated = 0;
-  
-  for (const bar of bars) {
-    const ts = Math.floor(new Date(bar.t).getTime() / 1000);
-    
-    await retryOnDeadlock(async () => {
-      const [result] = await db.query(
-        `INSERT INTO candles (stock_id, interval_type, ts, open, high, low, close, volume, vwap, trade_count, data_source)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-         ON DUPLICATE KEY UPDATE
-           open = VALUES(open),
-           high = VALUES(high),
-           low = VALUES(low),
-           close = VALUES(close),
-           volume = VALUES(volume),
-           vwap = VALUES(vwap),
-           trade_count = VALUES(trade_count),
-           data_source = VALUES(data_source)`,
-        [stockId, intervalType, ts, bar.o, bar.h, bar.l, bar.c, bar.v, bar.vw || null, bar.n || null, source]
-      );
+  const bars = barsBySymbol(result, symbols);
+  const sources = Object.fromEntries(Object.keys(bars).map(symbol => [symbol, barSource(result, symbol)]));
+  let truncated = true;
+  
+  for (let attempt = 1; truncated && attempt <= COLLECTION_TRUNCATION_RETRIES; attempt++) {
+    // Pages run in symbol order: the last symbol returned is the one cut short
+    const partial = Object.keys(bars).sort().pop();
+    const missing = symbols.filter(symbol => !bars[symbol]);
+    console.log(`     ✂️  Response truncated${partial ? ` in ${partial}` : ''}${missing.length > 0 ? `, ${missing.length} symbols not reached` : ''}; requesting the rest (${attempt}/${COLLECTION_TRUNCATION_RETRIES})`);
+    
+    const requests = [];
+    if (partial) {
+      const lastBar = bars[partial][bars[partial].length - 1];
+      requests.push({ symbols: [partial], startDate: new Date(lastBar.t).toISOString() });
+    }
+    if (missing.length > 0) {
+      requests.push({ symbols: missing, startDate });
+    }
+    
+    truncated = false;
+    for (const request of requests) {
+      let rest;
+      try {
+        rest = await providerManager.fetchBars(request.symbols.join(','), intervalName, request.startDate, endDate);
+      } catch (error) {
+        // Every provider answered without data: nothing more to fetch
+        if (error.providerErrors && error.providerErrors.length === 0) continue;
+        console.log(`     ✗ Follow-up request failed: ${error.message}`);
+        truncated = true;
+        continue;
+      }
       
-      if (result.affectedRows === 1) inserted++;
-      else if (result.affectedRows === 2) updated++;
-    });
+      for (const [symbol, restBars] of Object.entries(barsBySymbol(rest, request.symbols))) {
+        const after = bars[symbol] ? new Date(bars[symbol][bars[symbol].length - 1].t).getTime() : -Infinity;
+        bars[symbol] = (bars[symbol] || []).concat(restBars.filter(bar => new Date(bar.t).getTime() > after));
+        sources[symbol] = sources[symbol] || barSource(rest, symbol);
+      }
+      truncated = truncated || rest.truncated;
+    }
+  }
+  
+  const incomplete = truncated
+    ? [Object.keys(bars).sort().pop(), ...symbols.filter(symbol => !bars[symbol])].filter(Boolean)
+    : [];
+  return {
+    bars: Array.isArray(result.bars) ? (bars[symbols[0]] || []) : bars,
+    source: result.source,
+    sources,
+    truncated,
+    incomplete
+  };
+}
+
+/**
+ * Upsert provider bars and publish the written candles on the bar event bus
+ * @param {string} symbol - Used to label stream events (omit to skip publishing)
+ */
+async function storeBars(stockId, intervalType, bars, source, symbol) {
+  const { inserted, updated, changed } = await upsertCandles(getDB(), stockId, intervalType, bars, source);
+  
+  if (symbol && changed.length > 0) {
+    barEvents.publish(symbol, intervalType, changed, source);
   }
   
   return { inserted, updated };
 }
 
+// Full collection lookback per interval (empty series, queued symbols, gap fills)
+const COLLECTION_LOOKBACK_DAYS = {
+  '1m': 5,                        // Alpaca limit for 1-2 min
+  '2m': 5,
+  '5m': 30,
+  '15m': 60,
+  '30m': 60,
+  '1h': 180,
+  '2h': 180,
+  '4h': 180,
+  '1d': Math.floor(365 * 2.5),    // 2.5 years of daily data (~630 bars)
+  '1w': 365 * 5,                  // 5 years of weekly
+  '1mo': 365 * 10                 // 10 years of monthly
+};
+
+// Bars re-requested before a series' last stored bar, to pick up provider revisions
+// (the last bar is usually still forming when it is first collected)
+const COLLECTION_OVERLAP_BARS = parseInt(process.env.COLLECTION_OVERLAP_BARS) || 3;
+
+function getCollectionLookbackDays(intervalName) {
+  return COLLECTION_LOOKBACK_DAYS[intervalName] || 365;
+}
+
+/**
+ * Last stored bar per series (high-water mark)
+ * @returns {Promise<Map>} stock_id -> max ts; series with no candles are absent
+ */
+async function getHighWaterMarks(intervalName, stockIds) {
+  const marks = new Map();
+  if (stockIds.length === 0) return marks;
+  
+  const db = getDB();
+  const [rows] = await db.query(
+    `SELECT stock_id, MAX(ts) as max_ts FROM candles
+     WHERE interval_type = ? AND stock_id IN (?)
+     GROUP BY stock_id`,
+    [intervalName, stockIds]
+  );
+  
+  for (const row of rows) {
+    if (row.max_ts !== null) marks.set(row.stock_id, Number(row.max_ts));
+  }
+  return marks;
+}
+
+/**
+ * Batch symbols for collection, each batch with the start date it needs
+ * Empty series get the full lookback. The rest start COLLECTION_OVERLAP_BARS before
+ * their high-water mark; they're sorted by it so a batch shares a similar start
+ * (a batch requests from its earliest mark, never earlier than the full lookback).
+ * @param {Array<Object>} symbols - [{ stock_id, symbol }]
+ * @param {Map} highWaterMarks - From getHighWaterMarks()
+ * @returns {Array<Object>} [{ symbols, startDate }]
+ */
+function getCollectionChunks(symbols, intervalName, highWaterMarks, batchSize) {
+  const fullStart = clock.now() - getCollectionLookbackDays(intervalName) * 24 * 60 * 60 * 1000;
+  const overlapMs = COLLECTION_OVERLAP_BARS * getIntervalSeconds(intervalName) * 1000;
+  
+  const empty = symbols.filter(s => !highWaterMarks.has(s.stock_id));
+  const incremental = symbols
+    .filter(s => highWaterMarks.has(s.stock_id))
+    .sort((a, b) => highWaterMarks.get(a.stock_id) - highWaterMarks.get(b.stock_id));
+  
+  const chunks = [];
+  for (let i = 0; i < empty.length; i += batchSize) {
+    chunks.push({ symbols: empty.slice(i, i + batchSize), startDate: new Date(fullStart).toISOString() });
+  }
+  for (let i = 0; i < incremental.length; i += batchSize) {
+    const chunk = incremental.slice(i, i + batchSize);
+    const earliestMark = highWaterMarks.get(chunk[0].stock_id) * 1000;
+    chunks.push({ symbols: chunk, startDate: new Date(Math.max(fullStart, earliestMark - overlapMs)).toISOString() });
+  }
+  return chunks;
+}
+
 async function collectInterval(intervalName) {
-  console.log(`\n⏰ [${new Date().toLocaleTimeString()}] collectInterval called for: ${intervalName}`);
+  console.log(`\n⏰ [${clock.date().toLocaleTimeString()}] collectInterval called for: ${intervalName}`);
   
   // Check if THIS interval is already collecting (per-interval lock)
   if (intervalLocks.get(intervalName)) {
@@ -765,68 +1889,38 @@ async function collectInterval(intervalName) {
       return;
     }
     
-    console.log(`\n🔄 Collecting ${intervalName} data for ${symbols.length} symbols (BATCH MODE)...`);
-    
-    // Calculate appropriate date range based on interval
-    const endDate = new Date().toISOString(); // Use current time, not midnight!
-    let daysBack;
-    
-    switch (intervalName) {
-      case '1m':
-      case '2m':
-        daysBack = 5; // Alpaca limit for 1-2 min
-        break;
-      case '5m':
-        daysBack = 30;
-        break;
-      case '15m':
-      case '30m':
-        daysBack = 60;
-        break;
-      case '1h':
-      case '2h':
-      case '4h':
-        daysBack = 180;
-        break;
-      case '1d':
-        daysBack = Math.floor(365 * 2.5); // 2.5 years of daily data (~630 bars)
-        break;
-      case '1w':
-        daysBack = 365 * 5; // 5 years of weekly
-        break;
-      case '1mo':
-        daysBack = 365 * 10; // 10 years of monthly
-        break;
-      default:
-        daysBack = 365;
+    // No new daily bar on exchange holidays (weekly/monthly still run to close out their period)
+    if (intervalName === '1d' && !tradingCalendar.isTradingDay()) {
+      console.log(`  ⏸️  Skipping ${intervalName} collection (not a trading day)`);
+      return;
     }
     
-    const startDate = new Date(Date.now() - daysBack * 24 * 60 * 60 * 1000).toISOString();
-    console.log(`  📅 Date range: ${startDate} to ${endDate} (${daysBack} days)`);
+    console.log(`\n🔄 Collecting ${intervalName} data for ${symbols.length} symbols (BATCH MODE)...`);
     
-    // Split into chunks of 50 symbols (Alpaca returns max 50 symbols per request)
-    const BATCH_SIZE = 50;
-    const chunks = [];
-    for (let i = 0; i < symbols.length; i += BATCH_SIZE) {
-      chunks.push(symbols.slice(i, i + BATCH_SIZE));
-    }
+    // Only request each series from its last stored bar (see getCollectionChunks)
+    const endDate = clock.date().toISOString(); // Use current time, not midnight!
+    const highWaterMarks = await getHighWaterMarks(intervalName, symbols.map(s => s.stock_id));
+    const chunks = getCollectionChunks(symbols, intervalName, highWaterMarks, 50); // Alpaca returns max 50 symbols per request
     
-    console.log(`  📦 Split into ${chunks.length} batches of up to ${BATCH_SIZE} symbols each`);
+    const fullCount = symbols.filter(s => !highWaterMarks.has(s.stock_id)).length;
+    console.log(`  📅 ${symbols.length - fullCount} symbols incremental, ${fullCount} full lookback (${getCollectionLookbackDays(intervalName)} days)`);
+    console.log(`  📦 Split into ${chunks.length} batches of up to 50 symbols each`);
     
     let totalSuccessCount = 0;
     let totalErrorCount = 0;
     
     // Process each chunk
     for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
-      const chunkSymbols = chunks[chunkIndex];
+      const { symbols: chunkSymbols, startDate } = chunks[chunkIndex];
       const symbolList = chunkSymbols.map(s => s.symbol).join(',');
       
       console.log(`\n  📦 Batch ${chunkIndex + 1}/${chunks.length}: ${chunkSymbols.length} symbols`);
+      console.log(`     Date range: ${startDate} to ${endDate}`);
       console.log(`     Requesting: ${symbolList.substring(0, 80)}${symbolList.length > 80 ? '...' : ''}`);
       console.log(`     🔍 Trying Alpaca...`);
     
     try {
-      const result = await providerManager.fetchBars(symbolList, intervalName, startDate, endDate);
+      const result = await fetchChunkBars(chunkSymbols.map(s => s.symbol), intervalName, startDate, endDate);
       
       // ===== DIAGNOSTIC LOGGING =====
       console.log(`\n     🔍 RAW RESPONSE ANALYSIS:`);
@@ -864,7 +1958,7 @@ async function collectInterval(intervalName) {
           const symbol = chunkSymbols[0].symbol;
           const stockId = chunkSymbols[0].stock_id;
           
-          const { inserted, updated } = await storeBars(stockId, intervalName, result.bars, result.source);
+          const { inserted, updated } = await storeBars(stockId, intervalName, result.bars, result.source, symbol);
           if (inserted > 0 || updated > 0) {
             console.log(`     ✓ ${symbol}: ${inserted} new, ${updated} updated (${result.source})`);
           }
@@ -912,9 +2006,9 @@ async function collectInterval(intervalName) {
             }
             
             if (bars && bars.length > 0) {
-              const { inserted, updated } = await storeBars(stockId, intervalName, bars, result.source);
+              const { inserted, updated } = await storeBars(stockId, intervalName, bars, barSource(result, symbol), symbol);
               if (inserted > 0 || updated > 0) {
-                console.log(`     ✓ ${symbol}: ${inserted} new, ${updated} updated (${result.source})`);
+                console.log(`     ✓ ${symbol}: ${inserted} new, ${updated} updated (${barSource(result, symbol)})`);
               }
               successCount++;
             }
@@ -923,6 +2017,12 @@ async function collectInterval(intervalName) {
           totalSuccessCount += successCount;
           console.log(`     📊 Batch ${chunkIndex + 1} complete: ${successCount}/${chunkSymbols.length} symbols stored`);
         }
+        
+        if (result.incomplete.length > 0) {
+          // The next run requests these from their high-water mark again
+          console.log(`     ⚠️  Batch ${chunkIndex + 1} still truncated after ${COLLECTION_TRUNCATION_RETRIES} follow-ups: ${result.incomplete.join(', ')} incomplete`);
+          totalErrorCount++;
+        }
       } else {
         console.log(`     ⚠️  No data returned for this batch`);
       }
@@ -939,7 +2039,7 @@ async function collectInterval(intervalName) {
       
       // Small delay between chunks
       if (chunkIndex < chunks.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        await clock.sleep(1000);
       }
     }
     
@@ -952,13 +2052,14 @@ async function collectInterval(intervalName) {
 
 /**
  * Process collection queue (triggered collections from API or manual requests)
+ * Leases due jobs from collection_jobs until none are left. A job leaves the queue
+ * only once it has run; failed jobs are retried with backoff by a later pass
  */
 async function processCollectionQueue() {
-  console.log(`\n⏰ [${new Date().toLocaleTimeString()}] processCollectionQueue called`);
-  console.log(`  Queue size: ${collectionQueue.size}, isProcessing: ${queueLock.isProcessing}`);
+  console.log(`\n⏰ [${clock.date().toLocaleTimeString()}] processCollectionQueue called`);
   
-  if (queueLock.isProcessing || collectionQueue.size === 0) {
-    console.log(`  ⏭️  Skipping (${queueLock.isProcessing ? 'already processing' : 'queue empty'})`);
+  if (queueLock.isProcessing) {
+    console.log(`  ⏭️  Skipping (already processing)`);
     return;
   }
   
@@ -966,195 +2067,246 @@ async function processCollectionQueue() {
   console.log(`  🔒 Queue lock acquired`);
   
   try {
-    console.log(`\n📥 Processing collection queue (${collectionQueue.size} items)...`);
-    
-    const items = Array.from(collectionQueue);
-    collectionQueue.clear();
-    
-    // Group items by interval (for batch processing)
-    const symbolsByInterval = new Map();
-    const specificRequests = []; // For symbol:interval format
+    const db = getDB();
     
-    for (const item of items) {
-      if (item.includes(':')) {
-        // Specific interval request (e.g., "AAPL:1d")
-        specificRequests.push(item);
-      } else {
-        // All intervals for this symbol
-        for (const interval of INTERVALS) {
-          if (!symbolsByInterval.has(interval.name)) {
-            symbolsByInterval.set(interval.name, new Set());
-          }
-          symbolsByInterval.get(interval.name).add(item);
-        }
-      }
+    const recovered = await collectionJobs.recoverExpiredLeases(db);
+    if (recovered > 0) {
+      console.log(`  ♻️  ${recovered} jobs with expired leases returned to the queue`);
     }
     
-    // Process specific interval requests first (still batched by interval)
-    for (const item of specificRequests) {
-      const [symbol, intervalName] = item.split(':');
-      if (!symbolsByInterval.has(intervalName)) {
-        symbolsByInterval.set(intervalName, new Set());
-      }
-      symbolsByInterval.get(intervalName).add(symbol);
+    let leasedCount = 0;
+    for (;;) {
+      const jobs = await collectionJobs.leaseJobs(db, WORKER_ID, COLLECTION_JOB_BATCH);
+      if (jobs.length === 0) break;
+      
+      leasedCount += jobs.length;
+      await runCollectionJobs(db, jobs);
     }
     
-    // Get stock_id map for all symbols
-    const allSymbols = new Set();
-    for (const symbols of symbolsByInterval.values()) {
-      symbols.forEach(s => allSymbols.add(s));
+    if (leasedCount === 0) {
+      console.log(`  ⏭️  Skipping (queue empty)`);
+      return;
     }
-    
-    const symbolMap = new Map();
-    for (const symbol of allSymbols) {
-      const stockId = await getStockId(symbol);
-      if (stockId) {
-        symbolMap.set(symbol, stockId);
-      } else {
-        console.log(`  ⚠️  Symbol ${symbol} not found in database, skipping`);
+    console.log(`\n  ✅ Queue processing complete (${leasedCount} jobs)`);
+  } finally {
+    queueLock.isProcessing = false;
+  }
+}
+
+/**
+ * Run one set of leased jobs, batched by interval, then record each job's outcome
+ */
+async function runCollectionJobs(db, jobs) {
+  const collected = new Map(); // symbol -> { intervals, inserted, updated }
+  const failures = new Map(); // job_id -> { message, retryable } (first failure wins)
+  
+  const fail = (job, message, retryable = true) => {
+    if (!failures.has(job.job_id)) failures.set(job.job_id, { message, retryable });
+  };
+  
+  console.log(`\n📥 Processing collection queue (${jobs.length} jobs)...`);
+  
+  // Group jobs by interval (for batch processing): interval -> symbol -> jobs
+  // A job without an interval covers all of them
+  const jobsByInterval = new Map();
+  for (const job of jobs) {
+    const intervalNames = job.interval_type ? [job.interval_type] : INTERVALS.map(interval => interval.name);
+    for (const intervalName of intervalNames) {
+      if (!jobsByInterval.has(intervalName)) {
+        jobsByInterval.set(intervalName, new Map());
+      }
+      const jobsBySymbol = jobsByInterval.get(intervalName);
+      if (!jobsBySymbol.has(job.symbol)) {
+        jobsBySymbol.set(job.symbol, []);
       }
+      jobsBySymbol.get(job.symbol).push(job);
     }
+  }
+  
+  // Get stock_id map for all symbols
+  const symbolMap = new Map();
+  for (const symbol of new Set(jobs.map(job => job.symbol))) {
+    const stockId = await getStockId(symbol);
+    if (stockId) {
+      symbolMap.set(symbol, stockId);
+    } else {
+      console.log(`  ⚠️  Symbol ${symbol} not found in database, skipping`);
+      jobs.filter(job => job.symbol === symbol).forEach(job => fail(job, `Symbol ${symbol} not found in database`, false));
+    }
+  }
+  
+  // Process each interval with batch request
+  for (const [intervalName, jobsBySymbol] of jobsByInterval.entries()) {
+    const symbols = Array.from(jobsBySymbol.keys()).filter(s => symbolMap.has(s));
     
-    // Process each interval with batch request
-    for (const [intervalName, symbolsSet] of symbolsByInterval.entries()) {
-      const symbols = Array.from(symbolsSet).filter(s => symbolMap.has(s));
-      
-      if (symbols.length === 0) continue;
-      
-      console.log(`\n  🔄 ${intervalName}: Collecting ${symbols.length} symbols...`);
-      
-      // Split into chunks of 50 symbols (Alpaca returns max 50 symbols per request)
-      const BATCH_SIZE = 50;
-      const chunks = [];
-      for (let i = 0; i < symbols.length; i += BATCH_SIZE) {
-        chunks.push(symbols.slice(i, i + BATCH_SIZE));
-      }
-      
-      console.log(`    📦 Split into ${chunks.length} batches of up to ${BATCH_SIZE} symbols each`);
-      
-      // Calculate date range
-      const endDate = new Date().toISOString(); // Use current time, not midnight!
-      let daysBack = 365;
-      
-      switch (intervalName) {
-        case '1m':
-        case '2m':
-          daysBack = 5;
-          break;
-        case '5m':
-          daysBack = 30;
-          break;
-        case '15m':
-        case '30m':
-          daysBack = 60;
-          break;
-        case '1h':
-        case '2h':
-        case '4h':
-          daysBack = 180;
-          break;
-        case '1d':
-          daysBack = Math.floor(365 * 2.5);
-          break;
-        case '1w':
-          daysBack = 365 * 5;
-          break;
-        case '1mo':
-          daysBack = 365 * 10;
-          break;
+    if (symbols.length === 0) continue;
+    
+    const failChunk = (chunkSymbols, message) => {
+      for (const symbol of chunkSymbols) {
+        jobsBySymbol.get(symbol).forEach(job => fail(job, `${intervalName}: ${message}`));
       }
+    };
+    
+    console.log(`\n  🔄 ${intervalName}: Collecting ${symbols.length} symbols...`);
+    
+    // Like collectInterval: series with candles only from their high-water mark, new ones full lookback
+    const BATCH_SIZE = 50; // Alpaca returns max 50 symbols per request
+    const endDate = clock.date().toISOString(); // Use current time, not midnight!
+    const stocks = symbols.map(symbol => ({ symbol, stock_id: symbolMap.get(symbol) }));
+    const highWaterMarks = await getHighWaterMarks(intervalName, stocks.map(s => s.stock_id));
+    const chunks = getCollectionChunks(stocks, intervalName, highWaterMarks, BATCH_SIZE);
+    
+    console.log(`    📦 Split into ${chunks.length} batches of up to ${BATCH_SIZE} symbols each (${highWaterMarks.size} incremental)`);
+    
+    // Process each chunk
+    let totalSuccessCount = 0;
+    
+    for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
+      const { startDate } = chunks[chunkIndex];
+      const chunkSymbols = chunks[chunkIndex].symbols.map(s => s.symbol);
+      const symbolList = chunkSymbols.join(',');
       
-      const startDate = new Date(Date.now() - daysBack * 24 * 60 * 60 * 1000).toISOString();
-      
-      // Process each chunk
-      let totalSuccessCount = 0;
+      console.log(`\n    📦 Batch ${chunkIndex + 1}/${chunks.length}: ${chunkSymbols.length} symbols`);
+      console.log(`       Date range: ${startDate.split('T')[0]} to ${endDate.split('T')[0]}`);
+      console.log(`       Requesting: ${symbolList.substring(0, 100)}${symbolList.length > 100 ? '...' : ''}`);
       
-      for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
-        const chunkSymbols = chunks[chunkIndex];
-        const symbolList = chunkSymbols.join(',');
-        
-        console.log(`\n    📦 Batch ${chunkIndex + 1}/${chunks.length}: ${chunkSymbols.length} symbols`);
-        console.log(`       Date range: ${startDate.split('T')[0]} to ${endDate.split('T')[0]}`);
-        console.log(`       Requesting: ${symbolList.substring(0, 100)}${symbolList.length > 100 ? '...' : ''}`);
+      try {
+        const result = await fetchChunkBars(chunkSymbols, intervalName, startDate, endDate);
         
-        try {
-          const result = await providerManager.fetchBars(symbolList, intervalName, startDate, endDate);
+        if (result.bars && typeof result.bars === 'object') {
+          let chunkSuccessCount = 0;
           
-          if (result.bars && typeof result.bars === 'object') {
-            let chunkSuccessCount = 0;
+          // Check if response is array (single symbol) vs object (batch)
+          if (Array.isArray(result.bars)) {
+            // Single symbol response - bars is directly an array
+            console.log(`       ✓ Received single symbol response with ${result.bars.length} bars`);
             
-            // Check if response is array (single symbol) vs object (batch)
-            if (Array.isArray(result.bars)) {
-              // Single symbol response - bars is directly an array
-              console.log(`       ✓ Received single symbol response with ${result.bars.length} bars`);
-              
-              const symbol = chunkSymbols[0];
+            const symbol = chunkSymbols[0];
+            const stockId = symbolMap.get(symbol);
+            
+            if (symbol && stockId && result.bars.length > 0) {
+              const { inserted, updated } = await storeBars(stockId, intervalName, result.bars, result.source, symbol);
+              if (inserted > 0 || updated > 0) {
+                console.log(`       ✓ ${symbol}: ${inserted} new, ${updated} updated (${result.source})`);
+              }
+              recordCollected(collected, symbol, intervalName, inserted, updated);
+              chunkSuccessCount++;
+            }
+          } else {
+            // Batch response - bars is object with symbol keys
+            const responseKeys = Object.keys(result.bars);
+            console.log(`       ✓ Received ${responseKeys.length} symbols with data`);
+            
+            for (const [symbol, bars] of Object.entries(result.bars)) {
               const stockId = symbolMap.get(symbol);
               
-              if (symbol && stockId && result.bars.length > 0) {
-                const { inserted, updated } = await storeBars(stockId, intervalName, result.bars, result.source);
-                if (inserted > 0 || updated > 0) {
-                  console.log(`       ✓ ${symbol}: ${inserted} new, ${updated} updated (${result.source})`);
-                }
-                
-                // Mark as recently collected to prevent immediate staleness errors
-                recentlyCollected.set(symbol, Date.now());
-                chunkSuccessCount++;
+              if (!stockId) {
+                console.log(`       ⚠️  ${symbol}: Not found in database`);
+                continue;
               }
-            } else {
-              // Batch response - bars is object with symbol keys
-              const responseKeys = Object.keys(result.bars);
-              console.log(`       ✓ Received ${responseKeys.length} symbols with data`);
               
-              for (const [symbol, bars] of Object.entries(result.bars)) {
-                const stockId = symbolMap.get(symbol);
-                
-                if (!stockId) {
-                  console.log(`       ⚠️  ${symbol}: Not found in database`);
-                  continue;
-                }
-                
-                if (bars && bars.length > 0) {
-                  const { inserted, updated } = await storeBars(stockId, intervalName, bars, result.source);
-                  if (inserted > 0 || updated > 0) {
-                    console.log(`       ✓ ${symbol}: ${inserted} new, ${updated} updated (${result.source})`);
-                  }
-                  
-                  // Mark as recently collected to prevent immediate staleness errors
-                  recentlyCollected.set(symbol, Date.now());
-                  
-                  chunkSuccessCount++;
+              if (bars && bars.length > 0) {
+                const { inserted, updated } = await storeBars(stockId, intervalName, bars, barSource(result, symbol), symbol);
+                if (inserted > 0 || updated > 0) {
+                  console.log(`       ✓ ${symbol}: ${inserted} new, ${updated} updated (${barSource(result, symbol)})`);
                 }
+                recordCollected(collected, symbol, intervalName, inserted, updated);
+                chunkSuccessCount++;
               }
             }
-            
-            totalSuccessCount += chunkSuccessCount;
-            console.log(`       📊 Batch ${chunkIndex + 1} complete: ${chunkSuccessCount}/${chunkSymbols.length} symbols stored`);
-          } else {
-            console.log(`       ⚠️  No data returned for this batch`);
           }
           
-        } catch (error) {
+          totalSuccessCount += chunkSuccessCount;
+          console.log(`       📊 Batch ${chunkIndex + 1} complete: ${chunkSuccessCount}/${chunkSymbols.length} symbols stored`);
+          
+          if (result.incomplete.length > 0) {
+            // What was stored stays; these jobs retry after backoff for the rest of the range
+            console.log(`       ⚠️  Still truncated after ${COLLECTION_TRUNCATION_RETRIES} follow-ups: ${result.incomplete.join(', ')}`);
+            failChunk(result.incomplete, `Response truncated after ${COLLECTION_TRUNCATION_RETRIES} follow-up requests`);
+          }
+        } else {
+          console.log(`       ⚠️  No data returned for this batch`);
+        }
+        
+      } catch (error) {
+        if (error.providerErrors && error.providerErrors.length === 0) {
+          // Every provider answered, none had bars - nothing to retry
+          console.log(`       ⚠️  No data returned for this batch`);
+        } else {
           console.log(`       ✗ Batch ${chunkIndex + 1} failed: ${error.message}`);
+          failChunk(chunkSymbols, error.message);
           
           if (error.message.includes('429') || error.message.includes('rate limit')) {
             console.log(`       ⏸️  Rate limit reached, stopping this interval`);
+            // Jobs in the remaining chunks retry after backoff
+            chunks.slice(chunkIndex + 1).forEach(rest => failChunk(rest.symbols.map(s => s.symbol), error.message));
             break; // Stop processing more chunks for this interval
           }
         }
-        
-        // Small delay between chunks to avoid rate limits
-        if (chunkIndex < chunks.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
       }
       
-      console.log(`  ✅ ${intervalName}: ${totalSuccessCount}/${symbols.length} total symbols collected\n`);
+      // Small delay between chunks to avoid rate limits
+      if (chunkIndex < chunks.length - 1) {
+        await clock.sleep(1000);
+      }
     }
     
-    console.log(`\n  ✅ Queue processing complete`);
-  } finally {
-    queueLock.isProcessing = false;
+    console.log(`  ✅ ${intervalName}: ${totalSuccessCount}/${symbols.length} total symbols collected\n`);
+  }
+  
+  // Record outcomes - jobs that will be retried stay queued and report nothing yet
+  for (const job of jobs) {
+    const failure = failures.get(job.job_id);
+    const label = `${job.symbol} ${job.interval_type || 'all'}`;
+    
+    // Stored on the job for API processes (see src/utils/eventRelay.js) and for the staleness grace
+    const outcome = getJobOutcome(job, collected);
+    if (!failure) {
+      await collectionJobs.completeJob(db, job, outcome);
+      publishCollectionResult(job, outcome);
+      continue;
+    }
+    
+    const status = await collectionJobs.failJob(db, job, failure.message, { retryable: failure.retryable, outcome });
+    if (status === 'pending') {
+      console.log(`  🔁 Job ${job.job_id} (${label}) failed attempt ${job.attempts}/${job.max_attempts}, will retry: ${failure.message}`);
+    } else {
+      console.log(`  ✗ Job ${job.job_id} (${label}) failed: ${failure.message}`);
+      publishCollectionResult(job, outcome);
+    }
+  }
+}
+
+function recordCollected(collected, symbol, intervalName, inserted, updated) {
+  if (!collected.has(symbol)) {
+    collected.set(symbol, { intervals: new Set(), inserted: 0, updated: 0 });
+  }
+  const entry = collected.get(symbol);
+  entry.intervals.add(intervalName);
+  entry.inserted += inserted;
+  entry.updated += updated;
+}
+
+/**
+ * What a job stored: { intervals, inserted, updated }
+ */
+function getJobOutcome(job, collected) {
+  const entry = collected.get(job.symbol) || { intervals: new Set(), inserted: 0, updated: 0 };
+  return {
+    intervals: Array.from(entry.intervals),
+    inserted: entry.inserted,
+    updated: entry.updated
+  };
+}
+
+/**
+ * Report a finished job queued by the API (symbol_ready / refresh_complete)
+ * Jobs queued by /collect produce no event
+ */
+function publishCollectionResult(job, outcome) {
+  const type = collectionJobs.getCompletionEvent(job);
+  if (type) {
+    barEvents.publishCollection(type, job.symbol, outcome);
   }
 }
 
@@ -1206,48 +2358,18 @@ async function fillGaps() {
         gapsFound++;
         
         // Fill this gap
-        const endDate = new Date().toISOString(); // Use current time, not midnight!
-        let daysBack = 365;
-        
-        switch (intervalName) {
-          case '1m':
-          case '2m':
-            daysBack = 5;
-            break;
-          case '5m':
-            daysBack = 30;
-            break;
-          case '15m':
-          case '30m':
-            daysBack = 60;
-            break;
-          case '1h':
-          case '2h':
-          case '4h':
-            daysBack = 180;
-            break;
-          case '1d':
-            daysBack = Math.floor(365 * 2.5);
-            break;
-          case '1w':
-            daysBack = 365 * 5;
-            break;
-          case '1mo':
-            daysBack = 365 * 10;
-            break;
-        }
-        
-        const startDate = new Date(Date.now() - daysBack * 24 * 60 * 60 * 1000).toISOString();
+        const endDate = clock.date().toISOString(); // Use current time, not midnight!
+        const startDate = new Date(clock.now() - getCollectionLookbackDays(intervalName) * 24 * 60 * 60 * 1000).toISOString();
         
         try {
           const result = await providerManager.fetchBars(randomSymbol.symbol, intervalName, startDate, endDate);
           
           if (result.bars && result.bars.length > 0) {
-            const { inserted, updated } = await storeBars(randomSymbol.stock_id, intervalName, result.bars, result.source);
+            const { inserted, updated } = await storeBars(randomSymbol.stock_id, intervalName, result.bars, result.source, randomSymbol.symbol);
             console.log(`  ✓ Filled gap: ${inserted} new, ${updated} updated`);
           }
           
-          await new Promise(resolve => setTimeout(resolve, 650));
+          await clock.sleep(650);
         } catch (error) {
           console.log(`  ✗ Gap fill failed: ${error.message}`);
           
@@ -1294,29 +2416,109 @@ async function cleanupOldData() {
       }
     }
   }
+  
+  const purged = await collectionJobs.purgeFinishedJobs(db, COLLECTION_JOB_RETENTION_DAYS);
+  if (purged > 0) {
+    console.log(`  ✓ Removed ${purged} collection jobs finished over ${COLLECTION_JOB_RETENTION_DAYS} days ago`);
+  }
+}
+
+// Ex-dates re-checked by the daily corporate actions job (catches late announcements)
+const CORPORATE_ACTIONS_LOOKBACK_DAYS = parseInt(process.env.CORPORATE_ACTIONS_LOOKBACK_DAYS) || 30;
+
+/**
+ * Ingest recent splits/dividends for active symbols and fill in dividend factors
+ */
+async function ingestRecentCorporateActions() {
+  console.log('\n🏦 Ingesting corporate actions...');
+  
+  const db = getDB();
+  const symbols = (await getActiveSymbols()).map(row => row.symbol);
+  const startDate = new Date(clock.now() - CORPORATE_ACTIONS_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  
+  let stored = 0;
+  const batches = await processBatchedSymbols(symbols, async (batch) => {
+    const result = await ingestCorporateActions(db, providerManager, batch, startDate);
+    stored += result.stored;
+    if (result.dividendsPending > 0) {
+      console.log(`  ⚠️  ${result.dividendsPending} dividends waiting for a previous daily close`);
+    }
+    return result;
+  }, { silent: true });
+  
+  for (const { symbols: failed, error } of batches.errors) {
+    console.error(`  ✗ Corporate actions for ${failed.length} symbols failed: ${error}`);
+  }
+  console.log(`  ✓ Corporate actions: ${stored} rows stored for ${symbols.length} symbols`);
 }
 
 // ===== SCHEDULER =====
 
+/**
+ * Consume collection jobs (MODE B + C: manual triggers and new/stale symbols)
+ * Runs on every local jobBus.notify() and polls collection_jobs for jobs queued
+ * by API processes; retries come due on the poll
+ * @returns {Function} Stop
+ */
+function startQueueWorker({ pollSeconds = COLLECTION_QUEUE_POLL_SECONDS } = {}) {
+  return jobBus.subscribe(() => processCollectionQueue().catch(err => {
+    debugLog(`❌ Queue processing error: ${err.message}`);
+    console.error('❌ Queue processing error:', err.message);
+  }), { pollSeconds });
+}
+
+/**
+ * Republish collector events from the database in a process without a collector
+ * (see src/utils/eventRelay.js)
+ * @returns {Function} Stop
+ */
+function startEventRelay({ pollSeconds = EVENT_RELAY_POLL_SECONDS } = {}) {
+  eventRelay.start(getDB(), { pollSeconds });
+  return () => eventRelay.stop();
+}
+
+/**
+ * Wrap a cron task so it only runs on the scheduler leader (see src/utils/leaderElection.js)
+ * Other collector instances keep the schedule and take over if the leader goes away
+ */
+function leaderOnly(task) {
+  return () => {
+    if (!leaderElection.isLeader()) return;
+    return task();
+  };
+}
+
 function startCollector() {
+  // The queue serves API requests, so it runs even with scheduled collection disabled
+  console.log('\n📥 Queue processor:');
+  startQueueWorker();
+  console.log(`  ✓ Queue: on request + every ${COLLECTION_QUEUE_POLL_SECONDS}s (collection_jobs)`);
+  
   if (!COLLECTION_ENABLED) {
     console.log('⚠️  Data collection is DISABLED');
     return;
   }
   
+  // Every instance schedules the crons; only the lease holder runs them
+  console.log('\n👑 Scheduler leader election:');
+  leaderElection.start(getDB(), { owner: WORKER_ID });
+  console.log(`  ✓ Lease: ${leaderElection.ttlSeconds}s, renewed every ${leaderElection.renewSeconds}s (scheduler_leases)`);
+  
   console.log('\n📅 Scheduling collection jobs...\n');
   
+  // Jobs return their promise so a simulated clock can wait for them (see src/utils/clock.js)
+  
   // MODE A: Scheduled interval collection (cron)
   console.log('🔄 Cron-based collection:');
   INTERVALS.forEach(interval => {
     // Primary collection attempt
-    cron.schedule(interval.cron, () => {
-      debugLog(`🔔 CRON FIRED: ${interval.name} at ${new Date().toLocaleTimeString()}`);
-      collectInterval(interval.name).catch(err => {
+    clock.schedule(interval.cron, leaderOnly(() => {
+      debugLog(`🔔 CRON FIRED: ${interval.name} at ${clock.date().toLocaleTimeString()}`);
+      return collectInterval(interval.name).catch(err => {
         debugLog(`❌ Collection error for ${interval.name}: ${err.message}`);
         console.error(`❌ Collection error for ${interval.name}:`, err.message);
       });
-    }, {
+    }), {
       scheduled: true,
       timezone: "America/New_York"
     });
@@ -1324,13 +2526,13 @@ function startCollector() {
     
     // Retry collection (1 minute later) for 5m+ intervals
     if (interval.retryCron) {
-      cron.schedule(interval.retryCron, () => {
-        debugLog(`🔔 RETRY CRON FIRED: ${interval.name} at ${new Date().toLocaleTimeString()}`);
-        collectInterval(interval.name).catch(err => {
+      clock.schedule(interval.retryCron, leaderOnly(() => {
+        debugLog(`🔔 RETRY CRON FIRED: ${interval.name} at ${clock.date().toLocaleTimeString()}`);
+        return collectInterval(interval.name).catch(err => {
           debugLog(`❌ Retry collection error for ${interval.name}: ${err.message}`);
           console.error(`❌ Retry collection error for ${interval.name}:`, err.message);
         });
-      }, {
+      }), {
         scheduled: true,
         timezone: "America/New_York"
       });
@@ -1338,29 +2540,14 @@ function startCollector() {
     }
   });
   
-  // MODE B + C: Queue processor (handles manual triggers and new symbol auto-collection)
-  // Runs every minute to check for queued symbols
-  console.log('\n📥 Queue processor:');
-  cron.schedule('* * * * *', () => {
-    debugLog(`🔔 QUEUE CRON FIRED at ${new Date().toLocaleTimeString()}`);
-    processCollectionQueue().catch(err => {
-      debugLog(`❌ Queue processing error: ${err.message}`);
-      console.error('❌ Queue processing error:', err.message);
-    });
-  }, {
-    scheduled: true,
-    timezone: "America/New_York"
-  });
-  console.log('  ✓ Queue: * * * * * (every minute)');
-  
   // Gap filling - random check every 30 minutes
   console.log('\n🔧 Gap filling:');
-  cron.schedule('*/30 * * * *', () => {
-    console.log(`🔔 GAP FILL CRON FIRED at ${new Date().toLocaleTimeString()}`);
-    fillGaps().catch(err => {
+  clock.schedule('*/30 * * * *', leaderOnly(() => {
+    console.log(`🔔 GAP FILL CRON FIRED at ${clock.date().toLocaleTimeString()}`);
+    return fillGaps().catch(err => {
       console.error('❌ Gap fill error:', err.message);
     });
-  }, {
+  }), {
     scheduled: true,
     timezone: "America/New_York"
   });
@@ -1368,19 +2555,32 @@ function startCollector() {
   
   // Cleanup job (daily at 3 AM)
   console.log('\n🧹 Cleanup:');
-  cron.schedule('0 3 * * *', () => {
-    console.log(`🔔 CLEANUP CRON FIRED at ${new Date().toLocaleTimeString()}`);
-    cleanupOldData().catch(err => {
+  clock.schedule('0 3 * * *', leaderOnly(() => {
+    console.log(`🔔 CLEANUP CRON FIRED at ${clock.date().toLocaleTimeString()}`);
+    return cleanupOldData().catch(err => {
       console.error('❌ Cleanup error:', err.message);
     });
-  }, {
+  }), {
     scheduled: true,
     timezone: "America/New_York"
   });
   console.log('  ✓ Cleanup: 0 3 * * * (daily at 3 AM)');
   
+  // Corporate actions (daily before the open, after the previous close is stored)
+  console.log('\n🏦 Corporate actions:');
+  clock.schedule('0 6 * * *', leaderOnly(() => {
+    console.log(`🔔 CORPORATE ACTIONS CRON FIRED at ${clock.date().toLocaleTimeString()}`);
+    return ingestRecentCorporateActions().catch(err => {
+      console.error('❌ Corporate actions error:', err.message);
+    });
+  }), {
+    scheduled: true,
+    timezone: "America/New_York"
+  });
+  console.log('  ✓ Corporate actions: 0 6 * * * (daily at 6 AM)');
+  
   console.log('\n✅ Collector started with 3 modes:');
-  console.log('   A) Cron schedules - automatic interval collection');
+  console.log('   A) Cron schedules - automatic interval collection (scheduler leader only)');
   console.log('   B) Manual triggers - POST /collect/:symbol');
   console.log('   C) Auto-detect - new symbols queued via API');
   console.log('   + Gap filling - random periodic checks\n');
@@ -1388,28 +2588,78 @@ function startCollector() {
 
 // ===== STARTUP =====
 
-async function startApp() {
+/**
+ * Process role from --role=api|collector|all (or APP_ROLE), 'all' by default
+ */
+function parseRole(argv = process.argv.slice(2), fallback = process.env.APP_ROLE || 'all') {
+  const arg = argv.find(a => a.startsWith('--role='));
+  const role = arg ? arg.slice('--role='.length) : fallback;
+  if (!ROLES.includes(role)) {
+    throw new Error(`Invalid role: ${role}. Use one of ${ROLES.join(', ')}`);
+  }
+  return role;
+}
+
+/**
+ * Express app with only the health/ops endpoints, for a collector-only process
+ */
+function createOpsApp() {
+  const ops = express();
+  ops.use(helmet());
+  ops.use(opsRouter);
+  ops.use((req, res) => {
+    res.status(404).json({ error: 'Endpoint not found' });
+  });
+  return ops;
+}
+
+/**
+ * Start the process in one role:
+ * - api:       HTTP/WebSocket API; queues collection jobs, runs no collection
+ * - collector: cron collection, gap filling, cleanup and the job queue (ops endpoints on COLLECTOR_PORT)
+ * - all:       both in one process (default)
+ */
+async function startApp(role = null) {
   try {
+    appRole = role ? parseRole([], role) : parseRole();
+    
     console.log('\n╔═══════════════════════════════════════════════╗');
     console.log('║   📊 STOCK DATA SERVER + COLLECTOR v3.0      ║');
     console.log('╚═══════════════════════════════════════════════╝\n');
+    console.log(`🎭 Role: ${appRole}`);
     
     await initDB();
     console.log('✅ Database connected');
     
     await providerManager.initialize();
     
-    // Start API server
-    app.listen(PORT, () => {
-      console.log(`✅ API server running on http://localhost:${PORT}`);
-      console.log(`   Health: http://localhost:${PORT}/health`);
-      console.log(`   Symbols: http://localhost:${PORT}/symbols`);
-      console.log(`   Stats: http://localhost:${PORT}/stats`);
-      console.log(`   API: http://localhost:${PORT}/api/stock/AAPL?interval=1d`);
-    });
+    if (appRole === 'collector') {
+      createOpsApp().listen(COLLECTOR_PORT, () => {
+        console.log(`✅ Collector ops endpoints on http://localhost:${COLLECTOR_PORT}`);
+        console.log(`   Health: http://localhost:${COLLECTOR_PORT}/health`);
+        console.log(`   Queue: http://localhost:${COLLECTOR_PORT}/queue`);
+      });
+    } else {
+      // Start API server
+      const server = app.listen(PORT, () => {
+        console.log(`✅ API server running on http://localhost:${PORT}`);
+        console.log(`   Health: http://localhost:${PORT}/health`);
+        console.log(`   Symbols: http://localhost:${PORT}/symbols`);
+        console.log(`   Stats: http://localhost:${PORT}/stats`);
+        console.log(`   Queue: http://localhost:${PORT}/queue`);
+        console.log(`   API: http://localhost:${PORT}/api/stock/AAPL?interval=1d`);
+      });
+      webSocketServer = attachWebSocketServer(server);
+    }
     
-    // Start collector
-    startCollector();
+    if (appRole === 'api') {
+      console.log('\n📤 Collection jobs are queued for a collector process (--role=collector)');
+      startEventRelay();
+      console.log(`📡 Stream events relayed from the database every ${EVENT_RELAY_POLL_SECONDS}s`);
+    } else {
+      // Start collector
+      startCollector();
+    }
     
     console.log('\n✨ System ready! Press Ctrl+C to stop\n');
   } catch (error) {
@@ -1421,16 +2671,34 @@ async function startApp() {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n\n⏹️  Shutting down...');
+  await leaderElection.stop();
   await closeDB();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   console.log('\n\n⏹️  Shutting down...');
+  await leaderElection.stop();
   await closeDB();
   process.exit(0);
 });
 
-startApp();
+// Only start when run directly (node app.js); tests require the app and drive the collector themselves
+if (require.main === module) {
+  startApp();
+}
 
 module.exports = app;
+module.exports.startApp = startApp;
+module.exports.startCollector = startCollector;
+module.exports.startQueueWorker = startQueueWorker;
+module.exports.startEventRelay = startEventRelay;
+module.exports.attachWebSocketServer = attachWebSocketServer;
+module.exports.parseRole = parseRole;
+module.exports.createOpsApp = createOpsApp;
+module.exports.collectInterval = collectInterval;
+module.exports.processCollectionQueue = processCollectionQueue;
+module.exports.fillGaps = fillGaps;
+module.exports.cleanupOldData = cleanupOldData;
+module.exports.getTimeRangeForInterval = getTimeRangeForInterval;
+module.exports.getCollectionChunks = getCollectionChunks;
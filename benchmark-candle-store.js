@@ -0,0 +1,134 @@
+/**
+ * Benchmark Candle Store
+ * Times upsertCandles() against the one-query-per-bar upsert it replaced
+ *
+ * Writes synthetic 1d bars for BENCH_SYMBOLS scratch symbols (default 50,
+ * BENCH_BARS bars each, default 630 - a full refresh batch) to the database in
+ * .env, twice: a first fill, then the same bars again (a refresh where nothing
+ * changed). Half the symbols go through each path. The scratch symbols and
+ * their candles are deleted afterwards.
+ *
+ * Usage:
+ * node benchmark-candle-store.js
+ * BENCH_SYMBOLS=10 BENCH_BARS=2000 STORE_CHUNK_SIZE=500 node benchmark-candle-store.js
+ */
+
+require('dotenv').config();
+const { initDB, getDB, closeDB } = require('./config/database');
+const { upsertCandles, STORE_CHUNK_SIZE } = require('./src/utils/candleStore');
+const { getCandleMarketFields } = require('./src/utils/tradingCalendar');
+
+const BENCH_SYMBOLS = parseInt(process.env.BENCH_SYMBOLS) || 50;
+const BENCH_BARS = parseInt(process.env.BENCH_BARS) || 630;
+const SOURCE = 'Benchmark';
+
+/**
+ * Weekday 1d bars ending before today, in provider format
+ */
+function generateBars(count, seed) {
+  const bars = [];
+  let day = new Date();
+  day.setUTCHours(5, 0, 0, 0); // Midnight ET
+  let price = 50 + seed;
+
+  while (bars.length < count) {
+    day = new Date(day.getTime() - 24 * 60 * 60 * 1000);
+    if (day.getUTCDay() === 0 || day.getUTCDay() === 6) continue;
+    price = Math.max(1, price + Math.sin(bars.length + seed));
+    bars.push({
+      t: day.toISOString(),
+      o: price.toFixed(2),
+      h: (price + 1).toFixed(2),
+      l: (price - 1).toFixed(2),
+      c: (price + 0.5).toFixed(2),
+      v: 100000 + bars.length,
+      vw: price.toFixed(4),
+      n: 1000
+    });
+  }
+  return bars.reverse();
+}
+
+/**
+ * The write path before candleStore: one INSERT ... ON DUPLICATE KEY UPDATE per bar
+ */
+async function upsertPerBar(db, stockId, intervalType, bars) {
+  for (const bar of bars) {
+    const ts = Math.floor(new Date(bar.t).getTime() / 1000);
+    const { session, tradingDate } = getCandleMarketFields(ts, intervalType);
+    await db.query(
+      `INSERT INTO candles
+         (stock_id, interval_type, ts, open, high, low, close, volume, vwap, trade_count, data_source, session, trading_date)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         open = VALUES(open), high = VALUES(high), low = VALUES(low), close = VALUES(close),
+         volume = VALUES(volume), vwap = VALUES(vwap), trade_count = VALUES(trade_count),
+         data_source = VALUES(data_source), session = VALUES(session), trading_date = VALUES(trading_date)`,
+      [stockId, intervalType, ts, bar.o, bar.h, bar.l, bar.c, bar.v, bar.vw, bar.n, SOURCE, session, tradingDate]
+    );
+  }
+}
+
+async function timeRun(label, stocks, write) {
+  const start = Date.now();
+  for (const { stockId, bars } of stocks) {
+    await write(stockId, bars);
+  }
+  const ms = Date.now() - start;
+  console.log(`   ${label.padEnd(28)} ${String(ms).padStart(7)}ms  (${(ms / stocks.length).toFixed(1)}ms per symbol)`);
+  return ms;
+}
+
+async function benchmark() {
+  console.log('\n╔═══════════════════════════════════════════════╗');
+  console.log('║   ⏱️  CANDLE STORE BENCHMARK                  ║');
+  console.log('╚═══════════════════════════════════════════════╝\n');
+
+  await initDB();
+  const db = getDB();
+  const symbols = Array.from({ length: BENCH_SYMBOLS }, (_, i) => `ZZBENCH${i}`);
+
+  try {
+    console.log(`📊 ${BENCH_SYMBOLS} symbols x ${BENCH_BARS} 1d bars (STORE_CHUNK_SIZE=${STORE_CHUNK_SIZE})\n`);
+
+    const stocks = [];
+    for (const [i, symbol] of symbols.entries()) {
+      const [result] = await db.query(
+        'INSERT INTO stocks (symbol) VALUES (?) ON DUPLICATE KEY UPDATE stock_id=LAST_INSERT_ID(stock_id)',
+        [symbol]
+      );
+      stocks.push({ stockId: result.insertId, bars: generateBars(BENCH_BARS, i) });
+    }
+    await db.query('DELETE FROM candles WHERE stock_id IN (?)', [stocks.map(s => s.stockId)]);
+
+    const perBarStocks = stocks.filter((_, i) => i % 2 === 0);
+    const storeStocks = stocks.filter((_, i) => i % 2 === 1);
+    const perBar = (stockId, bars) => upsertPerBar(db, stockId, '1d', bars);
+    const store = (stockId, bars) => upsertCandles(db, stockId, '1d', bars, SOURCE);
+
+    console.log('🆕 First fill');
+    const fillPerBar = await timeRun('one query per bar', perBarStocks, perBar);
+    const fillStore = await timeRun('upsertCandles', storeStocks, store);
+
+    console.log('\n🔄 Refresh (same bars again)');
+    const refreshPerBar = await timeRun('one query per bar', perBarStocks, perBar);
+    const refreshStore = await timeRun('upsertCandles', storeStocks, store);
+
+    // Symbols split in two, so compare per symbol
+    const ratio = (a, b) => ((a / perBarStocks.length) / (b / storeStocks.length)).toFixed(1);
+    console.log(`\n✅ upsertCandles: ${ratio(fillPerBar, fillStore)}x on first fill, ${ratio(refreshPerBar, refreshStore)}x on refresh\n`);
+  } finally {
+    const [rows] = await db.query('SELECT stock_id FROM stocks WHERE symbol IN (?)', [symbols]);
+    if (rows.length > 0) {
+      await db.query('DELETE FROM candles WHERE stock_id IN (?)', [rows.map(r => r.stock_id)]);
+      await db.query('DELETE FROM stocks WHERE stock_id IN (?)', [rows.map(r => r.stock_id)]);
+    }
+    console.log('🧹 Scratch symbols removed');
+    await closeDB();
+  }
+}
+
+benchmark().catch(error => {
+  console.error('\n❌ Benchmark failed:', error.message);
+  process.exit(1);
+});
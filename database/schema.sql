@@ -37,9 +37,13 @@ CREATE TABLE IF NOT EXISTS candles (
   vwap DECIMAL(12, 4),                -- Volume-weighted average price
   trade_count INT,                    -- Number of trades
   data_source VARCHAR(50) DEFAULT 'alpaca',
+  session VARCHAR(10),                -- 'pre','regular','post' for intraday bars (NULL for 1d+), DST-aware ET
+  trading_date DATE,                  -- ET calendar date of the bar
+  split_adjusted_through DATE,        -- Legacy split-adjusted rows: splits up to this date are already applied (NULL = raw)
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   
   UNIQUE KEY unique_candle (stock_id, interval_type, ts),
+  INDEX idx_session_ts (stock_id, interval_type, session, ts),
   INDEX idx_stock_interval_ts (stock_id, interval_type, ts),
   INDEX idx_interval_ts (interval_type, ts),
   INDEX idx_ts (ts),
@@ -85,3 +89,70 @@ CREATE TABLE IF NOT EXISTS excluded_symbols (
   INDEX idx_symbol (symbol),
   INDEX idx_retry (retry_after)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ========================================
+-- 5. CORPORATE ACTIONS
+-- ========================================
+-- Candles are stored unadjusted; the API applies these at read time (adjust=raw|split|all)
+CREATE TABLE IF NOT EXISTS corporate_actions (
+  action_id INT PRIMARY KEY AUTO_INCREMENT,
+  stock_id INT NOT NULL,
+  action_type VARCHAR(20) NOT NULL,   -- 'split', 'dividend'
+  ex_date DATE NOT NULL,              -- First trading day on the new basis (ET)
+  split_from DECIMAL(12, 6),          -- Splits: split_to new shares for every split_from old (4-for-1 = 1 -> 4)
+  split_to DECIMAL(12, 6),
+  cash_amount DECIMAL(12, 6),         -- Dividends: cash per share
+  price_factor DECIMAL(20, 12),       -- Multiplier for prices before ex_date (NULL until a dividend's previous close is known)
+  data_source VARCHAR(50),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  
+  UNIQUE KEY unique_action (stock_id, action_type, ex_date),
+  INDEX idx_stock_ex_date (stock_id, ex_date),
+  
+  FOREIGN KEY (stock_id) REFERENCES stocks(stock_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ========================================
+-- 6. COLLECTION JOBS
+-- ========================================
+-- Persistent collection queue: symbols queued by the API / POST /collect, leased by the collector
+CREATE TABLE IF NOT EXISTS collection_jobs (
+  job_id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  symbol VARCHAR(20) NOT NULL,
+  interval_type VARCHAR(10),          -- NULL = all intervals
+  reason VARCHAR(20) NOT NULL,        -- 'new', 'reactivated', 'refresh', 'manual'
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',  -- 'pending', 'running', 'completed', 'failed'
+  priority INT NOT NULL DEFAULT 0,    -- Higher runs first
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 5,
+  error_message TEXT,                 -- Last failure
+  open_key VARCHAR(40),               -- 'AAPL:all' / 'AAPL:5m' while pending or running, NULL once finished
+  run_after DATETIME NOT NULL,        -- Not leased before this (retry backoff)
+  lease_owner VARCHAR(150),           -- Worker holding a running job (hostname:pid#lease)
+  lease_expires_at DATETIME NULL,     -- Running jobs past this are requeued
+  created_at DATETIME NOT NULL,
+  started_at DATETIME NULL,           -- Last lease
+  completed_at DATETIME NULL,
+  outcome JSON NULL,                  -- { intervals, inserted, updated } once finished (relayed to API processes)
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  
+  UNIQUE KEY unique_open_job (open_key),
+  INDEX idx_lease (status, run_after, priority),
+  INDEX idx_lease_owner (lease_owner),
+  INDEX idx_completed (status, completed_at),
+  INDEX idx_symbol_completed (symbol, status, completed_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ========================================
+-- 7. SCHEDULER LEASES
+-- ========================================
+-- Leader election between collector instances: only the holder of the 'scheduler'
+-- lease runs the cron collection, gap filling and cleanup
+CREATE TABLE IF NOT EXISTS scheduler_leases (
+  name VARCHAR(50) PRIMARY KEY,       -- 'scheduler'
+  owner VARCHAR(150) NOT NULL,        -- Instance holding the lease (hostname:pid)
+  acquired_at DATETIME NOT NULL,      -- When the current owner took it
+  renewed_at DATETIME NOT NULL,
+  expires_at DATETIME NOT NULL        -- Free for another instance after this
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
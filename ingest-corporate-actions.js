@@ -0,0 +1,85 @@
+/**
+ * CORPORATE ACTIONS INGEST
+ * Loads splits and cash dividends into corporate_actions for the read API's adjust=split|all
+ *
+ * Usage:
+ *   node ingest-corporate-actions.js                      # all active symbols, since the oldest stored candle
+ *   node ingest-corporate-actions.js AAPL TSLA            # specific symbols
+ *   node ingest-corporate-actions.js --since=2020-01-01   # custom start (ex-date)
+ */
+
+require('dotenv').config();
+const { initDB, getDB, closeDB } = require('./config/database');
+const providerManager = require('./src/providers/ProviderManager');
+const { processBatchedSymbols } = require('./src/utils/batchProcessor');
+const { ingestCorporateActions } = require('./src/utils/corporateActions');
+
+async function ingest() {
+  console.log('\n🏦 CORPORATE ACTIONS INGEST\n');
+  console.log('=' .repeat(60));
+
+  try {
+    await initDB();
+    await providerManager.initialize();
+
+    const db = getDB();
+
+    const sinceArg = process.argv.find(arg => arg.startsWith('--since='));
+    const filterSymbols = process.argv.slice(2)
+      .filter(arg => !arg.startsWith('--'))
+      .map(s => s.toUpperCase());
+
+    let query = 'SELECT symbol FROM stocks WHERE is_active = TRUE';
+    let params = [];
+    if (filterSymbols.length > 0) {
+      query += ' AND symbol IN (?)';
+      params = [filterSymbols];
+      console.log(`Filtering for specific symbols: ${filterSymbols.join(', ')}`);
+    }
+    const [rows] = await db.query(query + ' ORDER BY symbol', params);
+    const symbols = rows.map(row => row.symbol);
+
+    // Default: cover every bar we have stored
+    let startDate;
+    if (sinceArg) {
+      startDate = new Date(sinceArg.split('=')[1]);
+      if (isNaN(startDate.getTime())) {
+        throw new Error(`Invalid --since date: ${sinceArg.split('=')[1]}`);
+      }
+    } else {
+      const [bounds] = await db.query('SELECT MIN(ts) as min_ts FROM candles');
+      startDate = bounds[0].min_ts ? new Date(bounds[0].min_ts * 1000) : new Date();
+    }
+
+    console.log(`Found ${symbols.length} active symbols, ex-dates from ${startDate.toISOString().split('T')[0]}\n`);
+
+    let stored = 0;
+    let pending = 0;
+    const result = await processBatchedSymbols(symbols, async (batch) => {
+      const batchResult = await ingestCorporateActions(db, providerManager, batch, startDate);
+      console.log(`  ✓ ${batch.length} symbols: ${batchResult.fetched} actions from ${batchResult.source}, ${batchResult.stored} rows stored`);
+      stored += batchResult.stored;
+      pending += batchResult.dividendsPending;
+      return batchResult;
+    }, { silent: true });
+
+    for (const { symbols: failed, error } of result.errors) {
+      console.log(`  ✗ ${failed.join(', ')}: ${error}`);
+    }
+
+    console.log('\n' + '=' .repeat(60));
+    console.log(`✅ Ingest completed: ${stored} rows stored`);
+    if (pending > 0) {
+      console.log(`⚠️  ${pending} dividends have no previous daily close yet (factor computed on the next run)`);
+    }
+    console.log('');
+
+  } catch (error) {
+    console.error('❌ Ingest failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closeDB();
+  }
+}
+
+ingest();
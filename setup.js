@@ -6,8 +6,12 @@
 const mysql = require('mysql2/promise');
 const fs = require('fs').promises;
 const path = require('path');
-const axios = require('axios');
 const { processBatchedSymbols, ALPACA_BATCH_SIZE } = require('./src/utils/batchProcessor');
+const { upsertCandles } = require('./src/utils/candleStore');
+const providerManager = require('./src/providers/ProviderManager');
+const providerRegistry = require('./src/providers/ProviderRegistry');
+const { ingestCorporateActions } = require('./src/utils/corporateActions');
+const { etDateTimeToUnix } = require('./src/utils/marketTime');
 require('dotenv').config();
 
 // ===== ANSI COLORS =====
@@ -21,17 +25,19 @@ const colors = {
 
 // ===== CONFIGURATION =====
 
-const ALPACA_CONFIG = {
-  baseURL: process.env.ALPACA_BASE_URL || 'https://data.alpaca.markets',
-  headers: {
-    'APCA-API-KEY-ID': process.env.ALPACA_API_KEY,
-    'APCA-API-SECRET-KEY': process.env.ALPACA_API_SECRET
-  }
-};
-
 const MAX_CANDLES = parseInt(process.env.MAX_CANDLES_PER_INTERVAL) || 600;
 const EXTENDED_HOURS = process.env.EXTENDED_HOURS_COLLECTION === 'true';
 
+// Where bars come from: 'alpaca' (default) or any registered provider,
+// e.g. SETUP_PROVIDER=local seeds from the files in LOCAL_DATA_DIR
+const SETUP_PROVIDER = (process.env.SETUP_PROVIDER || 'alpaca').trim().toLowerCase();
+// End of the backfill window (YYYY-MM-DD) - set it to the last day of a historical dump
+const SETUP_END_DATE = process.env.SETUP_END_DATE || null;
+
+// Provider instance for SETUP_PROVIDER (created in setup()) - Alpaca requests go through
+// AlpacaProvider, so they share its rate limiter, 429 retry and ALPACA_MAX_PAGES cap
+let setupProvider = null;
+
 // All supported intervals
 const INTERVALS = [
   { name: '1m', alpaca: '1Min', minutes: 1 },
@@ -56,21 +62,6 @@ function normalizeSymbol(symbol) {
   return symbol.toUpperCase().replace(/-/g, '.');
 }
 
-async function retryOnDeadlock(fn, maxRetries = 3) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      return await fn();
-    } catch (error) {
-      if (error.code === 'ER_LOCK_DEADLOCK' && attempt < maxRetries) {
-        console.log(`   ⚠️  Deadlock detected, retry ${attempt}/${maxRetries}...`);
-        await new Promise(resolve => setTimeout(resolve, 50 * attempt));
-        continue;
-      }
-      throw error;
-    }
-  }
-}
-
 async function getStockId(connection, symbol) {
   const [rows] = await connection.query(
     'SELECT stock_id FROM stocks WHERE symbol = ?',
@@ -88,69 +79,43 @@ async function getStockId(connection, symbol) {
   return rows[0].stock_id;
 }
 
-async function fetchAlpacaBars(symbols, intervalConfig, lookbackCandles) {
-  try {
-    const end = new Date();
-    const start = new Date(end.getTime() - (lookbackCandles * intervalConfig.minutes * 60 * 1000));
-    
-    const params = {
-      symbols: symbols.join(','),
-      timeframe: intervalConfig.alpaca,
-      start: start.toISOString(),
-      end: end.toISOString(),
-      limit: 10000,
-      adjustment: 'split',
-      feed: EXTENDED_HOURS ? 'sip' : 'iex'
-    };
-
-    const response = await axios.get('/v2/stocks/bars', {
-      baseURL: ALPACA_CONFIG.baseURL,
-      headers: ALPACA_CONFIG.headers,
-      params,
-      timeout: 60000 // Longer timeout for initial setup
-    });
+/**
+ * Backfill window ending at SETUP_END_DATE (or now)
+ */
+function getSetupWindow(intervalConfig, lookbackCandles) {
+  // End of the ET day, so the last session's after-hours bars are included
+  const end = SETUP_END_DATE ? new Date((etDateTimeToUnix(SETUP_END_DATE, 24 * 60) - 1) * 1000) : new Date();
+  const start = new Date(end.getTime() - (lookbackCandles * intervalConfig.minutes * 60 * 1000));
+  return { start, end };
+}
 
-    return response.data.bars || {};
+/**
+ * Fetch bars for a batch from the setup source
+ * @returns {Promise<Object|null>} { SYMBOL: bars } or null when the request failed
+ */
+async function fetchSetupBars(symbols, intervalConfig, lookbackCandles) {
+  const { start, end } = getSetupWindow(intervalConfig, lookbackCandles);
+  try {
+    const bars = await setupProvider.fetchBars(symbols.join(','), intervalConfig.name, start, end, EXTENDED_HOURS);
+    if (bars.truncated) {
+      // Stopped at ALPACA_MAX_PAGES - short series are fetched again by the gap check below
+      console.log(`     ⚠️  ${setupProvider.getName()} response truncated, some symbols are incomplete`);
+    }
+    // A single symbol comes back as a plain array
+    if (symbols.length === 1) {
+      return bars.length > 0 ? { [symbols[0]]: bars } : {};
+    }
+    return bars;
   } catch (error) {
-    console.error(`     ❌ Alpaca API error: ${error.message}`);
+    console.error(`     ❌ ${setupProvider.getName()} error: ${error.message}`);
     return null;
   }
 }
 
 async function storeBars(connection, stockId, intervalName, bars) {
-  if (!bars || bars.length === 0) return { inserted: 0, updated: 0 };
-  
-  const values = bars.map(bar => [
-    stockId,
-    intervalName,
-    Math.floor(new Date(bar.t).getTime() / 1000),
-    parseFloat(bar.o),
-    parseFloat(bar.h),
-    parseFloat(bar.l),
-    parseFloat(bar.c),
-    parseInt(bar.v) || 0,
-    parseFloat(bar.vw) || null,
-    parseInt(bar.n) || null,
-    'alpaca'
-  ]);
-  
-  await retryOnDeadlock(async () => {
-    await connection.query(`
-      INSERT INTO candles 
-        (stock_id, interval_type, ts, open, high, low, close, volume, vwap, trade_count, data_source)
-      VALUES ?
-      ON DUPLICATE KEY UPDATE
-        open = VALUES(open),
-        high = VALUES(high),
-        low = VALUES(low),
-        close = VALUES(close),
-        volume = VALUES(volume),
-        vwap = VALUES(vwap),
-        trade_count = VALUES(trade_count)
-    `, [values]);
-  });
-  
-  return { inserted: values.length, updated: 0 };
+  // data_source is the provider name, as the collector stores it ('Alpaca', 'Local', ...)
+  const { inserted, updated } = await upsertCandles(connection, stockId, intervalName, bars, setupProvider.getName());
+  return { inserted, updated };
 }
 
 async function markSymbolAsExcluded(connection, symbol, reason, provider = 'alpaca') {
@@ -181,10 +146,30 @@ async function setup() {
   let connection;
   
   try {
-    // Validate Alpaca credentials
-    if (!process.env.ALPACA_API_KEY || !process.env.ALPACA_API_SECRET) {
-      throw new Error('Missing Alpaca API credentials. Set ALPACA_API_KEY and ALPACA_API_SECRET in .env');
+    if (SETUP_PROVIDER === 'alpaca') {
+      // Validate Alpaca credentials
+      if (!process.env.ALPACA_API_KEY || !process.env.ALPACA_API_SECRET) {
+        throw new Error('Missing Alpaca API credentials. Set ALPACA_API_KEY and ALPACA_API_SECRET in .env');
+      }
+    }
+    const ProviderClass = providerRegistry.get(SETUP_PROVIDER);
+    if (!ProviderClass) {
+      throw new Error(`Unknown SETUP_PROVIDER "${SETUP_PROVIDER}" (registered: ${providerRegistry.list().join(', ')})`);
     }
+    const config = ProviderClass.fromEnv(process.env);
+    if (!config) {
+      throw new Error(`SETUP_PROVIDER "${SETUP_PROVIDER}" is not configured in .env`);
+    }
+    // Extended hours need the SIP feed on Alpaca (ignored by the other providers)
+    setupProvider = new ProviderClass({ ...config, feed: EXTENDED_HOURS ? 'sip' : 'iex' });
+    if (!await setupProvider.isAvailable()) {
+      throw new Error(`SETUP_PROVIDER "${SETUP_PROVIDER}" is not available`);
+    }
+    console.log(`📂 Populating from ${setupProvider.getName()} provider`);
+    if (SETUP_END_DATE && !/^\d{4}-\d{2}-\d{2}$/.test(SETUP_END_DATE)) {
+      throw new Error(`Invalid SETUP_END_DATE: ${SETUP_END_DATE}. Use YYYY-MM-DD`);
+    }
+    const sourceName = setupProvider.getName();
     
     // Connect without database
     console.log('📡 Connecting to MySQL...');
@@ -241,7 +226,7 @@ async function setup() {
       console.log(`╚═══════════════════════════════════════════════╝\n`);
       console.log(`📈 Found ${stockSymbols.length} symbols to populate`);
       console.log(`📦 Max candles per interval: ${MAX_CANDLES}`);
-      console.log(`🔄 Batch size: ${ALPACA_BATCH_SIZE} symbols per request (Alpaca's limit)\n`);
+      console.log(`🔄 Batch size: ${ALPACA_BATCH_SIZE} symbols per request\n`);
       
       // Insert all symbols first
       console.log('📝 Inserting symbols into stocks table...');
@@ -283,20 +268,20 @@ async function setup() {
             
             console.log(`\n📦 ${progress} Batch ${batchIndex + 1} of ${totalBatches} - Processing ${batch.length} symbols`);
             console.log(`   🎯 Symbols: ${batch.slice(0, 5).join(', ')}${batch.length > 5 ? ` ... +${batch.length - 5} more` : ''}`);
-            console.log(`   📡 Requesting ~${MAX_CANDLES} candles per symbol from Alpaca...`);
+            console.log(`   📡 Requesting ~${MAX_CANDLES} candles per symbol from ${sourceName}...`);
             
-            const barsData = await fetchAlpacaBars(batch, intervalConfig, MAX_CANDLES);
+            const barsData = await fetchSetupBars(batch, intervalConfig, MAX_CANDLES);
             
             if (!barsData) {
-              console.log(`   ❌ Failed to fetch data from Alpaca for this batch`);
+              console.log(`   ❌ Failed to fetch data from ${sourceName} for this batch`);
               batch.forEach(s => stats.failed.add(s));
               return { success: false, processedCount: 0 };
             }
             
-            console.log(`   ✓ Received data from Alpaca, processing ${Object.keys(barsData).length} symbols...`);
+            console.log(`   ✓ Received data from ${sourceName}, processing ${Object.keys(barsData).length} symbols...`);
             
-            // Process each symbol in batch (parallelized for speed)
-            const insertPromises = [];
+            // Process each symbol in batch (one connection, so one at a time - each
+            // symbol's bulk upsert is its own transaction)
             for (const symbol of batch) {
               const bars = barsData[symbol];
               
@@ -306,29 +291,19 @@ async function setup() {
                 
                 // Only mark as excluded on first interval (1d)
                 if (intervalName === '1d') {
-                  insertPromises.push(
-                    markSymbolAsExcluded(connection, symbol, 'No data from Alpaca', 'alpaca')
-                      .then(() => stats.failed.add(symbol))
-                  );
+                  await markSymbolAsExcluded(connection, symbol, `No data from ${sourceName}`, SETUP_PROVIDER);
+                  stats.failed.add(symbol);
                 }
                 continue;
               }
               
-              // Process symbol insertion in parallel with others in this batch
-              insertPromises.push(
-                (async () => {
-                  const stockId = await getStockId(connection, symbol);
-                  const { inserted } = await storeBars(connection, stockId, intervalName, bars);
-                  console.log(`   ✓ ${symbol}: ${inserted} bars stored`);
-                  stats.byInterval[intervalName].successful++;
-                  stats.successful.add(symbol);
-                })()
-              );
+              const stockId = await getStockId(connection, symbol);
+              const { inserted, updated } = await storeBars(connection, stockId, intervalName, bars);
+              console.log(`   ✓ ${symbol}: ${inserted} bars stored${updated > 0 ? `, ${updated} updated` : ''}`);
+              stats.byInterval[intervalName].successful++;
+              stats.successful.add(symbol);
             }
             
-            // Wait for all symbols in this batch to complete
-            await Promise.all(insertPromises);
-            
             const batchDuration = ((Date.now() - batchStartTime) / 1000).toFixed(2);
             const batchSuccessRate = ((stats.byInterval[intervalName].successful / (batchIndex + 1) / batch.length) * 100).toFixed(1);
             
@@ -437,7 +412,7 @@ async function setup() {
             console.log(`   ⚠️  ${symbol}: Only ${currentCount}/${MAX_CANDLES} candles (potential gap)`);
             
             // Try to fill gap
-            const barsData = await fetchAlpacaBars([symbol], intervalConfig, MAX_CANDLES);
+            const barsData = await fetchSetupBars([symbol], intervalConfig, MAX_CANDLES);
             if (barsData && barsData[symbol] && barsData[symbol].length > 0) {
               const { inserted } = await storeBars(connection, stockId, intervalName, barsData[symbol]);
               if (inserted > 0) {
@@ -460,6 +435,28 @@ async function setup() {
       console.log(`\n⏱️  Gap detection completed in ${gapDetectionDuration}s`);
       console.log(`✅ Validated ${successfulSymbols.length} symbols across ${COLLECTION_PRIORITY.length} intervals`);
       console.log(`📊 Total gaps found and filled: ${totalGaps}\n`);
+      
+      // ===== CORPORATE ACTIONS =====
+      // Candles are stored raw; splits/dividends are applied by the API at read time
+      
+      console.log(`\n╔═══════════════════════════════════════════════╗`);
+      console.log(`║   🏦 CORPORATE ACTIONS                       ║`);
+      console.log(`╚═══════════════════════════════════════════════╝\n`);
+      
+      try {
+        // Oldest bar collected is the monthly series (MAX_CANDLES months back)
+        const actionsStart = new Date(Date.now() - MAX_CANDLES * 31 * 24 * 60 * 60 * 1000);
+        let actionsStored = 0;
+        await processBatchedSymbols(successfulSymbols, async (batch) => {
+          const result = await ingestCorporateActions(connection, providerManager, batch, actionsStart);
+          actionsStored += result.stored;
+          return result;
+        }, { batchSize: ALPACA_BATCH_SIZE, delayBetweenBatches: 500, silent: true, stopOnError: true });
+        console.log(`✅ ${actionsStored} splits/dividends stored`);
+      } catch (error) {
+        console.log(`⚠️  Corporate actions skipped: ${error.message}`);
+        console.log(`   Run ${colors.cyan}node ingest-corporate-actions.js${colors.reset} later to load them\n`);
+      }
     }
     
     // ===== FINAL VERIFICATION =====
@@ -473,6 +470,7 @@ async function setup() {
     const [stockCount] = await connection.query('SELECT COUNT(*) as count FROM stocks');
     const [candleCount] = await connection.query('SELECT COUNT(*) as count FROM candles');
     const [excludedCount] = await connection.query('SELECT COUNT(*) as count FROM excluded_symbols');
+    const [actionCount] = await connection.query('SELECT COUNT(*) as count FROM corporate_actions');
     
     const totalSetupDuration = ((Date.now() - setupStartTime) / 1000).toFixed(2);
     const totalMinutes = (totalSetupDuration / 60).toFixed(2);
@@ -492,6 +490,7 @@ async function setup() {
     console.log(`   • Total Stocks: ${stockCount[0].count.toLocaleString()}`);
     console.log(`   • Total Candles: ${candleCount[0].count.toLocaleString()}`);
     console.log(`   • Excluded Symbols: ${excludedCount[0].count}`);
+    console.log(`   • Corporate Actions: ${actionCount[0].count}`);
     console.log(`   • Candles per Stock: ${stockCount[0].count > 0 ? Math.round(candleCount[0].count / stockCount[0].count).toLocaleString() : 0}\n`);
     
     console.log(`🎉 Success! Your stock data server is ready to use!\n`);
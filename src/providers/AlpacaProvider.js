@@ -15,8 +15,34 @@ class AlpacaProvider extends BaseProvider {
     
     // Rate limiting (200 requests/minute for free tier, using 100 for safety)
     this.requestTimestamps = [];
-    this.maxRequestsPerMinute = 100; // Hard limit at 100 requests/minute
+    this.maxRequestsPerMinute = config.requestsPerMinute || 100; // Hard limit at 100 requests/minute
     this.isWaiting = false;
+    
+    // Pagination: bars per page (Alpaca max 10000) and a cap on pages per fetchBars call
+    this.pageLimit = config.pageLimit || 10000;
+    this.maxPages = config.maxPages || 100;
+    
+    // 'iex' on the free tier; setup.js asks for 'sip' when collecting extended hours
+    this.feed = config.feed || 'iex';
+    
+    this.capabilities = {
+      ...this.capabilities,
+      batchSymbols: true,
+      maxBatchSize: config.maxBatchSize || 50,
+      rateLimit: { requestsPerMinute: this.maxRequestsPerMinute },
+      corporateActions: true
+    };
+  }
+
+  static fromEnv(env) {
+    if (!env.ALPACA_API_KEY) return null;
+    return {
+      apiKey: env.ALPACA_API_KEY,
+      apiSecret: env.ALPACA_API_SECRET,
+      baseURL: env.ALPACA_BASE_URL,
+      maxBatchSize: parseInt(env.ALPACA_BATCH_SIZE) || 50,
+      maxPages: parseInt(env.ALPACA_MAX_PAGES) || 100
+    };
   }
   
   async waitForRateLimit() {
@@ -91,14 +117,54 @@ class AlpacaProvider extends BaseProvider {
       timeframe: timeframeMap[interval] || '1Day',
       start: formatDate(startDate),
       end: formatDate(endDate),
-      limit: 10000,
-      adjustment: 'split',
-      feed: 'iex'  // Always use 'iex' for free tier (SIP requires paid subscription)
+      limit: this.pageLimit, // Per page, shared by every symbol in the batch
+      adjustment: 'raw', // Stored unadjusted - splits/dividends are applied at read time from corporate_actions
+      feed: this.feed  // 'iex' for free tier (SIP requires paid subscription)
     };
 
     // Note: SIP feed requires paid subscription and is not supported on free tier
     // Extended hours data is not available with IEX feed on free accounts
 
+    // Alpaca returns: { bars: { "AAPL": [...], "MSFT": [...] }, next_page_token }
+    // A symbol's bars can continue on the next page, so pages are merged per symbol
+    const bars = {};
+    let pageToken = null;
+    let pages = 0;
+
+    do {
+      const data = await this.fetchBarsPage({ ...params, page_token: pageToken || undefined });
+      pages++;
+
+      for (const [symbol, symbolBars] of Object.entries(data.bars || {})) {
+        bars[symbol] = bars[symbol] ? bars[symbol].concat(symbolBars) : symbolBars;
+      }
+
+      pageToken = data.next_page_token;
+    } while (pageToken && pages < this.maxPages);
+
+    if (pages > 1) {
+      console.log(`  📄 Alpaca: ${pages} pages merged for ${interval}`);
+    }
+
+    // For batch requests, return the full bars object
+    // For single symbol, return just the array (backward compatibility)
+    const result = isBatch ? bars : (bars[symbols] || []);
+
+    if (pageToken) {
+      // Stopped at ALPACA_MAX_PAGES with more data left - the range is incomplete
+      const lastSymbol = Object.keys(bars).pop();
+      console.log(`  ⚠️  Alpaca response truncated after ${pages} pages (${this.pageLimit} bars each) for ${interval}; ${lastSymbol ? `stopped in ${lastSymbol}, ` : ''}later symbols/bars are missing`);
+      Object.defineProperty(result, 'truncated', { value: true });
+    }
+
+    return result;
+  }
+
+  /**
+   * One page of /v2/stocks/bars (waits on the rate limiter first; 429s retry the same page)
+   * @returns {Promise<Object>} Response body { bars, next_page_token }
+   */
+  async fetchBarsPage(params) {
     // Wait for rate limit before making request
     await this.waitForRateLimit();
 
@@ -113,33 +179,77 @@ class AlpacaProvider extends BaseProvider {
         timeout: 30000 // Increased timeout for batch requests
       });
 
-      // Alpaca returns: { bars: { "AAPL": [...], "MSFT": [...] }, next_page_token: null }
-      const bars = response.data.bars;
-      
-      if (!bars || Object.keys(bars).length === 0) {
-        // Return empty array for single symbol, empty object for batch
-        return isBatch ? {} : [];
-      }
-
-      // For batch requests, return the full bars object
-      // For single symbol, return just the array (backward compatibility)
-      if (isBatch) {
-        return bars;
-      } else {
-        return bars[symbols] || [];
-      }
+      return response.data;
     } catch (error) {
-      // If rate limited, wait and retry once
+      // If rate limited, wait and retry the same page
       if (error.response?.status === 429) {
         console.log(`  ⏳ Rate limited, waiting 60 seconds...`);
         await new Promise(resolve => setTimeout(resolve, 60000));
         this.requestTimestamps = []; // Reset counter
-        return this.fetchBars(symbols, interval, startDate, endDate, includeExtended);
+        return this.fetchBarsPage(params);
       }
       throw new Error(`Alpaca API error: ${error.message}`);
     }
   }
 
+  async fetchCorporateActions(symbols, startDate, endDate) {
+    if (!await this.isAvailable()) {
+      throw new Error('Alpaca provider not configured');
+    }
+
+    const formatDay = (date) => (date instanceof Date ? date.toISOString().split('T')[0] : String(date).split('T')[0]);
+    const actions = [];
+    let pageToken = null;
+
+    try {
+      do {
+        await this.waitForRateLimit();
+        const response = await axios.get('/v1/corporate-actions', {
+          baseURL: this.baseURL,
+          headers: {
+            'APCA-API-KEY-ID': this.apiKey,
+            'APCA-API-SECRET-KEY': this.apiSecret
+          },
+          params: {
+            symbols: Array.isArray(symbols) ? symbols.join(',') : symbols,
+            types: 'forward_split,reverse_split,cash_dividend',
+            start: formatDay(startDate),
+            end: formatDay(endDate),
+            limit: 1000,
+            page_token: pageToken || undefined
+          },
+          timeout: 30000
+        });
+
+        // { corporate_actions: { forward_splits: [...], reverse_splits: [...], cash_dividends: [...] }, next_page_token }
+        const groups = response.data.corporate_actions || {};
+        for (const split of [...(groups.forward_splits || []), ...(groups.reverse_splits || [])]) {
+          actions.push({
+            symbol: split.symbol,
+            type: 'split',
+            exDate: split.ex_date,
+            splitFrom: split.old_rate,
+            splitTo: split.new_rate
+          });
+        }
+        for (const dividend of groups.cash_dividends || []) {
+          actions.push({
+            symbol: dividend.symbol,
+            type: 'dividend',
+            exDate: dividend.ex_date,
+            cashAmount: dividend.rate
+          });
+        }
+
+        pageToken = response.data.next_page_token;
+      } while (pageToken);
+
+      return actions;
+    } catch (error) {
+      throw new Error(`Alpaca corporate actions error: ${error.message}`);
+    }
+  }
+
   async validateSymbol(symbol) {
     if (!await this.isAvailable()) {
       throw new Error('Alpaca provider not configured');
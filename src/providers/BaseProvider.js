@@ -1,12 +1,34 @@
 /**
  * Base Provider Interface
  * All market data providers must implement these methods
+ *
+ * Providers are created by the ProviderRegistry from static fromEnv(env) and
+ * describe what they can serve in this.capabilities; ProviderManager skips
+ * providers that can't handle a request.
  */
 
+const { STORED_INTERVALS } = require('../utils/intervals');
+
 class BaseProvider {
   constructor(config) {
     this.name = 'BaseProvider';
     this.config = config;
+    this.capabilities = {
+      intervals: STORED_INTERVALS.slice(), // Stored intervals the provider can fetch
+      batchSymbols: false,                 // Accepts comma-separated symbol lists in one request
+      maxBatchSize: 1,                     // Symbols per request (when batchSymbols)
+      rateLimit: null,                     // { requestsPerMinute } or null if unknown
+      corporateActions: false              // Implements fetchCorporateActions()
+    };
+  }
+
+  /**
+   * Build constructor config from environment variables
+   * @param {Object} env - process.env
+   * @returns {Object|null} Config, or null when the provider isn't configured
+   */
+  static fromEnv(env) {
+    return null;
   }
 
   /**
@@ -31,6 +53,17 @@ class BaseProvider {
     throw new Error('validateSymbol() must be implemented by provider');
   }
 
+  /**
+   * Fetch splits and cash dividends (optional - providers without a corporate actions feed keep this default)
+   * @param {Array<string>} symbols - Stock symbols
+   * @param {Date} startDate - Earliest ex-date
+   * @param {Date} endDate - Latest ex-date
+   * @returns {Promise<Array>} { symbol, type: 'split', exDate, splitFrom, splitTo } | { symbol, type: 'dividend', exDate, cashAmount }
+   */
+  async fetchCorporateActions(symbols, startDate, endDate) {
+    throw new Error(`${this.name} does not provide corporate actions`);
+  }
+
   /**
    * Check if provider is properly configured and available
    * @returns {Promise<boolean>}
@@ -46,6 +79,14 @@ class BaseProvider {
   getName() {
     return this.name;
   }
+
+  /**
+   * Get what the provider supports
+   * @returns {Object} { intervals, batchSymbols, maxBatchSize, rateLimit, corporateActions }
+   */
+  getCapabilities() {
+    return this.capabilities;
+  }
 }
 
 module.exports = BaseProvider;
@@ -0,0 +1,260 @@
+/**
+ * Local File Market Data Provider
+ * Serves bars from a directory of CSV / NDJSON files (vendor dumps, offline runs)
+ *
+ * One file per symbol and interval, either layout:
+ *   <dir>/AAPL/1d.csv   <dir>/AAPL/5m.ndjson
+ *   <dir>/AAPL_1d.csv   <dir>/AAPL_5m.ndjson
+ *
+ * CSV needs a header row; NDJSON is one object per line. Column names are
+ * matched loosely so our own format=csv/ndjson exports and Alpaca-style dumps
+ * both load:
+ *   time:   t, timestamp, time, date, datetime (unix s/ms, ISO, or YYYY-MM-DD = midnight ET)
+ *   prices: o/open, h/high, l/low, c/close, vw/vwap
+ *   counts: v/volume, n/trade_count/trades
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const BaseProvider = require('./BaseProvider');
+const { etDateTimeToUnix } = require('../utils/marketTime');
+
+// Accepted column names per bar field (first match wins)
+const COLUMN_ALIASES = {
+  t: ['t', 'timestamp', 'time', 'datetime', 'date'],
+  o: ['o', 'open'],
+  h: ['h', 'high'],
+  l: ['l', 'low'],
+  c: ['c', 'close'],
+  v: ['v', 'volume'],
+  vw: ['vw', 'vwap'],
+  n: ['n', 'trade_count', 'trades']
+};
+
+const FILE_EXTENSIONS = ['csv', 'ndjson'];
+
+/**
+ * Split one CSV line, honouring double-quoted fields
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * Parse a time value to unix seconds
+ * @returns {number|null}
+ */
+function parseTime(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const num = Number(text);
+    return Math.floor(num > 1e11 ? num / 1000 : num);
+  }
+  // Date-only values are sessions, stamped like Alpaca's daily bars (midnight ET)
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    return etDateTimeToUnix(text, 0);
+  }
+
+  const parsed = Date.parse(text);
+  return isNaN(parsed) ? null : Math.floor(parsed / 1000);
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return isNaN(num) ? null : num;
+}
+
+/**
+ * Map a parsed record (column name -> value) to a bar, or null if unusable
+ */
+function toBar(record) {
+  const pick = (field) => {
+    for (const alias of COLUMN_ALIASES[field]) {
+      if (record[alias] !== undefined) return record[alias];
+    }
+    return undefined;
+  };
+
+  const ts = parseTime(pick('t'));
+  const bar = {
+    ts,
+    o: toNumber(pick('o')),
+    h: toNumber(pick('h')),
+    l: toNumber(pick('l')),
+    c: toNumber(pick('c')),
+    v: toNumber(pick('v')),
+    vw: toNumber(pick('vw')),
+    n: toNumber(pick('n'))
+  };
+
+  if (ts === null || bar.o === null || bar.h === null || bar.l === null || bar.c === null) {
+    return null;
+  }
+  return bar;
+}
+
+class LocalFileProvider extends BaseProvider {
+  constructor(config) {
+    super(config);
+    this.name = 'Local';
+    this.dataDir = path.resolve(config.dataDir);
+
+    this.capabilities = {
+      ...this.capabilities,
+      batchSymbols: true,
+      maxBatchSize: config.maxBatchSize || 500
+    };
+  }
+
+  static fromEnv(env) {
+    if (!env.LOCAL_DATA_DIR) return null;
+    return { dataDir: env.LOCAL_DATA_DIR };
+  }
+
+  async isAvailable() {
+    try {
+      return (await fs.promises.stat(this.dataDir)).isDirectory();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Locate the file for a symbol/interval
+   * @returns {Promise<Object|null>} { file, format }
+   */
+  async _findFile(symbol, interval) {
+    for (const format of FILE_EXTENSIONS) {
+      const candidates = [
+        path.join(this.dataDir, symbol, `${interval}.${format}`),
+        path.join(this.dataDir, `${symbol}_${interval}.${format}`)
+      ];
+      for (const file of candidates) {
+        try {
+          await fs.promises.access(file, fs.constants.R_OK);
+          return { file, format };
+        } catch (error) {
+          // Try the next layout
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Stream a file and keep bars inside [startTs, endTs]
+   * @returns {Promise<Array>} Bars sorted by time, in Alpaca's { t, o, h, l, c, v, vw, n } shape
+   */
+  async _readBars(file, format, startTs, endTs) {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(file, { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+
+    const bars = [];
+    let header = null;
+    let lineNumber = 0;
+
+    for await (const rawLine of lines) {
+      lineNumber++;
+      const line = rawLine.trim();
+      if (!line) continue;
+
+      let record;
+      if (format === 'csv') {
+        if (!header) {
+          header = parseCsvLine(line).map(name => name.trim().toLowerCase());
+          continue;
+        }
+        const values = parseCsvLine(line);
+        record = Object.fromEntries(header.map((name, i) => [name, values[i]]));
+      } else {
+        try {
+          const parsed = JSON.parse(line);
+          record = Object.fromEntries(Object.entries(parsed).map(([key, value]) => [key.toLowerCase(), value]));
+        } catch (error) {
+          throw new Error(`${path.basename(file)} line ${lineNumber}: invalid JSON`);
+        }
+      }
+
+      const bar = toBar(record);
+      if (!bar || bar.ts < startTs || bar.ts > endTs) continue;
+      bars.push(bar);
+    }
+
+    bars.sort((a, b) => a.ts - b.ts);
+    return bars.map(({ ts, ...bar }) => ({ t: new Date(ts * 1000).toISOString(), ...bar }));
+  }
+
+  async fetchBars(symbols, interval, startDate, endDate, includeExtended = false) {
+    if (!await this.isAvailable()) {
+      throw new Error(`Local data directory not found: ${this.dataDir}`);
+    }
+
+    const startTs = Math.floor(new Date(startDate).getTime() / 1000);
+    const endTs = Math.floor(new Date(endDate).getTime() / 1000);
+    if (isNaN(startTs) || isNaN(endTs)) {
+      throw new Error('Invalid date format');
+    }
+
+    // Same shapes as AlpacaProvider: comma-separated -> { SYMBOL: bars }, single -> bars
+    const isBatch = typeof symbols === 'string' && symbols.includes(',');
+    const symbolList = String(symbols).split(',').map(s => s.trim()).filter(s => s.length > 0);
+
+    const result = {};
+    for (const symbol of symbolList) {
+      const found = await this._findFile(symbol, interval);
+      if (!found) continue;
+
+      const bars = await this._readBars(found.file, found.format, startTs, endTs);
+      if (bars.length > 0) {
+        result[symbol] = bars;
+      }
+    }
+
+    if (isBatch) {
+      return result;
+    }
+    return result[symbolList[0]] || [];
+  }
+
+  async validateSymbol(symbol) {
+    try {
+      const entries = await fs.promises.readdir(this.dataDir);
+      return entries.some(entry => entry === symbol || entry.startsWith(`${symbol}_`));
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = LocalFileProvider;
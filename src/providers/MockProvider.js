@@ -0,0 +1,394 @@
+/**
+ * Mock Market Data Provider
+ * Reproducible synthetic bars for tests and offline runs - no network
+ *
+ * Prices are a seeded random walk: one step per calendar day from a fixed
+ * anchor, and intraday bars bridge each day's open to its close. The same seed,
+ * symbol and bar time always give the same bar, whatever window is requested,
+ * so overlapping fetches agree the way a real feed does.
+ *
+ * Bars never run ahead of the clock (src/utils/clock.js): intraday bars appear
+ * once complete, daily and longer bars once their session has opened.
+ *
+ * Failure modes, for exercising the collector's error paths:
+ * - gapRate:        fraction of bars dropped (deterministic per bar)
+ * - rateLimitEvery: every Nth request throws a 429 error
+ * - emptyEvery:     every Nth request returns no bars
+ * - numericKeys:    batch responses keyed '0', '1', ... instead of by symbol
+ * - queueFault():   script the next requests ('rateLimit', 'empty', 'numericKeys', 'error', 'truncated')
+ *
+ * Usage:
+ * const MockProvider = require('./src/providers/MockProvider');
+ *
+ * const mock = new MockProvider({ seed: 42, symbols: ['AAPL', 'MSFT'], gapRate: 0.01 });
+ * mock.queueFault('rateLimit');                       // next request fails with 429
+ * await mock.fetchBars('AAPL,MSFT', '5m', start, end); // { AAPL: [...], MSFT: [...] }
+ * mock.requests;                                      // every request made, for assertions
+ *
+ * Or PROVIDER_PRIORITY=mock with MOCK_PROVIDER_SEED set.
+ */
+
+const BaseProvider = require('./BaseProvider');
+const clock = require('../utils/clock');
+const { INTRADAY_INTERVAL_MINUTES, etDateTimeToUnix, addDays, getWeekday, getTradingDate } = require('../utils/marketTime');
+const tradingCalendar = require('../utils/tradingCalendar');
+
+// First day of the daily walk; earlier dates get the anchor price
+const ANCHOR_DATE = '2000-01-03';
+const ANCHOR_MS = Date.parse(ANCHOR_DATE);
+const DAILY_VOLATILITY = 0.02;
+const FAULT_TYPES = ['rateLimit', 'empty', 'numericKeys', 'error', 'truncated'];
+
+/**
+ * 32-bit FNV-1a hash of the parts
+ */
+function hash(...parts) {
+  let h = 0x811c9dc5;
+  for (const ch of parts.join('|')) {
+    h ^= ch.charCodeAt(0);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * mulberry32 - small seeded PRNG returning floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal sample (Box-Muller)
+ */
+function gaussian(random) {
+  const u = random() || Number.EPSILON;
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+function round(value, decimals = 4) {
+  return Number(value.toFixed(decimals));
+}
+
+class MockProvider extends BaseProvider {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'Mock';
+    this.seed = config.seed ?? 1;
+    this.universe = config.symbols ? new Set(config.symbols.map(s => s.toUpperCase())) : null;
+    this.gapRate = config.gapRate || 0;
+    this.rateLimitEvery = config.rateLimitEvery || 0;
+    this.emptyEvery = config.emptyEvery || 0;
+    this.numericKeys = config.numericKeys || false;
+    this.corporateActions = config.corporateActions || [];
+
+    this.capabilities = {
+      ...this.capabilities,
+      batchSymbols: true,
+      maxBatchSize: config.maxBatchSize || 50,
+      corporateActions: true
+    };
+
+    this.requestCount = 0;
+    this.requests = [];    // { symbols, interval, start, end, fault } per fetchBars() call
+    this.faults = [];      // Scripted faults for the next requests
+    this.levels = new Map(); // symbol -> daily open prices from ANCHOR_DATE
+    this.days = new Map();   // date -> getTradingDay() plus { next, weekStart, midnight }
+    this.midnights = new Map(); // date -> unix ts of midnight ET
+  }
+
+  static fromEnv(env) {
+    if (env.MOCK_PROVIDER_SEED === undefined) return null;
+    return {
+      seed: parseInt(env.MOCK_PROVIDER_SEED) || 0,
+      symbols: env.MOCK_SYMBOLS ? env.MOCK_SYMBOLS.split(',').map(s => s.trim()).filter(Boolean) : null,
+      gapRate: parseFloat(env.MOCK_GAP_RATE) || 0,
+      rateLimitEvery: parseInt(env.MOCK_RATE_LIMIT_EVERY) || 0,
+      emptyEvery: parseInt(env.MOCK_EMPTY_EVERY) || 0,
+      numericKeys: env.MOCK_NUMERIC_KEYS === 'true'
+    };
+  }
+
+  async isAvailable() {
+    return true;
+  }
+
+  /**
+   * Make the next `count` requests fail or misbehave
+   * @param {string} type - 'rateLimit' | 'empty' | 'numericKeys' | 'error' | 'truncated'
+   * @param {number} count - Requests affected
+   */
+  queueFault(type, count = 1) {
+    if (!FAULT_TYPES.includes(type)) {
+      throw new Error(`Unknown fault type: ${type}. Use one of ${FAULT_TYPES.join(', ')}`);
+    }
+    for (let i = 0; i < count; i++) {
+      this.faults.push(type);
+    }
+  }
+
+  /**
+   * Forget request history and scripted faults
+   */
+  reset() {
+    this.requestCount = 0;
+    this.requests = [];
+    this.faults = [];
+  }
+
+  /**
+   * Fault for the current request (scripted first, then the periodic ones)
+   */
+  _nextFault() {
+    if (this.faults.length > 0) return this.faults.shift();
+    if (this.rateLimitEvery && this.requestCount % this.rateLimitEvery === 0) return 'rateLimit';
+    if (this.emptyEvery && this.requestCount % this.emptyEvery === 0) return 'empty';
+    if (this.numericKeys) return 'numericKeys';
+    return null;
+  }
+
+  /**
+   * Opening price of a calendar day on the symbol's walk
+   */
+  _dailyOpen(symbol, date) {
+    if (!this.levels.has(symbol)) {
+      const random = createRandom(hash(this.seed, symbol));
+      this.levels.set(symbol, { random, prices: [20 + random() * 480] });
+    }
+
+    const walk = this.levels.get(symbol);
+    const index = Math.max(0, Math.round((Date.parse(date) - ANCHOR_MS) / 86400000));
+    while (walk.prices.length <= index) {
+      const last = walk.prices[walk.prices.length - 1];
+      walk.prices.push(last * Math.exp(gaussian(walk.random) * DAILY_VOLATILITY));
+    }
+    return walk.prices[index];
+  }
+
+  /**
+   * Calendar day with the neighbours generation needs (cached - calendar and
+   * date arithmetic dominate generation time otherwise)
+   */
+  _day(date) {
+    if (!this.days.has(date)) {
+      const day = tradingCalendar.getTradingDay(date);
+      this.days.set(date, {
+        ...day,
+        next: addDays(date, 1),
+        weekStart: addDays(date, -((getWeekday(date) + 6) % 7)),
+        midnight: day.isTradingDay ? this._midnight(date) : null
+      });
+    }
+    return this.days.get(date);
+  }
+
+  /**
+   * Trading days between two dates (inclusive)
+   */
+  _tradingDays(fromDate, toDate) {
+    const days = [];
+    for (let day = this._day(fromDate); day.date <= toDate; day = this._day(day.next)) {
+      if (day.isTradingDay) days.push(day);
+    }
+    return days;
+  }
+
+  _midnight(date) {
+    if (!this.midnights.has(date)) {
+      this.midnights.set(date, etDateTimeToUnix(date, 0));
+    }
+    return this.midnights.get(date);
+  }
+
+  _isGap(symbol, interval, ts) {
+    return this.gapRate > 0 && hash(this.seed, symbol, interval, ts, 'gap') / 4294967296 < this.gapRate;
+  }
+
+  /**
+   * One day's bars for a stored interval up to 1d
+   * @returns {Array<Object>} { ts, o, h, l, c, v, vw, n } (ts in unix seconds)
+   */
+  _dayBars(symbol, interval, day, includeExtended) {
+    const open = this._dailyOpen(symbol, day.date);
+    const close = this._dailyOpen(symbol, day.next);
+    const random = createRandom(hash(this.seed, symbol, interval, day.date));
+    const baseVolume = 200000 + (hash(this.seed, symbol, 'volume') % 5000000);
+
+    const intervalMinutes = INTRADAY_INTERVAL_MINUTES[interval];
+    if (!intervalMinutes) {
+      const high = Math.max(open, close) * (1 + Math.abs(gaussian(random)) * DAILY_VOLATILITY / 2);
+      const low = Math.min(open, close) * (1 - Math.abs(gaussian(random)) * DAILY_VOLATILITY / 2);
+      const volume = Math.round(baseVolume * (0.5 + random()));
+      return [{ ts: day.midnight, date: day.date, o: open, h: high, l: low, c: close, v: volume, vw: (high + low + close) / 3, n: Math.round(volume / 100) }];
+    }
+
+    // Bars on a grid from midnight ET that overlap the (extended) session
+    // (offset from the pre-market open, which is past any DST switch)
+    const base = day.sessions.pre.start - day.minutes.preOpen * 60;
+    const from = includeExtended ? day.minutes.preOpen : day.minutes.open;
+    const to = includeExtended ? day.minutes.postClose : day.minutes.close;
+    const starts = [];
+    for (let minute = from - (from % intervalMinutes); minute < to; minute += intervalMinutes) {
+      starts.push(minute);
+    }
+
+    // Random walk, tilted so the last close lands on the day's close
+    const stepVolatility = DAILY_VOLATILITY / Math.sqrt(starts.length);
+    const walk = [0];
+    for (let i = 0; i < starts.length; i++) {
+      walk.push(walk[i] + gaussian(random) * stepVolatility);
+    }
+    const drift = walk[starts.length] - Math.log(close / open);
+    const price = (i) => open * Math.exp(walk[i] - drift * i / starts.length);
+
+    return starts.map((minute, i) => {
+      const o = price(i);
+      const c = price(i + 1);
+      const h = Math.max(o, c) * (1 + Math.abs(gaussian(random)) * stepVolatility / 2);
+      const l = Math.min(o, c) * (1 - Math.abs(gaussian(random)) * stepVolatility / 2);
+      const v = Math.round(baseVolume / starts.length * (0.5 + random()));
+      return { ts: base + minute * 60, o, h, l, c, v, vw: (h + l + c) / 3, n: Math.max(1, Math.round(v / 100)) };
+    });
+  }
+
+  /**
+   * Roll daily bars up into weeks (starting Monday) or calendar months
+   */
+  _rollUp(dailyBars, interval) {
+    const periods = new Map();
+    for (const { date, ...bar } of dailyBars) {
+      const key = interval === '1w' ? this._day(date).weekStart : `${date.slice(0, 7)}-01`;
+
+      const period = periods.get(key);
+      if (!period) {
+        periods.set(key, { ...bar, ts: this._midnight(key), pv: bar.vw * bar.v });
+        continue;
+      }
+      period.h = Math.max(period.h, bar.h);
+      period.l = Math.min(period.l, bar.l);
+      period.c = bar.c;
+      period.v += bar.v;
+      period.n += bar.n;
+      period.pv += bar.vw * bar.v;
+    }
+
+    return Array.from(periods.values()).map(({ pv, ...bar }) => ({ ...bar, vw: pv / bar.v }));
+  }
+
+  /**
+   * Generate a symbol's bars in [startTs, endTs], never past the clock
+   */
+  _generateBars(symbol, interval, startTs, endTs, includeExtended) {
+    const now = clock.nowSeconds();
+    const intervalMinutes = INTRADAY_INTERVAL_MINUTES[interval];
+    const dayInterval = intervalMinutes ? interval : '1d';
+
+    // Weekly/monthly bars start before the window's first day
+    const fromDate = intervalMinutes || interval === '1d'
+      ? getTradingDate(startTs)
+      : addDays(getTradingDate(startTs), -31);
+    const toDate = getTradingDate(Math.min(endTs, now));
+
+    let bars = [];
+    for (const day of this._tradingDays(fromDate, toDate)) {
+      for (const bar of this._dayBars(symbol, dayInterval, day, includeExtended)) {
+        const available = intervalMinutes
+          ? bar.ts + intervalMinutes * 60 <= now
+          : day.sessions.regular.start <= now;
+        if (available) bars.push(bar);
+      }
+    }
+
+    if (!intervalMinutes && interval !== '1d') {
+      bars = this._rollUp(bars, interval);
+    }
+
+    return bars
+      .filter(bar => bar.ts >= startTs && bar.ts <= endTs && !this._isGap(symbol, interval, bar.ts))
+      .map(bar => ({
+        t: new Date(bar.ts * 1000).toISOString(),
+        o: round(bar.o),
+        h: round(bar.h),
+        l: round(bar.l),
+        c: round(bar.c),
+        v: bar.v,
+        vw: round(bar.vw),
+        n: bar.n
+      }));
+  }
+
+  async fetchBars(symbols, interval, startDate, endDate, includeExtended = false) {
+    const startTs = Math.floor(new Date(startDate).getTime() / 1000);
+    const endTs = Math.floor(new Date(endDate).getTime() / 1000);
+    if (isNaN(startTs) || isNaN(endTs)) {
+      throw new Error('Invalid date format');
+    }
+    if (!this.capabilities.intervals.includes(interval)) {
+      throw new Error(`Invalid interval: ${interval}`);
+    }
+
+    // Same shapes as AlpacaProvider: comma-separated -> { SYMBOL: bars }, single -> bars
+    const isBatch = typeof symbols === 'string' && symbols.includes(',');
+    const symbolList = String(symbols).split(',').map(s => s.trim().toUpperCase()).filter(s => s.length > 0);
+
+    this.requestCount++;
+    const fault = this._nextFault();
+    this.requests.push({ symbols: symbolList, interval, start: startTs, end: endTs, fault });
+
+    if (fault === 'rateLimit') {
+      throw new Error('Mock API error: Request failed with status code 429');
+    }
+    if (fault === 'error') {
+      throw new Error('Mock API error: Request failed with status code 500');
+    }
+    if (fault === 'empty') {
+      return isBatch ? {} : [];
+    }
+
+    const result = {};
+    symbolList.forEach((symbol, index) => {
+      if (this.universe && !this.universe.has(symbol)) return;
+      const bars = this._generateBars(symbol, interval, startTs, endTs, includeExtended);
+      if (bars.length > 0) {
+        result[fault === 'numericKeys' && isBatch ? String(index) : symbol] = bars;
+      }
+    });
+
+    if (fault === 'truncated') {
+      // Like AlpacaProvider at ALPACA_MAX_PAGES: pages run in symbol order and
+      // stopped halfway through the first symbol
+      const [first] = Object.keys(result).sort();
+      const cut = first ? { [first]: result[first].slice(0, Math.ceil(result[first].length / 2)) } : {};
+      const truncated = isBatch ? cut : (cut[symbolList[0]] || []);
+      Object.defineProperty(truncated, 'truncated', { value: true });
+      return truncated;
+    }
+
+    if (isBatch) {
+      return result;
+    }
+    return result[symbolList[0]] || [];
+  }
+
+  async fetchCorporateActions(symbols, startDate, endDate) {
+    const from = getTradingDate(Math.floor(new Date(startDate).getTime() / 1000));
+    const to = getTradingDate(Math.floor(new Date(endDate).getTime() / 1000));
+    return this.corporateActions.filter(action =>
+      symbols.includes(action.symbol) && action.exDate >= from && action.exDate <= to
+    );
+  }
+
+  async validateSymbol(symbol) {
+    const upper = symbol.toUpperCase();
+    return this.universe ? this.universe.has(upper) : /^[A-Z][A-Z.]{0,9}$/.test(upper);
+  }
+}
+
+module.exports = MockProvider;
@@ -1,15 +1,32 @@
 /**
  * Provider Manager
  * Manages multiple data providers with fallback logic
+ *
+ * Providers come from the ProviderRegistry (built-ins plus PROVIDER_DIR) and are
+ * tried in PROVIDER_PRIORITY order, skipping any whose capabilities don't cover
+ * the request (interval, corporate actions). Batches fall back per symbol: only
+ * the symbols a provider didn't return are re-requested from the next one.
+ *
+ * Every provider call is recorded in per-provider health stats. After
+ * PROVIDER_FAILURE_THRESHOLD consecutive failures a provider's circuit opens and
+ * it is demoted behind the healthy providers for PROVIDER_COOLDOWN_SECONDS; the
+ * first call after the cooldown is a trial that closes or reopens the circuit.
+ * Only one trial runs at a time: until it finishes, other callers treat the
+ * provider as open and skip it.
  */
 
-const AlpacaProvider = require('./AlpacaProvider');
-const SchwabProvider = require('./SchwabProvider');
+const providerRegistry = require('./ProviderRegistry');
+const clock = require('../utils/clock');
 
 class ProviderManager {
   constructor() {
     this.providers = [];
     this.initialized = false;
+    
+    // Circuit breaker
+    this.health = new Map(); // provider name -> stats (see _track)
+    this.failureThreshold = parseInt(process.env.PROVIDER_FAILURE_THRESHOLD) || 3;
+    this.cooldownMs = (parseInt(process.env.PROVIDER_COOLDOWN_SECONDS) || 60) * 1000;
   }
 
   /**
@@ -18,48 +35,40 @@ class ProviderManager {
   async initialize() {
     if (this.initialized) return;
 
-    const providerPriority = (process.env.PROVIDER_PRIORITY || 'schwab,alpaca')
-      .split(',')
-      .map(p => p.trim().toLowerCase());
-
-    // Initialize Schwab if configured
-    if (providerPriority.includes('schwab') && process.env.SCHWAB_APP_KEY) {
-      const schwab = new SchwabProvider({
-        appKey: process.env.SCHWAB_APP_KEY,
-        appSecret: process.env.SCHWAB_APP_SECRET,
-        redirectUri: process.env.SCHWAB_REDIRECT_URI,
-        baseURL: process.env.SCHWAB_BASE_URL
-      });
+    // Extra providers (Polygon, Tiingo, ...) dropped into PROVIDER_DIR
+    if (process.env.PROVIDER_DIR) {
+      const loaded = providerRegistry.loadDirectory(process.env.PROVIDER_DIR);
+      console.log(`📦 Providers loaded from ${process.env.PROVIDER_DIR}: ${loaded.join(', ') || 'none'}`);
+    }
 
-      if (await schwab.isAvailable()) {
-        this.providers.push(schwab);
-        console.log('✅ Schwab provider initialized');
-      } else {
-        console.log('⚠️  Schwab configured but not available (check tokens)');
+    const providerPriority = Array.from(new Set(
+      (process.env.PROVIDER_PRIORITY || 'schwab,alpaca')
+        .split(',')
+        .map(p => p.trim().toLowerCase())
+        .filter(p => p.length > 0)
+    ));
+
+    // Providers are added in priority order
+    for (const name of providerPriority) {
+      const ProviderClass = providerRegistry.get(name);
+      if (!ProviderClass) {
+        console.log(`⚠️  Unknown provider "${name}" in PROVIDER_PRIORITY (registered: ${providerRegistry.list().join(', ')})`);
+        continue;
       }
-    }
 
-    // Initialize Alpaca if configured
-    if (providerPriority.includes('alpaca') && process.env.ALPACA_API_KEY) {
-      const alpaca = new AlpacaProvider({
-        apiKey: process.env.ALPACA_API_KEY,
-        apiSecret: process.env.ALPACA_API_SECRET,
-        baseURL: process.env.ALPACA_BASE_URL
-      });
+      // Not configured in .env
+      const config = ProviderClass.fromEnv(process.env);
+      if (!config) continue;
 
-      if (await alpaca.isAvailable()) {
-        this.providers.push(alpaca);
-        console.log('✅ Alpaca provider initialized');
+      const provider = new ProviderClass(config);
+      if (await provider.isAvailable()) {
+        this.providers.push(provider);
+        console.log(`✅ ${provider.getName()} provider initialized`);
+      } else {
+        console.log(`⚠️  ${provider.getName()} configured but not available (check credentials/tokens)`);
       }
     }
 
-    // Sort providers based on priority
-    this.providers.sort((a, b) => {
-      const aIndex = providerPriority.indexOf(a.name.toLowerCase());
-      const bIndex = providerPriority.indexOf(b.name.toLowerCase());
-      return aIndex - bIndex;
-    });
-
     if (this.providers.length === 0) {
       throw new Error('No data providers configured');
     }
@@ -68,36 +77,206 @@ class ProviderManager {
     this.initialized = true;
   }
 
+  _healthOf(provider) {
+    const name = provider.getName();
+    if (!this.health.has(name)) {
+      this.health.set(name, {
+        successes: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        totalLatencyMs: 0,
+        lastLatencyMs: null,
+        lastError: null,
+        lastErrorAt: null,
+        lastSuccessAt: null,
+        openUntil: null, // Set while the circuit is open or half-open
+        trialInFlight: false // Half-open trial call running
+      });
+    }
+    return this.health.get(name);
+  }
+
+  /**
+   * @returns {string} 'closed' | 'open' (demoted) | 'half-open' (cooldown over, next call is a trial)
+   */
+  _circuitState(stats) {
+    if (stats.openUntil === null) return 'closed';
+    return clock.now() < stats.openUntil ? 'open' : 'half-open';
+  }
+
+  /**
+   * Open, or half-open with another caller's trial still running
+   */
+  _isDemoted(stats) {
+    const state = this._circuitState(stats);
+    return state === 'open' || (state === 'half-open' && stats.trialInFlight);
+  }
+
+  /**
+   * Run one provider call, recording its latency and outcome
+   * A throw is a failure; an empty result is still a success (the provider answered)
+   * @throws {Error} Without calling the provider while another caller's half-open trial runs
+   */
+  async _track(provider, call) {
+    const stats = this._healthOf(provider);
+    const trial = this._circuitState(stats) === 'half-open';
+    if (trial) {
+      // Callers that ordered providers before the trial started reach it here
+      if (stats.trialInFlight) {
+        throw new Error(`${provider.getName()} circuit half-open, trial call in progress`);
+      }
+      stats.trialInFlight = true;
+    }
+    const started = Date.now();
+
+    try {
+      const result = await call();
+      stats.successes++;
+      stats.lastLatencyMs = Date.now() - started;
+      stats.totalLatencyMs += stats.lastLatencyMs;
+      stats.consecutiveFailures = 0;
+      stats.lastSuccessAt = clock.now();
+      if (stats.openUntil !== null) {
+        console.log(`  🔌 ${provider.getName()} circuit closed (recovered)`);
+        stats.openUntil = null;
+      }
+      return result;
+    } catch (error) {
+      stats.failures++;
+      stats.lastLatencyMs = Date.now() - started;
+      stats.totalLatencyMs += stats.lastLatencyMs;
+      stats.consecutiveFailures++;
+      stats.lastError = error.message;
+      stats.lastErrorAt = clock.now();
+      if (stats.consecutiveFailures >= this.failureThreshold) {
+        stats.openUntil = clock.now() + this.cooldownMs;
+        console.log(`  🔌 ${provider.getName()} circuit open after ${stats.consecutiveFailures} consecutive failures, demoted for ${this.cooldownMs / 1000}s`);
+      }
+      throw error;
+    } finally {
+      if (trial) stats.trialInFlight = false;
+    }
+  }
+
+  /**
+   * Providers in priority order, with open circuits moved behind the healthy ones
+   * (still tried as a last resort when nothing else answers). A half-open provider
+   * whose trial is running goes last too, and _track() skips it.
+   */
+  _orderedProviders() {
+    const healthy = this.providers.filter(p => !this._isDemoted(this._healthOf(p)));
+    const demoted = this.providers.filter(p => this._isDemoted(this._healthOf(p)));
+    return [...healthy, ...demoted];
+  }
+
+  /**
+   * Error for a fetch no provider returned data for
+   * providerErrors lists { provider, error }; it is empty when every provider
+   * answered without data (nothing to retry)
+   */
+  _allProvidersFailed(errors) {
+    const error = new Error(`All providers failed: ${errors.map(e => `${e.provider} (${e.error})`).join(', ')}`);
+    error.providerErrors = errors;
+    return error;
+  }
+
+  /**
+   * Why a provider can't serve a request
+   * @returns {string|null} Reason, or null when it can
+   */
+  _unsupportedReason(provider, interval) {
+    const capabilities = provider.getCapabilities();
+    if (!capabilities.intervals.includes(interval)) {
+      return `${interval} not supported`;
+    }
+    return null;
+  }
+
+  /**
+   * Fetch a list of symbols from one provider
+   * Batch providers get chunks of at most maxBatchSize, single-symbol providers
+   * (Schwab pricehistory) one request per symbol. A failed request stops the
+   * provider but keeps what earlier requests returned, including the part of a
+   * fanned-out batch fetched before it failed (error.partialBars).
+   * @returns {Promise<Object>} { bars: { SYMBOL: [bars] }, truncated, error }
+   */
+  async _fetchFromProvider(provider, symbolList, interval, startDate, endDate, includeExtended) {
+    const { batchSymbols, maxBatchSize } = provider.getCapabilities();
+    const chunkSize = batchSymbols ? maxBatchSize : 1;
+    const result = { bars: {}, truncated: false, error: null };
+
+    for (let i = 0; i < symbolList.length; i += chunkSize) {
+      const chunk = symbolList.slice(i, i + chunkSize);
+      let bars;
+      try {
+        bars = await this._track(provider, () => provider.fetchBars(chunk.join(','), interval, startDate, endDate, includeExtended));
+      } catch (error) {
+        if (error.partialBars) this._addChunkBars(result, chunk, error.partialBars);
+        result.error = error;
+        break;
+      }
+      if (!bars) continue;
+      result.truncated = result.truncated || Boolean(bars.truncated);
+      this._addChunkBars(result, chunk, bars);
+    }
+
+    return result;
+  }
+
+  /**
+   * Add one chunk's response to a _fetchFromProvider() result
+   */
+  _addChunkBars(result, chunk, bars) {
+    // A one-symbol chunk comes back in single-symbol form (array)
+    if (chunk.length === 1) {
+      if (bars.length > 0) result.bars[chunk[0]] = bars;
+      return;
+    }
+
+    for (const [key, symbolBars] of Object.entries(bars)) {
+      // Alpaca has been seen keying a batch by position instead of symbol
+      const symbol = chunk.includes(key) ? key : (/^\d+$/.test(key) ? chunk[parseInt(key)] : null);
+      if (symbol && symbolBars && symbolBars.length > 0) {
+        result.bars[symbol] = symbolBars;
+      }
+    }
+  }
+
   /**
    * Fetch bars with automatic fallback
    * Supports both single symbol and batch requests (comma-separated symbols)
+   * @returns {Promise<Object>} { bars, source, truncated } - truncated when the provider
+   *   stopped paging before the end of the range (bars are incomplete). Batches also
+   *   carry sources: { SYMBOL: provider } (see _fetchBatch)
    */
   async fetchBars(symbols, interval, startDate, endDate, includeExtended = false) {
     if (!this.initialized) {
       await this.initialize();
     }
 
-    const errors = [];
     const isBatch = typeof symbols === 'string' && symbols.includes(',');
+    if (isBatch) {
+      const symbolList = symbols.split(',').map(s => s.trim()).filter(s => s.length > 0);
+      return this._fetchBatch(symbolList, interval, startDate, endDate, includeExtended);
+    }
+
+    const errors = [];
+
+    for (const provider of this._orderedProviders()) {
+      const unsupported = this._unsupportedReason(provider, interval);
+      if (unsupported) {
+        console.log(`  ⏭️  Skipping ${provider.getName()}: ${unsupported}`);
+        errors.push({ provider: provider.getName(), error: unsupported });
+        continue;
+      }
 
-    for (const provider of this.providers) {
       try {
         console.log(`  🔍 Trying ${provider.getName()}...`);
-        const bars = await provider.fetchBars(symbols, interval, startDate, endDate, includeExtended);
-        
-        // Check if we got valid data
-        const hasData = isBatch 
-          ? (bars && typeof bars === 'object' && Object.keys(bars).length > 0)
-          : (bars && bars.length > 0);
+        const bars = await this._track(provider, () => provider.fetchBars(symbols, interval, startDate, endDate, includeExtended));
         
-        if (hasData) {
-          if (isBatch) {
-            const symbolCount = Object.keys(bars).length;
-            console.log(`  ✓ ${provider.getName()}: ${symbolCount} symbols returned`);
-          } else {
-            console.log(`  ✓ ${provider.getName()}: ${bars.length} bars`);
-          }
-          return { bars, source: provider.getName() };
+        if (bars && bars.length > 0) {
+          console.log(`  ✓ ${provider.getName()}: ${bars.length} bars`);
+          return { bars, source: provider.getName(), truncated: Boolean(bars.truncated) };
         }
         
         console.log(`  ⚠️  ${provider.getName()}: No data returned`);
@@ -108,7 +287,97 @@ class ProviderManager {
     }
 
     // All providers failed
-    throw new Error(`All providers failed: ${errors.map(e => `${e.provider} (${e.error})`).join(', ')}`);
+    throw this._allProvidersFailed(errors);
+  }
+
+  /**
+   * Batch fetch with per-symbol fallback
+   * Each provider is asked only for the symbols earlier providers didn't return.
+   * Batch-capable providers go first, so single-symbol providers fill the gaps
+   * instead of taking the whole batch one request at a time.
+   * @returns {Promise<Object>} { bars: { SYMBOL: [bars] }, source, sources: { SYMBOL: provider }, truncated }
+   *   source is the first provider that returned data
+   */
+  async _fetchBatch(symbolList, interval, startDate, endDate, includeExtended) {
+    const errors = [];
+    const bars = {};
+    const sources = {};
+    let truncated = false;
+    let missing = symbolList;
+
+    const byHealth = this._orderedProviders();
+    const ordered = [
+      ...byHealth.filter(p => p.getCapabilities().batchSymbols),
+      ...byHealth.filter(p => !p.getCapabilities().batchSymbols)
+    ];
+
+    for (const provider of ordered) {
+      if (missing.length === 0) break;
+
+      const unsupported = this._unsupportedReason(provider, interval);
+      if (unsupported) {
+        console.log(`  ⏭️  Skipping ${provider.getName()}: ${unsupported}`);
+        errors.push({ provider: provider.getName(), error: unsupported });
+        continue;
+      }
+
+      console.log(`  🔍 Trying ${provider.getName()} for ${missing.length} symbols...`);
+      const result = await this._fetchFromProvider(provider, missing, interval, startDate, endDate, includeExtended);
+
+      const returned = Object.keys(result.bars);
+      for (const symbol of returned) {
+        bars[symbol] = result.bars[symbol];
+        sources[symbol] = provider.getName();
+      }
+      truncated = truncated || result.truncated;
+      missing = missing.filter(symbol => !bars[symbol]);
+
+      if (result.error) {
+        console.log(`  ✗ ${provider.getName()}: ${result.error.message}`);
+        errors.push({ provider: provider.getName(), error: result.error.message });
+      }
+      if (returned.length > 0) {
+        console.log(`  ✓ ${provider.getName()}: ${returned.length} symbols returned${missing.length > 0 ? `, ${missing.length} missing` : ''}`);
+      } else if (!result.error) {
+        console.log(`  ⚠️  ${provider.getName()}: No data returned`);
+      }
+    }
+
+    const found = Object.keys(bars);
+    if (found.length === 0) {
+      throw this._allProvidersFailed(errors);
+    }
+
+    if (missing.length > 0) {
+      console.log(`  ⚠️  No provider returned ${missing.length} symbols: ${missing.slice(0, 10).join(', ')}${missing.length > 10 ? '...' : ''}`);
+    }
+
+    return { bars, source: sources[found[0]], sources, truncated };
+  }
+
+  /**
+   * Fetch splits and dividends from the first provider that supports them
+   * @returns {Promise<Object>} { actions, source }
+   */
+  async fetchCorporateActions(symbols, startDate, endDate) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const errors = [];
+
+    for (const provider of this._orderedProviders()) {
+      if (!provider.getCapabilities().corporateActions) continue;
+      try {
+        const actions = await this._track(provider, () => provider.fetchCorporateActions(symbols, startDate, endDate));
+        console.log(`  ✓ ${provider.getName()}: ${actions.length} corporate actions`);
+        return { actions, source: provider.getName() };
+      } catch (error) {
+        errors.push({ provider: provider.getName(), error: error.message });
+      }
+    }
+
+    throw new Error(`No provider returned corporate actions: ${errors.map(e => `${e.provider} (${e.error})`).join(', ')}`);
   }
 
   /**
@@ -119,9 +388,9 @@ class ProviderManager {
       await this.initialize();
     }
 
-    for (const provider of this.providers) {
+    for (const provider of this._orderedProviders()) {
       try {
-        const isValid = await provider.validateSymbol(symbol);
+        const isValid = await this._track(provider, () => provider.validateSymbol(symbol));
         if (isValid) {
           return { valid: true, provider: provider.getName() };
         }
@@ -139,6 +408,42 @@ class ProviderManager {
   getActiveProviders() {
     return this.providers.map(p => p.getName());
   }
+
+  /**
+   * Get active providers with their capabilities (priority order)
+   * @returns {Array<Object>} [{ name, intervals, batchSymbols, maxBatchSize, rateLimit, corporateActions }]
+   */
+  getProviderCapabilities() {
+    return this.providers.map(p => ({ name: p.getName(), ...p.getCapabilities() }));
+  }
+
+  /**
+   * Health and circuit state of active providers (priority order)
+   * @returns {Array<Object>} [{ name, circuit, requests, successRate, avgLatencyMs, lastLatencyMs,
+   *   consecutiveFailures, lastError, lastErrorAt, lastSuccessAt, demotedUntil }]
+   */
+  getProviderHealth() {
+    const toISO = (ms) => (ms === null ? null : new Date(ms).toISOString());
+
+    return this.providers.map(p => {
+      const stats = this._healthOf(p);
+      const requests = stats.successes + stats.failures;
+      const circuit = this._circuitState(stats);
+      return {
+        name: p.getName(),
+        circuit,
+        requests,
+        successRate: requests > 0 ? Math.round((stats.successes / requests) * 1000) / 1000 : null,
+        avgLatencyMs: requests > 0 ? Math.round(stats.totalLatencyMs / requests) : null,
+        lastLatencyMs: stats.lastLatencyMs,
+        consecutiveFailures: stats.consecutiveFailures,
+        lastError: stats.lastError,
+        lastErrorAt: toISO(stats.lastErrorAt),
+        lastSuccessAt: toISO(stats.lastSuccessAt),
+        demotedUntil: circuit === 'open' ? toISO(stats.openUntil) : null
+      };
+    });
+  }
 }
 
 // Singleton instance
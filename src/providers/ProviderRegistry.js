@@ -0,0 +1,114 @@
+/**
+ * Provider Registry
+ * Maps provider names (as used in PROVIDER_PRIORITY) to provider classes
+ *
+ * Built-in providers are registered here; extra ones are loaded from the
+ * directory in PROVIDER_DIR. A provider module exports a class extending
+ * BaseProvider with:
+ * - static fromEnv(env) -> constructor config, or null when not configured
+ * - this.capabilities set in the constructor (see BaseProvider)
+ *
+ * Directory providers are registered under their file name without the
+ * `Provider` suffix, lowercased (PolygonProvider.js -> 'polygon').
+ *
+ * Usage:
+ * const providerRegistry = require('./src/providers/ProviderRegistry');
+ *
+ * providerRegistry.register('polygon', PolygonProvider);
+ * providerRegistry.loadDirectory('./providers');
+ * const Provider = providerRegistry.get('polygon');
+ */
+
+const fs = require('fs');
+const path = require('path');
+const BaseProvider = require('./BaseProvider');
+const AlpacaProvider = require('./AlpacaProvider');
+const SchwabProvider = require('./SchwabProvider');
+const LocalFileProvider = require('./LocalFileProvider');
+const MockProvider = require('./MockProvider');
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map(); // name -> provider class
+  }
+
+  /**
+   * Register a provider class
+   * @param {string} name - Name used in PROVIDER_PRIORITY (case-insensitive)
+   * @param {Function} ProviderClass - Class extending BaseProvider with a static fromEnv(env)
+   * @throws {Error} 'Invalid provider ...' when the class doesn't implement the interface
+   */
+  register(name, ProviderClass) {
+    const key = String(name).trim().toLowerCase();
+
+    if (!key) {
+      throw new Error('Invalid provider: name is required');
+    }
+    if (typeof ProviderClass !== 'function' || !(ProviderClass.prototype instanceof BaseProvider)) {
+      throw new Error(`Invalid provider ${key}: must be a class extending BaseProvider`);
+    }
+    if (typeof ProviderClass.fromEnv !== 'function') {
+      throw new Error(`Invalid provider ${key}: missing static fromEnv(env)`);
+    }
+
+    if (this.providers.has(key) && this.providers.get(key) !== ProviderClass) {
+      console.log(`⚠️  Provider ${key} re-registered, replacing previous implementation`);
+    }
+    this.providers.set(key, ProviderClass);
+  }
+
+  /**
+   * Register every provider module in a directory
+   * @param {string} dir - Directory of *.js provider modules (relative to the working directory)
+   * @returns {Array<string>} Names registered
+   */
+  loadDirectory(dir) {
+    const resolved = path.resolve(dir);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Provider directory not found: ${resolved}`);
+    }
+
+    const registered = [];
+    for (const file of fs.readdirSync(resolved).sort()) {
+      if (!file.endsWith('.js')) continue;
+
+      const name = path.basename(file, '.js').replace(/Provider$/i, '').toLowerCase();
+      try {
+        this.register(name, require(path.join(resolved, file)));
+        registered.push(name);
+      } catch (error) {
+        console.log(`⚠️  Skipping provider module ${file}: ${error.message}`);
+      }
+    }
+
+    return registered;
+  }
+
+  /**
+   * @param {string} name - Provider name (case-insensitive)
+   * @returns {Function|null} Provider class
+   */
+  get(name) {
+    return this.providers.get(String(name).trim().toLowerCase()) || null;
+  }
+
+  has(name) {
+    return this.get(name) !== null;
+  }
+
+  /**
+   * @returns {Array<string>} Registered provider names
+   */
+  list() {
+    return Array.from(this.providers.keys());
+  }
+}
+
+// Singleton instance with the built-in providers
+const providerRegistry = new ProviderRegistry();
+providerRegistry.register('alpaca', AlpacaProvider);
+providerRegistry.register('schwab', SchwabProvider);
+providerRegistry.register('local', LocalFileProvider);
+providerRegistry.register('mock', MockProvider);
+
+module.exports = providerRegistry;
@@ -5,6 +5,7 @@
 
 const axios = require('axios');
 const BaseProvider = require('./BaseProvider');
+const clock = require('../utils/clock');
 const SchwabOAuthManager = require('../auth/SchwabOAuthManager');
 
 class SchwabProvider extends BaseProvider {
@@ -15,6 +16,64 @@ class SchwabProvider extends BaseProvider {
     this.appKey = config.appKey;
     this.appSecret = config.appSecret;
     this.oauthManager = new SchwabOAuthManager(config);
+    this.refreshing = null;
+    
+    // Parallel pricehistory requests when fanning out a symbol list
+    this.maxConcurrency = config.maxConcurrency || 4;
+    
+    // Rate limiting (120 requests/minute), shared by all fanned-out requests
+    this.requestTimestamps = [];
+    this.maxRequestsPerMinute = config.requestsPerMinute || 120;
+    this.rateLimitWait = null;
+    
+    this.capabilities = {
+      ...this.capabilities,
+      // pricehistory only has 1/5/10/15/30 minute frequencies plus daily/weekly/monthly
+      intervals: ['1m', '5m', '15m', '30m', '1d', '1w', '1mo'],
+      // Lists are fanned out to one request per symbol (see fetchBars)
+      batchSymbols: true,
+      maxBatchSize: config.maxBatchSize || 50,
+      rateLimit: { requestsPerMinute: this.maxRequestsPerMinute }
+    };
+  }
+
+  static fromEnv(env) {
+    if (!env.SCHWAB_APP_KEY) return null;
+    return {
+      appKey: env.SCHWAB_APP_KEY,
+      appSecret: env.SCHWAB_APP_SECRET,
+      redirectUri: env.SCHWAB_REDIRECT_URI,
+      baseURL: env.SCHWAB_BASE_URL,
+      maxConcurrency: parseInt(env.SCHWAB_CONCURRENCY) || 4
+    };
+  }
+
+  /**
+   * Wait until a request fits in the last minute's budget
+   * Concurrent callers share one wait, then each takes its slot in turn
+   */
+  async waitForRateLimit() {
+    for (;;) {
+      if (this.rateLimitWait) {
+        await this.rateLimitWait;
+        continue;
+      }
+
+      const now = clock.now();
+      this.requestTimestamps = this.requestTimestamps.filter(ts => ts > now - 60000);
+      if (this.requestTimestamps.length < this.maxRequestsPerMinute) {
+        this.requestTimestamps.push(now);
+        return;
+      }
+
+      const waitTime = 60000 - (now - this.requestTimestamps[0]) + 1000; // +1s buffer
+      console.log(`  🛑 Schwab rate limit reached: ${this.requestTimestamps.length}/${this.maxRequestsPerMinute} requests`);
+      console.log(`  ⏳ Waiting ${Math.ceil(waitTime / 1000)} seconds for rate limit reset...`);
+      this.rateLimitWait = clock.sleep(waitTime).finally(() => {
+        this.requestTimestamps = []; // Clear all timestamps after waiting
+        this.rateLimitWait = null;
+      });
+    }
   }
 
   async isAvailable() {
@@ -30,11 +89,72 @@ class SchwabProvider extends BaseProvider {
     }
   }
 
-  async fetchBars(symbol, interval, startDate, endDate, includeExtended = false) {
+  /**
+   * Fetch bars for one symbol or a comma-separated list
+   * pricehistory is single-symbol, so lists fan out to at most maxConcurrency
+   * requests at a time
+   * @param {string|Date} startDate - ISO string or Date (same as AlpacaProvider)
+   * @returns {Promise<Array|Object>} [bars] for one symbol, { SYMBOL: [bars] } for a list
+   * @throws {Error} When a list request fails part way: error.partialBars has the symbols
+   *   fetched before it, error.failedSymbols the rest (failed or never requested)
+   */
+  async fetchBars(symbols, interval, startDate, endDate, includeExtended = false) {
     if (!await this.isAvailable()) {
       throw new Error('Schwab provider not configured or tokens expired');
     }
 
+    const range = {
+      startDate: this._toEpochMillis(startDate),
+      endDate: this._toEpochMillis(endDate)
+    };
+
+    const isBatch = typeof symbols === 'string' && symbols.includes(',');
+    if (!isBatch) {
+      return this._fetchSymbolBars(symbols, interval, range, includeExtended);
+    }
+
+    const symbolList = symbols.split(',').map(s => s.trim()).filter(s => s.length > 0);
+    const bars = {};
+    const fetched = new Set(); // Answered, with or without bars
+    let failure = null;
+    let next = 0;
+
+    // Worker pool: each worker takes the next symbol until the list runs out or a request fails
+    const worker = async () => {
+      while (!failure && next < symbolList.length) {
+        const symbol = symbolList[next++];
+        try {
+          const symbolBars = await this._fetchSymbolBars(symbol, interval, range, includeExtended);
+          if (symbolBars.length > 0) bars[symbol] = symbolBars;
+          fetched.add(symbol);
+        } catch (error) {
+          failure = failure || error;
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.maxConcurrency, symbolList.length) }, worker));
+
+    // Keep the requested order
+    const result = Object.fromEntries(symbolList.filter(symbol => bars[symbol]).map(symbol => [symbol, bars[symbol]]));
+
+    if (failure) {
+      // The manager keeps partialBars and asks the next provider for failedSymbols
+      const failedSymbols = symbolList.filter(symbol => !fetched.has(symbol));
+      console.log(`  ⚠️  Schwab: stopped after ${fetched.size}/${symbolList.length} symbols (${failure.message})`);
+      throw Object.assign(new Error(`${failure.message} (${failedSymbols.length}/${symbolList.length} symbols not fetched)`), {
+        partialBars: result,
+        failedSymbols
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * One pricehistory request (waits on the rate limiter first)
+   * @param {Object} range - { startDate, endDate } in epoch milliseconds
+   */
+  async _fetchSymbolBars(symbol, interval, range, includeExtended, retried = false) {
     // Map intervals to Schwab's periodType and frequencyType
     const intervalConfig = this._getIntervalConfig(interval);
     
@@ -43,11 +163,14 @@ class SchwabProvider extends BaseProvider {
       periodType: intervalConfig.periodType,
       frequencyType: intervalConfig.frequencyType,
       frequency: intervalConfig.frequency,
-      startDate: Math.floor(startDate.getTime()),
-      endDate: Math.floor(endDate.getTime()),
+      startDate: range.startDate,
+      endDate: range.endDate,
       needExtendedHoursData: includeExtended
     };
 
+    // Wait for rate limit before making request (a 401 retry counts as another request)
+    await this.waitForRateLimit();
+
     try {
       const accessToken = await this.oauthManager.getAccessToken();
       
@@ -76,19 +199,42 @@ class SchwabProvider extends BaseProvider {
         n: null   // Schwab doesn't provide trade count
       }));
     } catch (error) {
-      if (error.response?.status === 401) {
+      if (error.response?.status === 401 && !retried) {
         // Token expired, try to refresh
         try {
-          await this.oauthManager.refreshAccessToken();
-          return await this.fetchBars(symbol, interval, startDate, endDate, includeExtended);
+          await this._refreshAccessToken();
         } catch (refreshError) {
           throw new Error('Schwab authentication failed');
         }
+        return this._fetchSymbolBars(symbol, interval, range, includeExtended, true);
       }
       throw new Error(`Schwab API error: ${error.message}`);
     }
   }
 
+  /**
+   * Refresh the access token once for all concurrent requests that got a 401
+   */
+  _refreshAccessToken() {
+    if (!this.refreshing) {
+      this.refreshing = this.oauthManager.refreshAccessToken()
+        .finally(() => { this.refreshing = null; });
+    }
+    return this.refreshing;
+  }
+
+  /**
+   * @param {string|Date} date - ISO string or Date
+   * @returns {number} Epoch milliseconds
+   */
+  _toEpochMillis(date) {
+    const ms = date instanceof Date ? date.getTime() : (typeof date === 'string' ? Date.parse(date) : NaN);
+    if (Number.isNaN(ms)) {
+      throw new Error('Invalid date format');
+    }
+    return ms;
+  }
+
   async validateSymbol(symbol) {
     if (!await this.isAvailable()) {
       throw new Error('Schwab provider not configured');
@@ -115,13 +261,9 @@ class SchwabProvider extends BaseProvider {
   _getIntervalConfig(interval) {
     const configs = {
       '1m': { periodType: 'day', frequencyType: 'minute', frequency: 1 },
-      '2m': { periodType: 'day', frequencyType: 'minute', frequency: 2 },
       '5m': { periodType: 'day', frequencyType: 'minute', frequency: 5 },
       '15m': { periodType: 'day', frequencyType: 'minute', frequency: 15 },
       '30m': { periodType: 'day', frequencyType: 'minute', frequency: 30 },
-      '1h': { periodType: 'month', frequencyType: 'minute', frequency: 60 },
-      '2h': { periodType: 'month', frequencyType: 'minute', frequency: 120 },
-      '4h': { periodType: 'month', frequencyType: 'minute', frequency: 240 },
       '1d': { periodType: 'year', frequencyType: 'daily', frequency: 1 },
       '1w': { periodType: 'year', frequencyType: 'weekly', frequency: 1 },
       '1mo': { periodType: 'year', frequencyType: 'monthly', frequency: 1 }
@@ -0,0 +1,212 @@
+/**
+ * Bar Aggregation Utility
+ * Builds derived intervals (3m, 45m, 3h, 2d, 3mo, ...) from stored bars by time bucket
+ *
+ * Bars are assigned to buckets by timestamp, never by array position, so a
+ * bucket can't straddle a data gap or a session boundary:
+ * - Intraday: buckets are anchored to the open of the bar's session (pre 4:00,
+ *   regular 9:30, post 16:00 ET, early closes included) and end with it
+ * - Daily: anchored to the calendar week (2d = Mon-Tue, Wed-Thu, Fri)
+ * - Weekly / monthly: anchored to fixed calendar boundaries (3mo = quarters, 12mo = years)
+ *
+ * Buckets with fewer source bars than their span can hold are flagged `partial`
+ * (missing data, or a bucket still forming).
+ *
+ * Usage:
+ * const { aggregateBars } = require('./src/utils/barAggregation');
+ *
+ * const bars45m = aggregateBars(bars15m, '15m', 3);
+ * // [{ ts, open, high, low, close, volume, vwap, trade_count, data_source, partial }, ...]
+ */
+
+const {
+  INTRADAY_INTERVAL_MINUTES,
+  getETParts,
+  etDateTimeToUnix,
+  addDays
+} = require('./marketTime');
+const tradingCalendar = require('./tradingCalendar');
+
+// Monday used as the origin for week-aligned buckets
+const EPOCH_MONDAY = '1970-01-05';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Session bounds keys in tradingCalendar.getTradingDay().minutes
+const SESSION_BOUNDS = {
+  pre: ['preOpen', 'open'],
+  regular: ['open', 'close'],
+  post: ['close', 'postClose']
+};
+
+/**
+ * Whole days between the epoch Monday and a 'YYYY-MM-DD' date
+ */
+function daysSinceEpochMonday(date) {
+  return Math.round((Date.parse(date) - Date.parse(EPOCH_MONDAY)) / DAY_MS);
+}
+
+/**
+ * Snap a session boundary (minutes since midnight ET) onto the source bar grid
+ * Opening boundaries round down, closing boundaries round up
+ */
+function snapToGrid(minutes, boundary, sourceMinutes) {
+  const round = boundary === 'close' || boundary === 'postClose' ? Math.ceil : Math.floor;
+  return round(minutes / sourceMinutes) * sourceMinutes;
+}
+
+/**
+ * Locate the intraday bucket a bar belongs to
+ * @returns {Object} { key, ts (bucket start), expected (source bars the bucket can hold) }
+ */
+function getIntradayBucket(bar, sourceInterval, sourceMinutes, bucketMinutes, dayCache) {
+  const et = getETParts(bar.ts);
+
+  if (!dayCache.has(et.date)) {
+    dayCache.set(et.date, tradingCalendar.getTradingDay(et.date));
+  }
+  const day = dayCache.get(et.date);
+
+  const session = bar.session
+    || tradingCalendar.getCandleMarketFields(bar.ts, sourceInterval).session
+    || 'closed';
+
+  // Session bounds snapped to the source grid the same way bars are classified
+  // (a bar overlapping the regular session is regular, so hourly regular bars run 9:00-16:00)
+  let anchor = 0;
+  let lastSlotEnd = 24 * 60;
+  if (day.isTradingDay && SESSION_BOUNDS[session]) {
+    const [startKey, endKey] = SESSION_BOUNDS[session];
+    anchor = snapToGrid(day.minutes[startKey], startKey, sourceMinutes);
+    lastSlotEnd = snapToGrid(day.minutes[endKey], endKey, sourceMinutes);
+  }
+
+  const index = Math.floor((et.minutes - anchor) / bucketMinutes);
+  const bucketStart = anchor + index * bucketMinutes;
+  const bucketEnd = Math.min(bucketStart + bucketMinutes, lastSlotEnd);
+
+  return {
+    key: `${et.date}|${session}|${index}`,
+    ts: bar.ts - (et.minutes - bucketStart) * 60 - et.second,
+    expected: Math.max(1, Math.ceil((bucketEnd - bucketStart) / sourceMinutes))
+  };
+}
+
+/**
+ * Locate the daily/weekly/monthly bucket a bar belongs to
+ * @returns {Object} { key, startDate, expected }
+ */
+function getCalendarBucket(bar, sourceInterval, multiplier) {
+  const et = getETParts(bar.ts);
+
+  if (sourceInterval === '1mo') {
+    const index = Math.floor((et.year * 12 + et.month - 1) / multiplier);
+    const firstMonth = index * multiplier;
+    const year = Math.floor(firstMonth / 12);
+    const month = String(firstMonth % 12 + 1).padStart(2, '0');
+    return { key: `mo|${index}`, startDate: `${year}-${month}-01`, expected: multiplier };
+  }
+
+  const dayNumber = daysSinceEpochMonday(et.date);
+
+  if (sourceInterval === '1w') {
+    const index = Math.floor(Math.floor(dayNumber / 7) / multiplier);
+    return { key: `w|${index}`, startDate: addDays(EPOCH_MONDAY, index * multiplier * 7), expected: multiplier };
+  }
+
+  // Daily: group within the calendar week when the span fits, otherwise fixed spans from the epoch Monday
+  let startDayNumber;
+  let spanEnd;
+  if (multiplier <= 7) {
+    const weekStart = dayNumber - (dayNumber % 7);
+    startDayNumber = weekStart + Math.floor((dayNumber - weekStart) / multiplier) * multiplier;
+    spanEnd = Math.min(startDayNumber + multiplier, weekStart + 7);
+  } else {
+    startDayNumber = Math.floor(dayNumber / multiplier) * multiplier;
+    spanEnd = startDayNumber + multiplier;
+  }
+
+  const startDate = addDays(EPOCH_MONDAY, startDayNumber);
+  let expected = 0;
+  for (let i = 0; i < spanEnd - startDayNumber; i++) {
+    if (tradingCalendar.isTradingDay(addDays(startDate, i))) expected++;
+  }
+
+  return { key: `d|${startDayNumber}`, startDate, expected: Math.max(1, expected) };
+}
+
+/**
+ * Combine the source bars of one bucket
+ * OHLC: first open, max high, min low, last close; volume and trade_count summed;
+ * vwap volume-weighted across bars that have one; data_source lists every provider involved
+ */
+function combineBars(ts, chunk, expected) {
+  const highs = chunk.map(b => Number(b.high)).filter(v => !isNaN(v));
+  const lows = chunk.map(b => Number(b.low)).filter(v => !isNaN(v));
+  const volume = chunk.reduce((sum, b) => sum + (Number(b.volume) || 0), 0);
+
+  let vwapNumerator = 0;
+  let vwapVolume = 0;
+  let tradeCount = null;
+  const sources = new Set();
+  for (const b of chunk) {
+    if (b.data_source) sources.add(b.data_source);
+    const vwap = b.vwap === null || b.vwap === undefined ? NaN : Number(b.vwap);
+    const barVolume = Number(b.volume) || 0;
+    if (!isNaN(vwap) && barVolume > 0) {
+      vwapNumerator += vwap * barVolume;
+      vwapVolume += barVolume;
+    }
+    if (b.trade_count !== null && b.trade_count !== undefined) {
+      tradeCount = (tradeCount || 0) + (Number(b.trade_count) || 0);
+    }
+  }
+
+  return {
+    ts,
+    open: chunk[0].open,
+    high: highs.length > 0 ? Math.max(...highs) : chunk[0].high,
+    low: lows.length > 0 ? Math.min(...lows) : chunk[0].low,
+    close: chunk[chunk.length - 1].close,
+    volume,
+    vwap: vwapVolume > 0 ? vwapNumerator / vwapVolume : null,
+    trade_count: tradeCount,
+    data_source: sources.size > 0 ? Array.from(sources).join('+') : null,
+    partial: chunk.length < expected
+  };
+}
+
+/**
+ * Aggregate bars for non-stored intervals
+ * @param {Array} bars - Source bars sorted by ts ascending ({ ts, open, high, low, close, volume, vwap?, trade_count?, session? })
+ * @param {string} sourceInterval - Stored interval the bars come from ('1m' ... '1mo')
+ * @param {number} multiplier - Source bars per bucket (e.g., 3 for 45m from 15m)
+ * @returns {Array} Aggregated bars, each with a `partial` flag
+ */
+function aggregateBars(bars, sourceInterval, multiplier) {
+  if (multiplier === 1) return bars;
+
+  const sourceMinutes = INTRADAY_INTERVAL_MINUTES[sourceInterval];
+  const dayCache = new Map();
+  const buckets = new Map(); // key -> { ts, expected, bars }
+
+  for (const bar of bars) {
+    let bucket;
+    if (sourceMinutes) {
+      bucket = getIntradayBucket(bar, sourceInterval, sourceMinutes, sourceMinutes * multiplier, dayCache);
+    } else {
+      bucket = getCalendarBucket(bar, sourceInterval, multiplier);
+    }
+
+    if (!buckets.has(bucket.key)) {
+      const ts = bucket.ts ?? etDateTimeToUnix(bucket.startDate, 0);
+      buckets.set(bucket.key, { ts, expected: bucket.expected, bars: [] });
+    }
+    buckets.get(bucket.key).bars.push(bar);
+  }
+
+  return Array.from(buckets.values()).map(b => combineBars(b.ts, b.bars, b.expected));
+}
+
+module.exports = {
+  aggregateBars
+};
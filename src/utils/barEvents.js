@@ -0,0 +1,108 @@
+/**
+ * Bar Event Bus
+ * In-process feed of candles as they are written, from the collector side to API listeners
+ *
+ * storeBars() publishes every inserted or changed candle; subscribers (the SSE
+ * stream) get a 'bar' event per candle. Recent events are kept in a ring buffer
+ * so reconnecting clients can resume from their Last-Event-ID.
+ *
+ * Event ids are `<bootId>-<seq>`: ids from a previous process (or older than the
+ * buffer) can't be resumed, and since() reports that as a gap.
+ *
+ * Collection lifecycle events ('symbol_queued', 'symbol_ready', 'refresh_complete')
+ * go out on the 'collection' channel; they are not buffered.
+ *
+ * Usage:
+ * const barEvents = require('./src/utils/barEvents');
+ *
+ * barEvents.publish('AAPL', '1m', [{ ts, open, high, low, close, volume, vwap, trade_count, change: 'insert' }], 'Alpaca');
+ * barEvents.on('bar', event => console.log(event.id, event.symbol, event.bar.close));
+ * const { events, gap } = barEvents.since(lastEventId);
+ *
+ * barEvents.publishCollection('symbol_ready', 'AAPL', { intervals: ['1d', '1h'] });
+ * barEvents.on('collection', event => console.log(event.type, event.symbol));
+ */
+
+const { EventEmitter } = require('events');
+
+const BUFFER_SIZE = parseInt(process.env.STREAM_BUFFER_SIZE) || 5000;
+
+class BarEventBus extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per open stream connection
+    this.setMaxListeners(0);
+    this.bootId = Date.now().toString(36);
+    this.seq = 0;
+    this.buffer = [];
+  }
+
+  /**
+   * Publish stored candles
+   * @param {string} symbol - Stock symbol
+   * @param {string} interval - Stored interval ('1m' ... '1mo')
+   * @param {Array<Object>} bars - { ts, open, high, low, close, volume, vwap, trade_count, change: 'insert'|'update' }
+   * @param {string} source - Provider that supplied the bars
+   */
+  publish(symbol, interval, bars, source) {
+    for (const { change, ...bar } of bars) {
+      const event = {
+        id: `${this.bootId}-${++this.seq}`,
+        seq: this.seq,
+        symbol,
+        interval,
+        change,
+        source,
+        bar
+      };
+
+      this.buffer.push(event);
+      if (this.buffer.length > BUFFER_SIZE) {
+        this.buffer.shift();
+      }
+
+      this.emit('bar', event);
+    }
+  }
+
+  /**
+   * Publish a collection lifecycle event
+   * @param {string} type - 'symbol_queued' | 'symbol_ready' | 'refresh_complete'
+   * @param {string} symbol - Stock symbol
+   * @param {Object} details - Extra fields merged into the event
+   */
+  publishCollection(type, symbol, details = {}) {
+    this.emit('collection', {
+      type,
+      symbol,
+      time: Math.floor(Date.now() / 1000),
+      ...details
+    });
+  }
+
+  /**
+   * Buffered events after a given event id
+   * @param {string} lastEventId - Id of the last event the client received
+   * @returns {Object} { events, gap } - gap is true when events may have been missed
+   *   (unknown id, id from another process, or id older than the buffer)
+   */
+  since(lastEventId) {
+    const [bootId, seqPart] = String(lastEventId || '').split('-');
+    const seq = parseInt(seqPart);
+
+    if (bootId !== this.bootId || isNaN(seq) || seq > this.seq) {
+      return { events: [], gap: true };
+    }
+
+    const oldest = this.buffer.length > 0 ? this.buffer[0].seq : this.seq + 1;
+    return {
+      events: this.buffer.filter(event => event.seq > seq),
+      gap: seq < oldest - 1
+    };
+  }
+}
+
+// Singleton instance
+const barEvents = new BarEventBus();
+
+module.exports = barEvents;
@@ -0,0 +1,132 @@
+/**
+ * Candle Output Formats
+ * Row-oriented serializations of candles (CSV, NDJSON, JSON rows) for data-science clients
+ *
+ * Rows carry the columns the Yahoo chart format drops (vwap, trade_count,
+ * data_source). Output is written row by row, waiting for the socket to drain,
+ * so large ranges don't build one big string in memory. Writing stops if the
+ * client disconnects.
+ *
+ * Usage:
+ * const { ROW_FORMATS, writeCandleRows } = require('./src/utils/candleFormats');
+ *
+ * res.type(ROW_FORMATS.csv.contentType);
+ * await writeCandleRows(res, 'csv', 'AAPL', candles);
+ */
+
+const COLUMNS = ['symbol', 'timestamp', 'datetime', 'open', 'high', 'low', 'close', 'volume', 'vwap', 'trade_count', 'data_source', 'partial'];
+
+const ROW_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  'json-rows': { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// Rows per res.write() call
+const WRITE_CHUNK_ROWS = 500;
+
+function toNumber(value) {
+  if (value === null || value === undefined) return null;
+  const n = Number(value);
+  return isNaN(n) ? null : n;
+}
+
+/**
+ * Flatten one candle into a row object (COLUMNS order)
+ */
+function toRow(symbol, candle) {
+  return {
+    symbol,
+    timestamp: candle.ts,
+    datetime: new Date(candle.ts * 1000).toISOString(),
+    open: toNumber(candle.open),
+    high: toNumber(candle.high),
+    low: toNumber(candle.low),
+    close: toNumber(candle.close),
+    volume: toNumber(candle.volume),
+    vwap: toNumber(candle.vwap),
+    trade_count: toNumber(candle.trade_count),
+    data_source: candle.data_source || null,
+    partial: Boolean(candle.partial)
+  };
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const serializers = {
+  csv: {
+    header: () => COLUMNS.join(',') + '\n',
+    row: (row) => COLUMNS.map(column => csvField(row[column])).join(',') + '\n',
+    separator: '',
+    footer: () => ''
+  },
+  ndjson: {
+    header: () => '',
+    row: (row) => JSON.stringify(row) + '\n',
+    separator: '',
+    footer: () => ''
+  },
+  'json-rows': {
+    header: () => '[',
+    row: (row) => JSON.stringify(row),
+    separator: ',',
+    footer: () => ']\n'
+  }
+};
+
+/**
+ * Write a chunk, waiting for 'drain' when the socket buffer is full
+ * Also settles on 'close' / 'error': a client that disconnects never drains
+ */
+function write(res, chunk) {
+  if (res.write(chunk) || res.destroyed) return Promise.resolve();
+
+  return new Promise(resolve => {
+    const settle = () => {
+      res.off('drain', settle);
+      res.off('close', settle);
+      res.off('error', settle);
+      resolve();
+    };
+    res.on('drain', settle);
+    res.on('close', settle);
+    res.on('error', settle);
+  });
+}
+
+/**
+ * Serialize candles to the response and end it
+ * @param {Object} res - Express response (headers not yet sent)
+ * @param {string} format - 'csv' | 'ndjson' | 'json-rows'
+ * @param {string} symbol - Symbol written in every row
+ * @param {Array<Object>} candles - { ts, open, high, low, close, volume, vwap, trade_count, data_source, partial? }
+ */
+async function writeCandleRows(res, format, symbol, candles) {
+  const serializer = serializers[format];
+
+  let chunk = serializer.header();
+  for (let i = 0; i < candles.length; i++) {
+    if (i > 0) chunk += serializer.separator;
+    chunk += serializer.row(toRow(symbol, candles[i]));
+
+    if ((i + 1) % WRITE_CHUNK_ROWS === 0) {
+      if (res.destroyed) return;
+      await write(res, chunk);
+      chunk = '';
+    }
+  }
+
+  if (res.destroyed) return;
+  chunk += serializer.footer();
+  res.end(chunk);
+}
+
+module.exports = {
+  COLUMNS,
+  ROW_FORMATS,
+  writeCandleRows
+};
@@ -0,0 +1,185 @@
+/**
+ * Candle Store
+ * Writes provider bars to the candles table - the one storage path for app.js
+ * and setup.js
+ *
+ * Bars are written in chunks of STORE_CHUNK_SIZE inside one transaction per call.
+ * Each chunk is one SELECT of the rows already stored at those timestamps plus one
+ * multi-row INSERT ... ON DUPLICATE KEY UPDATE of the new and changed bars, instead
+ * of a round trip per bar. Comparing against the stored rows gives exact
+ * inserted/updated counts (a multi-row upsert's affectedRows can't be split) and
+ * skips bars that are already stored unchanged, which is most of a full refresh.
+ *
+ * Usage:
+ * const { upsertCandles } = require('./src/utils/candleStore');
+ *
+ * // db is the pool (a connection is taken for the transaction) or a connection
+ * const { inserted, updated, unchanged, changed } = await upsertCandles(db, stockId, '1d', bars, 'alpaca');
+ * // changed: written candles with change 'insert' | 'update', for the bar event bus
+ */
+
+const { getCandleMarketFields } = require('./tradingCalendar');
+
+const STORE_CHUNK_SIZE = parseInt(process.env.STORE_CHUNK_SIZE) || 1000;
+
+// DECIMAL(12, 4) price columns
+const PRICE_SCALE = 10000;
+
+async function retryOnDeadlock(fn, maxRetries = 3) {
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (error.code === 'ER_LOCK_DEADLOCK' && attempt < maxRetries) {
+        console.log(`  ⚠️  Deadlock detected, retrying (${attempt}/${maxRetries})...`);
+        await new Promise(resolve => setTimeout(resolve, 100 * Math.pow(2, attempt - 1)));
+        continue;
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Run `work(connection)` in a transaction
+ * A pool lends a connection for it; a connection passed in is used as-is (not released)
+ */
+async function withTransaction(db, work) {
+  const connection = typeof db.getConnection === 'function' ? await db.getConnection() : db;
+
+  try {
+    await connection.beginTransaction();
+    const result = await work(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback().catch(() => {});
+    throw error;
+  } finally {
+    if (connection !== db) connection.release();
+  }
+}
+
+/**
+ * Provider bar ({ t, o, h, l, c, v, vw, n }) to candle columns
+ */
+function toCandle(bar, intervalType) {
+  const ts = Math.floor(new Date(bar.t).getTime() / 1000);
+  const { session, tradingDate } = getCandleMarketFields(ts, intervalType);
+  return {
+    ts,
+    open: parseFloat(bar.o),
+    high: parseFloat(bar.h),
+    low: parseFloat(bar.l),
+    close: parseFloat(bar.c),
+    volume: parseInt(bar.v) || 0,
+    vwap: parseFloat(bar.vw) || null,
+    trade_count: parseInt(bar.n) || null,
+    session,
+    trading_date: tradingDate
+  };
+}
+
+const samePrice = (a, b) => (a === null || a === undefined || b === null || b === undefined)
+  ? (a === null || a === undefined) === (b === null || b === undefined)
+  : Math.round(Number(a) * PRICE_SCALE) === Math.round(Number(b) * PRICE_SCALE);
+
+/**
+ * Would writing `candle` change the stored row? (DECIMAL columns come back as strings)
+ */
+function isUnchanged(stored, candle, source) {
+  return samePrice(stored.open, candle.open)
+    && samePrice(stored.high, candle.high)
+    && samePrice(stored.low, candle.low)
+    && samePrice(stored.close, candle.close)
+    && samePrice(stored.vwap, candle.vwap)
+    && Number(stored.volume) === candle.volume
+    && (stored.trade_count === null ? null : Number(stored.trade_count)) === candle.trade_count
+    && stored.data_source === source;
+}
+
+/**
+ * Upsert one chunk (already de-duplicated by ts)
+ */
+async function upsertChunk(connection, stockId, intervalType, candles, source, totals) {
+  const [stored] = await connection.query(
+    `SELECT ts, open, high, low, close, volume, vwap, trade_count, data_source
+     FROM candles
+     WHERE stock_id = ? AND interval_type = ? AND ts IN (?)`,
+    [stockId, intervalType, candles.map(c => c.ts)]
+  );
+  const storedByTs = new Map(stored.map(row => [Number(row.ts), row]));
+
+  const writes = [];
+  for (const candle of candles) {
+    const existing = storedByTs.get(candle.ts);
+    if (existing && isUnchanged(existing, candle, source)) {
+      totals.unchanged++;
+      continue;
+    }
+    writes.push({ ...candle, change: existing ? 'update' : 'insert' });
+  }
+
+  if (writes.length === 0) return;
+
+  await connection.query(
+    `INSERT INTO candles
+       (stock_id, interval_type, ts, open, high, low, close, volume, vwap, trade_count, data_source, session, trading_date)
+     VALUES ?
+     ON DUPLICATE KEY UPDATE
+       open = VALUES(open),
+       high = VALUES(high),
+       low = VALUES(low),
+       close = VALUES(close),
+       volume = VALUES(volume),
+       vwap = VALUES(vwap),
+       trade_count = VALUES(trade_count),
+       data_source = VALUES(data_source),
+       session = VALUES(session),
+       trading_date = VALUES(trading_date),
+       split_adjusted_through = NULL`,
+    [writes.map(c => [
+      stockId, intervalType, c.ts, c.open, c.high, c.low, c.close, c.volume, c.vwap, c.trade_count, source, c.session, c.trading_date
+    ])]
+  );
+
+  for (const { session, trading_date, ...candle } of writes) {
+    if (candle.change === 'insert') totals.inserted++;
+    else totals.updated++;
+    totals.changed.push(candle);
+  }
+}
+
+/**
+ * Store provider bars for one symbol/interval
+ * @param {Object} db - Pool or connection
+ * @param {Array<Object>} bars - Provider bars { t, o, h, l, c, v, vw, n }
+ * @param {string} source - Provider name stored in data_source
+ * @returns {Promise<Object>} { inserted, updated, unchanged, changed }
+ */
+async function upsertCandles(db, stockId, intervalType, bars, source) {
+  if (!bars || bars.length === 0) {
+    return { inserted: 0, updated: 0, unchanged: 0, changed: [] };
+  }
+
+  // Last bar wins when a response repeats a timestamp
+  const byTs = new Map();
+  for (const bar of bars) {
+    const candle = toCandle(bar, intervalType);
+    byTs.set(candle.ts, candle);
+  }
+  const candles = Array.from(byTs.values()).sort((a, b) => a.ts - b.ts);
+
+  return retryOnDeadlock(() => withTransaction(db, async (connection) => {
+    const totals = { inserted: 0, updated: 0, unchanged: 0, changed: [] };
+    for (let i = 0; i < candles.length; i += STORE_CHUNK_SIZE) {
+      await upsertChunk(connection, stockId, intervalType, candles.slice(i, i + STORE_CHUNK_SIZE), source, totals);
+    }
+    return totals;
+  }));
+}
+
+module.exports = {
+  STORE_CHUNK_SIZE,
+  upsertCandles
+};
@@ -0,0 +1,177 @@
+/**
+ * Clock
+ * Single source of "now" for market hours, staleness checks and collection scheduling
+ *
+ * By default it is the system clock and schedule() hands jobs to node-cron.
+ * After set() it becomes a simulated clock: time stands still until advance()
+ * moves it, and jobs scheduled while simulated fire (in order, awaited) as
+ * advance() passes their cron times. That lets tests drive the collector
+ * through a trading day in milliseconds.
+ *
+ * Simulated schedules are evaluated in market time (America/New_York), the only
+ * timezone the collector schedules in.
+ *
+ * Usage:
+ * const clock = require('./src/utils/clock');
+ *
+ * clock.now();                             // ms since epoch
+ * clock.nowSeconds();                      // unix seconds
+ * clock.schedule('0 16 * * 1-5', () => collectInterval('1d'), { timezone: 'America/New_York' });
+ *
+ * clock.set('2024-03-15T13:29:00Z');       // freeze at 9:29 AM ET
+ * await clock.advance(2 * 60 * 1000);      // runs jobs due at 9:30, 9:30:15, ...
+ * clock.useSystemTime();
+ */
+
+const cron = require('node-cron');
+const TimeMatcher = require('node-cron/src/time-matcher');
+const { MARKET_TIMEZONE, getETParts } = require('./marketTime');
+
+/**
+ * Expand a cron expression to one Set of allowed values per field
+ * @returns {Array<Set<number>>} [second, minute, hour, day, month, weekday]
+ */
+function parseCronFields(expression) {
+  return new TimeMatcher(expression, MARKET_TIMEZONE).expressions
+    .map(field => new Set(field.split(',').map(Number)));
+}
+
+/**
+ * Parse a time given to set()
+ * @returns {number} ms since epoch
+ */
+function toMs(time) {
+  const ms = time instanceof Date ? time.getTime()
+    : typeof time === 'number' ? time
+    : Date.parse(time);
+  if (isNaN(ms)) {
+    throw new Error(`Invalid clock time: ${time}`);
+  }
+  return ms;
+}
+
+class Clock {
+  constructor() {
+    this.simulatedMs = null; // null = system time
+    this.tasks = [];         // Jobs scheduled while simulated
+  }
+
+  isSimulated() {
+    return this.simulatedMs !== null;
+  }
+
+  /**
+   * @returns {number} ms since epoch
+   */
+  now() {
+    return this.isSimulated() ? this.simulatedMs : Date.now();
+  }
+
+  /**
+   * @returns {number} Unix timestamp (seconds)
+   */
+  nowSeconds() {
+    return Math.floor(this.now() / 1000);
+  }
+
+  date() {
+    return new Date(this.now());
+  }
+
+  /**
+   * Switch to simulated time, frozen at `time`
+   * @param {Date|number|string} time - Date, ms since epoch or ISO string
+   */
+  set(time) {
+    this.simulatedMs = toMs(time);
+  }
+
+  /**
+   * Back to the system clock; drops simulated jobs
+   */
+  useSystemTime() {
+    this.simulatedMs = null;
+    this.tasks = [];
+  }
+
+  /**
+   * Schedule a job on a cron expression
+   * @param {string} expression - 5 or 6 field cron expression
+   * @param {Function} task - Called with no arguments; a returned promise is awaited by advance()
+   * @param {Object} options - node-cron options ({ scheduled, timezone })
+   * @returns {Object} Handle with stop()
+   */
+  schedule(expression, task, options = {}) {
+    if (!this.isSimulated()) {
+      return cron.schedule(expression, task, options);
+    }
+
+    const entry = { expression, fields: parseCronFields(expression), task, active: true };
+    this.tasks.push(entry);
+    return {
+      start: () => { entry.active = true; },
+      stop: () => { entry.active = false; }
+    };
+  }
+
+  /**
+   * Move simulated time forward, running every job that comes due on the way
+   * @param {number} ms - Milliseconds to advance
+   * @returns {Promise<number>} Jobs run
+   * @throws {Error} 'Clock is not simulated' on the system clock
+   */
+  async advance(ms) {
+    if (!this.isSimulated()) {
+      throw new Error('Clock is not simulated - call clock.set() first');
+    }
+
+    const target = this.simulatedMs + ms;
+    let fired = 0;
+    let minuteTs = null;
+    let parts = null;
+
+    // Cron resolution is one second; ET parts only change minute to minute
+    for (let second = Math.floor(this.simulatedMs / 1000) + 1; second * 1000 <= target; second++) {
+      this.simulatedMs = second * 1000;
+
+      const due = this.tasks.filter(entry => {
+        if (!entry.active || !entry.fields[0].has(second % 60)) return false;
+        if (minuteTs !== second - (second % 60)) {
+          minuteTs = second - (second % 60);
+          parts = getETParts(minuteTs);
+        }
+        const [, minutes, hours, days, months, weekdays] = entry.fields;
+        return minutes.has(parts.minute) && hours.has(parts.hour) && days.has(parts.day)
+          && months.has(parts.month) && weekdays.has(parts.weekday);
+      });
+
+      for (const entry of due) {
+        await entry.task();
+        fired++;
+      }
+      if (due.length > 0) {
+        // Let timers, I/O and signals through between jobs
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+
+    this.simulatedMs = target;
+    return fired;
+  }
+
+  /**
+   * Wait `ms` on the system clock; resolves immediately when simulated
+   * (pacing delays shouldn't slow a simulated run down)
+   */
+  sleep(ms) {
+    if (this.isSimulated()) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+// Singleton instance
+const clock = new Clock();
+
+module.exports = clock;
@@ -0,0 +1,312 @@
+/**
+ * Collection Jobs
+ * Persistent collection queue in the collection_jobs table
+ *
+ * The API queues a job per symbol (all intervals) or symbol:interval; the collector
+ * leases pending jobs, runs them and marks them completed, or failed with a retry
+ * after exponential backoff. Jobs survive restarts:
+ * - A job is only removed from the queue once it has run (no clear-before-processing)
+ * - A worker that dies mid-job leaves a lease that expires after COLLECTION_JOB_LEASE_SECONDS;
+ *   the job is then handed out again (or failed once its attempts are used up)
+ *
+ * There is at most one open (pending or running) job per symbol:interval - `open_key`
+ * is unique and cleared when a job finishes. Queueing it again raises the open job's
+ * priority and pulls its retry forward instead of adding a duplicate.
+ *
+ * Usage:
+ * const jobs = require('./src/utils/collectionJobs');
+ *
+ * const { created } = await jobs.enqueueJob(db, 'AAPL', { reason: 'refresh' });
+ * const leased = await jobs.leaseJobs(db, workerId, 100);
+ * await jobs.completeJob(db, leased[0], { intervals: ['1d'], inserted: 1, updated: 0 });
+ * await jobs.failJob(db, leased[1], error);   // 'pending' (retry later) or 'failed'
+ * await jobs.getLastCollectedAt(db, 'AAPL');   // staleness grace, shared by every process
+ */
+
+const clock = require('./clock');
+
+const JOB_STATUSES = ['pending', 'running', 'completed', 'failed'];
+
+// Higher runs first: a client is waiting on new and stale symbols
+const JOB_PRIORITIES = {
+  new: 30,
+  reactivated: 30,
+  refresh: 20,
+  manual: 10
+};
+
+const MAX_ATTEMPTS = parseInt(process.env.COLLECTION_JOB_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_SECONDS = parseInt(process.env.COLLECTION_JOB_RETRY_SECONDS) || 30;
+const RETRY_MAX_SECONDS = 60 * 60;
+const LEASE_SECONDS = parseInt(process.env.COLLECTION_JOB_LEASE_SECONDS) || 600;
+
+const JOB_COLUMNS = `job_id, symbol, interval_type, reason, status, priority, attempts, max_attempts,
+  error_message, run_after, lease_owner, lease_expires_at, created_at, started_at, completed_at`;
+
+let leaseSequence = 0;
+
+const secondsFromNow = (seconds) => new Date(clock.now() + seconds * 1000);
+
+function openKey(symbol, interval) {
+  return `${symbol}:${interval || 'all'}`;
+}
+
+/**
+ * Backoff before retry number `attempts` (30s, 60s, 120s, ... capped at an hour)
+ */
+function getRetryDelaySeconds(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * Math.pow(2, Math.max(attempts - 1, 0)), RETRY_MAX_SECONDS);
+}
+
+/**
+ * Queue a collection job (merged into the open job for the same symbol:interval)
+ * @param {Object} options - { interval: null for all intervals, reason: key of JOB_PRIORITIES }
+ * @returns {Promise<Object>} { created } - false when an open job already covered it
+ */
+async function enqueueJob(db, symbol, { interval = null, reason = 'manual' } = {}) {
+  if (!JOB_PRIORITIES[reason]) {
+    throw new Error(`Invalid job reason: ${reason}`);
+  }
+  const now = clock.date();
+  const key = openKey(symbol, interval);
+
+  // affectedRows can't tell a new row from an unchanged duplicate (mysql2 sets
+  // FOUND_ROWS, so both report 1), so look for the open job first. Two workers
+  // racing on the same key may both report created; that only repeats an event.
+  const [open] = await db.query('SELECT job_id FROM collection_jobs WHERE open_key = ?', [key]);
+
+  // reason is assigned before priority so it still compares against the old priority
+  await db.query(
+    `INSERT INTO collection_jobs
+       (symbol, interval_type, reason, status, priority, attempts, max_attempts, open_key, run_after, created_at)
+     VALUES (?, ?, ?, 'pending', ?, 0, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       reason = IF(VALUES(priority) > priority, VALUES(reason), reason),
+       priority = GREATEST(priority, VALUES(priority)),
+       run_after = LEAST(run_after, VALUES(run_after))`,
+    [symbol, interval, reason, JOB_PRIORITIES[reason], MAX_ATTEMPTS, key, now, now]
+  );
+
+  return { created: open.length === 0 };
+}
+
+/**
+ * Return running jobs whose lease expired (crashed worker) to the queue
+ * @returns {Promise<number>} Jobs recovered
+ */
+async function recoverExpiredLeases(db) {
+  const now = clock.date();
+  const [result] = await db.query(
+    `UPDATE collection_jobs
+     SET status = IF(attempts >= max_attempts, 'failed', 'pending'),
+         open_key = IF(attempts >= max_attempts, NULL, open_key),
+         completed_at = IF(attempts >= max_attempts, ?, NULL),
+         error_message = 'Lease expired',
+         lease_owner = NULL,
+         lease_expires_at = NULL
+     WHERE status = 'running' AND lease_expires_at < ?`,
+    [now, now]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Lease up to `limit` due pending jobs, highest priority first
+ * @param {string} workerId - Identifies the worker in GET /queue (hostname:pid)
+ * @returns {Promise<Array<Object>>} Job rows, now running and owned by this lease
+ */
+async function leaseJobs(db, workerId, limit) {
+  const owner = `${workerId}#${++leaseSequence}`;
+  const now = clock.date();
+
+  const [result] = await db.query(
+    `UPDATE collection_jobs
+     SET status = 'running', lease_owner = ?, lease_expires_at = ?, attempts = attempts + 1, started_at = ?
+     WHERE status = 'pending' AND run_after <= ?
+     ORDER BY priority DESC, job_id
+     LIMIT ?`,
+    [owner, secondsFromNow(LEASE_SECONDS), now, now, limit]
+  );
+  if (result.affectedRows === 0) return [];
+
+  const [jobs] = await db.query(
+    `SELECT ${JOB_COLUMNS}
+     FROM collection_jobs
+     WHERE lease_owner = ? AND status = 'running'
+     ORDER BY priority DESC, job_id`,
+    [owner]
+  );
+  return jobs;
+}
+
+/**
+ * Record a leased job's outcome (ignored if the lease was lost to another worker)
+ * @param {Object} outcome - { intervals, inserted, updated } of a finished job, stored for other processes
+ */
+async function finishJob(db, job, status, errorMessage, runAfter, outcome = null) {
+  await db.query(
+    `UPDATE collection_jobs
+     SET status = ?, open_key = ?, error_message = ?, run_after = ?, completed_at = ?, outcome = ?,
+         lease_owner = NULL, lease_expires_at = NULL
+     WHERE job_id = ? AND lease_owner = ?`,
+    [
+      status,
+      status === 'pending' ? openKey(job.symbol, job.interval_type) : null,
+      errorMessage,
+      runAfter || job.run_after,
+      status === 'pending' ? null : clock.date(),
+      outcome ? JSON.stringify(outcome) : null,
+      job.job_id,
+      job.lease_owner
+    ]
+  );
+  return status;
+}
+
+async function completeJob(db, job, outcome = null) {
+  return finishJob(db, job, 'completed', null, null, outcome);
+}
+
+/**
+ * Retry a job after backoff, or fail it for good
+ * @param {Object} options - { retryable: false to fail without retrying, outcome: stored if it fails for good }
+ * @returns {Promise<string>} 'pending' (will retry) | 'failed'
+ */
+async function failJob(db, job, error, { retryable = true, outcome = null } = {}) {
+  const message = error instanceof Error ? error.message : String(error);
+
+  if (retryable && job.attempts < job.max_attempts) {
+    return finishJob(db, job, 'pending', message, secondsFromNow(getRetryDelaySeconds(job.attempts)));
+  }
+  return finishJob(db, job, 'failed', message, null, outcome);
+}
+
+/**
+ * Client event for a finished job queued by the API
+ * @returns {string|null} 'symbol_ready' | 'refresh_complete', null for jobs queued by /collect
+ */
+function getCompletionEvent(job) {
+  if (job.reason === 'manual') return null;
+  return job.reason === 'refresh' ? 'refresh_complete' : 'symbol_ready';
+}
+
+/**
+ * Stored outcome of a finished job (a JSON column; some servers return it as text)
+ * @returns {Object} { intervals, inserted, updated }
+ */
+function parseOutcome(job) {
+  const outcome = typeof job.outcome === 'string' ? JSON.parse(job.outcome) : job.outcome;
+  return outcome || { intervals: [], inserted: 0, updated: 0 };
+}
+
+/**
+ * When a job last completed for the symbol, from whichever collector ran it
+ * @returns {Promise<Date|null>}
+ */
+async function getLastCollectedAt(db, symbol) {
+  const [rows] = await db.query(
+    `SELECT MAX(completed_at) as completed_at FROM collection_jobs
+     WHERE symbol = ? AND status = 'completed'`,
+    [symbol]
+  );
+  return rows.length > 0 && rows[0].completed_at ? new Date(rows[0].completed_at) : null;
+}
+
+/**
+ * Jobs that finished (completed or failed) at or after `since`, oldest first
+ */
+async function listFinishedJobs(db, since) {
+  const [rows] = await db.query(
+    `SELECT job_id, symbol, interval_type, reason, status, outcome, completed_at
+     FROM collection_jobs
+     WHERE status IN ('completed', 'failed') AND completed_at >= ?
+     ORDER BY completed_at, job_id`,
+    [since]
+  );
+  return rows;
+}
+
+/**
+ * @returns {Promise<Object>} { pending, running, completed, failed }
+ */
+async function countJobs(db) {
+  const [rows] = await db.query(
+    'SELECT status, COUNT(*) as count FROM collection_jobs GROUP BY status'
+  );
+  const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+  for (const row of rows) {
+    counts[row.status] = Number(row.count);
+  }
+  return counts;
+}
+
+/**
+ * Most recent jobs first, optionally of one status
+ */
+async function listJobs(db, { status = null, limit = 50 } = {}) {
+  if (status && !JOB_STATUSES.includes(status)) {
+    throw new Error(`Invalid job status: ${status}. Use one of ${JOB_STATUSES.join(', ')}`);
+  }
+
+  const [rows] = status
+    ? await db.query(`SELECT ${JOB_COLUMNS} FROM collection_jobs WHERE status = ? ORDER BY job_id DESC LIMIT ?`, [status, limit])
+    : await db.query(`SELECT ${JOB_COLUMNS} FROM collection_jobs ORDER BY job_id DESC LIMIT ?`, [limit]);
+  return rows;
+}
+
+/**
+ * Delete completed and failed jobs that finished more than `days` ago
+ * @returns {Promise<number>} Jobs deleted
+ */
+async function purgeFinishedJobs(db, days) {
+  const [result] = await db.query(
+    `DELETE FROM collection_jobs
+     WHERE status IN ('completed', 'failed') AND completed_at < ?`,
+    [secondsFromNow(-days * 24 * 60 * 60)]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Job row as shown by GET /queue
+ */
+function describeJob(job) {
+  return {
+    id: job.job_id,
+    symbol: job.symbol,
+    interval: job.interval_type || 'all',
+    status: job.status,
+    reason: job.reason,
+    priority: job.priority,
+    attempts: job.attempts,
+    maxAttempts: job.max_attempts,
+    error: job.error_message,
+    runAfter: job.run_after,
+    leaseOwner: job.lease_owner,
+    leaseExpiresAt: job.lease_expires_at,
+    createdAt: job.created_at,
+    startedAt: job.started_at,
+    completedAt: job.completed_at
+  };
+}
+
+module.exports = {
+  JOB_STATUSES,
+  JOB_PRIORITIES,
+  MAX_ATTEMPTS,
+  LEASE_SECONDS,
+  getRetryDelaySeconds,
+  enqueueJob,
+  recoverExpiredLeases,
+  leaseJobs,
+  completeJob,
+  failJob,
+  getCompletionEvent,
+  parseOutcome,
+  getLastCollectedAt,
+  listFinishedJobs,
+  countJobs,
+  listJobs,
+  purgeFinishedJobs,
+  describeJob
+};
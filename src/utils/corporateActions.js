@@ -0,0 +1,297 @@
+/**
+ * Corporate Actions Utility
+ * Stores splits and cash dividends and applies them to raw candles at read time
+ *
+ * Candles are stored unadjusted (as traded). Adjustments are applied on the fly:
+ * - raw:   stored prices and volumes as-is
+ * - split: prices (and vwap) of bars before a split's ex-date are divided by the
+ *          split ratio, volumes multiplied by it
+ * - all:   split adjustment plus dividends: prices before a dividend's ex-date are
+ *          multiplied by (1 - dividend / previous close) - a total-return series
+ *
+ * A bar is adjusted for every action whose ex-date (midnight ET) is after the bar's
+ * start. Stored weekly/monthly bars that contain an ex-date mix both bases; derived
+ * intervals are aggregated after adjustment, so they don't.
+ *
+ * Dividend factors need the raw daily close before the ex-date, so they are computed
+ * at ingest (refreshDividendFactors) and skipped until that close is stored.
+ *
+ * Databases upgraded by add-corporate-actions-table.js keep their older rows, which
+ * Alpaca served split-adjusted. Those rows carry split_adjusted_through (the date they
+ * were collected); the splits up to that date are undone before adjusting, and
+ * re-collecting a row stores it raw and clears the marker.
+ *
+ * Usage:
+ * const { parseAdjustment, loadCorporateActions, adjustCandles } = require('./src/utils/corporateActions');
+ *
+ * const adjust = parseAdjustment(req.query.adjust); // 'split' by default
+ * const actions = await loadCorporateActions(db, [stockId], candles[0].ts);
+ * candles = adjustCandles(candles, actions.get(stockId), adjust);
+ */
+
+const { getETParts, etDateTimeToUnix } = require('./marketTime');
+const clock = require('./clock');
+
+const ADJUSTMENT_MODES = ['raw', 'split', 'all'];
+
+// Matches what Alpaca served (adjustment=split) before candles were stored raw
+const DEFAULT_ADJUSTMENT = 'split';
+
+// Decimal places kept on adjusted prices
+const PRICE_DECIMALS = 6;
+
+/**
+ * Parse the `adjust` query parameter
+ * @param {string} value - 'raw' | 'split' | 'all' (default 'split')
+ * @returns {string}
+ * @throws {Error} 'Invalid adjust parameter ...'
+ */
+function parseAdjustment(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_ADJUSTMENT;
+  if (!ADJUSTMENT_MODES.includes(value)) {
+    throw new Error(`Invalid adjust parameter: ${value}. Use one of ${ADJUSTMENT_MODES.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Load actions that affect bars from `fromTs` on, grouped by stock
+ * @param {Object} db - mysql2 pool or connection
+ * @param {Array<number>} stockIds - Stock ids to load
+ * @param {number} fromTs - Earliest bar timestamp being adjusted
+ * @returns {Promise<Map>} stock_id -> [{ type, exDate, exTs, priceFactor, volumeFactor }] (ex-date ascending)
+ */
+async function loadCorporateActions(db, stockIds, fromTs) {
+  const byStock = new Map(stockIds.map(id => [id, []]));
+  if (stockIds.length === 0) return byStock;
+
+  const [rows] = await db.query(`
+    SELECT stock_id, action_type, DATE_FORMAT(ex_date, '%Y-%m-%d') AS ex_date, split_from, split_to, price_factor
+    FROM corporate_actions
+    WHERE stock_id IN (?) AND ex_date > ?
+    ORDER BY ex_date ASC
+  `, [stockIds, getETParts(fromTs).date]);
+
+  for (const row of rows) {
+    const isSplit = row.action_type === 'split';
+    byStock.get(row.stock_id).push({
+      type: row.action_type,
+      exDate: row.ex_date,
+      exTs: etDateTimeToUnix(row.ex_date, 0),
+      priceFactor: row.price_factor === null ? null : Number(row.price_factor),
+      volumeFactor: isSplit ? Number(row.split_to) / Number(row.split_from) : 1
+    });
+  }
+
+  return byStock;
+}
+
+function roundPrice(value) {
+  return Number(value.toFixed(PRICE_DECIMALS));
+}
+
+/**
+ * Product of the factors of splits already applied to a row collected split-adjusted
+ * (ex-date after the bar and on or before the row's split_adjusted_through date)
+ */
+function appliedSplitFactors(candle, splits) {
+  let priceFactor = 1;
+  let volumeFactor = 1;
+  for (const split of splits) {
+    if (split.exTs > candle.ts && split.exDate <= candle.split_adjusted_through) {
+      priceFactor *= split.priceFactor;
+      volumeFactor *= split.volumeFactor;
+    }
+  }
+  return { priceFactor, volumeFactor };
+}
+
+/**
+ * Apply corporate actions to candles
+ * Rows with split_adjusted_through were collected split-adjusted before candles were
+ * stored raw; the splits already in them are undone first, so every mode starts raw.
+ * @param {Array<Object>} candles - Raw candles sorted by ts ascending ({ ts, open, high, low, close, volume, vwap?, split_adjusted_through?, ... })
+ * @param {Array<Object>} actions - From loadCorporateActions() for this stock
+ * @param {string} mode - 'raw' | 'split' | 'all'
+ * @returns {Array<Object>} Adjusted copies (bars after the last action are returned unchanged)
+ */
+function adjustCandles(candles, actions = [], mode = DEFAULT_ADJUSTMENT) {
+  const applicable = mode === 'raw'
+    ? []
+    : actions.filter(a => a.priceFactor !== null && (a.type === 'split' || mode === 'all'));
+  const splits = actions.filter(a => a.type === 'split');
+  const hasAdjustedRows = splits.length > 0 && candles.some(c => c.split_adjusted_through);
+  if (applicable.length === 0 && !hasAdjustedRows) return candles;
+
+  // Walk back from the newest bar, folding in each action as its ex-date is passed
+  const adjusted = new Array(candles.length);
+  let next = applicable.length - 1;
+  let priceFactor = 1;
+  let volumeFactor = 1;
+
+  for (let i = candles.length - 1; i >= 0; i--) {
+    const candle = candles[i];
+    while (next >= 0 && applicable[next].exTs > candle.ts) {
+      priceFactor *= applicable[next].priceFactor;
+      volumeFactor *= applicable[next].volumeFactor;
+      next--;
+    }
+
+    let barPriceFactor = priceFactor;
+    let barVolumeFactor = volumeFactor;
+    if (hasAdjustedRows && candle.split_adjusted_through) {
+      const applied = appliedSplitFactors(candle, splits);
+      barPriceFactor /= applied.priceFactor;
+      barVolumeFactor /= applied.volumeFactor;
+    }
+
+    if (barPriceFactor === 1 && barVolumeFactor === 1) {
+      adjusted[i] = candle;
+      continue;
+    }
+
+    adjusted[i] = {
+      ...candle,
+      open: roundPrice(Number(candle.open) * barPriceFactor),
+      high: roundPrice(Number(candle.high) * barPriceFactor),
+      low: roundPrice(Number(candle.low) * barPriceFactor),
+      close: roundPrice(Number(candle.close) * barPriceFactor),
+      volume: Math.round(Number(candle.volume) * barVolumeFactor),
+      vwap: candle.vwap === null || candle.vwap === undefined ? candle.vwap : roundPrice(Number(candle.vwap) * barPriceFactor)
+    };
+  }
+
+  return adjusted;
+}
+
+/**
+ * Upsert actions for one stock
+ * @param {Object} db - mysql2 pool or connection
+ * @param {number} stockId - Stock id
+ * @param {Array<Object>} actions - { type: 'split', exDate, splitFrom, splitTo } | { type: 'dividend', exDate, cashAmount }
+ * @param {string} source - Provider the actions came from
+ * @returns {Promise<number>} Rows inserted or changed
+ */
+async function storeCorporateActions(db, stockId, actions, source) {
+  if (actions.length === 0) return 0;
+
+  const values = actions.map(action => {
+    const isSplit = action.type === 'split';
+    return [
+      stockId,
+      action.type,
+      action.exDate,
+      isSplit ? action.splitFrom : null,
+      isSplit ? action.splitTo : null,
+      isSplit ? null : action.cashAmount,
+      // Split factors are known up front; dividend factors are filled in by refreshDividendFactors()
+      isSplit ? action.splitFrom / action.splitTo : null,
+      source
+    ];
+  });
+
+  const [result] = await db.query(`
+    INSERT INTO corporate_actions
+      (stock_id, action_type, ex_date, split_from, split_to, cash_amount, price_factor, data_source)
+    VALUES ?
+    ON DUPLICATE KEY UPDATE
+      split_from = VALUES(split_from),
+      split_to = VALUES(split_to),
+      cash_amount = VALUES(cash_amount),
+      price_factor = VALUES(price_factor),
+      data_source = VALUES(data_source)
+  `, [values]);
+
+  return result.affectedRows;
+}
+
+/**
+ * Compute missing dividend factors from the raw daily close before each ex-date
+ * @param {Object} db - mysql2 pool or connection
+ * @param {Array<number>} stockIds - Stocks to refresh
+ * @returns {Promise<Object>} { updated, pending } - pending dividends still lack a previous close
+ */
+async function refreshDividendFactors(db, stockIds) {
+  if (stockIds.length === 0) return { updated: 0, pending: 0 };
+
+  const [dividends] = await db.query(`
+    SELECT action_id, stock_id, DATE_FORMAT(ex_date, '%Y-%m-%d') AS ex_date, cash_amount
+    FROM corporate_actions
+    WHERE action_type = 'dividend' AND price_factor IS NULL AND stock_id IN (?)
+  `, [stockIds]);
+
+  let updated = 0;
+  for (const dividend of dividends) {
+    const [closes] = await db.query(
+      `SELECT ts, close, DATE_FORMAT(split_adjusted_through, '%Y-%m-%d') AS split_adjusted_through
+       FROM candles WHERE stock_id = ? AND interval_type = '1d' AND ts < ? ORDER BY ts DESC LIMIT 1`,
+      [dividend.stock_id, etDateTimeToUnix(dividend.ex_date, 0)]
+    );
+    let previousClose = closes.length > 0 ? Number(closes[0].close) : null;
+    if (previousClose && closes[0].split_adjusted_through) {
+      // The dividend amount is quoted against the close as traded
+      const actions = await loadCorporateActions(db, [dividend.stock_id], closes[0].ts);
+      const splits = actions.get(dividend.stock_id).filter(a => a.type === 'split');
+      previousClose /= appliedSplitFactors(closes[0], splits).priceFactor;
+    }
+    const amount = Number(dividend.cash_amount);
+    if (!previousClose || !(amount > 0) || amount >= previousClose) continue;
+
+    await db.query(
+      'UPDATE corporate_actions SET price_factor = ? WHERE action_id = ?',
+      [1 - amount / previousClose, dividend.action_id]
+    );
+    updated++;
+  }
+
+  return { updated, pending: dividends.length - updated };
+}
+
+/**
+ * Fetch actions for symbols from the providers and store them
+ * Only actions whose ex-date has arrived are stored - a future ex-date would
+ * otherwise adjust bars that are still trading on the old basis.
+ * @param {Object} db - mysql2 pool or connection
+ * @param {Object} providerManager - Provider manager (fetchCorporateActions)
+ * @param {Array<string>} symbols - Symbols already in the stocks table
+ * @param {Date} startDate - Earliest ex-date to fetch
+ * @param {Date} endDate - Latest ex-date to fetch (clamped to today)
+ * @returns {Promise<Object>} { fetched, stored, dividendsPending, source }
+ */
+async function ingestCorporateActions(db, providerManager, symbols, startDate, endDate = clock.date()) {
+  if (symbols.length === 0) return { fetched: 0, stored: 0, dividendsPending: 0, source: null };
+
+  const today = getETParts(clock.nowSeconds()).date;
+  const { actions, source } = await providerManager.fetchCorporateActions(symbols, startDate, endDate);
+  const due = actions.filter(action => action.exDate <= today);
+
+  const [stocks] = await db.query('SELECT stock_id, symbol FROM stocks WHERE symbol IN (?)', [symbols]);
+  const stockIds = new Map(stocks.map(row => [row.symbol, row.stock_id]));
+
+  const bySymbol = new Map();
+  for (const action of due) {
+    if (!stockIds.has(action.symbol)) continue;
+    if (!bySymbol.has(action.symbol)) bySymbol.set(action.symbol, []);
+    bySymbol.get(action.symbol).push(action);
+  }
+
+  let stored = 0;
+  for (const [symbol, symbolActions] of bySymbol) {
+    stored += await storeCorporateActions(db, stockIds.get(symbol), symbolActions, source);
+  }
+
+  const { pending } = await refreshDividendFactors(db, Array.from(stockIds.values()));
+
+  return { fetched: actions.length, stored, dividendsPending: pending, source };
+}
+
+module.exports = {
+  ADJUSTMENT_MODES,
+  DEFAULT_ADJUSTMENT,
+  parseAdjustment,
+  loadCorporateActions,
+  adjustCandles,
+  storeCorporateActions,
+  refreshDividendFactors,
+  ingestCorporateActions
+};
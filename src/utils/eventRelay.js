@@ -0,0 +1,242 @@
+/**
+ * Event Relay
+ * Carries collector events to API-only processes (--role=api) through the database
+ *
+ * barEvents is per process: the collector publishes 'bar' and collection events
+ * where it stores candles. An API process without a collector starts the relay,
+ * which polls every `pollSeconds` (like jobBus) and republishes on its own
+ * barEvents, so SSE and WebSocket clients see the same events in every role:
+ * - collection: jobs finished since the last poll (collection_jobs.completed_at),
+ *   as symbol_ready / refresh_complete with the outcome the collector stored
+ * - bar: for watched symbols, candles past each series' high-water mark
+ *   ('insert') and changes to the newest stored bar ('update')
+ *
+ * Series are baselined when first watched, so history and a new series' first
+ * fill aren't replayed bar by bar (clients get symbol_ready and read it from
+ * /api/stock). Revisions of bars older than the newest one aren't relayed.
+ *
+ * Usage:
+ * const eventRelay = require('./src/utils/eventRelay');
+ *
+ * eventRelay.start(getDB(), { pollSeconds: 5 });
+ * const unwatch = eventRelay.watch(['AAPL', 'MSFT'], '1m');   // interval null = all stored
+ * unwatch();
+ * eventRelay.stop();
+ */
+
+const clock = require('./clock');
+const barEvents = require('./barEvents');
+const collectionJobs = require('./collectionJobs');
+const { STORED_INTERVALS } = require('./intervals');
+
+const BAR_FIELDS = ['open', 'high', 'low', 'close', 'volume', 'vwap', 'trade_count'];
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+/**
+ * Candle row to the bar shape storeBars() publishes
+ */
+function toBar(row) {
+  const bar = { ts: Number(row.ts) };
+  for (const field of BAR_FIELDS) {
+    bar[field] = toNumber(row[field]);
+  }
+  return bar;
+}
+
+const sameBar = (a, b) => BAR_FIELDS.every(field => a[field] === b[field]);
+
+class EventRelay {
+  constructor() {
+    this.db = null;
+    this.task = null;
+    this.polling = false;
+    this.watched = new Map();   // 'AAPL:1m' | 'AAPL:*' -> watcher count
+    this.stockIds = new Map();  // symbol -> stock_id
+    this.series = new Map();    // 'stock_id:interval' -> { mark, last }
+    this.jobsSince = null;      // completed_at cursor
+    this.seenJobs = new Set();  // Jobs already relayed at the cursor's second
+  }
+
+  /**
+   * Poll for collector events every pollSeconds
+   * @param {Object} options - { pollSeconds: a divisor of 60 }
+   */
+  start(db, { pollSeconds = 5 } = {}) {
+    if (!Number.isInteger(pollSeconds) || pollSeconds < 1 || 60 % pollSeconds !== 0) {
+      throw new Error(`Invalid poll interval: ${pollSeconds}s. Use a divisor of 60`);
+    }
+
+    this.stop();
+    this.db = db;
+    this.jobsSince = clock.date();
+    this.seenJobs = new Set();
+    this.task = clock.schedule(`*/${pollSeconds} * * * * *`, () => this.poll(), {
+      scheduled: true,
+      timezone: 'America/New_York'
+    });
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+    this.series.clear();
+  }
+
+  /**
+   * Relay bars for these symbols while a client is subscribed
+   * @param {string|null} interval - Stored interval, null for all
+   * @returns {Function} Unwatch
+   */
+  watch(symbols, interval = null) {
+    const keys = symbols.map(symbol => `${symbol}:${interval || '*'}`);
+    for (const key of keys) {
+      this.watched.set(key, (this.watched.get(key) || 0) + 1);
+    }
+
+    let active = true;
+    return () => {
+      if (!active) return;
+      active = false;
+      for (const key of keys) {
+        const count = this.watched.get(key) - 1;
+        if (count > 0) this.watched.set(key, count);
+        else this.watched.delete(key);
+      }
+    };
+  }
+
+  /**
+   * One pass: finished jobs, then new and changed bars (skipped while the last pass runs)
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      await this.relayJobs();
+      await this.relayBars();
+    } catch (error) {
+      console.error(`❌ Event relay error: ${error.message}`);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async relayJobs() {
+    const jobs = await collectionJobs.listFinishedJobs(this.db, this.jobsSince);
+
+    for (const job of jobs) {
+      if (this.seenJobs.has(job.job_id)) continue;
+
+      const completedAt = new Date(job.completed_at);
+      if (completedAt > this.jobsSince) {
+        this.jobsSince = completedAt;
+        this.seenJobs = new Set();
+      }
+      this.seenJobs.add(job.job_id);
+
+      const type = collectionJobs.getCompletionEvent(job);
+      if (type) {
+        barEvents.publishCollection(type, job.symbol, collectionJobs.parseOutcome(job));
+      }
+    }
+  }
+
+  async relayBars() {
+    // interval -> symbols watched on it
+    const wanted = new Map();
+    for (const key of this.watched.keys()) {
+      const [symbol, interval] = key.split(':');
+      for (const name of interval === '*' ? STORED_INTERVALS : [interval]) {
+        if (!wanted.has(name)) wanted.set(name, new Set());
+        wanted.get(name).add(symbol);
+      }
+    }
+
+    await this.resolveStockIds(new Set(Array.from(wanted.values()).flatMap(symbols => Array.from(symbols))));
+
+    // Forget series nobody watches any more
+    const live = new Set();
+    for (const [interval, symbols] of wanted) {
+      for (const symbol of symbols) {
+        if (this.stockIds.has(symbol)) live.add(`${this.stockIds.get(symbol)}:${interval}`);
+      }
+    }
+    for (const key of this.series.keys()) {
+      if (!live.has(key)) this.series.delete(key);
+    }
+
+    for (const [interval, symbols] of wanted) {
+      const stockIds = Array.from(symbols).filter(symbol => this.stockIds.has(symbol)).map(symbol => this.stockIds.get(symbol));
+      if (stockIds.length > 0) {
+        await this.relayInterval(interval, stockIds);
+      }
+    }
+  }
+
+  /**
+   * Look up stock ids for symbols not seen yet (a queued symbol may appear later)
+   */
+  async resolveStockIds(symbols) {
+    const unknown = Array.from(symbols).filter(symbol => !this.stockIds.has(symbol));
+    if (unknown.length === 0) return;
+
+    const [rows] = await this.db.query('SELECT stock_id, symbol FROM stocks WHERE symbol IN (?)', [unknown]);
+    for (const row of rows) {
+      this.stockIds.set(row.symbol, row.stock_id);
+    }
+  }
+
+  async relayInterval(interval, stockIds) {
+    const seriesKey = (stockId) => `${stockId}:${interval}`;
+
+    // Baseline new series at their current high-water mark
+    const fresh = stockIds.filter(id => !this.series.has(seriesKey(id)));
+    if (fresh.length > 0) {
+      const [marks] = await this.db.query(
+        `SELECT stock_id, MAX(ts) as max_ts FROM candles
+         WHERE interval_type = ? AND stock_id IN (?)
+         GROUP BY stock_id`,
+        [interval, fresh]
+      );
+      for (const row of marks) {
+        if (row.max_ts !== null) this.series.set(seriesKey(row.stock_id), { mark: Number(row.max_ts), last: null });
+      }
+    }
+
+    const tracked = stockIds.filter(id => this.series.has(seriesKey(id)));
+    if (tracked.length === 0) return;
+
+    const start = Math.min(...tracked.map(id => this.series.get(seriesKey(id)).mark));
+    const [rows] = await this.db.query(
+      `SELECT stock_id, ts, open, high, low, close, volume, vwap, trade_count, data_source
+       FROM candles
+       WHERE stock_id IN (?) AND interval_type = ? AND ts >= ? AND ts <= ?
+       ORDER BY ts ASC`,
+      [tracked, interval, start, clock.nowSeconds()]
+    );
+
+    const symbols = new Map(Array.from(this.stockIds, ([symbol, id]) => [id, symbol]));
+    for (const row of rows) {
+      const state = this.series.get(seriesKey(row.stock_id));
+      const bar = toBar(row);
+      if (!state || bar.ts < state.mark) continue;
+
+      let change = null;
+      if (bar.ts > state.mark) change = 'insert';
+      else if (state.last && !sameBar(state.last, bar)) change = 'update';
+
+      state.mark = bar.ts;
+      state.last = bar;
+      if (change) {
+        barEvents.publish(symbols.get(row.stock_id), interval, [{ ...bar, change }], row.data_source);
+      }
+    }
+  }
+}
+
+module.exports = new EventRelay();
+module.exports.EventRelay = EventRelay;
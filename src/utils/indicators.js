@@ -0,0 +1,290 @@
+/**
+ * Technical Indicators Utility
+ * Server-side studies computed over cached candles, aligned to the candle timestamps
+ *
+ * Supported studies (`name:param:param`, defaults in brackets):
+ * - sma:<period> [20], ema:<period> [20], rsi:<period> [14] (Wilder), atr:<period> [14] (Wilder)
+ * - macd:<fast>:<slow>:<signal> [12:26:9] -> { macd, signal, histogram }
+ * - bbands:<period>:<stddev> [20:2] -> { upper, middle, lower } (population std dev)
+ * - vwap -> intraday: cumulative per trading day; daily and longer: each bar's own VWAP
+ *   (uses the stored per-bar vwap where available, typical price otherwise)
+ *
+ * Values are null until a study has enough bars. EMA-based studies are seeded
+ * with an SMA and need a few periods to converge, so getWarmupBars() asks for
+ * extra history before the visible window.
+ *
+ * Usage:
+ * const { parseStudies, getWarmupBars, computeStudies } = require('./src/utils/indicators');
+ *
+ * const studies = parseStudies('sma:20,rsi:14,macd');
+ * const results = computeStudies(studies, { timestamp, open, high, low, close, volume, vwap }, { intraday: false });
+ * // { 'sma:20': [...], 'rsi:14': [...], macd: { macd: [...], signal: [...], histogram: [...] } }
+ */
+
+const { getTradingDate } = require('./marketTime');
+
+const MAX_STUDIES = 20;
+const MAX_PERIOD = 500;
+
+// EMA-style smoothing is considered converged after this many periods
+const CONVERGENCE_PERIODS = 3;
+
+// name -> parameter defaults, validators and warm-up
+const STUDIES = {
+  sma: { defaults: [20], warmup: ([n]) => n - 1 },
+  ema: { defaults: [20], warmup: ([n]) => CONVERGENCE_PERIODS * n },
+  rsi: { defaults: [14], warmup: ([n]) => CONVERGENCE_PERIODS * n },
+  atr: { defaults: [14], warmup: ([n]) => CONVERGENCE_PERIODS * n },
+  macd: { defaults: [12, 26, 9], warmup: ([, slow, signal]) => CONVERGENCE_PERIODS * slow + signal },
+  bbands: { defaults: [20, 2], warmup: ([n]) => n - 1 },
+  vwap: { defaults: [], warmup: () => 0 }
+};
+
+const VALID_STUDIES = Object.keys(STUDIES);
+
+function invalidStudy(token, reason) {
+  const error = new Error(
+    `Invalid study "${token}": ${reason}. ` +
+    `Supported: ${VALID_STUDIES.join(', ')} (e.g. sma:20,ema:50,rsi:14,macd,bbands:20:2,atr:14,vwap)`
+  );
+  error.validStudies = VALID_STUDIES;
+  return error;
+}
+
+/**
+ * Parse a `studies` query parameter
+ * @param {string} spec - Comma-separated studies, e.g. 'sma:20,macd:12:26:9,vwap'
+ * @returns {Array<Object>} [{ key, name, params }] - key is the token as requested (used in the response)
+ * @throws {Error} 'Invalid study ...' (with error.validStudies)
+ */
+function parseStudies(spec) {
+  const tokens = Array.from(new Set(
+    String(spec || '').split(',').map(s => s.trim().toLowerCase()).filter(s => s.length > 0)
+  ));
+
+  if (tokens.length === 0) {
+    throw invalidStudy('', 'studies query parameter is required');
+  }
+  if (tokens.length > MAX_STUDIES) {
+    throw invalidStudy(tokens.join(','), `at most ${MAX_STUDIES} studies per request`);
+  }
+
+  return tokens.map(token => {
+    const [name, ...rawParams] = token.split(':');
+    const study = STUDIES[name];
+    if (!study) {
+      throw invalidStudy(token, `unknown study "${name}"`);
+    }
+    if (rawParams.length > study.defaults.length) {
+      throw invalidStudy(token, `${name} takes at most ${study.defaults.length} parameters`);
+    }
+
+    const params = study.defaults.map((def, i) => {
+      if (rawParams[i] === undefined || rawParams[i] === '') return def;
+      const value = Number(rawParams[i]);
+      // bbands' second parameter is a std dev multiplier, everything else is a bar count
+      const isMultiplier = name === 'bbands' && i === 1;
+      const valid = isMultiplier
+        ? value > 0 && value <= 10
+        : Number.isInteger(value) && value >= 1 && value <= MAX_PERIOD;
+      if (!valid) {
+        throw invalidStudy(token, isMultiplier ? 'std dev must be between 0 and 10' : `periods must be integers between 1 and ${MAX_PERIOD}`);
+      }
+      return value;
+    });
+
+    if (name === 'macd' && params[0] >= params[1]) {
+      throw invalidStudy(token, 'fast period must be shorter than slow period');
+    }
+
+    return { key: token, name, params };
+  });
+}
+
+/**
+ * Bars of history needed before the first visible bar for every study to be valid
+ * @param {Array<Object>} studies - From parseStudies()
+ * @returns {number}
+ */
+function getWarmupBars(studies) {
+  return Math.max(0, ...studies.map(s => STUDIES[s.name].warmup(s.params)));
+}
+
+// ===== STUDY IMPLEMENTATIONS =====
+// Each takes plain number arrays and returns an array of the same length (null where undefined)
+
+function sma(values, period) {
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) out[i] = sum / period;
+  }
+  return out;
+}
+
+/**
+ * EMA seeded with the SMA of the first `period` defined values
+ */
+function ema(values, period) {
+  const out = new Array(values.length).fill(null);
+  const k = 2 / (period + 1);
+  const first = values.findIndex(v => v !== null);
+  if (first === -1 || values.length - first < period) return out;
+
+  let prev = 0;
+  for (let i = first; i < first + period; i++) prev += values[i];
+  prev /= period;
+  out[first + period - 1] = prev;
+
+  for (let i = first + period; i < values.length; i++) {
+    prev = values[i] * k + prev * (1 - k);
+    out[i] = prev;
+  }
+  return out;
+}
+
+/**
+ * Wilder's smoothing: seeded with the mean of the first `period` values from `start`
+ */
+function wilder(values, period, start) {
+  const out = new Array(values.length).fill(null);
+  if (values.length - start < period) return out;
+
+  let prev = 0;
+  for (let i = start; i < start + period; i++) prev += values[i];
+  prev /= period;
+  out[start + period - 1] = prev;
+
+  for (let i = start + period; i < values.length; i++) {
+    prev = (prev * (period - 1) + values[i]) / period;
+    out[i] = prev;
+  }
+  return out;
+}
+
+function rsi(closes, period) {
+  const gains = closes.map((c, i) => (i === 0 ? 0 : Math.max(c - closes[i - 1], 0)));
+  const losses = closes.map((c, i) => (i === 0 ? 0 : Math.max(closes[i - 1] - c, 0)));
+  const avgGain = wilder(gains, period, 1);
+  const avgLoss = wilder(losses, period, 1);
+
+  return closes.map((_, i) => {
+    if (avgGain[i] === null) return null;
+    if (avgLoss[i] === 0) return avgGain[i] === 0 ? 50 : 100;
+    return 100 - 100 / (1 + avgGain[i] / avgLoss[i]);
+  });
+}
+
+function macd(closes, fast, slow, signalPeriod) {
+  const fastEma = ema(closes, fast);
+  const slowEma = ema(closes, slow);
+  const line = closes.map((_, i) => (slowEma[i] === null ? null : fastEma[i] - slowEma[i]));
+  const signal = ema(line, signalPeriod);
+
+  return {
+    macd: line,
+    signal,
+    histogram: line.map((v, i) => (signal[i] === null ? null : v - signal[i]))
+  };
+}
+
+function bbands(closes, period, stddevs) {
+  const middle = sma(closes, period);
+  const upper = new Array(closes.length).fill(null);
+  const lower = new Array(closes.length).fill(null);
+
+  for (let i = period - 1; i < closes.length; i++) {
+    let variance = 0;
+    for (let j = i - period + 1; j <= i; j++) {
+      variance += (closes[j] - middle[i]) ** 2;
+    }
+    const deviation = Math.sqrt(variance / period) * stddevs;
+    upper[i] = middle[i] + deviation;
+    lower[i] = middle[i] - deviation;
+  }
+
+  return { upper, middle, lower };
+}
+
+function atr(highs, lows, closes, period) {
+  const trueRanges = highs.map((h, i) => {
+    if (i === 0) return h - lows[i];
+    return Math.max(h - lows[i], Math.abs(h - closes[i - 1]), Math.abs(lows[i] - closes[i - 1]));
+  });
+  return wilder(trueRanges, period, 1);
+}
+
+function vwap(candles, intraday) {
+  const { timestamp, high, low, close, volume } = candles;
+  const barVwap = candles.vwap || [];
+  const typical = close.map((c, i) => (barVwap[i] !== null && barVwap[i] !== undefined ? barVwap[i] : (high[i] + low[i] + c) / 3));
+  if (!intraday) return typical;
+
+  const out = new Array(close.length).fill(null);
+  let day = null;
+  let pv = 0;
+  let vol = 0;
+  for (let i = 0; i < close.length; i++) {
+    const tradingDate = getTradingDate(timestamp[i]);
+    if (tradingDate !== day) {
+      day = tradingDate;
+      pv = 0;
+      vol = 0;
+    }
+    pv += typical[i] * (volume[i] || 0);
+    vol += volume[i] || 0;
+    out[i] = vol > 0 ? pv / vol : typical[i];
+  }
+  return out;
+}
+
+/**
+ * Compute studies over a candle series
+ * @param {Array<Object>} studies - From parseStudies()
+ * @param {Object} candles - Parallel arrays { timestamp, open, high, low, close, volume, vwap? }
+ * @param {Object} options - { intraday } - intraday series get a per-day VWAP
+ * @returns {Object} key -> array (or { line: array } object for multi-line studies), aligned to candles.timestamp
+ */
+function computeStudies(studies, candles, { intraday = false } = {}) {
+  const { high, low, close } = candles;
+  const results = {};
+
+  for (const { key, name, params } of studies) {
+    switch (name) {
+      case 'sma': results[key] = sma(close, params[0]); break;
+      case 'ema': results[key] = ema(close, params[0]); break;
+      case 'rsi': results[key] = rsi(close, params[0]); break;
+      case 'atr': results[key] = atr(high, low, close, params[0]); break;
+      case 'macd': results[key] = macd(close, params[0], params[1], params[2]); break;
+      case 'bbands': results[key] = bbands(close, params[0], params[1]); break;
+      case 'vwap': results[key] = vwap(candles, intraday); break;
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Drop the first `count` values from every study series (warm-up bars)
+ */
+function sliceStudies(results, count) {
+  const sliced = {};
+  for (const [key, value] of Object.entries(results)) {
+    if (Array.isArray(value)) {
+      sliced[key] = value.slice(count);
+    } else {
+      sliced[key] = Object.fromEntries(Object.entries(value).map(([line, series]) => [line, series.slice(count)]));
+    }
+  }
+  return sliced;
+}
+
+module.exports = {
+  VALID_STUDIES,
+  parseStudies,
+  getWarmupBars,
+  computeStudies,
+  sliceStudies
+};
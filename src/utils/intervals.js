@@ -0,0 +1,145 @@
+/**
+ * Interval Utility
+ * Parses `<n><unit>` intervals and maps them onto the stored intervals they are built from
+ *
+ * Any interval is accepted as long as a stored interval evenly divides it; the
+ * largest such interval is used as the aggregation source (90m -> 30m x 3,
+ * 7m -> 1m x 7, 13w -> 1w x 13).
+ *
+ * Usage:
+ * const { normalizeInterval } = require('./src/utils/intervals');
+ *
+ * normalizeInterval('90m'); // { interval: '90m', sourceInterval: '30m', multiplier: 3 }
+ * normalizeInterval('60m'); // { interval: '1h', sourceInterval: '1h', multiplier: 1 }
+ * normalizeInterval('7x');  // throws Error('Invalid interval ...') with error.validUnits
+ */
+
+// Intervals the collector stores directly
+const STORED_INTERVALS = ['1m', '2m', '5m', '15m', '30m', '1h', '2h', '4h', '1d', '1w', '1mo'];
+
+// Units accepted in `<n><unit>`; `base` is the unit the count is converted to
+// and `max` bounds the count (minute buckets never span more than a day since
+// they don't cross session boundaries anyway)
+const INTERVAL_UNITS = {
+  m: { base: 'minute', size: 1, max: 24 * 60 },
+  h: { base: 'minute', size: 60, max: 24 },
+  d: { base: 'day', size: 1, max: 365 },
+  w: { base: 'week', size: 1, max: 52 },
+  wk: { base: 'week', size: 1, max: 52 },
+  mo: { base: 'month', size: 1, max: 120 }
+};
+
+const VALID_UNITS = Object.keys(INTERVAL_UNITS);
+
+// Stored source intervals per base unit, largest first
+const SOURCE_INTERVALS = {
+  minute: [['4h', 240], ['2h', 120], ['1h', 60], ['30m', 30], ['15m', 15], ['5m', 5], ['2m', 2], ['1m', 1]],
+  day: [['1d', 1]],
+  week: [['1w', 1]],
+  month: [['1mo', 1]]
+};
+
+// Legacy range names (Yahoo `range=`) kept for backward compatibility
+const LEGACY_RANGES = {
+  '1y': '1d', '2y': '1d', '5y': '1w', 'max': '1w'
+};
+
+function invalidInterval(intervalParam, reason) {
+  const error = new Error(
+    `Invalid interval "${intervalParam}": ${reason}. ` +
+    `Use <n><unit> with unit one of ${VALID_UNITS.join(', ')} (e.g. 7m, 90m, 3h, 2d, 13w, 3mo)`
+  );
+  error.validUnits = VALID_UNITS;
+  return error;
+}
+
+/**
+ * Parse `<n><unit>` into a count of its base unit
+ * @param {string} intervalParam - e.g. '90m', '3h', '13w'
+ * @returns {Object} { count, base } - base is 'minute' | 'day' | 'week' | 'month'
+ * @throws {Error} 'Invalid interval ...' (with error.validUnits) for unparsable or out-of-range input
+ */
+function parseInterval(intervalParam) {
+  const match = /^(\d+)([a-z]+)$/.exec(String(intervalParam).trim());
+  if (!match) {
+    throw invalidInterval(intervalParam, 'expected <n><unit>');
+  }
+
+  const n = parseInt(match[1]);
+  const unit = INTERVAL_UNITS[match[2]];
+  if (!unit) {
+    throw invalidInterval(intervalParam, `unknown unit "${match[2]}"`);
+  }
+  if (n < 1 || n > unit.max) {
+    throw invalidInterval(intervalParam, `count must be between 1 and ${unit.max} for "${match[2]}"`);
+  }
+
+  return { count: n * unit.size, base: unit.base };
+}
+
+/**
+ * Canonical name for a parsed interval (180m -> 3h, 2wk -> 2w)
+ */
+function formatInterval(count, base) {
+  if (base === 'minute') {
+    return count % 60 === 0 ? `${count / 60}h` : `${count}m`;
+  }
+  return `${count}${{ day: 'd', week: 'w', month: 'mo' }[base]}`;
+}
+
+/**
+ * Resolve a requested interval to its stored source
+ * @param {string} intervalParam - Interval (`<n><unit>`) or legacy range ('1y', '2y', '5y', 'max')
+ * @returns {Object} { interval, sourceInterval, multiplier }
+ * @throws {Error} 'Invalid interval ...' (with error.validUnits)
+ */
+function normalizeInterval(intervalParam) {
+  if (STORED_INTERVALS.includes(intervalParam)) {
+    return { interval: intervalParam, sourceInterval: intervalParam, multiplier: 1 };
+  }
+
+  if (LEGACY_RANGES[intervalParam]) {
+    const mapped = LEGACY_RANGES[intervalParam];
+    return { interval: mapped, sourceInterval: mapped, multiplier: 1 };
+  }
+
+  const { count, base } = parseInterval(intervalParam);
+  const [sourceInterval, sourceSize] = SOURCE_INTERVALS[base].find(([, size]) => count % size === 0);
+
+  return {
+    interval: formatInterval(count, base),
+    sourceInterval,
+    multiplier: count / sourceSize
+  };
+}
+
+/**
+ * Nominal length of one bar in seconds (months count as 30.44 days)
+ * @param {string} intervalParam - Any interval accepted by normalizeInterval()
+ * @returns {number}
+ */
+function getIntervalSeconds(intervalParam) {
+  const { interval } = normalizeInterval(intervalParam);
+  const { count, base } = parseInterval(interval);
+  const baseSeconds = { minute: 60, day: 86400, week: 7 * 86400, month: 30.44 * 86400 };
+  return Math.round(count * baseSeconds[base]);
+}
+
+/**
+ * Is an interval built from intraday (minute/hour) bars?
+ * @param {string} intervalParam - Any interval accepted by normalizeInterval()
+ * @returns {boolean}
+ */
+function isIntradayInterval(intervalParam) {
+  const { sourceInterval } = normalizeInterval(intervalParam);
+  return SOURCE_INTERVALS.minute.some(([name]) => name === sourceInterval);
+}
+
+module.exports = {
+  STORED_INTERVALS,
+  VALID_UNITS,
+  parseInterval,
+  normalizeInterval,
+  getIntervalSeconds,
+  isIntradayInterval
+};
@@ -0,0 +1,59 @@
+/**
+ * Job Bus
+ * Wakes the collection queue worker when the API queues jobs
+ *
+ * The jobs themselves are rows in collection_jobs (see collectionJobs.js), so the
+ * table is the channel between processes. The bus carries two kinds of wake-ups:
+ * - local: notify() in the same process (--role=all) runs the worker right away
+ * - db:    a collector in its own process polls the table every `pollSeconds`
+ *          and picks up jobs queued by any number of API replicas
+ *
+ * An API-only process (--role=api) has no subscriber; notify() is then a no-op
+ * and its jobs wait for the next poll of a collector.
+ *
+ * Usage:
+ * const jobBus = require('./src/utils/jobBus');
+ *
+ * // collector side
+ * const unsubscribe = jobBus.subscribe(() => processCollectionQueue(), { pollSeconds: 5 });
+ *
+ * // API side, after enqueueJob()
+ * jobBus.notify();
+ */
+
+const { EventEmitter } = require('events');
+const clock = require('./clock');
+
+class JobBus extends EventEmitter {
+  /**
+   * Tell local subscribers that jobs were queued (runs after the current request)
+   */
+  notify() {
+    if (this.listenerCount('jobs') === 0) return;
+    setImmediate(() => this.emit('jobs'));
+  }
+
+  /**
+   * Run `handler` on every local notify() and, with pollSeconds, on a schedule
+   * @param {Function} handler - Called with no arguments; may return a promise
+   * @param {Object} options - { pollSeconds: seconds between polls (a divisor of 60), 0 for none }
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(handler, { pollSeconds = 0 } = {}) {
+    if (pollSeconds && (!Number.isInteger(pollSeconds) || pollSeconds < 1 || 60 % pollSeconds !== 0)) {
+      throw new Error(`Invalid poll interval: ${pollSeconds}s. Use a divisor of 60`);
+    }
+
+    this.on('jobs', handler);
+    const poll = pollSeconds
+      ? clock.schedule(`*/${pollSeconds} * * * * *`, handler, { scheduled: true, timezone: 'America/New_York' })
+      : null;
+
+    return () => {
+      this.off('jobs', handler);
+      if (poll) poll.stop();
+    };
+  }
+}
+
+module.exports = new JobBus();
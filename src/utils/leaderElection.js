@@ -0,0 +1,180 @@
+/**
+ * Leader Election
+ * A lease row in scheduler_leases decides which collector instance runs the crons
+ *
+ * Every collector instance tries to take or renew the lease every `renewSeconds`.
+ * The holder is the leader until its lease expires (`ttlSeconds` after the last
+ * renewal), so if the leader dies another instance takes over within about
+ * ttlSeconds + renewSeconds. A clean shutdown releases the lease for an immediate
+ * handover.
+ *
+ * A leader that can't reach the database steps down once its own lease has run
+ * out - by then another instance may hold it. Lease times come from the app clock
+ * (src/utils/clock.js), so instances need roughly synchronised clocks; keep the TTL
+ * well above the expected skew.
+ *
+ * Usage:
+ * const leaderElection = require('./src/utils/leaderElection');
+ *
+ * leaderElection.start(getDB(), { owner: 'host:pid' });
+ * clock.schedule('0 3 * * *', () => leaderElection.isLeader() && cleanup());
+ * leaderElection.on('elected', () => ...);   // also 'demoted'
+ * leaderElection.getStatus();                 // shown in GET /health
+ * await leaderElection.stop();                // releases the lease
+ */
+
+const { EventEmitter } = require('events');
+const clock = require('./clock');
+
+const LEASE_NAME = 'scheduler';
+const LEASE_SECONDS = parseInt(process.env.SCHEDULER_LEASE_SECONDS) || 30;
+const RENEW_SECONDS = parseInt(process.env.SCHEDULER_RENEW_SECONDS) || 10;
+
+class LeaderElection extends EventEmitter {
+  constructor() {
+    super();
+    this.db = null;
+    this.task = null;
+    this.name = LEASE_NAME;
+    this.owner = null;
+    this.ttlSeconds = LEASE_SECONDS;
+    this.renewSeconds = RENEW_SECONDS;
+    this.leader = false;
+    this.lease = null;       // Last lease row read: { owner, acquired_at, expires_at }
+    this.lastCheckAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Join the election: try for the lease now and every renewSeconds
+   * @param {Object} options - { owner (required), name, ttlSeconds, renewSeconds }
+   * @returns {Promise<boolean>} Whether this instance leads after the first attempt
+   */
+  start(db, { owner, name = LEASE_NAME, ttlSeconds = LEASE_SECONDS, renewSeconds = RENEW_SECONDS } = {}) {
+    if (!owner) {
+      throw new Error('Leader election needs an owner id');
+    }
+    if (!Number.isInteger(renewSeconds) || renewSeconds < 1 || 60 % renewSeconds !== 0) {
+      throw new Error(`Invalid renew interval: ${renewSeconds}s. Use a divisor of 60`);
+    }
+    if (renewSeconds >= ttlSeconds) {
+      throw new Error(`Lease (${ttlSeconds}s) must outlast the renew interval (${renewSeconds}s)`);
+    }
+
+    this.db = db;
+    this.owner = owner;
+    this.name = name;
+    this.ttlSeconds = ttlSeconds;
+    this.renewSeconds = renewSeconds;
+
+    this.task = clock.schedule(`*/${renewSeconds} * * * * *`, () => this.renew(), {
+      scheduled: true,
+      timezone: 'America/New_York'
+    });
+    return this.renew();
+  }
+
+  isLeader() {
+    return this.leader;
+  }
+
+  /**
+   * Take the lease if it's free or expired, extend it if it's ours
+   * @returns {Promise<boolean>} Whether this instance leads
+   */
+  async renew() {
+    const now = clock.date();
+    const expiresAt = new Date(clock.now() + this.ttlSeconds * 1000);
+
+    try {
+      await this.db.query(
+        `INSERT IGNORE INTO scheduler_leases (name, owner, acquired_at, renewed_at, expires_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [this.name, this.owner, now, now, expiresAt]
+      );
+
+      // acquired_at is assigned before owner so it still sees the previous holder
+      await this.db.query(
+        `UPDATE scheduler_leases
+         SET acquired_at = IF(owner = ?, acquired_at, ?), owner = ?, renewed_at = ?, expires_at = ?
+         WHERE name = ? AND (owner = ? OR expires_at < ?)`,
+        [this.owner, now, this.owner, now, expiresAt, this.name, this.owner, now]
+      );
+
+      const [rows] = await this.db.query(
+        'SELECT owner, acquired_at, expires_at FROM scheduler_leases WHERE name = ?',
+        [this.name]
+      );
+      this.lease = rows[0] || null;
+      this.lastCheckAt = now;
+      this.lastError = null;
+      this._setLeader(Boolean(this.lease) && this.lease.owner === this.owner);
+    } catch (error) {
+      this.lastError = error.message;
+      console.error(`  ❌ Scheduler lease check failed: ${error.message}`);
+
+      // Without the database we can't renew; step down once our lease has lapsed
+      if (this.leader && (!this.lease || clock.now() >= new Date(this.lease.expires_at).getTime())) {
+        this._setLeader(false);
+      }
+    }
+
+    return this.leader;
+  }
+
+  /**
+   * Leave the election, releasing the lease if we hold it
+   */
+  async stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+    if (!this.leader) return;
+
+    this._setLeader(false);
+    try {
+      await this.db.query(
+        'UPDATE scheduler_leases SET expires_at = ? WHERE name = ? AND owner = ?',
+        [clock.date(), this.name, this.owner]
+      );
+    } catch (error) {
+      console.error(`  ❌ Failed to release scheduler lease: ${error.message}`);
+    }
+  }
+
+  _setLeader(leader) {
+    if (leader === this.leader) return;
+    this.leader = leader;
+
+    if (leader) {
+      console.log(`👑 ${this.owner} is now the scheduler leader`);
+      this.emit('elected');
+    } else {
+      const holder = this.lease && this.lease.owner !== this.owner ? ` (leader: ${this.lease.owner})` : '';
+      console.log(`🪑 ${this.owner} is no longer the scheduler leader${holder}`);
+      this.emit('demoted');
+    }
+  }
+
+  /**
+   * Election state for GET /health
+   */
+  getStatus() {
+    return {
+      lease: this.name,
+      instance: this.owner,
+      isLeader: this.leader,
+      leader: this.lease ? this.lease.owner : null,
+      leaderSince: this.lease ? this.lease.acquired_at : null,
+      leaseExpiresAt: this.lease ? this.lease.expires_at : null,
+      ttlSeconds: this.ttlSeconds,
+      renewSeconds: this.renewSeconds,
+      lastCheckAt: this.lastCheckAt,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = new LeaderElection();
+module.exports.LeaderElection = LeaderElection;
@@ -0,0 +1,157 @@
+/**
+ * Market Time Utility
+ * DST-aware America/New_York conversions and trading session classification
+ *
+ * Uses Intl (real tz database) instead of a fixed UTC-5 offset, so EDT days
+ * are classified correctly.
+ *
+ * Session classification that depends on holidays/early closes lives in
+ * tradingCalendar.js, which builds on these helpers.
+ */
+
+const MARKET_TIMEZONE = 'America/New_York';
+
+// Minutes since midnight ET
+const REGULAR_OPEN_MINUTES = 9 * 60 + 30;   // 9:30 AM
+const REGULAR_CLOSE_MINUTES = 16 * 60;      // 4:00 PM
+
+// Stored intraday intervals and their length in minutes
+const INTRADAY_INTERVAL_MINUTES = {
+  '1m': 1, '2m': 2, '5m': 5, '15m': 15, '30m': 30,
+  '1h': 60, '2h': 120, '4h': 240
+};
+
+const etFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: MARKET_TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  weekday: 'short',
+  hourCycle: 'h23'
+});
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Break a unix timestamp into ET calendar/clock fields
+ * @param {number} ts - Unix timestamp (seconds)
+ * @returns {Object} { year, month, day, hour, minute, second, weekday (0=Sunday), date ('YYYY-MM-DD'), minutes (since midnight) }
+ */
+function getETParts(ts) {
+  const parts = {};
+  for (const { type, value } of etFormatter.formatToParts(new Date(ts * 1000))) {
+    parts[type] = value;
+  }
+
+  const hour = parseInt(parts.hour) % 24;
+  const minute = parseInt(parts.minute);
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour,
+    minute,
+    second: parseInt(parts.second),
+    weekday: WEEKDAYS[parts.weekday],
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: hour * 60 + minute
+  };
+}
+
+/**
+ * UTC offset of ET at a given instant, in seconds (-14400 during EDT, -18000 during EST)
+ * @param {number} ts - Unix timestamp (seconds)
+ * @returns {number}
+ */
+function getETOffsetSeconds(ts) {
+  const p = getETParts(ts);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) / 1000;
+  return asUTC - Math.floor(ts);
+}
+
+/**
+ * Convert an ET wall-clock time to a unix timestamp
+ * @param {string} date - ET calendar date 'YYYY-MM-DD'
+ * @param {number} minutes - Minutes since midnight ET
+ * @returns {number} Unix timestamp (seconds)
+ */
+function etDateTimeToUnix(date, minutes) {
+  const [year, month, day] = date.split('-').map(Number);
+  const asUTC = Date.UTC(year, month - 1, day) / 1000 + minutes * 60;
+
+  // Resolve the offset twice so times right after a DST switch land correctly
+  let ts = asUTC + 18000;
+  ts = asUTC - getETOffsetSeconds(ts);
+  return asUTC - getETOffsetSeconds(ts);
+}
+
+/**
+ * Shift a 'YYYY-MM-DD' date by whole days
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Day of week for a 'YYYY-MM-DD' date (0=Sunday)
+ */
+function getWeekday(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * ET trading (calendar) date of a timestamp
+ * @param {number} ts - Unix timestamp (seconds)
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function getTradingDate(ts) {
+  return getETParts(ts).date;
+}
+
+/**
+ * Parse 'HH:MM' into minutes since midnight
+ */
+function parseClockTime(value) {
+  const [hour, minute] = value.split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+/**
+ * Classify an intraday bar by session
+ * A bar counts as regular if any part of it overlaps the regular session, so
+ * hourly bars aligned on the hour (e.g. 9:00-10:00) are kept with the regular session.
+ * @param {number} ts - Bar start (unix seconds)
+ * @param {number} intervalMinutes - Bar length in minutes
+ * @param {Object} bounds - Regular session { open, close } in minutes since midnight ET
+ * @returns {string} 'pre' | 'regular' | 'post'
+ */
+function getSession(ts, intervalMinutes = 1, bounds = { open: REGULAR_OPEN_MINUTES, close: REGULAR_CLOSE_MINUTES }) {
+  const start = getETParts(ts).minutes;
+  const end = start + intervalMinutes;
+
+  if (end <= bounds.open) return 'pre';
+  if (start >= bounds.close) return 'post';
+  return 'regular';
+}
+
+module.exports = {
+  MARKET_TIMEZONE,
+  REGULAR_OPEN_MINUTES,
+  REGULAR_CLOSE_MINUTES,
+  INTRADAY_INTERVAL_MINUTES,
+  getETParts,
+  getETOffsetSeconds,
+  etDateTimeToUnix,
+  addDays,
+  getWeekday,
+  getTradingDate,
+  parseClockTime,
+  getSession
+};
@@ -0,0 +1,252 @@
+/**
+ * Trading Calendar
+ * Exchange holidays, early closes and pre/regular/post session boundaries
+ *
+ * Loaded from a bundled data file (config/trading-calendar.json, override with
+ * TRADING_CALENDAR_FILE). Dates outside the file's coverage fall back to
+ * weekday-only rules.
+ *
+ * Usage:
+ * const tradingCalendar = require('./src/utils/tradingCalendar');
+ *
+ * tradingCalendar.isMarketOpen();              // regular session open right now?
+ * tradingCalendar.getLastMarketClose();         // unix ts of the most recent regular close
+ * tradingCalendar.getTradingDay('2026-11-27');  // { isTradingDay, earlyClose, sessions, ... }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  MARKET_TIMEZONE,
+  INTRADAY_INTERVAL_MINUTES,
+  getETParts,
+  etDateTimeToUnix,
+  addDays,
+  getWeekday,
+  getTradingDate,
+  parseClockTime,
+  getSession
+} = require('./marketTime');
+const clock = require('./clock');
+
+const CALENDAR_FILE = process.env.TRADING_CALENDAR_FILE
+  || path.join(__dirname, '..', '..', 'config', 'trading-calendar.json');
+
+// Safety bound when walking day by day (covers any realistic run of closures)
+const MAX_DAY_SEARCH = 14;
+
+let calendar = null;
+
+/**
+ * Load (and cache) the calendar data file
+ * @returns {Object} Parsed calendar with session times converted to minutes
+ */
+function loadCalendar() {
+  if (calendar) return calendar;
+
+  const data = JSON.parse(fs.readFileSync(CALENDAR_FILE, 'utf8'));
+  const years = Object.keys(data.holidays || {}).map(d => parseInt(d.slice(0, 4)));
+
+  calendar = {
+    exchange: data.exchange || 'NYSE',
+    timezone: data.timezone || MARKET_TIMEZONE,
+    holidays: data.holidays || {},
+    earlyCloses: data.earlyCloses || {},
+    firstYear: years.length > 0 ? Math.min(...years) : null,
+    lastYear: years.length > 0 ? Math.max(...years) : null,
+    sessions: {
+      preOpen: parseClockTime(data.sessions.preOpen),
+      open: parseClockTime(data.sessions.open),
+      close: parseClockTime(data.sessions.close),
+      postClose: parseClockTime(data.sessions.postClose),
+      earlyClose: parseClockTime(data.sessions.earlyClose),
+      earlyPostClose: parseClockTime(data.sessions.earlyPostClose)
+    }
+  };
+
+  return calendar;
+}
+
+/**
+ * Describe one ET calendar date
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {Object} { date, isTradingDay, holiday, earlyClose, covered, minutes, sessions }
+ *   minutes: session bounds in minutes since midnight ET (null on closed days)
+ *   sessions: { pre, regular, post } each { start, end } as unix timestamps (null on closed days)
+ */
+function getTradingDay(date) {
+  const cal = loadCalendar();
+  const year = parseInt(date.slice(0, 4));
+  const weekday = getWeekday(date);
+  const holiday = cal.holidays[date] || null;
+  const earlyClose = cal.earlyCloses[date] || null;
+  const isTradingDay = weekday !== 0 && weekday !== 6 && !holiday;
+
+  const day = {
+    date,
+    isTradingDay,
+    holiday,
+    earlyClose,
+    covered: cal.firstYear !== null && year >= cal.firstYear && year <= cal.lastYear,
+    minutes: null,
+    sessions: null
+  };
+
+  if (!isTradingDay) return day;
+
+  const s = cal.sessions;
+  day.minutes = {
+    preOpen: s.preOpen,
+    open: s.open,
+    close: earlyClose ? s.earlyClose : s.close,
+    postClose: earlyClose ? s.earlyPostClose : s.postClose
+  };
+  day.sessions = {
+    pre: { start: etDateTimeToUnix(date, s.preOpen), end: etDateTimeToUnix(date, s.open) },
+    regular: { start: etDateTimeToUnix(date, s.open), end: etDateTimeToUnix(date, day.minutes.close) },
+    post: { start: etDateTimeToUnix(date, day.minutes.close), end: etDateTimeToUnix(date, day.minutes.postClose) }
+  };
+
+  return day;
+}
+
+/**
+ * @param {string} date - 'YYYY-MM-DD', defaults to today (ET)
+ * @returns {boolean}
+ */
+function isTradingDay(date = getTradingDate(clock.nowSeconds())) {
+  return getTradingDay(date).isTradingDay;
+}
+
+/**
+ * Is the regular session open at a given time?
+ * The closing minute itself counts as open so the final bar of the day still gets collected.
+ * @param {number} ts - Unix timestamp (seconds), defaults to now
+ * @returns {boolean}
+ */
+function isMarketOpen(ts = clock.nowSeconds()) {
+  const et = getETParts(ts);
+  const day = getTradingDay(et.date);
+  if (!day.isTradingDay) return false;
+  return et.minutes >= day.minutes.open && et.minutes <= day.minutes.close;
+}
+
+/**
+ * Which session is in progress at a given time?
+ * @param {number} ts - Unix timestamp (seconds), defaults to now
+ * @returns {string} 'pre' | 'regular' | 'post' | 'closed'
+ */
+function getMarketSession(ts = clock.nowSeconds()) {
+  const et = getETParts(ts);
+  const day = getTradingDay(et.date);
+  if (!day.isTradingDay) return 'closed';
+
+  const { preOpen, open, close, postClose } = day.minutes;
+  if (et.minutes >= preOpen && et.minutes < open) return 'pre';
+  if (et.minutes >= open && et.minutes < close) return 'regular';
+  if (et.minutes >= close && et.minutes < postClose) return 'post';
+  return 'closed';
+}
+
+/**
+ * Nearest trading day strictly before a date
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function getPreviousTradingDay(date) {
+  let candidate = addDays(date, -1);
+  for (let i = 0; i < MAX_DAY_SEARCH && !isTradingDay(candidate); i++) {
+    candidate = addDays(candidate, -1);
+  }
+  return candidate;
+}
+
+/**
+ * Nearest trading day strictly after a date
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function getNextTradingDay(date) {
+  let candidate = addDays(date, 1);
+  for (let i = 0; i < MAX_DAY_SEARCH && !isTradingDay(candidate); i++) {
+    candidate = addDays(candidate, 1);
+  }
+  return candidate;
+}
+
+/**
+ * Most recent regular-session close at or before a given time
+ * @param {number} ts - Unix timestamp (seconds), defaults to now
+ * @returns {number} Unix timestamp (seconds) of the close (13:00 ET on early-close days)
+ */
+function getLastMarketClose(ts = clock.nowSeconds()) {
+  const today = getTradingDay(getTradingDate(ts));
+  if (today.isTradingDay && today.sessions.regular.end <= ts) {
+    return today.sessions.regular.end;
+  }
+  return getTradingDay(getPreviousTradingDay(today.date)).sessions.regular.end;
+}
+
+/**
+ * Next regular-session open after a given time
+ * @param {number} ts - Unix timestamp (seconds), defaults to now
+ * @returns {number} Unix timestamp (seconds)
+ */
+function getNextMarketOpen(ts = clock.nowSeconds()) {
+  const today = getTradingDay(getTradingDate(ts));
+  if (today.isTradingDay && today.sessions.regular.start > ts) {
+    return today.sessions.regular.start;
+  }
+  return getTradingDay(getNextTradingDay(today.date)).sessions.regular.start;
+}
+
+/**
+ * Calendar days between two dates (inclusive)
+ * @param {string} from - 'YYYY-MM-DD'
+ * @param {string} to - 'YYYY-MM-DD'
+ * @returns {Array<Object>} getTradingDay() entries
+ */
+function getCalendar(from, to) {
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    days.push(getTradingDay(date));
+  }
+  return days;
+}
+
+/**
+ * Market fields stored alongside each candle
+ * Intraday bars are classified against that day's real session bounds (early
+ * closes included); bars on non-trading days are 'closed'.
+ * @param {number} ts - Bar start (unix seconds)
+ * @param {string} intervalName - Stored interval ('1m' ... '1mo')
+ * @returns {Object} { session, tradingDate } - session is null for daily and longer intervals
+ */
+function getCandleMarketFields(ts, intervalName) {
+  const tradingDate = getTradingDate(ts);
+  const intervalMinutes = INTRADAY_INTERVAL_MINUTES[intervalName];
+  if (!intervalMinutes) {
+    return { session: null, tradingDate };
+  }
+
+  const day = getTradingDay(tradingDate);
+  const session = day.isTradingDay
+    ? getSession(ts, intervalMinutes, day.minutes)
+    : 'closed';
+
+  return { session, tradingDate };
+}
+
+module.exports = {
+  loadCalendar,
+  getTradingDay,
+  isTradingDay,
+  isMarketOpen,
+  getMarketSession,
+  getPreviousTradingDay,
+  getNextTradingDay,
+  getLastMarketClose,
+  getNextMarketOpen,
+  getCalendar,
+  getCandleMarketFields
+};
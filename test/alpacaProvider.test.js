@@ -0,0 +1,75 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const AlpacaProvider = require('../src/providers/AlpacaProvider');
+const { muteConsole } = require('./helpers/console');
+
+const bar = (t) => ({ t, o: 1, h: 2, l: 0.5, c: 1.5, v: 100 });
+
+describe('AlpacaProvider.fetchBars pagination', () => {
+  const originalGet = axios.get;
+  let pages;
+  let requests;
+  let restoreConsole;
+
+  before(() => {
+    restoreConsole = muteConsole();
+    // Serves `pages` in order, keyed by the page_token that requests them
+    axios.get = async (url, { params }) => {
+      requests.push(params);
+      const index = params.page_token ? Number(params.page_token) : 0;
+      const next = index + 1 < pages.length ? String(index + 1) : null;
+      return { data: { bars: pages[index], next_page_token: next } };
+    };
+  });
+
+  after(() => {
+    axios.get = originalGet;
+    restoreConsole();
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  const createProvider = (config = {}) => new AlpacaProvider({ apiKey: 'key', apiSecret: 'secret', ...config });
+
+  it('follows next_page_token and merges bars per symbol', async () => {
+    pages = [
+      { AAPL: [bar('2024-01-02'), bar('2024-01-03')] },
+      { AAPL: [bar('2024-01-04')], MSFT: [bar('2024-01-02')] },
+      { MSFT: [bar('2024-01-03')] }
+    ];
+    const provider = createProvider();
+    const bars = await provider.fetchBars('AAPL,MSFT', '1d', '2024-01-01', '2024-01-05');
+
+    assert.deepEqual(bars.AAPL.map(b => b.t), ['2024-01-02', '2024-01-03', '2024-01-04']);
+    assert.deepEqual(bars.MSFT.map(b => b.t), ['2024-01-02', '2024-01-03']);
+    assert.deepEqual(requests.map(p => p.page_token), [undefined, '1', '2']);
+    assert.equal(bars.truncated, undefined);
+  });
+
+  it('returns the merged array for a single symbol', async () => {
+    pages = [{ AAPL: [bar('2024-01-02')] }, { AAPL: [bar('2024-01-03')] }];
+    const bars = await createProvider().fetchBars('AAPL', '1d', '2024-01-01', '2024-01-05');
+
+    assert.deepEqual(bars.map(b => b.t), ['2024-01-02', '2024-01-03']);
+  });
+
+  it('goes through the rate limiter for every page', async () => {
+    pages = [{ AAPL: [bar('2024-01-02')] }, { AAPL: [bar('2024-01-03')] }, { AAPL: [bar('2024-01-04')] }];
+    const provider = createProvider();
+    await provider.fetchBars('AAPL', '1d', '2024-01-01', '2024-01-05');
+
+    assert.equal(provider.requestTimestamps.length, 3);
+  });
+
+  it('marks the result truncated when it stops at maxPages', async () => {
+    pages = [{ AAPL: [bar('2024-01-02')] }, { AAPL: [bar('2024-01-03')] }, { MSFT: [bar('2024-01-02')] }];
+    const bars = await createProvider({ maxPages: 2 }).fetchBars('AAPL,MSFT', '1d', '2024-01-01', '2024-01-05');
+
+    assert.equal(requests.length, 2);
+    assert.equal(bars.truncated, true);
+    assert.deepEqual(Object.keys(bars), ['AAPL']);
+  });
+});
@@ -0,0 +1,478 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const { installMemoryDatabase } = require('./helpers/memoryDatabase');
+const { muteConsole } = require('./helpers/console');
+
+// Offline setup: seeded mock provider, in-memory database, simulated clock
+process.env.PROVIDER_PRIORITY = 'mock';
+process.env.MOCK_PROVIDER_SEED = '1';
+process.env.MOCK_SYMBOLS = 'AAPL,MSFT,NVDA';
+
+const db = installMemoryDatabase();
+const clock = require('../src/utils/clock');
+const barEvents = require('../src/utils/barEvents');
+const providerManager = require('../src/providers/ProviderManager');
+const { etDateTimeToUnix } = require('../src/utils/marketTime');
+const app = require('../app');
+
+// Wednesday 2024-03-13, 11:00 ET - market open
+const NOW = '2024-03-13T15:00:00Z';
+const TRADING_DAYS = ['2024-03-04', '2024-03-05', '2024-03-06', '2024-03-07', '2024-03-08', '2024-03-11', '2024-03-12', '2024-03-13'];
+
+/**
+ * One daily candle per ET date
+ */
+function dailyCandles(dates) {
+  return dates.map((date, i) => ({
+    ts: etDateTimeToUnix(date, 0),
+    open: 100 + i,
+    high: 102 + i,
+    low: 99 + i,
+    close: 101 + i,
+    volume: 1000000
+  }));
+}
+
+/**
+ * Resolves with the next collection event of `type` for `symbol`
+ */
+async function nextCollectionEvent(type, symbol) {
+  for (;;) {
+    const [event] = await once(barEvents, 'collection');
+    if (event.type === type && event.symbol === symbol) return event;
+  }
+}
+
+describe('GET /api/stock/:symbol', () => {
+  let server;
+  let baseUrl;
+  let restoreConsole;
+  let stopQueueWorker;
+
+  const get = (path) => fetch(`${baseUrl}${path}`);
+
+  before(async () => {
+    restoreConsole = muteConsole();
+    clock.set(NOW);
+    await providerManager.initialize();
+    // --role=all: queued jobs run in this process as soon as they are queued
+    stopQueueWorker = app.startQueueWorker({ pollSeconds: 0 });
+
+    db.addCandles(db.addStock('AAPL'), '1d', dailyCandles(TRADING_DAYS));
+    db.addCandles(db.addStock('MSFT'), '1d', dailyCandles(['2024-01-02', '2024-01-03']));
+    db.addStock('DLST', { is_active: false });
+    db.addStock('EMPTY');
+
+    server = app.listen(0);
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    stopQueueWorker();
+    server.close();
+    clock.useSystemTime();
+    restoreConsole();
+  });
+
+  it('returns 200 with a Yahoo chart for fresh stored data', async () => {
+    const res = await get('/api/stock/AAPL?interval=1d');
+    assert.equal(res.status, 200);
+
+    const [result] = (await res.json()).chart.result;
+    assert.equal(result.meta.symbol, 'AAPL');
+    assert.deepEqual(result.timestamp, TRADING_DAYS.map(date => etDateTimeToUnix(date, 0)));
+    assert.equal(result.indicators.quote[0].close.at(-1), 108);
+  });
+
+  it('returns 400 for an invalid interval', async () => {
+    const res = await get('/api/stock/AAPL?interval=7x');
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error, 'Invalid interval');
+  });
+
+  it('returns 404 for an explicit range with no candles', async () => {
+    // Saturday-Sunday inside the stored span
+    const period1 = etDateTimeToUnix('2024-03-09', 0);
+    const period2 = etDateTimeToUnix('2024-03-10', 23 * 60);
+    const res = await get(`/api/stock/AAPL?interval=1d&period1=${period1}&period2=${period2}`);
+
+    assert.equal(res.status, 404);
+    assert.equal((await res.json()).error, 'No data in range');
+  });
+
+  it('reports an explicit range outside a symbol\'s stored data per symbol in a batch', async () => {
+    const period1 = etDateTimeToUnix('2024-03-04', 0);
+    const period2 = etDateTimeToUnix('2024-03-08', 23 * 60);
+    const res = await get(`/api/stocks?symbols=AAPL,MSFT&interval=1d&period1=${period1}&period2=${period2}`);
+    assert.equal(res.status, 200);
+
+    const [aapl, msft] = (await res.json()).chart.result;
+    assert.equal(aapl.timestamp.length, 5);
+    assert.equal(msft.error.code, 400);
+    assert.equal(msft.error.status, 'invalid_range');
+    assert.match(msft.error.message, /outside stored data \(2024-01-02T05:00:00.000Z to 2024-01-03T05:00:00.000Z\)/);
+    assert.deepEqual(msft.error.availableRange, { start: etDateTimeToUnix('2024-01-02', 0), end: etDateTimeToUnix('2024-01-03', 0) });
+  });
+
+  it('returns 404 for an inactive symbol', async () => {
+    const res = await get('/api/stock/DLST');
+    assert.equal(res.status, 404);
+    assert.equal((await res.json()).error, 'Symbol inactive');
+  });
+
+  it('returns 404 for a symbol no provider knows', async () => {
+    const res = await get('/api/stock/ZZZZ');
+    assert.equal(res.status, 404);
+    assert.equal((await res.json()).error, 'Symbol not found');
+    assert.equal(db.stocks.some(s => s.symbol === 'ZZZZ'), false);
+  });
+
+  it('queues an unknown but valid symbol with 503, then serves it once collected', async () => {
+    const ready = nextCollectionEvent('symbol_ready', 'NVDA');
+    const res = await get('/api/stock/NVDA');
+
+    assert.equal(res.status, 503);
+    assert.equal(res.headers.get('retry-after'), '15');
+    assert.equal((await res.json()).status, 'queued');
+
+    const event = await ready;
+    assert.ok(event.intervals.includes('1d'));
+
+    const retry = await get('/api/stock/NVDA');
+    assert.equal(retry.status, 200);
+    assert.ok((await retry.json()).chart.result[0].timestamp.length > 0);
+  });
+
+  it('returns 503 refreshing for stale data and refreshes it in the background', async () => {
+    const refreshed = nextCollectionEvent('refresh_complete', 'MSFT');
+    const res = await get('/api/stock/MSFT');
+
+    assert.equal(res.status, 503);
+    assert.equal(res.headers.get('retry-after'), '15');
+    assert.equal((await res.json()).status, 'refreshing');
+
+    await refreshed;
+    assert.equal((await get('/api/stock/MSFT')).status, 200);
+  });
+
+  it('returns 503 refreshing for an active symbol with no candles yet', async () => {
+    const refreshed = nextCollectionEvent('refresh_complete', 'EMPTY');
+    const res = await get('/api/stock/EMPTY');
+
+    assert.equal(res.status, 503);
+    assert.equal((await res.json()).status, 'refreshing');
+    await refreshed;
+  });
+});
+
+describe('GET /providers', () => {
+  it('lists providers with health, circuit state and capabilities', async () => {
+    const server = app.listen(0);
+    await once(server, 'listening');
+    try {
+      const res = await fetch(`http://127.0.0.1:${server.address().port}/providers`);
+      assert.equal(res.status, 200);
+
+      const body = await res.json();
+      assert.equal(body.circuitBreaker.failureThreshold, 3);
+      const [mock] = body.providers;
+      assert.equal(mock.name, 'Mock');
+      assert.equal(mock.priority, 1);
+      assert.equal(mock.circuit, 'closed');
+      assert.ok(mock.requests > 0);
+      assert.equal(mock.capabilities.batchSymbols, true);
+    } finally {
+      server.close();
+    }
+  });
+});
+
+describe('GET /queue', () => {
+  let server;
+  let baseUrl;
+  let restoreConsole;
+
+  before(async () => {
+    restoreConsole = muteConsole();
+    server = app.listen(0);
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    restoreConsole();
+  });
+
+  it('shows the jobs queued by earlier requests with their outcome', async () => {
+    const res = await fetch(`${baseUrl}/queue`);
+    assert.equal(res.status, 200);
+
+    const body = await res.json();
+    assert.equal(body.counts.completed, 3);
+    assert.equal(body.counts.pending, 0);
+    const nvda = body.jobs.find(job => job.symbol === 'NVDA');
+    assert.equal(nvda.status, 'completed');
+    assert.equal(nvda.reason, 'new');
+    assert.equal(nvda.interval, 'all');
+    assert.equal(nvda.attempts, 1);
+  });
+
+  it('queues manual collections as persistent jobs', async () => {
+    const res = await fetch(`${baseUrl}/collect/AAPL?interval=5m`, { method: 'POST' });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).queueSize, 1);
+
+    const pending = await (await fetch(`${baseUrl}/queue?status=pending`)).json();
+    assert.deepEqual(pending.jobs.map(job => [job.symbol, job.interval, job.reason]), [['AAPL', '5m', 'manual']]);
+  });
+
+  it('rejects unknown statuses and intervals', async () => {
+    assert.equal((await fetch(`${baseUrl}/queue?status=done`)).status, 400);
+    assert.equal((await fetch(`${baseUrl}/collect/AAPL?interval=7x`, { method: 'POST' })).status, 400);
+  });
+});
+
+describe('GET /api/stock/:symbol format negotiation', () => {
+  let server;
+  let baseUrl;
+  let restoreConsole;
+
+  const get = (query, headers = {}) => fetch(`${baseUrl}/api/stock/AAPL?interval=1d${query}`, { headers });
+
+  before(async () => {
+    restoreConsole = muteConsole();
+    clock.set(NOW);
+    server = app.listen(0);
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    clock.useSystemTime();
+    restoreConsole();
+  });
+
+  it('serves CSV rows for format=csv and Accept: text/csv', async () => {
+    for (const res of [await get('&format=csv'), await get('', { Accept: 'text/csv' })]) {
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.get('content-type'), 'text/csv; charset=utf-8');
+      assert.equal(res.headers.get('content-disposition'), 'inline; filename="AAPL_1d.csv"');
+
+      const [header, ...rows] = (await res.text()).trim().split('\n');
+      assert.equal(header, 'symbol,timestamp,datetime,open,high,low,close,volume,vwap,trade_count,data_source,partial');
+      assert.equal(rows.length, TRADING_DAYS.length);
+      assert.equal(rows[0], `AAPL,${etDateTimeToUnix('2024-03-04', 0)},2024-03-04T05:00:00.000Z,100,102,99,101,1000000,,,test,false`);
+    }
+  });
+
+  it('serves NDJSON rows for format=ndjson and both NDJSON media types', async () => {
+    const responses = [
+      await get('&format=ndjson'),
+      await get('', { Accept: 'application/x-ndjson' }),
+      await get('', { Accept: 'application/ndjson' })
+    ];
+    for (const res of responses) {
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.get('content-type'), 'application/x-ndjson; charset=utf-8');
+
+      const rows = (await res.text()).trim().split('\n').map(line => JSON.parse(line));
+      assert.equal(rows.length, TRADING_DAYS.length);
+      assert.equal(rows.at(-1).close, 108);
+    }
+  });
+
+  it('serves a JSON array of rows for format=json-rows', async () => {
+    const res = await get('&format=json-rows');
+    assert.equal(res.headers.get('content-type'), 'application/json; charset=utf-8');
+    const rows = await res.json();
+    assert.equal(rows.length, TRADING_DAYS.length);
+    assert.equal(rows[0].symbol, 'AAPL');
+  });
+
+  it('serves the chart JSON by default, for format=json and for Accept: application/json', async () => {
+    const responses = [
+      await get(''),
+      await get('&format=json', { Accept: 'text/csv' }),
+      await get('', { Accept: 'application/json' }),
+      await get('', { Accept: 'text/html,*/*;q=0.8' })
+    ];
+    for (const res of responses) {
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.get('content-type'), 'application/json; charset=utf-8');
+      assert.match(res.headers.get('vary'), /Accept/);
+      assert.equal((await res.json()).chart.result[0].meta.symbol, 'AAPL');
+    }
+  });
+
+  it('returns 400 for an unknown format and 406 for an unsupported Accept header', async () => {
+    const unknown = await get('&format=xml');
+    assert.equal(unknown.status, 400);
+    assert.match((await unknown.json()).message, /Invalid format: xml/);
+
+    const unacceptable = await get('', { Accept: 'application/xml' });
+    assert.equal(unacceptable.status, 406);
+    const body = await unacceptable.json();
+    assert.equal(body.error, 'Not acceptable');
+    assert.deepEqual(body.mediaTypes, ['application/json', 'text/csv', 'application/x-ndjson', 'application/ndjson']);
+  });
+});
+
+describe('GET /api/stock/:symbol include=', () => {
+  let server;
+  let baseUrl;
+  let restoreConsole;
+
+  const get = async (path) => {
+    const res = await fetch(`${baseUrl}${path}`);
+    return { status: res.status, body: await res.json() };
+  };
+
+  before(async () => {
+    restoreConsole = muteConsole();
+    clock.set(NOW);
+
+    // Every other bar has a vwap and trade count; sources change half way
+    db.addCandles(db.addStock('INCL'), '1d', dailyCandles(TRADING_DAYS).map((candle, i) => ({
+      ...candle,
+      vwap: i % 2 === 0 ? String(100.5 + i) : null,
+      trade_count: i % 2 === 0 ? 1000 + i : null,
+      data_source: i < 4 ? 'Alpaca' : 'Schwab'
+    })));
+
+    server = app.listen(0);
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    clock.useSystemTime();
+    restoreConsole();
+  });
+
+  it('leaves the optional fields out by default', async () => {
+    const { status, body } = await get('/api/stock/INCL?interval=1d');
+    assert.equal(status, 200);
+
+    const [result] = body.chart.result;
+    assert.deepEqual(Object.keys(result.indicators), ['quote']);
+    assert.equal(result.dataSource, undefined);
+  });
+
+  it('adds vwap, trade counts and sources aligned to the timestamps', async () => {
+    const { status, body } = await get('/api/stock/INCL?interval=1d&include=vwap,trades,source');
+    assert.equal(status, 200);
+
+    const [result] = body.chart.result;
+    assert.deepEqual(result.indicators.vwap[0].vwap, [100.5, null, 102.5, null, 104.5, null, 106.5, null]);
+    assert.deepEqual(result.indicators.tradeCount[0].tradeCount, [1000, null, 1002, null, 1004, null, 1006, null]);
+    assert.deepEqual(result.dataSource, ['Alpaca', 'Alpaca', 'Alpaca', 'Alpaca', 'Schwab', 'Schwab', 'Schwab', 'Schwab']);
+  });
+
+  it('adds only the requested fields, also on the batch endpoint', async () => {
+    const single = (await get('/api/stock/INCL?interval=1d&include=source')).body.chart.result[0];
+    assert.deepEqual(Object.keys(single.indicators), ['quote']);
+    assert.equal(single.dataSource.length, TRADING_DAYS.length);
+
+    const { status, body } = await get('/api/stocks?symbols=INCL,AAPL&interval=1d&include=trades');
+    assert.equal(status, 200);
+    const [incl, aapl] = body.chart.result;
+    assert.equal(incl.indicators.tradeCount[0].tradeCount[0], 1000);
+    assert.deepEqual(aapl.indicators.tradeCount[0].tradeCount, TRADING_DAYS.map(() => null));
+    assert.equal(incl.indicators.vwap, undefined);
+  });
+
+  it('rejects unknown include values with 400', async () => {
+    for (const path of ['/api/stock/INCL?include=vwap,volume', '/api/stocks?symbols=INCL&include=VWAP']) {
+      const { status, body } = await get(path);
+      assert.equal(status, 400, path);
+      assert.match(body.message, /Invalid include option: (volume|VWAP)\. Use any of vwap, trades, source/);
+    }
+  });
+});
+
+describe('GET /calendar', () => {
+  let server;
+  let baseUrl;
+
+  const get = async (query) => {
+    const res = await fetch(`${baseUrl}/calendar${query}`);
+    return { status: res.status, body: await res.json() };
+  };
+
+  before(async () => {
+    clock.set('2024-11-28T17:00:00Z'); // Thanksgiving, noon ET
+    server = app.listen(0);
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    clock.useSystemTime();
+  });
+
+  it('reports holidays and early closes with their session bounds', async () => {
+    const { status, body } = await get('?from=2024-11-27&to=2024-12-02');
+    assert.equal(status, 200);
+    assert.equal(body.exchange, 'NYSE');
+    assert.equal(body.timezone, 'America/New_York');
+
+    const [wednesday, thanksgiving, dayAfter, saturday, , monday] = body.days;
+    assert.equal(body.days.length, 6);
+    assert.equal(wednesday.sessions.regular.end, etDateTimeToUnix('2024-11-27', 16 * 60));
+
+    assert.deepEqual(thanksgiving, {
+      date: '2024-11-28', isTradingDay: false, holiday: 'Thanksgiving Day', earlyClose: null, covered: true, sessions: null
+    });
+
+    // 1 PM close, post-market until 5 PM
+    assert.equal(dayAfter.isTradingDay, true);
+    assert.equal(dayAfter.earlyClose, 'Day after Thanksgiving');
+    assert.deepEqual(dayAfter.sessions.regular, { start: etDateTimeToUnix('2024-11-29', 570), end: etDateTimeToUnix('2024-11-29', 13 * 60) });
+    assert.equal(dayAfter.sessions.post.end, etDateTimeToUnix('2024-11-29', 17 * 60));
+
+    assert.equal(saturday.isTradingDay, false);
+    assert.equal(saturday.holiday, null);
+    assert.equal(monday.sessions.regular.end, etDateTimeToUnix('2024-12-02', 16 * 60));
+  });
+
+  it('reports the market state at the current time', async () => {
+    const { body } = await get('?from=2024-11-28&to=2024-11-28');
+    assert.equal(body.marketOpen, false);
+    assert.equal(body.currentSession, 'closed');
+    assert.equal(body.lastMarketClose, etDateTimeToUnix('2024-11-27', 16 * 60));
+    assert.equal(body.nextMarketOpen, etDateTimeToUnix('2024-11-29', 570));
+  });
+
+  it('defaults to the next 30 days from today', async () => {
+    const { body } = await get('');
+    assert.equal(body.from, '2024-11-28');
+    assert.equal(body.to, '2024-12-28');
+    assert.equal(body.days.length, 31);
+    assert.equal(body.days.find(day => day.date === '2024-12-24').earlyClose, 'Christmas Eve');
+    assert.equal(body.days.find(day => day.date === '2024-12-25').holiday, 'Christmas Day');
+  });
+
+  it('falls back to weekday-only rules for years outside the calendar file', async () => {
+    const { status, body } = await get('?from=2030-01-01&to=2030-01-05');
+    assert.equal(status, 200);
+    assert.ok(body.days.every(day => day.covered === false));
+    // New Year's Day isn't known, so it counts as a trading day
+    assert.deepEqual(body.days.map(day => day.isTradingDay), [true, true, true, true, false]);
+    assert.equal(body.days[0].holiday, null);
+  });
+
+  it('rejects invalid, reversed and oversized ranges', async () => {
+    for (const query of ['?from=someday', '?from=2024-12-01&to=2024-11-01', '?from=2024-01-01&to=2025-01-01']) {
+      const { status, body } = await get(query);
+      assert.equal(status, 400, query);
+      assert.equal(body.error, 'Invalid parameters');
+    }
+    assert.equal((await get('?from=2024-01-01&to=2024-12-31')).status, 200);
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { aggregateBars } = require('../src/utils/barAggregation');
+const { etDateTimeToUnix } = require('../src/utils/marketTime');
+
+/**
+ * Consecutive bars starting at an ET date/time, `minutes` apart
+ */
+function makeBars(date, startMinutes, count, minutes, overrides = {}) {
+  return Array.from({ length: count }, (_, i) => ({
+    ts: etDateTimeToUnix(date, startMinutes + i * minutes),
+    open: 100 + i,
+    high: 101 + i,
+    low: 99 + i,
+    close: 100.5 + i,
+    volume: 1000,
+    vwap: 100 + i,
+    trade_count: 10,
+    data_source: 'test',
+    ...overrides
+  }));
+}
+
+const OPEN = 9 * 60 + 30;
+
+describe('aggregateBars', () => {
+  it('returns the input unchanged for a multiplier of 1', () => {
+    const bars = makeBars('2024-03-12', OPEN, 3, 15);
+    assert.equal(aggregateBars(bars, '15m', 1), bars);
+  });
+
+  it('combines OHLCV per bucket: first open, max high, min low, last close, summed volume', () => {
+    const bars = makeBars('2024-03-12', OPEN, 3, 15);
+    const [bar] = aggregateBars(bars, '15m', 3);
+
+    assert.equal(bar.ts, etDateTimeToUnix('2024-03-12', OPEN));
+    assert.equal(bar.open, 100);
+    assert.equal(bar.high, 103);
+    assert.equal(bar.low, 99);
+    assert.equal(bar.close, 102.5);
+    assert.equal(bar.volume, 3000);
+    assert.equal(bar.trade_count, 30);
+    assert.equal(bar.vwap, 101);
+    assert.equal(bar.data_source, 'test');
+    assert.equal(bar.partial, false);
+  });
+
+  it('anchors intraday buckets to the session open', () => {
+    // 26 x 15m bars = the full 9:30-16:00 session -> 45m buckets at 9:30, 10:15, ...
+    const bars = makeBars('2024-03-12', OPEN, 26, 15);
+    const result = aggregateBars(bars, '15m', 3);
+
+    assert.equal(result.length, 9);
+    assert.deepEqual(
+      result.slice(0, 3).map(b => b.ts),
+      [OPEN, OPEN + 45, OPEN + 90].map(m => etDateTimeToUnix('2024-03-12', m))
+    );
+    // The last bucket is cut short by the close: 15:30 + 15:45 make it complete
+    assert.equal(result[8].volume, 2000);
+    assert.equal(result[8].partial, false);
+  });
+
+  it('never lets a bucket straddle a data gap or the next session', () => {
+    const day1 = makeBars('2024-03-12', OPEN, 2, 15);                 // 9:30, 9:45 (10:00 missing)
+    const day2 = makeBars('2024-03-13', OPEN, 3, 15, { close: 200 });  // next morning
+    const result = aggregateBars([...day1, ...day2], '15m', 3);
+
+    assert.equal(result.length, 2);
+    assert.equal(result[0].ts, etDateTimeToUnix('2024-03-12', OPEN));
+    assert.equal(result[0].partial, true);
+    assert.equal(result[1].ts, etDateTimeToUnix('2024-03-13', OPEN));
+    assert.equal(result[1].close, 200);
+    assert.equal(result[1].partial, false);
+  });
+
+  it('aligns multi-day buckets to the calendar week', () => {
+    // Mon 2024-03-11 .. Fri 2024-03-15 -> 2d buckets Mon-Tue, Wed-Thu, Fri
+    const days = ['2024-03-11', '2024-03-12', '2024-03-13', '2024-03-14', '2024-03-15'];
+    const bars = days.flatMap(date => makeBars(date, 0, 1, 0));
+    const result = aggregateBars(bars, '1d', 2);
+
+    assert.deepEqual(result.map(b => b.ts), ['2024-03-11', '2024-03-13', '2024-03-15'].map(d => etDateTimeToUnix(d, 0)));
+    assert.deepEqual(result.map(b => b.volume), [2000, 2000, 1000]);
+    // Friday's bucket only spans one trading day
+    assert.equal(result[2].partial, false);
+  });
+
+  it('groups months into calendar quarters', () => {
+    const months = ['2024-01-01', '2024-02-01', '2024-03-01', '2024-04-01'];
+    const bars = months.flatMap(date => makeBars(date, 0, 1, 0));
+    const result = aggregateBars(bars, '1mo', 3);
+
+    assert.deepEqual(result.map(b => b.ts), ['2024-01-01', '2024-04-01'].map(d => etDateTimeToUnix(d, 0)));
+    assert.equal(result[0].partial, false);
+    assert.equal(result[1].partial, true);
+  });
+});
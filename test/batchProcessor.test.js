@@ -0,0 +1,79 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { processBatchedSymbols, splitIntoBatches } = require('../src/utils/batchProcessor');
+const { muteConsole } = require('./helpers/console');
+
+const SYMBOLS = ['A', 'B', 'C', 'D', 'E'];
+
+describe('processBatchedSymbols', () => {
+  let restoreConsole;
+  before(() => { restoreConsole = muteConsole(); });
+  after(() => restoreConsole());
+
+  it('returns an empty summary for no symbols without calling the processor', async () => {
+    let calls = 0;
+    const result = await processBatchedSymbols([], async () => { calls++; });
+
+    assert.equal(calls, 0);
+    assert.deepEqual(result, { totalBatches: 0, successfulBatches: 0, failedBatches: 0, processedSymbols: 0, errors: [] });
+  });
+
+  it('processes batches in order with their index and collects results', async () => {
+    const seen = [];
+    const completed = [];
+    const result = await processBatchedSymbols(SYMBOLS, async (batch, index) => {
+      seen.push([index, batch]);
+      return batch.length;
+    }, {
+      batchSize: 2,
+      delayBetweenBatches: 0,
+      onBatchComplete: (batchResult, index) => completed.push([index, batchResult])
+    });
+
+    assert.deepEqual(seen, [[0, ['A', 'B']], [1, ['C', 'D']], [2, ['E']]]);
+    assert.deepEqual(completed, [[0, 2], [1, 2], [2, 1]]);
+    assert.equal(result.totalBatches, 3);
+    assert.equal(result.successfulBatches, 3);
+    assert.equal(result.processedSymbols, 5);
+    assert.deepEqual(result.batchResults, [2, 2, 1]);
+  });
+
+  it('records failed batches and keeps going by default', async () => {
+    const result = await processBatchedSymbols(SYMBOLS, async (batch, index) => {
+      if (index === 1) throw new Error('429 Too Many Requests');
+      return batch;
+    }, { batchSize: 2, delayBetweenBatches: 0 });
+
+    assert.equal(result.successfulBatches, 2);
+    assert.equal(result.failedBatches, 1);
+    assert.equal(result.processedSymbols, 3);
+    assert.deepEqual(result.errors, [{ batchIndex: 1, symbols: ['C', 'D'], error: '429 Too Many Requests' }]);
+  });
+
+  it('rethrows the first failure with stopOnError', async () => {
+    const seen = [];
+    await assert.rejects(
+      processBatchedSymbols(SYMBOLS, async (batch, index) => {
+        seen.push(index);
+        if (index === 0) throw new Error('boom');
+      }, { batchSize: 2, delayBetweenBatches: 0, stopOnError: true }),
+      /boom/
+    );
+    assert.deepEqual(seen, [0]);
+  });
+
+  it('waits between batches but not after the last one', async () => {
+    const started = Date.now();
+    await processBatchedSymbols(SYMBOLS, async () => {}, { batchSize: 2, delayBetweenBatches: 40 });
+    const elapsed = Date.now() - started;
+
+    assert.ok(elapsed >= 75, `expected two 40ms delays, took ${elapsed}ms`);
+    assert.ok(elapsed < 1000);
+  });
+});
+
+describe('splitIntoBatches', () => {
+  it('splits without processing', () => {
+    assert.deepEqual(splitIntoBatches(SYMBOLS, 3), [['A', 'B', 'C'], ['D', 'E']]);
+  });
+});
@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { writeCandleRows } = require('../src/utils/candleFormats');
+
+const candles = Array.from({ length: 1200 }, (_, i) => ({ ts: 1710338400 + i * 60, open: 1, high: 2, low: 0.5, close: 1.5, volume: 100 }));
+
+/**
+ * Response whose socket buffer is always full
+ */
+function fullResponse() {
+  const res = new EventEmitter();
+  res.destroyed = false;
+  res.chunks = [];
+  res.ended = false;
+  res.write = (chunk) => {
+    res.chunks.push(chunk);
+    return false;
+  };
+  res.end = () => { res.ended = true; };
+  return res;
+}
+
+describe('writeCandleRows', () => {
+  it('waits for drain between chunks', async () => {
+    const res = fullResponse();
+    const done = writeCandleRows(res, 'ndjson', 'AAPL', candles);
+
+    await new Promise(setImmediate);
+    assert.equal(res.chunks.length, 1);
+    res.emit('drain');
+    await new Promise(setImmediate);
+    assert.equal(res.chunks.length, 2);
+    res.emit('drain');
+
+    await done;
+    assert.equal(res.ended, true);
+    assert.equal(res.listenerCount('close'), 0);
+  });
+
+  it('stops when the client disconnects with the buffer full', async () => {
+    const res = fullResponse();
+    const done = writeCandleRows(res, 'csv', 'AAPL', candles);
+
+    await new Promise(setImmediate);
+    res.destroyed = true;
+    res.emit('close');
+
+    await done;
+    assert.equal(res.chunks.length, 1);
+    assert.equal(res.ended, false);
+    assert.deepEqual(['drain', 'close', 'error'].map(event => res.listenerCount(event)), [0, 0, 0]);
+  });
+});
@@ -0,0 +1,126 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryDatabase } = require('./helpers/memoryDatabase');
+const { upsertCandles, STORE_CHUNK_SIZE } = require('../src/utils/candleStore');
+
+const START = Date.parse('2024-03-12T13:30:00Z');
+
+/**
+ * `count` provider bars one minute apart
+ */
+function makeBars(count, overrides = {}) {
+  return Array.from({ length: count }, (_, i) => ({
+    t: new Date(START + i * 60000).toISOString(),
+    o: 100 + i,
+    h: 101 + i,
+    l: 99 + i,
+    c: 100.5 + i,
+    v: 1000,
+    vw: 100.25 + i,
+    n: 10,
+    ...overrides
+  }));
+}
+
+const writes = (db) => db.log.filter(sql => sql.startsWith('INSERT INTO candles')).length;
+
+describe('upsertCandles', () => {
+  let db;
+  let stockId;
+
+  beforeEach(() => {
+    db = new MemoryDatabase();
+    stockId = db.addStock('AAPL');
+  });
+
+  it('inserts new bars with market fields and reports them as changed', async () => {
+    const result = await upsertCandles(db, stockId, '1m', makeBars(3), 'alpaca');
+
+    assert.equal(result.inserted, 3);
+    assert.equal(result.updated, 0);
+    assert.deepEqual(result.changed.map(c => c.change), ['insert', 'insert', 'insert']);
+    assert.deepEqual(Object.keys(result.changed[0]).sort(), ['change', 'close', 'high', 'low', 'open', 'trade_count', 'ts', 'volume', 'vwap']);
+
+    const [first] = db.getCandles(stockId, '1m');
+    assert.equal(first.ts, START / 1000);
+    assert.equal(first.session, 'regular');
+    assert.equal(first.trading_date, '2024-03-12');
+    assert.equal(first.data_source, 'alpaca');
+  });
+
+  it('writes a chunk per STORE_CHUNK_SIZE bars instead of a query per bar', async () => {
+    const count = STORE_CHUNK_SIZE * 2 + 10;
+    const result = await upsertCandles(db, stockId, '1m', makeBars(count), 'alpaca');
+
+    assert.equal(result.inserted, count);
+    assert.equal(writes(db), 3);
+    assert.equal(db.log.length, 6); // one SELECT + one INSERT per chunk
+  });
+
+  it('counts updates and skips bars stored unchanged', async () => {
+    await upsertCandles(db, stockId, '1m', makeBars(4), 'alpaca');
+    db.log.length = 0;
+
+    const bars = makeBars(5);
+    bars[1].c = 250;
+    const result = await upsertCandles(db, stockId, '1m', bars, 'alpaca');
+
+    assert.equal(result.inserted, 1);
+    assert.equal(result.updated, 1);
+    assert.equal(result.unchanged, 3);
+    assert.deepEqual(result.changed.map(c => [c.ts, c.change]), [
+      [START / 1000 + 60, 'update'],
+      [START / 1000 + 240, 'insert']
+    ]);
+    assert.equal(db.getCandles(stockId, '1m')[1].close, 250);
+  });
+
+  it('compares at stored DECIMAL precision, and treats a new source as an update', async () => {
+    // mysql2 returns DECIMAL columns as strings rounded to 4 places
+    db.addCandles(stockId, '1m', [{
+      ts: START / 1000, open: '100.1235', high: '101.0000', low: '99.0000', close: '100.5000',
+      volume: '1000', vwap: null, trade_count: null, data_source: 'alpaca'
+    }]);
+    const bar = { t: new Date(START).toISOString(), o: 100.12345, h: 101, l: 99, c: 100.5, v: 1000 };
+
+    const same = await upsertCandles(db, stockId, '1m', [bar], 'alpaca');
+    assert.equal(same.unchanged, 1);
+    assert.equal(writes(db), 0);
+
+    const resourced = await upsertCandles(db, stockId, '1m', [bar], 'schwab');
+    assert.equal(resourced.updated, 1);
+    assert.equal(db.getCandles(stockId, '1m')[0].data_source, 'schwab');
+  });
+
+  it('keeps the last bar when a response repeats a timestamp', async () => {
+    const [bar] = makeBars(1);
+    const result = await upsertCandles(db, stockId, '1m', [bar, { ...bar, c: 42 }], 'alpaca');
+
+    assert.equal(result.inserted, 1);
+    assert.equal(db.getCandles(stockId, '1m')[0].close, 42);
+  });
+
+  it('runs in one transaction and rolls back on failure', async () => {
+    const events = [];
+    const connection = {
+      beginTransaction: async () => events.push('begin'),
+      commit: async () => events.push('commit'),
+      rollback: async () => events.push('rollback'),
+      release: () => events.push('release'),
+      query: async (sql) => {
+        if (sql.includes('INSERT')) throw new Error('disk full');
+        return [[]];
+      }
+    };
+    const pool = { getConnection: async () => connection };
+
+    await assert.rejects(upsertCandles(pool, stockId, '1m', makeBars(2), 'alpaca'), /disk full/);
+    assert.deepEqual(events, ['begin', 'rollback', 'release']);
+  });
+
+  it('does nothing for no bars', async () => {
+    const result = await upsertCandles(db, stockId, '1m', [], 'alpaca');
+    assert.deepEqual(result, { inserted: 0, updated: 0, unchanged: 0, changed: [] });
+    assert.equal(db.log.length, 0);
+  });
+});
@@ -0,0 +1,203 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const { installMemoryDatabase } = require('./helpers/memoryDatabase');
+const { muteConsole } = require('./helpers/console');
+
+process.env.PROVIDER_PRIORITY = 'mock';
+process.env.MOCK_PROVIDER_SEED = '7';
+process.env.MOCK_SYMBOLS = 'AAPL,MSFT,NVDA';
+
+const db = installMemoryDatabase();
+const clock = require('../src/utils/clock');
+const providerManager = require('../src/providers/ProviderManager');
+const barEvents = require('../src/utils/barEvents');
+const collectionJobs = require('../src/utils/collectionJobs');
+const { collectInterval, getCollectionChunks, processCollectionQueue } = require('../app');
+
+const DAY = 24 * 60 * 60;
+const seconds = (iso) => Date.parse(iso) / 1000;
+
+describe('getCollectionChunks', () => {
+  const symbols = ['A', 'B', 'C', 'D', 'E'].map((symbol, i) => ({ stock_id: i + 1, symbol }));
+  const NOW = '2024-03-13T15:00:00Z';
+
+  before(() => clock.set(NOW));
+  after(() => clock.useSystemTime());
+
+  it('gives empty series the full lookback and the rest their high-water mark minus the overlap', () => {
+    const marks = new Map([[2, seconds('2024-03-13T14:50:00Z')], [4, seconds('2024-03-13T14:40:00Z')]]);
+    const chunks = getCollectionChunks(symbols, '5m', marks, 50);
+
+    assert.deepEqual(chunks, [
+      { symbols: [symbols[0], symbols[2], symbols[4]], startDate: '2024-02-12T15:00:00.000Z' },
+      // Earliest mark in the batch (D, 14:40) minus 3 x 5m
+      { symbols: [symbols[3], symbols[1]], startDate: '2024-03-13T14:25:00.000Z' }
+    ]);
+  });
+
+  it('sorts incremental series by high-water mark so batches share a start', () => {
+    const marks = new Map(symbols.map((s, i) => [s.stock_id, seconds('2024-03-13T14:00:00Z') - i * DAY]));
+    const chunks = getCollectionChunks(symbols, '1h', marks, 2);
+
+    assert.deepEqual(chunks.map(c => c.symbols.map(s => s.symbol)), [['E', 'D'], ['C', 'B'], ['A']]);
+    assert.equal(chunks[2].startDate, '2024-03-13T11:00:00.000Z');
+  });
+
+  it('never starts before the full lookback', () => {
+    const marks = new Map([[1, seconds('2020-01-01T00:00:00Z')]]);
+    const [chunk] = getCollectionChunks(symbols.slice(0, 1), '1d', marks, 50);
+    assert.equal(chunk.startDate, new Date((seconds(NOW) - 912 * DAY) * 1000).toISOString());
+  });
+});
+
+describe('collectInterval', () => {
+  let restoreConsole;
+  let mock;
+
+  before(async () => {
+    restoreConsole = muteConsole();
+    clock.set('2024-03-13T15:00:30Z'); // Wednesday 11:00:30 ET
+    await providerManager.initialize();
+    mock = providerManager.providers[0];
+  });
+
+  after(() => {
+    clock.useSystemTime();
+    restoreConsole();
+  });
+
+  it('requests only new bars once a series has data, and full lookback for empty ones', async () => {
+    const aapl = db.addStock('AAPL');
+    db.addStock('MSFT');
+
+    await collectInterval('5m');
+    assert.equal(mock.requests.length, 1);
+    assert.equal(mock.requests[0].start, seconds('2024-03-13T15:00:30Z') - 30 * DAY);
+    const stored = db.getCandles(aapl, '5m').length;
+    assert.ok(stored > 0);
+
+    // Five minutes later, with a newly added symbol
+    db.addStock('NVDA');
+    clock.set('2024-03-13T15:05:30Z');
+    mock.requests.length = 0;
+    await collectInterval('5m');
+
+    const [full, incremental] = mock.requests;
+    assert.deepEqual(full.symbols, ['NVDA']);
+    assert.equal(full.start, seconds('2024-03-13T15:05:30Z') - 30 * DAY);
+    assert.deepEqual(incremental.symbols.sort(), ['AAPL', 'MSFT']);
+    // Last stored bar was the completed 10:55 ET bar -> from 10:40 ET
+    assert.equal(incremental.start, seconds('2024-03-13T14:40:00Z'));
+
+    assert.equal(db.getCandles(aapl, '5m').length, stored + 1);
+  });
+});
+
+describe('processCollectionQueue', () => {
+  let restoreConsole;
+  let mock;
+
+  before(async () => {
+    restoreConsole = muteConsole();
+    clock.set('2024-03-13T16:00:30Z');
+    await providerManager.initialize();
+    mock = providerManager.providers[0];
+  });
+
+  after(() => {
+    clock.useSystemTime();
+    restoreConsole();
+  });
+
+  it('keeps a failed job queued and retries it after backoff', async () => {
+    const stockId = db.stocks.find(s => s.symbol === 'MSFT').stock_id;
+    const before = db.getCandles(stockId, '1d').length;
+    await collectionJobs.enqueueJob(db, 'MSFT', { interval: '1d', reason: 'refresh' });
+
+    mock.reset();
+    mock.queueFault('error');
+    await processCollectionQueue();
+
+    const [job] = db.jobs.filter(j => j.symbol === 'MSFT');
+    assert.equal(job.status, 'pending');
+    assert.equal(job.attempts, 1);
+    assert.match(job.error_message, /^1d: .*status code 500/);
+    assert.equal(db.getCandles(stockId, '1d').length, before);
+
+    // Backoff not over yet - nothing runs
+    await processCollectionQueue();
+    assert.equal(mock.requests.length, 1);
+
+    const completed = once(barEvents, 'collection');
+    clock.set(job.run_after);
+    await processCollectionQueue();
+
+    assert.equal(job.status, 'completed');
+    assert.equal(job.attempts, 2);
+    assert.ok(db.getCandles(stockId, '1d').length > before);
+    const [event] = await completed;
+    assert.equal(event.type, 'refresh_complete');
+    assert.deepEqual(event.intervals, ['1d']);
+  });
+
+  it('runs refresh jobs from the high-water mark', async () => {
+    const aapl = db.stocks.find(s => s.symbol === 'AAPL').stock_id;
+    const mark = db.getCandles(aapl, '5m').map(c => c.ts).sort((a, b) => a - b).pop();
+    await collectionJobs.enqueueJob(db, 'AAPL', { interval: '5m', reason: 'refresh' });
+
+    mock.reset();
+    await processCollectionQueue();
+
+    assert.equal(mock.requests.length, 1);
+    assert.deepEqual(mock.requests[0].symbols, ['AAPL']);
+    assert.equal(mock.requests[0].start, mark - 3 * 5 * 60);
+    assert.equal(db.jobs.find(j => j.symbol === 'AAPL' && j.interval_type === '5m').status, 'completed');
+  });
+
+  it('requests the rest of a truncated response', async () => {
+    const aapl = db.stocks.find(s => s.symbol === 'AAPL').stock_id;
+    await collectionJobs.enqueueJob(db, 'AAPL', { interval: '1d', reason: 'refresh' });
+    await collectionJobs.enqueueJob(db, 'NVDA', { interval: '1d', reason: 'refresh' });
+
+    mock.reset();
+    mock.queueFault('truncated');
+    await processCollectionQueue();
+
+    // Cut short halfway through AAPL: AAPL again from its last bar, NVDA from the start
+    const [first, partial, missing] = mock.requests;
+    assert.equal(mock.requests.length, 3);
+    const stored = db.getCandles(aapl, '1d').map(c => c.ts).sort((a, b) => a - b);
+    assert.deepEqual(partial.symbols, ['AAPL']);
+    assert.ok(partial.start > first.start && stored.includes(partial.start));
+    assert.deepEqual(missing.symbols, ['NVDA']);
+    assert.equal(missing.start, first.start);
+    assert.equal(stored[stored.length - 1], mock._generateBars('AAPL', '1d', first.start, first.end).map(bar => Date.parse(bar.t) / 1000).pop());
+
+    for (const job of db.jobs.filter(j => j.interval_type === '1d' && ['AAPL', 'NVDA'].includes(j.symbol))) {
+      assert.equal(job.status, 'completed');
+    }
+  });
+
+  it('keeps the job queued when the response stays truncated', async () => {
+    await collectionJobs.enqueueJob(db, 'NVDA', { interval: '5m', reason: 'refresh' });
+
+    mock.reset();
+    mock.queueFault('truncated', 10);
+    await processCollectionQueue();
+
+    assert.equal(mock.requests.length, 4); // First request and three follow-ups
+    const job = db.jobs.find(j => j.symbol === 'NVDA' && j.interval_type === '5m');
+    assert.equal(job.status, 'pending');
+    assert.match(job.error_message, /^5m: Response truncated/);
+  });
+
+  it('fails jobs for symbols missing from the database without retrying', async () => {
+    await collectionJobs.enqueueJob(db, 'GHOST', { reason: 'manual' });
+    await processCollectionQueue();
+
+    const [job] = db.jobs.filter(j => j.symbol === 'GHOST');
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error_message, 'Symbol GHOST not found in database');
+  });
+});
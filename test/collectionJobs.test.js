@@ -0,0 +1,131 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryDatabase } = require('./helpers/memoryDatabase');
+const clock = require('../src/utils/clock');
+const jobs = require('../src/utils/collectionJobs');
+
+const NOW = Date.parse('2024-03-13T15:00:00Z');
+const at = (seconds) => new Date(NOW + seconds * 1000);
+
+describe('collectionJobs', () => {
+  let db;
+
+  before(() => clock.set(NOW));
+  after(() => clock.useSystemTime());
+
+  beforeEach(() => {
+    db = new MemoryDatabase();
+    clock.set(NOW);
+  });
+
+  it('keeps one open job per symbol and interval, raising its priority', async () => {
+    assert.deepEqual(await jobs.enqueueJob(db, 'AAPL', { reason: 'manual' }), { created: true });
+    assert.deepEqual(await jobs.enqueueJob(db, 'AAPL', { reason: 'refresh' }), { created: false });
+    assert.deepEqual(await jobs.enqueueJob(db, 'AAPL', { interval: '5m', reason: 'manual' }), { created: true });
+
+    assert.equal(db.jobs.length, 2);
+    assert.equal(db.jobs[0].reason, 'refresh');
+    assert.equal(db.jobs[0].priority, jobs.JOB_PRIORITIES.refresh);
+
+    // Lower priority leaves it alone (MySQL still reports the unchanged row as affected)
+    assert.deepEqual(await jobs.enqueueJob(db, 'AAPL', { reason: 'manual' }), { created: false });
+    assert.equal(db.jobs[0].reason, 'refresh');
+  });
+
+  it('rejects unknown reasons', async () => {
+    await assert.rejects(jobs.enqueueJob(db, 'AAPL', { reason: 'whim' }), /Invalid job reason: whim/);
+  });
+
+  it('leases due jobs highest priority first, once', async () => {
+    await jobs.enqueueJob(db, 'MSFT', { reason: 'manual' });
+    await jobs.enqueueJob(db, 'NVDA', { reason: 'new' });
+    await jobs.enqueueJob(db, 'AAPL', { reason: 'refresh' });
+
+    const leased = await jobs.leaseJobs(db, 'host:1', 2);
+    assert.deepEqual(leased.map(j => j.symbol), ['NVDA', 'AAPL']);
+    assert.ok(leased.every(j => j.status === 'running' && j.attempts === 1));
+    assert.equal(leased[0].lease_expires_at.getTime(), at(jobs.LEASE_SECONDS).getTime());
+
+    const rest = await jobs.leaseJobs(db, 'host:2', 10);
+    assert.deepEqual(rest.map(j => j.symbol), ['MSFT']);
+    assert.deepEqual(await jobs.leaseJobs(db, 'host:2', 10), []);
+  });
+
+  it('retries failures with exponential backoff, then fails them', async () => {
+    await jobs.enqueueJob(db, 'AAPL', { reason: 'refresh' });
+
+    for (let attempt = 1; attempt < jobs.MAX_ATTEMPTS; attempt++) {
+      const [job] = await jobs.leaseJobs(db, 'host:1', 10);
+      assert.equal(job.attempts, attempt);
+      assert.equal(await jobs.failJob(db, job, new Error('Request failed with status code 500')), 'pending');
+
+      const delay = jobs.getRetryDelaySeconds(attempt);
+      assert.equal(delay, 30 * Math.pow(2, attempt - 1));
+      assert.equal(db.jobs[0].run_after.getTime(), clock.now() + delay * 1000);
+      assert.equal(db.jobs[0].error_message, 'Request failed with status code 500');
+
+      // Not due until the backoff has passed
+      assert.deepEqual(await jobs.leaseJobs(db, 'host:1', 10), []);
+      clock.set(db.jobs[0].run_after);
+    }
+
+    const [last] = await jobs.leaseJobs(db, 'host:1', 10);
+    assert.equal(await jobs.failJob(db, last, 'still down'), 'failed');
+    assert.equal(db.jobs[0].open_key, null);
+    assert.ok(db.jobs[0].completed_at);
+
+    // A failed job no longer blocks queueing the symbol again
+    assert.deepEqual(await jobs.enqueueJob(db, 'AAPL', { reason: 'refresh' }), { created: true });
+  });
+
+  it('fails non-retryable jobs on the first attempt', async () => {
+    await jobs.enqueueJob(db, 'GONE', { reason: 'manual' });
+    const [job] = await jobs.leaseJobs(db, 'host:1', 10);
+    assert.equal(await jobs.failJob(db, job, 'not found', { retryable: false }), 'failed');
+  });
+
+  it('completes jobs and frees the key', async () => {
+    await jobs.enqueueJob(db, 'AAPL', { interval: '1d', reason: 'manual' });
+    const [job] = await jobs.leaseJobs(db, 'host:1', 10);
+    await jobs.completeJob(db, job);
+
+    assert.equal(db.jobs[0].status, 'completed');
+    assert.equal(db.jobs[0].lease_owner, null);
+    assert.deepEqual(await jobs.countJobs(db), { pending: 0, running: 0, completed: 1, failed: 0 });
+  });
+
+  it('returns jobs of a crashed worker once their lease expires', async () => {
+    await jobs.enqueueJob(db, 'AAPL', { reason: 'new' });
+    const [stale] = await jobs.leaseJobs(db, 'host:1', 10);
+
+    assert.equal(await jobs.recoverExpiredLeases(db), 0);
+    clock.set(NOW + (jobs.LEASE_SECONDS + 1) * 1000);
+    assert.equal(await jobs.recoverExpiredLeases(db), 1);
+    assert.equal(db.jobs[0].status, 'pending');
+    assert.equal(db.jobs[0].error_message, 'Lease expired');
+
+    // The new lease wins; the old worker's late result is ignored
+    const [job] = await jobs.leaseJobs(db, 'host:2', 10);
+    await jobs.failJob(db, stale, 'too late');
+    assert.equal(db.jobs[0].status, 'running');
+    await jobs.completeJob(db, job);
+    assert.equal(db.jobs[0].status, 'completed');
+  });
+
+  it('lists and purges jobs', async () => {
+    await jobs.enqueueJob(db, 'AAPL', { reason: 'manual' });
+    await jobs.enqueueJob(db, 'MSFT', { reason: 'manual' });
+    const [job] = await jobs.leaseJobs(db, 'host:1', 1);
+    await jobs.completeJob(db, job);
+
+    assert.deepEqual((await jobs.listJobs(db)).map(j => j.symbol), ['MSFT', 'AAPL']);
+    assert.deepEqual((await jobs.listJobs(db, { status: 'pending' })).map(j => j.symbol), ['MSFT']);
+    await assert.rejects(jobs.listJobs(db, { status: 'done' }), /Invalid job status/);
+    assert.equal(jobs.describeJob(db.jobs[0]).interval, 'all');
+
+    assert.equal(await jobs.purgeFinishedJobs(db, 7), 0);
+    clock.set(NOW + 8 * 24 * 60 * 60 * 1000);
+    assert.equal(await jobs.purgeFinishedJobs(db, 7), 1);
+    assert.deepEqual(db.jobs.map(j => j.symbol), ['MSFT']);
+  });
+});
@@ -0,0 +1,162 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const { installMemoryDatabase } = require('./helpers/memoryDatabase');
+const { muteConsole } = require('./helpers/console');
+
+process.env.PROVIDER_PRIORITY = 'mock';
+process.env.MOCK_SYMBOLS = 'AAPL';
+
+const db = installMemoryDatabase();
+const clock = require('../src/utils/clock');
+const { etDateTimeToUnix } = require('../src/utils/marketTime');
+const { adjustCandles, parseAdjustment } = require('../src/utils/corporateActions');
+const app = require('../app');
+
+const DATES = ['2024-03-04', '2024-03-05', '2024-03-06', '2024-03-07', '2024-03-08', '2024-03-11', '2024-03-12', '2024-03-13'];
+
+// Closes 101-108, volume 1000
+const CANDLES = DATES.map((date, i) => ({
+  ts: etDateTimeToUnix(date, 0),
+  open: 100 + i,
+  high: 102 + i,
+  low: 99 + i,
+  close: 101 + i,
+  volume: 1000,
+  vwap: 100.5 + i
+}));
+
+// 2-for-1 split on Monday 03-11, 1% dividend on Thursday 03-07
+const SPLIT = { type: 'split', exDate: '2024-03-11', exTs: etDateTimeToUnix('2024-03-11', 0), priceFactor: 0.5, volumeFactor: 2 };
+const DIVIDEND = { type: 'dividend', exDate: '2024-03-07', exTs: etDateTimeToUnix('2024-03-07', 0), priceFactor: 0.99, volumeFactor: 1 };
+
+const RAW_CLOSES = [101, 102, 103, 104, 105, 106, 107, 108];
+const SPLIT_CLOSES = [50.5, 51, 51.5, 52, 52.5, 106, 107, 108];
+const ALL_CLOSES = [49.995, 50.49, 50.985, 52, 52.5, 106, 107, 108];
+
+describe('parseAdjustment', () => {
+  it('defaults to split and rejects unknown modes', () => {
+    assert.equal(parseAdjustment(undefined), 'split');
+    assert.equal(parseAdjustment('all'), 'all');
+    assert.throws(() => parseAdjustment('none'), /Invalid adjust parameter: none/);
+  });
+});
+
+describe('adjustCandles', () => {
+  const closes = (candles) => candles.map(c => c.close);
+
+  it('returns raw candles untouched', () => {
+    assert.equal(adjustCandles(CANDLES, [DIVIDEND, SPLIT], 'raw'), CANDLES);
+    assert.equal(adjustCandles(CANDLES, [], 'all'), CANDLES);
+  });
+
+  it('divides prices and multiplies volume before a split', () => {
+    const adjusted = adjustCandles(CANDLES, [DIVIDEND, SPLIT], 'split');
+    assert.deepEqual(closes(adjusted), SPLIT_CLOSES);
+    assert.deepEqual(adjusted.map(c => c.volume), [2000, 2000, 2000, 2000, 2000, 1000, 1000, 1000]);
+    assert.equal(adjusted[4].vwap, 52.25);
+    // Bars from the ex-date on are the stored objects
+    assert.equal(adjusted[5], CANDLES[5]);
+  });
+
+  it('adds dividends on top of splits in all mode', () => {
+    const adjusted = adjustCandles(CANDLES, [DIVIDEND, SPLIT], 'all');
+    assert.deepEqual(closes(adjusted), ALL_CLOSES);
+    assert.deepEqual(adjusted.map(c => c.volume), [2000, 2000, 2000, 2000, 2000, 1000, 1000, 1000]);
+  });
+
+  it('skips dividends whose factor is not known yet', () => {
+    const pending = { ...DIVIDEND, priceFactor: null };
+    assert.deepEqual(closes(adjustCandles(CANDLES, [pending, SPLIT], 'all')), SPLIT_CLOSES);
+  });
+
+  it('undoes the splits already in rows collected split-adjusted', () => {
+    // Collected on 03-12: the 03-11 split is in their prices already
+    const legacy = adjustCandles(CANDLES, [SPLIT], 'split').map(c => ({ ...c, split_adjusted_through: '2024-03-12' }));
+
+    assert.deepEqual(closes(adjustCandles(legacy, [DIVIDEND, SPLIT], 'split')), SPLIT_CLOSES);
+    assert.deepEqual(closes(adjustCandles(legacy, [DIVIDEND, SPLIT], 'all')), ALL_CLOSES);
+    const raw = adjustCandles(legacy, [DIVIDEND, SPLIT], 'raw');
+    assert.deepEqual(closes(raw), RAW_CLOSES);
+    assert.deepEqual(raw.map(c => c.volume), CANDLES.map(c => c.volume));
+  });
+
+  it('still applies splits after a split-adjusted row was collected', () => {
+    // Collected on 03-08, before the split - stored as traded
+    const legacy = CANDLES.map(c => ({ ...c, split_adjusted_through: '2024-03-08' }));
+    assert.deepEqual(closes(adjustCandles(legacy, [SPLIT], 'split')), SPLIT_CLOSES);
+    assert.deepEqual(closes(adjustCandles(legacy, [SPLIT], 'raw')), RAW_CLOSES);
+  });
+});
+
+describe('GET /api/stock/:symbol adjust=', () => {
+  let server;
+  let baseUrl;
+  let restoreConsole;
+
+  const closes = async (query) => {
+    const res = await fetch(`${baseUrl}/api/stock/AAPL?interval=1d${query}`);
+    assert.equal(res.status, 200);
+    const [result] = (await res.json()).chart.result;
+    return { adjustment: result.meta.adjustment, close: result.indicators.quote[0].close, volume: result.indicators.quote[0].volume };
+  };
+
+  before(async () => {
+    restoreConsole = muteConsole();
+    clock.set('2024-03-13T15:00:00Z');
+
+    const stockId = db.addStock('AAPL');
+    db.addCandles(stockId, '1d', CANDLES);
+    db.corporateActions.push(
+      { stock_id: stockId, action_type: 'dividend', ex_date: '2024-03-07', split_from: null, split_to: null, price_factor: '0.990000000000' },
+      { stock_id: stockId, action_type: 'split', ex_date: '2024-03-11', split_from: '1.000000', split_to: '2.000000', price_factor: '0.500000000000' }
+    );
+
+    server = app.listen(0);
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    clock.useSystemTime();
+    restoreConsole();
+  });
+
+  it('split-adjusts by default', async () => {
+    const { adjustment, close, volume } = await closes('');
+    assert.equal(adjustment, 'split');
+    assert.deepEqual(close, SPLIT_CLOSES);
+    assert.equal(volume[0], 2000);
+  });
+
+  it('serves stored prices with adjust=raw', async () => {
+    const { adjustment, close, volume } = await closes('&adjust=raw');
+    assert.equal(adjustment, 'raw');
+    assert.deepEqual(close, RAW_CLOSES);
+    assert.equal(volume[0], 1000);
+  });
+
+  it('adds dividends with adjust=all', async () => {
+    const { adjustment, close } = await closes('&adjust=all');
+    assert.equal(adjustment, 'all');
+    assert.deepEqual(close, ALL_CLOSES);
+  });
+
+  it('adjusts a window that starts after the split like the rest of the series', async () => {
+    const period1 = etDateTimeToUnix('2024-03-11', 0);
+    const { close } = await closes(`&adjust=split&period1=${period1}&period2=${etDateTimeToUnix('2024-03-13', 0)}`);
+    assert.deepEqual(close, [106, 107, 108]);
+  });
+
+  it('adjusts a window with the split inside it', async () => {
+    const { close } = await closes(`&period1=${etDateTimeToUnix('2024-03-08', 0)}&period2=${etDateTimeToUnix('2024-03-12', 0)}`);
+    assert.deepEqual(close, [52.5, 106, 107]);
+  });
+
+  it('rejects unknown modes with 400', async () => {
+    const res = await fetch(`${baseUrl}/api/stock/AAPL?interval=1d&adjust=none`);
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).message, /Invalid adjust parameter: none/);
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryDatabase } = require('./helpers/memoryDatabase');
+const { muteConsole } = require('./helpers/console');
+const clock = require('../src/utils/clock');
+const barEvents = require('../src/utils/barEvents');
+const jobs = require('../src/utils/collectionJobs');
+const { EventRelay } = require('../src/utils/eventRelay');
+
+const NOW = Date.parse('2024-03-13T15:00:00Z');
+const MINUTE_BAR = (ts, close) => ({ ts, open: 100, high: 101, low: 99, close, volume: 500 });
+
+describe('EventRelay', () => {
+  let restoreConsole;
+  let db;
+  let relay;
+  let events;
+
+  const record = (name) => (event) => events.push({ name, ...event });
+  const onBar = record('bar');
+  const onCollection = record('collection');
+
+  /**
+   * Finish a job the way a collector in another process would
+   */
+  async function finishJob(symbol, reason, outcome) {
+    await jobs.enqueueJob(db, symbol, { reason });
+    const [job] = await jobs.leaseJobs(db, 'other-host:1', 1);
+    await jobs.completeJob(db, job, outcome);
+  }
+
+  before(() => {
+    restoreConsole = muteConsole();
+    barEvents.on('bar', onBar);
+    barEvents.on('collection', onCollection);
+  });
+
+  after(() => {
+    barEvents.off('bar', onBar);
+    barEvents.off('collection', onCollection);
+    clock.useSystemTime();
+    restoreConsole();
+  });
+
+  beforeEach(() => {
+    clock.set(NOW);
+    db = new MemoryDatabase();
+    relay = new EventRelay();
+    events = [];
+  });
+
+  afterEach(() => relay.stop());
+
+  it('relays jobs finished after it started, once each', async () => {
+    await finishJob('OLD', 'new', { intervals: ['1d'], inserted: 5, updated: 0 });
+    clock.set(NOW + 1000);
+    relay.start(db, { pollSeconds: 5 });
+
+    await finishJob('NVDA', 'new', { intervals: ['1d', '5m'], inserted: 40, updated: 0 });
+    await finishJob('AAPL', 'refresh', { intervals: ['5m'], inserted: 1, updated: 2 });
+    await finishJob('MSFT', 'manual', { intervals: ['1d'], inserted: 1, updated: 0 });
+    await clock.advance(5000);
+    await clock.advance(5000);
+
+    assert.deepEqual(events.map(({ name, type, symbol, intervals, inserted, updated }) => ({ name, type, symbol, intervals, inserted, updated })), [
+      { name: 'collection', type: 'symbol_ready', symbol: 'NVDA', intervals: ['1d', '5m'], inserted: 40, updated: 0 },
+      { name: 'collection', type: 'refresh_complete', symbol: 'AAPL', intervals: ['5m'], inserted: 1, updated: 2 }
+    ]);
+  });
+
+  it('relays new and revised bars of watched series past their high-water mark', async () => {
+    const aapl = db.addStock('AAPL');
+    const msft = db.addStock('MSFT');
+    const t = NOW / 1000 - 600;
+    db.addCandles(aapl, '1m', [MINUTE_BAR(t - 60, 10), MINUTE_BAR(t, 11)]);
+    db.addCandles(msft, '1m', [MINUTE_BAR(t, 20)]);
+
+    relay.start(db, { pollSeconds: 5 });
+    const unwatch = relay.watch(['AAPL'], '1m');
+    await clock.advance(5000); // Baseline: history isn't replayed
+    assert.deepEqual(events, []);
+
+    db.candles.find(c => c.stock_id === aapl && c.ts === t).close = 11.5;
+    db.candles.find(c => c.stock_id === aapl && c.ts === t - 60).close = 9; // Older revision: not relayed
+    db.addCandles(aapl, '1m', [MINUTE_BAR(t + 60, 12)]);
+    db.addCandles(msft, '1m', [MINUTE_BAR(t + 60, 21)]); // Not watched
+    await clock.advance(5000);
+
+    assert.deepEqual(events.map(e => [e.symbol, e.interval, e.change, e.bar.ts, e.bar.close, e.source]), [
+      ['AAPL', '1m', 'update', t, 11.5, 'test'],
+      ['AAPL', '1m', 'insert', t + 60, 12, 'test']
+    ]);
+
+    unwatch();
+    events = [];
+    db.addCandles(aapl, '1m', [MINUTE_BAR(t + 120, 13)]);
+    await clock.advance(5000);
+    assert.deepEqual(events, []);
+  });
+
+  it('rejects poll intervals that do not divide a minute', () => {
+    assert.throws(() => relay.start(db, { pollSeconds: 7 }), /Invalid poll interval: 7s/);
+  });
+});
@@ -0,0 +1,22 @@
+/**
+ * Mute the app's progress logging while a test file runs
+ *
+ * Usage:
+ * const { muteConsole } = require('./helpers/console');
+ *
+ * const restore = muteConsole();
+ * after(restore);
+ */
+
+function muteConsole() {
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+
+  return () => Object.assign(console, original);
+}
+
+module.exports = {
+  muteConsole
+};
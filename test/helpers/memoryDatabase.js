@@ -0,0 +1,433 @@
+/**
+ * In-memory stand-in for the MySQL pool (config/database)
+ *
+ * Answers the statements the API read path and the collector issue against
+ * `stocks`, `candles`, `corporate_actions`, `collection_jobs` and `scheduler_leases`. Anything else throws, so a test
+ * touching a new query fails loudly instead of passing on an empty result.
+ *
+ * Usage:
+ * const { MemoryDatabase, installMemoryDatabase } = require('./helpers/memoryDatabase');
+ *
+ * const db = installMemoryDatabase();   // before requiring app.js
+ * const stockId = db.addStock('AAPL');
+ * db.addCandles(stockId, '1d', [{ ts, open, high, low, close, volume }]);
+ * const app = require('../app');
+ */
+
+const path = require('path');
+
+// Whitespace-insensitive statement patterns
+const STATEMENTS = [
+  [/^SELECT .+ FROM stocks WHERE symbol = \?$/, 'selectStockBySymbol'],
+  [/^SELECT .+ FROM stocks WHERE symbol IN \(\?\)$/, 'selectStocksBySymbols'],
+  [/^SELECT stock_id, symbol FROM stocks WHERE is_active = TRUE ORDER BY symbol$/, 'selectActiveStocks'],
+  [/^UPDATE stocks SET is_active = TRUE, requested_at = NOW\(\) WHERE symbol = \?$/, 'reactivateStock'],
+  [/^INSERT INTO stocks \(symbol, is_active, requested_at\) VALUES \(\?, TRUE, NOW\(\)\)$/, 'insertStock'],
+  [/^SELECT MIN\(ts\) as min_ts, MAX\(ts\) as max_ts FROM candles WHERE stock_id = \? AND interval_type = \?$/, 'selectCandleBounds'],
+  [/^SELECT .+ FROM candles WHERE stock_id (= \?|IN \(\?\)) AND interval_type = \? AND ts >= \? AND ts <= \?/, 'selectCandles'],
+  [/^SELECT stock_id, MIN\(ts\) as min_ts, MAX\(ts\) as max_ts FROM candles WHERE interval_type = \? AND stock_id IN \(\?\) GROUP BY stock_id$/, 'selectCandleBoundsMany'],
+  [/^SELECT stock_id, MAX\(ts\) as max_ts FROM candles WHERE interval_type = \? AND stock_id IN \(\?\) GROUP BY stock_id$/, 'selectHighWaterMarks'],
+  [/^SELECT COUNT\(\*\) as count FROM candles WHERE stock_id = \? AND interval_type = \?$/, 'countCandles'],
+  [/^SELECT ts, .+ FROM candles WHERE stock_id = \? AND interval_type = \? AND ts IN \(\?\)$/, 'selectCandlesAt'],
+  [/^INSERT INTO candles .+ VALUES \? ON DUPLICATE KEY UPDATE/, 'upsertCandles'],
+  [/^DELETE FROM candles WHERE stock_id = \? AND interval_type = \? ORDER BY ts ASC LIMIT \?$/, 'deleteOldestCandles'],
+  [/^SELECT .+ FROM corporate_actions WHERE stock_id IN \(\?\) AND ex_date > \?/, 'selectCorporateActions'],
+  [/^SELECT job_id FROM collection_jobs WHERE open_key = \?$/, 'selectOpenJob'],
+  [/^INSERT INTO collection_jobs .+ ON DUPLICATE KEY UPDATE/, 'upsertJob'],
+  [/^UPDATE collection_jobs SET status = IF\(attempts >= max_attempts, .+ WHERE status = 'running' AND lease_expires_at < \?$/, 'recoverExpiredJobs'],
+  [/^UPDATE collection_jobs SET status = 'running', .+ WHERE status = 'pending' AND run_after <= \? ORDER BY priority DESC, job_id LIMIT \?$/, 'leaseJobs'],
+  [/^UPDATE collection_jobs SET status = \?, .+ WHERE job_id = \? AND lease_owner = \?$/, 'finishJob'],
+  [/^SELECT .+ FROM collection_jobs WHERE lease_owner = \? AND status = 'running' ORDER BY priority DESC, job_id$/, 'selectLeasedJobs'],
+  [/^SELECT MAX\(completed_at\) as completed_at FROM collection_jobs WHERE symbol = \? AND status = 'completed'$/, 'selectLastCollected'],
+  [/^SELECT .+ FROM collection_jobs WHERE status IN \('completed', 'failed'\) AND completed_at >= \? ORDER BY completed_at, job_id$/, 'selectFinishedJobs'],
+  [/^SELECT status, COUNT\(\*\) as count FROM collection_jobs GROUP BY status$/, 'countJobs'],
+  [/^SELECT .+ FROM collection_jobs (WHERE status = \? )?ORDER BY job_id DESC LIMIT \?$/, 'listJobs'],
+  [/^DELETE FROM collection_jobs WHERE status IN \('completed', 'failed'\) AND completed_at < \?$/, 'purgeJobs'],
+  [/^INSERT IGNORE INTO scheduler_leases .+ VALUES \(\?, \?, \?, \?, \?\)$/, 'insertLease'],
+  [/^UPDATE scheduler_leases SET acquired_at = .+ WHERE name = \? AND \(owner = \? OR expires_at < \?\)$/, 'takeLease'],
+  [/^UPDATE scheduler_leases SET expires_at = \? WHERE name = \? AND owner = \?$/, 'releaseLease'],
+  [/^SELECT owner, acquired_at, expires_at FROM scheduler_leases WHERE name = \?$/, 'selectLease']
+];
+
+class MemoryDatabase {
+  constructor() {
+    this.stocks = [];
+    this.candles = [];
+    this.corporateActions = [];
+    this.jobs = [];
+    this.leases = new Map(); // name -> { owner, acquired_at, renewed_at, expires_at }
+    this.nextStockId = 1;
+    this.nextJobId = 1;
+    this.log = []; // Every statement run, for assertions
+  }
+
+  /**
+   * @returns {number} stock_id
+   */
+  addStock(symbol, fields = {}) {
+    const stock = {
+      stock_id: this.nextStockId++,
+      symbol,
+      company_name: null,
+      exchange: null,
+      is_active: true,
+      requested_at: null,
+      ...fields
+    };
+    this.stocks.push(stock);
+    return stock.stock_id;
+  }
+
+  /**
+   * @param {Array<Object>} candles - { ts, open, high, low, close, volume, ... }
+   */
+  addCandles(stockId, intervalType, candles) {
+    for (const candle of candles) {
+      this.candles.push({
+        stock_id: stockId,
+        interval_type: intervalType,
+        vwap: null,
+        trade_count: null,
+        data_source: 'test',
+        session: 'regular',
+        ...candle
+      });
+    }
+  }
+
+  getCandles(stockId, intervalType) {
+    return this.candles
+      .filter(c => c.stock_id === stockId && c.interval_type === intervalType)
+      .sort((a, b) => a.ts - b.ts);
+  }
+
+  async query(sql, params = []) {
+    const statement = sql.replace(/\s+/g, ' ').trim();
+    this.log.push(statement);
+
+    const match = STATEMENTS.find(([pattern]) => pattern.test(statement));
+    if (!match) {
+      throw new Error(`MemoryDatabase: unsupported query: ${statement}`);
+    }
+    return this[match[1]](statement, params);
+  }
+
+  async getConnection() {
+    return {
+      query: (sql, params) => this.query(sql, params),
+      beginTransaction: async () => {},
+      commit: async () => {},
+      rollback: async () => {},
+      release: () => {}
+    };
+  }
+
+  selectStockBySymbol(statement, [symbol]) {
+    return [this.stocks.filter(s => s.symbol === symbol).map(s => ({ ...s }))];
+  }
+
+  selectStocksBySymbols(statement, [symbols]) {
+    return [this.stocks.filter(s => symbols.includes(s.symbol)).map(s => ({ ...s }))];
+  }
+
+  selectActiveStocks() {
+    const active = this.stocks.filter(s => s.is_active).sort((a, b) => a.symbol.localeCompare(b.symbol));
+    return [active.map(({ stock_id, symbol }) => ({ stock_id, symbol }))];
+  }
+
+  reactivateStock(statement, [symbol]) {
+    const stock = this.stocks.find(s => s.symbol === symbol);
+    if (stock) stock.is_active = true;
+    return [{ affectedRows: stock ? 1 : 0 }];
+  }
+
+  insertStock(statement, [symbol]) {
+    if (this.stocks.some(s => s.symbol === symbol)) {
+      const error = new Error(`Duplicate entry '${symbol}' for key 'symbol'`);
+      error.code = 'ER_DUP_ENTRY';
+      throw error;
+    }
+    return [{ insertId: this.addStock(symbol), affectedRows: 1 }];
+  }
+
+  selectCandleBounds(statement, [stockId, intervalType]) {
+    const candles = this.getCandles(stockId, intervalType);
+    return [[{
+      min_ts: candles.length > 0 ? candles[0].ts : null,
+      max_ts: candles.length > 0 ? candles[candles.length - 1].ts : null
+    }]];
+  }
+
+  selectCandles(statement, params) {
+    const [stockIds, intervalType, start, end, limit] = params;
+    const ids = Array.isArray(stockIds) ? stockIds : [stockIds];
+    const regularOnly = statement.includes(`AND session = 'regular'`);
+
+    let rows = this.candles
+      .filter(c => ids.includes(c.stock_id) && c.interval_type === intervalType && c.ts >= start && c.ts <= end)
+      .filter(c => !regularOnly || c.session === 'regular')
+      .sort((a, b) => a.ts - b.ts);
+
+    if (/ORDER BY ts DESC LIMIT \?/.test(statement)) {
+      rows = rows.reverse().slice(0, limit);
+    }
+    return [rows.map(c => ({ ...c }))];
+  }
+
+  selectCandlesAt(statement, [stockId, intervalType, timestamps]) {
+    const wanted = new Set(timestamps);
+    return [this.getCandles(stockId, intervalType).filter(c => wanted.has(c.ts)).map(c => ({ ...c }))];
+  }
+
+  selectCandleBoundsMany(statement, [intervalType, stockIds]) {
+    return [stockIds
+      .map(stockId => ({ stock_id: stockId, candles: this.getCandles(stockId, intervalType) }))
+      .filter(({ candles }) => candles.length > 0)
+      .map(({ stock_id, candles }) => ({ stock_id, min_ts: candles[0].ts, max_ts: candles[candles.length - 1].ts }))];
+  }
+
+  selectHighWaterMarks(statement, [intervalType, stockIds]) {
+    const marks = new Map();
+    for (const c of this.candles) {
+      if (c.interval_type === intervalType && stockIds.includes(c.stock_id)) {
+        marks.set(c.stock_id, Math.max(marks.get(c.stock_id) ?? -Infinity, c.ts));
+      }
+    }
+    return [Array.from(marks, ([stock_id, max_ts]) => ({ stock_id, max_ts }))];
+  }
+
+  countCandles(statement, [stockId, intervalType]) {
+    return [[{ count: this.getCandles(stockId, intervalType).length }]];
+  }
+
+  // Multi-row VALUES ? form: affectedRows counts 1 per insert, 2 per update
+  upsertCandles(statement, [rows]) {
+    let affectedRows = 0;
+    for (const row of rows) {
+      affectedRows += this.upsertCandleRow(row);
+    }
+    return [{ affectedRows }];
+  }
+
+  upsertCandleRow(params) {
+    const [stockId, intervalType, ts, open, high, low, close, volume, vwap, tradeCount, dataSource, session, tradingDate] = params;
+    const row = {
+      stock_id: stockId,
+      interval_type: intervalType,
+      ts,
+      open,
+      high,
+      low,
+      close,
+      volume,
+      vwap,
+      trade_count: tradeCount,
+      data_source: dataSource,
+      session,
+      trading_date: tradingDate
+    };
+
+    const index = this.candles.findIndex(c => c.stock_id === stockId && c.interval_type === intervalType && c.ts === ts);
+    if (index === -1) {
+      this.candles.push(row);
+      return 1;
+    }
+    this.candles[index] = row;
+    return 2;
+  }
+
+  deleteOldestCandles(statement, [stockId, intervalType, limit]) {
+    const doomed = new Set(this.getCandles(stockId, intervalType).slice(0, limit));
+    this.candles = this.candles.filter(c => !doomed.has(c));
+    return [{ affectedRows: doomed.size }];
+  }
+
+  selectCorporateActions(statement, [stockIds, fromDate]) {
+    const rows = this.corporateActions
+      .filter(a => stockIds.includes(a.stock_id) && a.ex_date > fromDate)
+      .sort((a, b) => a.ex_date.localeCompare(b.ex_date));
+    return [rows.map(a => ({ ...a }))];
+  }
+
+  selectOpenJob(statement, [openKey]) {
+    return [this.jobs.filter(j => j.open_key === openKey).map(j => ({ job_id: j.job_id }))];
+  }
+
+  // open_key is the unique key: a duplicate updates reason, then priority, then run_after.
+  // affectedRows as mysql2 reports it (CLIENT_FOUND_ROWS): 1 insert, 2 changed, 1 unchanged
+  upsertJob(statement, params) {
+    const [symbol, intervalType, reason, priority, maxAttempts, openKey, runAfter, createdAt] = params;
+    const open = this.jobs.find(j => j.open_key === openKey);
+    if (open) {
+      const before = { ...open };
+      if (priority > open.priority) open.reason = reason;
+      open.priority = Math.max(open.priority, priority);
+      if (runAfter < open.run_after) open.run_after = runAfter;
+      const changed = ['reason', 'priority', 'run_after'].some(key => before[key] !== open[key]);
+      return [{ insertId: 0, affectedRows: changed ? 2 : 1 }];
+    }
+
+    this.jobs.push({
+      job_id: this.nextJobId++,
+      symbol,
+      interval_type: intervalType,
+      reason,
+      status: 'pending',
+      priority,
+      attempts: 0,
+      max_attempts: maxAttempts,
+      error_message: null,
+      open_key: openKey,
+      run_after: runAfter,
+      lease_owner: null,
+      lease_expires_at: null,
+      created_at: createdAt,
+      started_at: null,
+      completed_at: null,
+      outcome: null
+    });
+    return [{ insertId: this.nextJobId - 1, affectedRows: 1 }];
+  }
+
+  recoverExpiredJobs(statement, [completedAt, now]) {
+    const expired = this.jobs.filter(j => j.status === 'running' && j.lease_expires_at < now);
+    for (const job of expired) {
+      const exhausted = job.attempts >= job.max_attempts;
+      Object.assign(job, {
+        status: exhausted ? 'failed' : 'pending',
+        open_key: exhausted ? null : job.open_key,
+        completed_at: exhausted ? completedAt : null,
+        error_message: 'Lease expired',
+        lease_owner: null,
+        lease_expires_at: null
+      });
+    }
+    return [{ affectedRows: expired.length }];
+  }
+
+  leaseJobs(statement, [owner, leaseExpiresAt, startedAt, now, limit]) {
+    const due = this.jobs
+      .filter(j => j.status === 'pending' && j.run_after <= now)
+      .sort((a, b) => b.priority - a.priority || a.job_id - b.job_id)
+      .slice(0, limit);
+    for (const job of due) {
+      Object.assign(job, { status: 'running', lease_owner: owner, lease_expires_at: leaseExpiresAt, started_at: startedAt });
+      job.attempts++;
+    }
+    return [{ affectedRows: due.length }];
+  }
+
+  finishJob(statement, [status, openKey, errorMessage, runAfter, completedAt, outcome, jobId, owner]) {
+    const job = this.jobs.find(j => j.job_id === jobId && j.lease_owner === owner);
+    if (job) {
+      Object.assign(job, {
+        status,
+        open_key: openKey,
+        error_message: errorMessage,
+        run_after: runAfter,
+        completed_at: completedAt,
+        outcome,
+        lease_owner: null,
+        lease_expires_at: null
+      });
+    }
+    return [{ affectedRows: job ? 1 : 0 }];
+  }
+
+  selectLastCollected(statement, [symbol]) {
+    const times = this.jobs
+      .filter(j => j.symbol === symbol && j.status === 'completed')
+      .map(j => j.completed_at.getTime());
+    return [[{ completed_at: times.length > 0 ? new Date(Math.max(...times)) : null }]];
+  }
+
+  selectFinishedJobs(statement, [since]) {
+    const rows = this.jobs
+      .filter(j => (j.status === 'completed' || j.status === 'failed') && j.completed_at >= since)
+      .sort((a, b) => a.completed_at - b.completed_at || a.job_id - b.job_id);
+    return [rows.map(j => ({ ...j }))];
+  }
+
+  selectLeasedJobs(statement, [owner]) {
+    const rows = this.jobs
+      .filter(j => j.lease_owner === owner && j.status === 'running')
+      .sort((a, b) => b.priority - a.priority || a.job_id - b.job_id);
+    return [rows.map(j => ({ ...j }))];
+  }
+
+  countJobs() {
+    const counts = new Map();
+    for (const job of this.jobs) {
+      counts.set(job.status, (counts.get(job.status) || 0) + 1);
+    }
+    return [Array.from(counts, ([status, count]) => ({ status, count }))];
+  }
+
+  listJobs(statement, params) {
+    const [status, limit] = statement.includes('WHERE status = ?') ? params : [null, params[0]];
+    const rows = this.jobs
+      .filter(j => !status || j.status === status)
+      .sort((a, b) => b.job_id - a.job_id)
+      .slice(0, limit);
+    return [rows.map(j => ({ ...j }))];
+  }
+
+  purgeJobs(statement, [before]) {
+    const kept = this.jobs.filter(j => !['completed', 'failed'].includes(j.status) || !(j.completed_at < before));
+    const affectedRows = this.jobs.length - kept.length;
+    this.jobs = kept;
+    return [{ affectedRows }];
+  }
+
+  insertLease(statement, [name, owner, acquiredAt, renewedAt, expiresAt]) {
+    if (this.leases.has(name)) return [{ affectedRows: 0 }];
+    this.leases.set(name, { owner, acquired_at: acquiredAt, renewed_at: renewedAt, expires_at: expiresAt });
+    return [{ affectedRows: 1 }];
+  }
+
+  takeLease(statement, [, acquiredAt, owner, renewedAt, expiresAt, name, , now]) {
+    const lease = this.leases.get(name);
+    if (!lease || (lease.owner !== owner && !(lease.expires_at < now))) {
+      return [{ affectedRows: 0 }];
+    }
+    if (lease.owner !== owner) lease.acquired_at = acquiredAt;
+    Object.assign(lease, { owner, renewed_at: renewedAt, expires_at: expiresAt });
+    return [{ affectedRows: 1 }];
+  }
+
+  releaseLease(statement, [expiresAt, name, owner]) {
+    const lease = this.leases.get(name);
+    if (!lease || lease.owner !== owner) return [{ affectedRows: 0 }];
+    lease.expires_at = expiresAt;
+    return [{ affectedRows: 1 }];
+  }
+
+  selectLease(statement, [name]) {
+    const lease = this.leases.get(name);
+    return [lease ? [{ owner: lease.owner, acquired_at: lease.acquired_at, expires_at: lease.expires_at }] : []];
+  }
+}
+
+/**
+ * Replace config/database with a MemoryDatabase for everything required afterwards
+ * @returns {MemoryDatabase}
+ */
+function installMemoryDatabase(db = new MemoryDatabase()) {
+  const modulePath = require.resolve(path.join(__dirname, '..', '..', 'config', 'database'));
+  require.cache[modulePath] = {
+    id: modulePath,
+    filename: modulePath,
+    loaded: true,
+    exports: {
+      initDB: async () => db,
+      getDB: () => db,
+      closeDB: async () => {}
+    }
+  };
+  return db;
+}
+
+module.exports = {
+  MemoryDatabase,
+  installMemoryDatabase
+};
@@ -0,0 +1,135 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const { installMemoryDatabase } = require('./helpers/memoryDatabase');
+const { muteConsole } = require('./helpers/console');
+
+process.env.PROVIDER_PRIORITY = 'mock';
+process.env.MOCK_SYMBOLS = 'AAPL';
+
+const db = installMemoryDatabase();
+const clock = require('../src/utils/clock');
+const { etDateTimeToUnix } = require('../src/utils/marketTime');
+const { parseStudies, getWarmupBars, computeStudies } = require('../src/utils/indicators');
+const app = require('../app');
+
+const round = (values) => values.map(v => (v === null ? null : Math.round(v * 1e9) / 1e9));
+
+/**
+ * Compute one study over closes (high/low default to the close)
+ */
+function study(spec, candles) {
+  const close = candles.close;
+  const series = { high: close, low: close, volume: close.map(() => 0), ...candles };
+  return computeStudies(parseStudies(spec), series)[spec];
+}
+
+describe('computeStudies', () => {
+  it('sma averages the last n closes', () => {
+    assert.deepEqual(study('sma:3', { close: [1, 2, 3, 4, 5] }), [null, null, 2, 3, 4]);
+  });
+
+  it('ema is seeded with the sma and then smoothed by 2 / (n + 1)', () => {
+    assert.deepEqual(study('ema:3', { close: [1, 2, 3, 4, 5, 6] }), [null, null, 2, 3, 4, 5]);
+    assert.deepEqual(study('ema:3', { close: [2, 2, 2, 8] }), [null, null, 2, 5]);
+  });
+
+  it('rsi uses Wilder smoothing of gains and losses', () => {
+    // avg gain / loss: 1 / 0, 0.5 / 0.5, 0.75 / 0.25
+    assert.deepEqual(study('rsi:2', { close: [1, 2, 3, 2, 3] }), [null, null, 100, 50, 75]);
+    assert.deepEqual(study('rsi:2', { close: [5, 5, 5] }), [null, null, 50]);
+  });
+
+  it('macd is fast ema minus slow ema with an ema signal line', () => {
+    // On a straight line the 2- and 3-bar EMAs lag by 0.5 and 1
+    const { macd, signal, histogram } = study('macd:2:3:2', { close: [1, 2, 3, 4, 5, 6, 7, 8] });
+    assert.deepEqual(round(macd), [null, null, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5]);
+    assert.deepEqual(round(signal), [null, null, null, 0.5, 0.5, 0.5, 0.5, 0.5]);
+    assert.deepEqual(round(histogram), [null, null, null, 0, 0, 0, 0, 0]);
+  });
+
+  it('bbands are the sma plus / minus k population standard deviations', () => {
+    // Mean 5, population std dev 2
+    const { upper, middle, lower } = study('bbands:8:2', { close: [2, 4, 4, 4, 5, 5, 7, 9] });
+    assert.deepEqual([upper.at(-1), middle.at(-1), lower.at(-1)], [9, 5, 1]);
+    assert.equal(upper[6], null);
+  });
+
+  it('atr smooths the true range, which includes gaps from the previous close', () => {
+    const bars = [[10, 8, 9], [11, 9, 10], [13, 10, 12], [15, 14, 14.5]];
+    const high = bars.map(b => b[0]);
+    const low = bars.map(b => b[1]);
+    const close = bars.map(b => b[2]);
+    // True ranges 2, 3, then 3 (15 - previous close 12, not 15 - 14)
+    assert.deepEqual(study('atr:2', { high, low, close }), [null, null, 2.5, 2.75]);
+  });
+
+  it('vwap accumulates per trading day for intraday series', () => {
+    const candles = {
+      timestamp: [etDateTimeToUnix('2024-03-08', 570), etDateTimeToUnix('2024-03-08', 571), etDateTimeToUnix('2024-03-11', 570)],
+      high: [11, 13, 21],
+      low: [9, 11, 19],
+      close: [10, 12, 20],
+      volume: [100, 300, 50],
+      // Stored per-bar vwap wins over the typical price
+      vwap: [null, 12.5, null]
+    };
+    const studies = parseStudies('vwap');
+
+    // (10 x 100 + 12.5 x 300) / 400, then a new day
+    assert.deepEqual(computeStudies(studies, candles, { intraday: true }).vwap, [10, 11.875, 20]);
+    assert.deepEqual(computeStudies(studies, candles, { intraday: false }).vwap, [10, 12.5, 20]);
+  });
+
+  it('asks for enough warm-up bars for the slowest study', () => {
+    assert.equal(getWarmupBars(parseStudies('sma:20')), 19);
+    assert.equal(getWarmupBars(parseStudies('sma:20,macd')), 3 * 26 + 9);
+    assert.equal(getWarmupBars(parseStudies('vwap')), 0);
+  });
+});
+
+describe('GET /api/indicators/:symbol', () => {
+  let server;
+  let baseUrl;
+  let restoreConsole;
+
+  // Friday's full session, then Monday's first hour; close = bar number
+  const FRIDAY = Array.from({ length: 390 }, (_, i) => etDateTimeToUnix('2024-03-08', 570 + i));
+  const MONDAY = Array.from({ length: 60 }, (_, i) => etDateTimeToUnix('2024-03-11', 570 + i));
+
+  before(async () => {
+    restoreConsole = muteConsole();
+    clock.set('2024-03-13T15:00:00Z');
+
+    db.addCandles(db.addStock('AAPL'), '1m', FRIDAY.concat(MONDAY).map((ts, i) => ({
+      ts, open: i, high: i + 0.5, low: i - 0.5, close: i, volume: 100
+    })));
+
+    server = app.listen(0);
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    clock.useSystemTime();
+    restoreConsole();
+  });
+
+  it('reads warm-up bars from before a weekend', async () => {
+    const res = await fetch(`${baseUrl}/api/indicators/AAPL?interval=1m&studies=macd,sma:5&period1=${MONDAY[0]}&period2=${MONDAY.at(-1)}`);
+    assert.equal(res.status, 200);
+
+    const body = await res.json();
+    assert.deepEqual(body.timestamp, MONDAY);
+    assert.deepEqual(body.meta.warmup, { requested: 87, available: 87 });
+    // Monday's first bar averages Friday's last four closes with its own
+    assert.equal(body.studies['sma:5'][0], 388);
+    assert.notEqual(body.studies.macd.signal[0], null);
+  });
+
+  it('rejects unknown studies', async () => {
+    const res = await fetch(`${baseUrl}/api/indicators/AAPL?interval=1m&studies=sma:20,foo`);
+    assert.equal(res.status, 400);
+  });
+});
@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeInterval, getIntervalSeconds, isIntradayInterval } = require('../src/utils/intervals');
+
+describe('normalizeInterval', () => {
+  it('passes stored intervals through', () => {
+    for (const interval of ['1m', '5m', '1h', '4h', '1d', '1w', '1mo']) {
+      assert.deepEqual(normalizeInterval(interval), { interval, sourceInterval: interval, multiplier: 1 });
+    }
+  });
+
+  it('maps legacy ranges onto their stored interval', () => {
+    assert.deepEqual(normalizeInterval('1y'), { interval: '1d', sourceInterval: '1d', multiplier: 1 });
+    assert.deepEqual(normalizeInterval('max'), { interval: '1w', sourceInterval: '1w', multiplier: 1 });
+  });
+
+  it('builds derived intervals from the largest stored interval that divides them', () => {
+    assert.deepEqual(normalizeInterval('90m'), { interval: '90m', sourceInterval: '30m', multiplier: 3 });
+    assert.deepEqual(normalizeInterval('7m'), { interval: '7m', sourceInterval: '1m', multiplier: 7 });
+    assert.deepEqual(normalizeInterval('3h'), { interval: '3h', sourceInterval: '1h', multiplier: 3 });
+    assert.deepEqual(normalizeInterval('13w'), { interval: '13w', sourceInterval: '1w', multiplier: 13 });
+    assert.deepEqual(normalizeInterval('3mo'), { interval: '3mo', sourceInterval: '1mo', multiplier: 3 });
+  });
+
+  it('canonicalizes equivalent spellings', () => {
+    assert.deepEqual(normalizeInterval('60m'), { interval: '1h', sourceInterval: '1h', multiplier: 1 });
+    assert.deepEqual(normalizeInterval('180m'), { interval: '3h', sourceInterval: '1h', multiplier: 3 });
+    assert.equal(normalizeInterval('2wk').interval, '2w');
+  });
+
+  it('rejects unknown units and out-of-range counts with the valid units attached', () => {
+    for (const bad of ['7x', 'abc', '0m', '2000m', '']) {
+      assert.throws(() => normalizeInterval(bad), (error) => {
+        assert.match(error.message, /^Invalid interval/);
+        assert.ok(Array.isArray(error.validUnits));
+        return true;
+      }, `expected ${JSON.stringify(bad)} to be rejected`);
+    }
+  });
+});
+
+describe('interval helpers', () => {
+  it('reports bar length in seconds', () => {
+    assert.equal(getIntervalSeconds('5m'), 300);
+    assert.equal(getIntervalSeconds('3h'), 3 * 3600);
+    assert.equal(getIntervalSeconds('1d'), 86400);
+  });
+
+  it('tells intraday from daily-and-longer intervals', () => {
+    assert.equal(isIntradayInterval('45m'), true);
+    assert.equal(isIntradayInterval('4h'), true);
+    assert.equal(isIntradayInterval('2d'), false);
+    assert.equal(isIntradayInterval('1mo'), false);
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryDatabase } = require('./helpers/memoryDatabase');
+const { muteConsole } = require('./helpers/console');
+const clock = require('../src/utils/clock');
+const { LeaderElection } = require('../src/utils/leaderElection');
+
+const NOW = Date.parse('2024-03-13T15:00:00Z');
+const OPTIONS = { ttlSeconds: 30, renewSeconds: 10 };
+
+describe('LeaderElection', () => {
+  let restoreConsole;
+  let db;
+  let instances;
+
+  /**
+   * New election participant on the shared database
+   */
+  async function join(owner) {
+    const election = new LeaderElection();
+    instances.push(election);
+    await election.start(db, { owner, ...OPTIONS });
+    return election;
+  }
+
+  before(() => { restoreConsole = muteConsole(); });
+  after(() => {
+    clock.useSystemTime();
+    restoreConsole();
+  });
+
+  beforeEach(() => {
+    db = new MemoryDatabase();
+    instances = [];
+    clock.set(NOW);
+  });
+
+  afterEach(async () => {
+    for (const election of instances) await election.stop();
+  });
+
+  it('elects the first instance and keeps it while it renews', async () => {
+    const a = await join('host-a:1');
+    const b = await join('host-b:1');
+
+    assert.equal(a.isLeader(), true);
+    assert.equal(b.isLeader(), false);
+
+    await clock.advance(60 * 1000);
+    assert.equal(a.isLeader(), true);
+    assert.equal(b.isLeader(), false);
+
+    const status = b.getStatus();
+    assert.equal(status.instance, 'host-b:1');
+    assert.equal(status.leader, 'host-a:1');
+    assert.equal(new Date(status.leaderSince).getTime(), NOW);
+    assert.equal(new Date(status.leaseExpiresAt).getTime(), NOW + 90 * 1000);
+  });
+
+  it('fails over once a dead leader\'s lease expires', async () => {
+    const a = await join('host-a:1');
+    const b = await join('host-b:1');
+    const elected = [];
+    b.on('elected', () => elected.push(clock.now()));
+
+    // Leader crashes: it stops renewing without releasing the lease
+    a.task.stop();
+    a.task = null;
+
+    // Its lease runs until NOW + 30s; the renewal at 30s still sees it held
+    await clock.advance(30 * 1000);
+    assert.equal(b.isLeader(), false);
+
+    await clock.advance(10 * 1000);
+    assert.equal(b.isLeader(), true);
+    assert.deepEqual(elected, [NOW + 40 * 1000]);
+    assert.equal(new Date(b.getStatus().leaderSince).getTime(), NOW + 40 * 1000);
+  });
+
+  it('hands over on the next renewal after a clean stop', async () => {
+    const a = await join('host-a:1');
+    const b = await join('host-b:1');
+
+    await a.stop();
+    assert.equal(a.isLeader(), false);
+
+    await clock.advance(10 * 1000);
+    assert.equal(b.isLeader(), true);
+  });
+
+  it('steps down when the database is unreachable until its lease runs out', async () => {
+    const a = await join('host-a:1');
+    const demoted = [];
+    a.on('demoted', () => demoted.push(clock.now()));
+    a.db = { query: async () => { throw new Error('Connection lost'); } };
+
+    await clock.advance(20 * 1000);
+    assert.equal(a.isLeader(), true);
+    assert.equal(a.getStatus().lastError, 'Connection lost');
+
+    await clock.advance(10 * 1000);
+    assert.equal(a.isLeader(), false);
+    assert.deepEqual(demoted, [NOW + 30 * 1000]);
+
+    // Back online: the lease is free again
+    a.db = db;
+    await clock.advance(10 * 1000);
+    assert.equal(a.isLeader(), true);
+    assert.equal(a.getStatus().lastError, null);
+  });
+
+  it('rejects invalid settings', () => {
+    const election = new LeaderElection();
+    assert.throws(() => election.start(db, {}), /needs an owner id/);
+    assert.throws(() => election.start(db, { owner: 'a', renewSeconds: 7 }), /Invalid renew interval: 7s/);
+    assert.throws(() => election.start(db, { owner: 'a', ttlSeconds: 10, renewSeconds: 10 }), /must outlast the renew interval/);
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalFileProvider = require('../src/providers/LocalFileProvider');
+
+const FROM = '2024-03-01T00:00:00Z';
+const TO = '2024-03-31T00:00:00Z';
+
+describe('LocalFileProvider', () => {
+  let dataDir;
+  let provider;
+
+  const write = (file, lines) => {
+    fs.mkdirSync(path.dirname(path.join(dataDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dataDir, file), lines.join('\n'));
+  };
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-provider-'));
+    provider = new LocalFileProvider({ dataDir });
+
+    // <dir>/SYMBOL/<interval>.csv - date-only sessions, rows out of order, an unusable row
+    write('AAPL/1d.csv', [
+      'Date,Open,High,Low,Close,Volume,VWAP,Trades',
+      '2024-03-05,171,172,170,171.5,2000,171.2,20',
+      '',
+      '2024-03-04,170,171,169,170.5,1000,170.2,10',
+      '2024-03-06,172,173,171,,3000,,',
+      '2024-02-28,160,161,159,160.5,500,,'
+    ]);
+
+    // <dir>/SYMBOL_<interval>.csv - our own format=csv export, quoted fields
+    write('AAPL_5m.csv', [
+      'symbol,timestamp,datetime,open,high,low,close,volume,vwap,trade_count,data_source,partial',
+      '"AAPL",1709562600,2024-03-04T14:30:00.000Z,170,171,169,170.5,1000,170.2,10,"Alpaca, Inc.",false'
+    ]);
+
+    // <dir>/SYMBOL_<interval>.ndjson - Alpaca-style keys, unix ms and ISO times
+    write('MSFT_1d.ndjson', [
+      JSON.stringify({ t: '2024-03-05T05:00:00Z', o: 410, h: 412, l: 409, c: 411, v: 200, vw: 410.5, n: 5 }),
+      JSON.stringify({ Timestamp: 1709528400000, Open: 400, High: 402, Low: 399, Close: 401, Volume: 100 })
+    ]);
+
+    // <dir>/SYMBOL/<interval>.ndjson
+    write('NVDA/1d.ndjson', [JSON.stringify({ t: '2024-03-04', o: 850, h: 860, l: 840, c: 855, v: 10 })]);
+
+    write('BAD_1d.ndjson', [JSON.stringify({ t: '2024-03-04', o: 1, h: 1, l: 1, c: 1 }), '{not json']);
+  });
+
+  after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  it('parses CSV files with a header row, sorted by time', async () => {
+    const bars = await provider.fetchBars('AAPL', '1d', FROM, TO);
+
+    // 03-06 has no close; 02-28 is outside the range
+    assert.deepEqual(bars, [
+      { t: '2024-03-04T05:00:00.000Z', o: 170, h: 171, l: 169, c: 170.5, v: 1000, vw: 170.2, n: 10 },
+      { t: '2024-03-05T05:00:00.000Z', o: 171, h: 172, l: 170, c: 171.5, v: 2000, vw: 171.2, n: 20 }
+    ]);
+  });
+
+  it('reads its own CSV export from the flat layout', async () => {
+    const [bar] = await provider.fetchBars('AAPL', '5m', FROM, TO);
+    assert.deepEqual(bar, { t: '2024-03-04T14:30:00.000Z', o: 170, h: 171, l: 169, c: 170.5, v: 1000, vw: 170.2, n: 10 });
+  });
+
+  it('parses NDJSON with any key case and unix ms or ISO times', async () => {
+    const bars = await provider.fetchBars('MSFT', '1d', FROM, TO);
+    assert.deepEqual(bars, [
+      { t: '2024-03-04T05:00:00.000Z', o: 400, h: 402, l: 399, c: 401, v: 100, vw: null, n: null },
+      { t: '2024-03-05T05:00:00.000Z', o: 410, h: 412, l: 409, c: 411, v: 200, vw: 410.5, n: 5 }
+    ]);
+
+    const [nvda] = await provider.fetchBars('NVDA', '1d', FROM, TO);
+    assert.equal(nvda.t, '2024-03-04T05:00:00.000Z');
+  });
+
+  it('reports the line of invalid NDJSON', async () => {
+    await assert.rejects(provider.fetchBars('BAD', '1d', FROM, TO), /BAD_1d\.ndjson line 2: invalid JSON/);
+  });
+
+  it('keeps only bars inside the requested range (inclusive)', async () => {
+    const bars = await provider.fetchBars('AAPL', '1d', '2024-03-05T05:00:00Z', '2024-03-05T05:00:00Z');
+    assert.deepEqual(bars.map(bar => bar.t), ['2024-03-05T05:00:00.000Z']);
+    assert.deepEqual(await provider.fetchBars('AAPL', '1d', '2024-04-01T00:00:00Z', '2024-04-30T00:00:00Z'), []);
+  });
+
+  it('returns an array for one symbol and a symbol map for a comma-separated list', async () => {
+    assert.deepEqual(await provider.fetchBars('ZZZZ', '1d', FROM, TO), []);
+
+    const batch = await provider.fetchBars('AAPL,MSFT,ZZZZ', '1d', FROM, TO);
+    assert.deepEqual(Object.keys(batch), ['AAPL', 'MSFT']);
+    assert.equal(batch.AAPL.length, 2);
+    assert.equal(batch.MSFT.length, 2);
+
+    // An interval without a file is missing from the map, like a symbol without data
+    assert.deepEqual(Object.keys(await provider.fetchBars('AAPL,MSFT', '5m', FROM, TO)), ['AAPL']);
+  });
+
+  it('validates symbols that have a directory or a prefixed file', async () => {
+    assert.equal(await provider.validateSymbol('AAPL'), true);
+    assert.equal(await provider.validateSymbol('MSFT'), true);
+    assert.equal(await provider.validateSymbol('MS'), false);
+    assert.equal(await provider.validateSymbol('ZZZZ'), false);
+  });
+
+  it('fails when the data directory is missing', async () => {
+    const missing = new LocalFileProvider({ dataDir: path.join(dataDir, 'missing') });
+    assert.equal(await missing.isAvailable(), false);
+    assert.equal(await missing.validateSymbol('AAPL'), false);
+    await assert.rejects(missing.fetchBars('AAPL', '1d', FROM, TO), /Local data directory not found/);
+    await assert.rejects(provider.fetchBars('AAPL', '1d', 'not a date', TO), /Invalid date format/);
+  });
+});
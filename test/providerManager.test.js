@@ -0,0 +1,315 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const BaseProvider = require('../src/providers/BaseProvider');
+const providerRegistry = require('../src/providers/ProviderRegistry');
+const providerManager = require('../src/providers/ProviderManager');
+const clock = require('../src/utils/clock');
+const { muteConsole } = require('./helpers/console');
+
+const ProviderManager = providerManager.constructor;
+const BAR = { t: '2024-03-12T13:30:00Z', o: 1, h: 2, l: 0.5, c: 1.5, v: 100 };
+
+// Behaviour per test provider name: 'bars' | 'empty' | 'throw' | 'firstOnly' | 'numericKeys' | 'partialFailure' | 'unavailable',
+// or a promise: bars once it resolves
+const behaviour = {};
+const calls = [];
+
+/**
+ * Scripted provider registered under `name`
+ */
+function defineProvider(name, capabilities = {}) {
+  class ScriptedProvider extends BaseProvider {
+    constructor(config) {
+      super(config);
+      this.name = name;
+      this.capabilities = { ...this.capabilities, ...capabilities };
+    }
+
+    static fromEnv() {
+      return {};
+    }
+
+    async isAvailable() {
+      return behaviour[name] !== 'unavailable';
+    }
+
+    async fetchBars(symbols) {
+      calls.push(`${name}:${symbols}`);
+      if (behaviour[name] instanceof Promise) await behaviour[name];
+      if (behaviour[name] === 'throw') throw new Error(`${name} is down`);
+      if (behaviour[name] === 'empty') return symbols.includes(',') ? {} : [];
+      if (behaviour[name] === 'partialFailure' && symbols.includes(',')) {
+        // Like a SchwabProvider fan-out that failed after the first symbol
+        const [first, ...rest] = symbols.split(',');
+        throw Object.assign(new Error(`${name} is down`), { partialBars: { [first]: [BAR] }, failedSymbols: rest });
+      }
+      if (symbols.includes(',')) {
+        const list = behaviour[name] === 'firstOnly' ? symbols.split(',').slice(0, 1) : symbols.split(',');
+        return Object.fromEntries(list.map((symbol, i) => [behaviour[name] === 'numericKeys' ? String(i) : symbol, [BAR]]));
+      }
+      return [BAR];
+    }
+
+    async validateSymbol(symbol) {
+      if (behaviour[name] === 'throw') throw new Error(`${name} is down`);
+      return behaviour[name] === 'bars' && symbol === 'AAPL';
+    }
+  }
+
+  providerRegistry.register(name, ScriptedProvider);
+}
+
+defineProvider('primary', { batchSymbols: true, maxBatchSize: 2 });
+defineProvider('secondary', { batchSymbols: true, maxBatchSize: 50 });
+defineProvider('dailyonly', { intervals: ['1d'] });
+defineProvider('single');
+
+/**
+ * Fresh manager over the given PROVIDER_PRIORITY
+ */
+async function createManager(priority) {
+  process.env.PROVIDER_PRIORITY = priority;
+  const manager = new ProviderManager();
+  await manager.initialize();
+  return manager;
+}
+
+describe('ProviderManager', () => {
+  let restoreConsole;
+  const originalPriority = process.env.PROVIDER_PRIORITY;
+
+  before(() => { restoreConsole = muteConsole(); });
+  after(() => {
+    restoreConsole();
+    if (originalPriority === undefined) delete process.env.PROVIDER_PRIORITY;
+    else process.env.PROVIDER_PRIORITY = originalPriority;
+  });
+
+  beforeEach(() => {
+    calls.length = 0;
+    Object.assign(behaviour, { primary: 'bars', secondary: 'bars', dailyonly: 'bars', single: 'bars' });
+  });
+
+  it('initializes available providers in priority order, ignoring unknown names', async () => {
+    behaviour.secondary = 'unavailable';
+    const manager = await createManager('primary, nosuchprovider, secondary, dailyonly');
+    assert.deepEqual(manager.getActiveProviders(), ['primary', 'dailyonly']);
+  });
+
+  it('fails to initialize when no provider is usable', async () => {
+    behaviour.primary = 'unavailable';
+    await assert.rejects(createManager('primary, nosuchprovider'), /No data providers configured/);
+  });
+
+  it('uses the first provider that returns data', async () => {
+    const manager = await createManager('primary,secondary');
+    const result = await manager.fetchBars('AAPL', '1d', '2024-03-01', '2024-03-12');
+
+    assert.equal(result.source, 'primary');
+    assert.deepEqual(result.bars, [BAR]);
+    assert.deepEqual(calls, ['primary:AAPL']);
+  });
+
+  it('falls back when a provider throws', async () => {
+    behaviour.primary = 'throw';
+    const manager = await createManager('primary,secondary');
+    const result = await manager.fetchBars('AAPL', '1d', '2024-03-01', '2024-03-12');
+
+    assert.equal(result.source, 'secondary');
+    assert.deepEqual(calls, ['primary:AAPL', 'secondary:AAPL']);
+  });
+
+  it('falls back when a provider returns no bars', async () => {
+    behaviour.primary = 'empty';
+    const manager = await createManager('primary,secondary');
+    const result = await manager.fetchBars('AAPL,MSFT', '5m', '2024-03-11', '2024-03-12');
+
+    assert.equal(result.source, 'secondary');
+    assert.deepEqual(Object.keys(result.bars), ['AAPL', 'MSFT']);
+  });
+
+  it('skips providers whose capabilities do not cover the request', async () => {
+    const manager = await createManager('dailyonly,secondary');
+
+    const intraday = await manager.fetchBars('AAPL', '5m', '2024-03-11', '2024-03-12');
+    assert.equal(intraday.source, 'secondary');
+
+    const batch = await manager.fetchBars('AAPL,MSFT', '1d', '2024-03-01', '2024-03-12');
+    assert.equal(batch.source, 'secondary');
+
+    assert.deepEqual(calls, ['secondary:AAPL', 'secondary:AAPL,MSFT']);
+  });
+
+  it('splits batches larger than a provider\'s maxBatchSize', async () => {
+    const manager = await createManager('primary');
+    const result = await manager.fetchBars('A,B,C', '1d', '2024-03-01', '2024-03-12');
+
+    assert.deepEqual(Object.keys(result.bars), ['A', 'B', 'C']);
+    assert.deepEqual(calls, ['primary:A,B', 'primary:C']);
+  });
+
+  it('re-requests only the symbols missing from a batch from the next provider', async () => {
+    behaviour.primary = 'firstOnly';
+    const manager = await createManager('primary,secondary');
+    const result = await manager.fetchBars('A,B,C', '1d', '2024-03-01', '2024-03-12');
+
+    assert.deepEqual(calls, ['primary:A,B', 'primary:C', 'secondary:B']);
+    assert.deepEqual(Object.keys(result.bars).sort(), ['A', 'B', 'C']);
+    assert.deepEqual(result.sources, { A: 'primary', C: 'primary', B: 'secondary' });
+    assert.equal(result.source, 'primary');
+  });
+
+  it('fills batch gaps from single-symbol providers one symbol at a time, after batch providers', async () => {
+    behaviour.secondary = 'firstOnly';
+    const manager = await createManager('single,secondary');
+    const result = await manager.fetchBars('A,B,C', '1d', '2024-03-01', '2024-03-12');
+
+    assert.deepEqual(calls, ['secondary:A,B,C', 'single:B', 'single:C']);
+    assert.deepEqual(result.sources, { A: 'secondary', B: 'single', C: 'single' });
+  });
+
+  it('keeps partial batch results when a later provider fails', async () => {
+    behaviour.primary = 'firstOnly';
+    behaviour.secondary = 'throw';
+    const manager = await createManager('primary,secondary');
+    const result = await manager.fetchBars('A,B', '1d', '2024-03-01', '2024-03-12');
+
+    assert.deepEqual(Object.keys(result.bars), ['A']);
+    assert.deepEqual(result.sources, { A: 'primary' });
+  });
+
+  it('keeps the part of a batch fetched before a failure and asks the next provider for the rest', async () => {
+    behaviour.secondary = 'partialFailure';
+    const manager = await createManager('secondary,primary');
+    const result = await manager.fetchBars('A,B,C', '1d', '2024-03-01', '2024-03-12');
+
+    assert.deepEqual(calls, ['secondary:A,B,C', 'primary:B,C']);
+    assert.deepEqual(result.sources, { A: 'secondary', B: 'primary', C: 'primary' });
+    assert.equal(manager.getProviderHealth().find(p => p.name === 'secondary').lastError, 'secondary is down');
+  });
+
+  it('maps positional keys in a batch response back to symbols', async () => {
+    behaviour.secondary = 'numericKeys';
+    const manager = await createManager('secondary');
+    const result = await manager.fetchBars('AAPL,MSFT', '1d', '2024-03-01', '2024-03-12');
+
+    assert.deepEqual(Object.keys(result.bars), ['AAPL', 'MSFT']);
+    assert.deepEqual(calls, ['secondary:AAPL,MSFT']);
+  });
+
+  it('reports every provider when all of them fail', async () => {
+    behaviour.primary = 'throw';
+    behaviour.secondary = 'throw';
+    const manager = await createManager('primary,secondary');
+
+    await assert.rejects(
+      manager.fetchBars('AAPL', '1d', '2024-03-01', '2024-03-12'),
+      /All providers failed: primary \(primary is down\), secondary \(secondary is down\)/
+    );
+  });
+
+  it('tells provider errors apart from every provider answering without data', async () => {
+    behaviour.primary = 'throw';
+    behaviour.secondary = 'empty';
+    const manager = await createManager('primary,secondary');
+
+    const failed = await manager.fetchBars('AAPL,MSFT', '1d', '2024-03-01', '2024-03-12').catch(error => error);
+    assert.deepEqual(failed.providerErrors, [{ provider: 'primary', error: 'primary is down' }]);
+
+    behaviour.primary = 'empty';
+    const empty = await manager.fetchBars('AAPL', '1d', '2024-03-01', '2024-03-12').catch(error => error);
+    assert.deepEqual(empty.providerErrors, []);
+  });
+
+  it('tracks success rate, latency and the last error per provider', async () => {
+    const manager = await createManager('primary,secondary');
+    await manager.fetchBars('AAPL', '1d', '2024-03-01', '2024-03-12');
+    behaviour.primary = 'throw';
+    await manager.fetchBars('AAPL', '1d', '2024-03-01', '2024-03-12');
+
+    const [primary, secondary] = manager.getProviderHealth();
+    assert.equal(primary.name, 'primary');
+    assert.equal(primary.requests, 2);
+    assert.equal(primary.successRate, 0.5);
+    assert.equal(primary.consecutiveFailures, 1);
+    assert.equal(primary.lastError, 'primary is down');
+    assert.equal(primary.circuit, 'closed');
+    assert.equal(typeof primary.avgLatencyMs, 'number');
+    assert.equal(secondary.requests, 1);
+    assert.equal(secondary.successRate, 1);
+  });
+
+  it('demotes a provider after consecutive failures until its cooldown passes', async () => {
+    clock.set('2024-03-13T15:00:00Z');
+    try {
+      behaviour.primary = 'throw';
+      const manager = await createManager('primary,secondary');
+      for (let i = 0; i < manager.failureThreshold; i++) {
+        await manager.fetchBars('AAPL', '1d', '2024-03-01', '2024-03-12');
+      }
+      assert.equal(manager.getProviderHealth()[0].circuit, 'open');
+      assert.equal(manager.getProviderHealth()[0].demotedUntil, new Date(clock.now() + manager.cooldownMs).toISOString());
+
+      // Demoted: the healthy provider answers without waiting on the failing one
+      calls.length = 0;
+      const demoted = await manager.fetchBars('AAPL,MSFT', '1d', '2024-03-01', '2024-03-12');
+      assert.equal(demoted.source, 'secondary');
+      assert.deepEqual(calls, ['secondary:AAPL,MSFT']);
+
+      // Still used as a last resort
+      behaviour.secondary = 'throw';
+      await assert.rejects(manager.fetchBars('AAPL', '1d', '2024-03-01', '2024-03-12'), /secondary \(secondary is down\), primary \(primary is down\)/);
+
+      // After the cooldown the next call is a trial; success closes the circuit
+      behaviour.primary = 'bars';
+      behaviour.secondary = 'bars';
+      clock.set(clock.now() + manager.cooldownMs);
+      assert.equal(manager.getProviderHealth()[0].circuit, 'half-open');
+      const recovered = await manager.fetchBars('AAPL', '1d', '2024-03-01', '2024-03-12');
+      assert.equal(recovered.source, 'primary');
+      assert.equal(manager.getProviderHealth()[0].circuit, 'closed');
+    } finally {
+      clock.useSystemTime();
+    }
+  });
+
+  it('lets one trial call through a half-open circuit at a time', async () => {
+    clock.set('2024-03-13T15:00:00Z');
+    try {
+      behaviour.primary = 'throw';
+      const manager = await createManager('primary,secondary');
+      for (let i = 0; i < manager.failureThreshold; i++) {
+        await manager.fetchBars('AAPL', '1d', '2024-03-01', '2024-03-12');
+      }
+      clock.set(clock.now() + manager.cooldownMs);
+
+      let finishTrial;
+      behaviour.primary = new Promise(resolve => { finishTrial = resolve; });
+      calls.length = 0;
+      const trial = manager.fetchBars('AAPL', '1d', '2024-03-01', '2024-03-12');
+
+      // Other callers skip primary while its trial runs, even as a last resort
+      const during = await manager.fetchBars('MSFT', '1d', '2024-03-01', '2024-03-12');
+      assert.equal(during.source, 'secondary');
+      behaviour.secondary = 'throw';
+      const failed = await manager.fetchBars('MSFT', '1d', '2024-03-01', '2024-03-12').catch(error => error);
+      assert.match(failed.message, /primary \(primary circuit half-open, trial call in progress\)/);
+      assert.deepEqual(calls, ['primary:AAPL', 'secondary:MSFT', 'secondary:MSFT']);
+
+      finishTrial();
+      assert.equal((await trial).source, 'primary');
+      assert.equal(manager.getProviderHealth()[0].circuit, 'closed');
+      assert.equal(manager.getProviderHealth()[0].requests, manager.failureThreshold + 1);
+    } finally {
+      clock.useSystemTime();
+    }
+  });
+
+  it('validates symbols with the first provider that knows them', async () => {
+    behaviour.primary = 'throw';
+    const manager = await createManager('primary,secondary');
+
+    assert.deepEqual(await manager.validateSymbol('AAPL'), { valid: true, provider: 'secondary' });
+    assert.deepEqual(await manager.validateSymbol('NOPE'), { valid: false, provider: null });
+  });
+});
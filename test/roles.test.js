@@ -0,0 +1,247 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const { WebSocket } = require('ws');
+const { installMemoryDatabase } = require('./helpers/memoryDatabase');
+const { muteConsole } = require('./helpers/console');
+
+process.env.PROVIDER_PRIORITY = 'mock';
+process.env.MOCK_PROVIDER_SEED = '3';
+process.env.MOCK_SYMBOLS = 'AAPL,NVDA';
+
+const db = installMemoryDatabase();
+const clock = require('../src/utils/clock');
+const barEvents = require('../src/utils/barEvents');
+const jobBus = require('../src/utils/jobBus');
+const leaderElection = require('../src/utils/leaderElection');
+const collectionJobs = require('../src/utils/collectionJobs');
+const providerManager = require('../src/providers/ProviderManager');
+const app = require('../app');
+
+/**
+ * Start `server` on a free port
+ * @returns {Promise<string>} Base URL
+ */
+async function listen(server) {
+  await once(server, 'listening');
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * Resolves with the first received WebSocket message matching `predicate`
+ */
+async function waitForMessage(messages, predicate) {
+  for (let i = 0; i < 200; i++) {
+    const message = messages.find(predicate);
+    if (message) return message;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Timed out waiting for a WebSocket message');
+}
+
+/**
+ * Run the next pending job the way a collector in another process would
+ */
+async function runJobElsewhere(outcome, store = () => {}) {
+  const [job] = await collectionJobs.leaseJobs(db, 'other-host:1', 10);
+  store();
+  await collectionJobs.completeJob(db, job, outcome);
+  return job;
+}
+
+describe('parseRole', () => {
+  it('reads --role=, falls back to APP_ROLE, then all', () => {
+    assert.equal(app.parseRole(['--role=api']), 'api');
+    assert.equal(app.parseRole(['--port=1', '--role=collector'], 'api'), 'collector');
+    assert.equal(app.parseRole([], 'api'), 'api');
+    assert.equal(app.parseRole([], undefined), 'all');
+  });
+
+  it('rejects unknown roles', () => {
+    assert.throws(() => app.parseRole(['--role=worker']), /Invalid role: worker. Use one of api, collector, all/);
+  });
+});
+
+describe('jobBus', () => {
+  it('rejects poll intervals that do not divide a minute', () => {
+    assert.throws(() => jobBus.subscribe(() => {}, { pollSeconds: 7 }), /Invalid poll interval: 7s/);
+  });
+});
+
+describe('split API and collector', () => {
+  let restoreConsole;
+  let api;
+  let ops;
+
+  before(async () => {
+    restoreConsole = muteConsole();
+    clock.set('2024-03-13T15:00:02Z'); // Wednesday 11:00 ET
+    await providerManager.initialize();
+  });
+
+  after(() => {
+    api.close();
+    ops.close();
+    clock.useSystemTime();
+    restoreConsole();
+  });
+
+  it('API queues jobs in the database and a polling collector runs them', async () => {
+    // API-only process: nothing consumes jobs locally
+    api = app.listen(0);
+    const apiUrl = await listen(api);
+
+    const res = await fetch(`${apiUrl}/api/stock/NVDA`);
+    assert.equal(res.status, 503);
+    assert.equal((await res.json()).status, 'queued');
+
+    const [job] = db.jobs;
+    assert.equal(job.status, 'pending');
+    assert.equal(job.attempts, 0);
+
+    // Collector process: picks the job up on its next poll
+    const stopQueueWorker = app.startQueueWorker({ pollSeconds: 5 });
+    try {
+      const ready = once(barEvents, 'collection');
+      await clock.advance(5000);
+
+      assert.equal(job.status, 'completed');
+      const [event] = await ready;
+      assert.equal(event.type, 'symbol_ready');
+      assert.equal(event.symbol, 'NVDA');
+    } finally {
+      stopQueueWorker();
+    }
+
+    assert.equal((await fetch(`${apiUrl}/api/stock/NVDA`)).status, 200);
+  });
+
+  it('serves only health and ops endpoints from a collector process', async () => {
+    ops = app.createOpsApp().listen(0);
+    const opsUrl = await listen(ops);
+
+    const health = await fetch(`${opsUrl}/health`);
+    assert.equal(health.status, 200);
+    assert.equal((await health.json()).status, 'ok');
+
+    const queue = await (await fetch(`${opsUrl}/queue`)).json();
+    assert.equal(queue.counts.completed, 1);
+
+    assert.equal((await fetch(`${opsUrl}/api/stock/NVDA`)).status, 404);
+  });
+});
+
+describe('API-only process', () => {
+  let restoreConsole;
+  let api;
+  let apiUrl;
+  let wss;
+  let stopRelay;
+  let amd;
+
+  // Tuesday 10:30-10:50 ET 5m bars: older than DATA_STALE_MINUTES by Wednesday 11:30 ET
+  const bar = (iso, close) => ({ ts: Date.parse(iso) / 1000, open: 150, high: 151, low: 149, close, volume: 1000 });
+
+  before(async () => {
+    restoreConsole = muteConsole();
+    clock.set('2024-03-13T15:30:00Z');
+    await providerManager.initialize();
+    amd = db.addStock('AMD');
+    db.addCandles(amd, '5m', ['14:30', '14:35', '14:40', '14:45', '14:50'].map((time, i) => bar(`2024-03-12T${time}:00Z`, 150 + i)));
+
+    api = app.listen(0);
+    apiUrl = await listen(api);
+    wss = app.attachWebSocketServer(api);
+    stopRelay = app.startEventRelay({ pollSeconds: 5 });
+  });
+
+  after(() => {
+    stopRelay();
+    wss.close();
+    api.close();
+    clock.useSystemTime();
+    restoreConsole();
+  });
+
+  it('trusts stale-looking data that a collector in another process just refreshed', async () => {
+    assert.equal((await fetch(`${apiUrl}/api/stock/AMD?interval=5m`)).status, 503);
+
+    // The provider had nothing newer
+    await runJobElsewhere({ intervals: ['5m'], inserted: 0, updated: 0 });
+    assert.equal((await fetch(`${apiUrl}/api/stock/AMD?interval=5m`)).status, 200);
+
+    // The grace lasts two minutes
+    clock.set('2024-03-13T15:32:01Z');
+    assert.equal((await fetch(`${apiUrl}/api/stock/AMD?interval=5m`)).status, 503);
+  });
+
+  it('relays bars and collection events from another process to WebSocket clients', async () => {
+    const socket = new WebSocket(`${apiUrl.replace('http', 'ws')}/api/ws`);
+    const messages = [];
+    socket.on('message', raw => messages.push(JSON.parse(raw)));
+    await once(socket, 'open');
+
+    try {
+      socket.send(JSON.stringify({ type: 'subscribe', symbols: ['AMD'], interval: '5m' }));
+      await waitForMessage(messages, m => m.type === 'subscribed');
+      await clock.advance(5000); // Relay baselines the series
+
+      await runJobElsewhere({ intervals: ['5m'], inserted: 1, updated: 0 }, () => {
+        db.addCandles(amd, '5m', [bar('2024-03-13T15:25:00Z', 160)]);
+      });
+      await clock.advance(5000);
+
+      const refreshed = await waitForMessage(messages, m => m.type === 'refresh_complete' && m.inserted === 1);
+      assert.equal(refreshed.symbol, 'AMD');
+      const relayed = await waitForMessage(messages, m => m.type === 'bar');
+      assert.equal(relayed.change, 'insert');
+      assert.equal(relayed.close, 160);
+    } finally {
+      socket.close();
+    }
+  });
+});
+
+describe('scheduler leader election', () => {
+  let restoreConsole;
+  let mock;
+  let ops;
+  const other = new leaderElection.LeaderElection();
+
+  before(async () => {
+    restoreConsole = muteConsole();
+    clock.set('2024-03-13T15:00:05Z'); // Wednesday 11:00:05 ET
+    await providerManager.initialize();
+    mock = providerManager.providers[0];
+  });
+
+  after(async () => {
+    if (ops) ops.close();
+    await other.stop();
+    await leaderElection.stop();
+    clock.useSystemTime();
+    restoreConsole();
+  });
+
+  it('runs the crons only on the instance holding the lease', async () => {
+    await other.start(db, { owner: 'other-host:1', ttlSeconds: 30, renewSeconds: 10 });
+    app.startCollector();
+    mock.reset();
+
+    // 11:00:15 and 11:01:15 crons are due, but another instance leads
+    await clock.advance(60 * 1000);
+    assert.deepEqual(mock.requests, []);
+
+    ops = app.createOpsApp().listen(0);
+    const { scheduler } = await (await fetch(`${await listen(ops)}/health`)).json();
+    assert.equal(scheduler.isLeader, false);
+    assert.equal(scheduler.leader, 'other-host:1');
+
+    // The leader dies; its lease (renewed at 11:01:00) lapses at 11:01:30
+    other.task.stop();
+    await clock.advance(75 * 1000);
+
+    assert.equal(leaderElection.isLeader(), true);
+    assert.ok(mock.requests.some(r => r.interval === '1m'));
+  });
+});
@@ -0,0 +1,137 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const SchwabProvider = require('../src/providers/SchwabProvider');
+const clock = require('../src/utils/clock');
+const { muteConsole } = require('./helpers/console');
+
+const candle = (datetime) => ({ datetime, open: 1, high: 2, low: 0.5, close: 1.5, volume: 100 });
+
+describe('SchwabProvider.fetchBars', () => {
+  const originalGet = axios.get;
+  let requests;
+  let inFlight;
+  let maxInFlight;
+  let failSymbols;
+  let unauthorizedOnce;
+  let refreshes;
+  let restoreConsole;
+
+  before(() => {
+    restoreConsole = muteConsole();
+    axios.get = async (url, { params }) => {
+      requests.push(params);
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setImmediate(resolve));
+      inFlight--;
+
+      if (unauthorizedOnce.delete(params.symbol)) {
+        throw Object.assign(new Error('Request failed with status code 401'), { response: { status: 401 } });
+      }
+      if (failSymbols.has(params.symbol)) {
+        throw Object.assign(new Error('Request failed with status code 429'), { response: { status: 429 } });
+      }
+      return { data: { candles: params.symbol === 'EMPTY' ? [] : [candle(params.startDate)] } };
+    };
+  });
+
+  after(() => {
+    axios.get = originalGet;
+    restoreConsole();
+  });
+
+  beforeEach(() => {
+    requests = [];
+    inFlight = 0;
+    maxInFlight = 0;
+    failSymbols = new Set();
+    unauthorizedOnce = new Set();
+    refreshes = 0;
+  });
+
+  const createProvider = (config = {}) => {
+    const provider = new SchwabProvider({ appKey: 'key', appSecret: 'secret', ...config });
+    provider.oauthManager = {
+      getAccessToken: async () => 'token',
+      refreshAccessToken: async () => {
+        refreshes++;
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    };
+    return provider;
+  };
+
+  it('accepts ISO strings and Dates', async () => {
+    const provider = createProvider();
+    const fromString = await provider.fetchBars('AAPL', '1d', '2024-03-01T00:00:00Z', '2024-03-12T00:00:00Z');
+    const fromDate = await provider.fetchBars('AAPL', '1d', new Date('2024-03-01T00:00:00Z'), new Date('2024-03-12T00:00:00Z'));
+
+    assert.equal(requests[0].startDate, Date.parse('2024-03-01T00:00:00Z'));
+    assert.equal(requests[0].endDate, Date.parse('2024-03-12T00:00:00Z'));
+    assert.deepEqual(fromString, fromDate);
+    assert.equal(fromString[0].t, '2024-03-01T00:00:00.000Z');
+  });
+
+  it('rejects dates it cannot parse', async () => {
+    await assert.rejects(createProvider().fetchBars('AAPL', '1d', 'yesterday', '2024-03-12'), /Invalid date format/);
+  });
+
+  it('fans a symbol list out to one request per symbol and returns the batch shape', async () => {
+    const bars = await createProvider().fetchBars('AAPL,MSFT,EMPTY,NVDA', '1d', '2024-03-01', '2024-03-12');
+
+    assert.deepEqual(requests.map(p => p.symbol).sort(), ['AAPL', 'EMPTY', 'MSFT', 'NVDA']);
+    assert.deepEqual(Object.keys(bars), ['AAPL', 'MSFT', 'NVDA']);
+  });
+
+  it('limits concurrent requests', async () => {
+    const symbols = Array.from({ length: 10 }, (_, i) => `S${i}`);
+    const bars = await createProvider({ maxConcurrency: 3 }).fetchBars(symbols.join(','), '1d', '2024-03-01', '2024-03-12');
+
+    assert.equal(Object.keys(bars).length, 10);
+    assert.equal(maxInFlight, 3);
+  });
+
+  it('throws with what it fetched and the symbols it did not when a request fails part way', async () => {
+    failSymbols = new Set(['C']);
+    const partial = await createProvider({ maxConcurrency: 1 }).fetchBars('A,EMPTY,C,D', '1d', '2024-03-01', '2024-03-12').catch(error => error);
+    assert.match(partial.message, /Schwab API error: .*429 \(2\/4 symbols not fetched\)/);
+    assert.deepEqual(Object.keys(partial.partialBars), ['A']);
+    assert.deepEqual(partial.failedSymbols, ['C', 'D']);
+
+    failSymbols = new Set(['A']);
+    await assert.rejects(
+      createProvider({ maxConcurrency: 1 }).fetchBars('A,B', '1d', '2024-03-01', '2024-03-12'),
+      /Schwab API error: .*429/
+    );
+  });
+
+  it('waits for the rate limit across fanned-out requests', async () => {
+    const originalSleep = clock.sleep;
+    const waits = [];
+    clock.set('2024-03-13T15:00:00Z');
+    clock.sleep = async (ms) => { waits.push(ms); };
+
+    try {
+      const provider = createProvider({ requestsPerMinute: 2, maxConcurrency: 3 });
+      const bars = await provider.fetchBars('A,B,C,D,E', '1d', '2024-03-01', '2024-03-12');
+
+      assert.equal(Object.keys(bars).length, 5);
+      // One shared wait per full minute budget: before the 3rd and the 5th request
+      assert.deepEqual(waits, [61000, 61000]);
+      assert.equal(requests.length, 5);
+      assert.equal(provider.capabilities.rateLimit.requestsPerMinute, 2);
+    } finally {
+      clock.sleep = originalSleep;
+      clock.useSystemTime();
+    }
+  });
+
+  it('refreshes the token once for concurrent 401s', async () => {
+    unauthorizedOnce = new Set(['A', 'B', 'C']);
+    const bars = await createProvider().fetchBars('A,B,C', '1d', '2024-03-01', '2024-03-12');
+
+    assert.deepEqual(Object.keys(bars), ['A', 'B', 'C']);
+    assert.equal(refreshes, 1);
+  });
+});
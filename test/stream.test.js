@@ -0,0 +1,167 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const { installMemoryDatabase } = require('./helpers/memoryDatabase');
+const { muteConsole } = require('./helpers/console');
+
+process.env.PROVIDER_PRIORITY = 'mock';
+process.env.MOCK_SYMBOLS = 'AAPL,MSFT';
+process.env.STREAM_HEARTBEAT_MS = '50';
+
+installMemoryDatabase();
+const clock = require('../src/utils/clock');
+const barEvents = require('../src/utils/barEvents');
+const app = require('../app');
+
+const bar = (ts, close) => ({ ts, open: 170, high: 171, low: 169, close, volume: 1000, vwap: 170.2, trade_count: 12, change: 'insert' });
+
+describe('GET /api/stream', () => {
+  let server;
+  let baseUrl;
+  let restoreConsole;
+
+  /**
+   * Open a stream and collect its events ({ id, event, data })
+   */
+  async function openStream(query, headers = {}) {
+    const controller = new AbortController();
+    const res = await fetch(`${baseUrl}/api/stream?${query}`, { headers, signal: controller.signal });
+    const stream = { res, events: [], close: () => controller.abort() };
+
+    if (res.ok) {
+      const decoder = new TextDecoder();
+      let pending = '';
+      (async () => {
+        try {
+          for await (const chunk of res.body) {
+            pending += decoder.decode(chunk, { stream: true });
+            let end;
+            while ((end = pending.indexOf('\n\n')) !== -1) {
+              const fields = Object.fromEntries(pending.slice(0, end).split('\n').map(line => {
+                const colon = line.indexOf(':');
+                return [line.slice(0, colon), line.slice(colon + 1).trim()];
+              }));
+              pending = pending.slice(end + 2);
+              if (fields.event) {
+                stream.events.push({ id: fields.id || null, event: fields.event, data: JSON.parse(fields.data) });
+              }
+            }
+          }
+        } catch (error) {
+          // Aborted by close()
+        }
+      })();
+    }
+    return stream;
+  }
+
+  /**
+   * Resolve once `stream` has received an event matching `predicate`
+   */
+  async function waitFor(stream, predicate) {
+    for (let i = 0; i < 200; i++) {
+      const event = stream.events.find(predicate);
+      if (event) return event;
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    assert.fail('event not received');
+  }
+
+  const health = async () => (await (await fetch(`${baseUrl}/health`)).json()).streamClients;
+
+  before(async () => {
+    restoreConsole = muteConsole();
+    clock.set('2024-03-13T15:00:00Z');
+    server = app.listen(0);
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    // Aborted streams can leave keep-alive sockets behind
+    server.closeAllConnections();
+    server.close();
+    clock.useSystemTime();
+    restoreConsole();
+  });
+
+  it('streams matching bars after a ready event, filtered by symbol and interval', async () => {
+    const stream = await openStream('symbols=aapl,MSFT&interval=1m');
+    assert.match(stream.res.headers.get('content-type'), /^text\/event-stream/);
+
+    const ready = await waitFor(stream, e => e.event === 'ready');
+    assert.deepEqual(ready.data, { symbols: ['AAPL', 'MSFT'], interval: '1m', heartbeatMs: 50 });
+
+    barEvents.publish('AAPL', '5m', [bar(1710342000, 1)], 'test');
+    barEvents.publish('NVDA', '1m', [bar(1710342000, 2)], 'test');
+    barEvents.publish('MSFT', '1m', [bar(1710342000, 3)], 'test');
+
+    const received = await waitFor(stream, e => e.event === 'bar');
+    assert.equal(received.data.symbol, 'MSFT');
+    assert.equal(received.data.close, 3);
+    assert.equal(received.id, `${barEvents.bootId}-${barEvents.seq}`);
+    assert.equal(stream.events.filter(e => e.event === 'bar').length, 1);
+    stream.close();
+  });
+
+  it('replays buffered events after Last-Event-ID', async () => {
+    barEvents.publish('AAPL', '1m', [bar(1710342060, 10)], 'test');
+    const lastEventId = `${barEvents.bootId}-${barEvents.seq}`;
+    barEvents.publish('AAPL', '1m', [bar(1710342120, 11)], 'test');
+    barEvents.publish('MSFT', '1m', [bar(1710342120, 12)], 'test');
+    barEvents.publish('AAPL', '5m', [bar(1710342000, 13)], 'test');
+
+    const stream = await openStream('symbols=AAPL', { 'Last-Event-ID': lastEventId });
+    await waitFor(stream, e => e.event === 'ready');
+
+    // Missed AAPL bars (all intervals) come before ready; MSFT is filtered out
+    const replayed = stream.events.slice(0, -1);
+    assert.deepEqual(replayed.map(e => [e.event, e.data.interval, e.data.close]), [['bar', '1m', 11], ['bar', '5m', 13]]);
+    stream.close();
+  });
+
+  it('reports a gap when the Last-Event-ID is no longer buffered', async () => {
+    const stream = await openStream('symbols=AAPL&lastEventId=previousboot-7');
+    await waitFor(stream, e => e.event === 'ready');
+
+    assert.equal(stream.events[0].event, 'gap');
+    assert.equal(stream.events[0].data.lastEventId, 'previousboot-7');
+    stream.close();
+  });
+
+  it('sends heartbeats with the current time', async () => {
+    const stream = await openStream('symbols=AAPL');
+    const heartbeat = await waitFor(stream, e => e.event === 'heartbeat');
+    assert.equal(heartbeat.data.time, clock.nowSeconds());
+    stream.close();
+  });
+
+  it('stops listening when the client disconnects', async () => {
+    // Earlier streams have been closed by now
+    for (let i = 0; i < 200 && await health() > 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    const listeners = barEvents.listenerCount('bar');
+
+    const stream = await openStream('symbols=AAPL');
+    await waitFor(stream, e => e.event === 'ready');
+    assert.equal(await health(), 1);
+    assert.equal(barEvents.listenerCount('bar'), listeners + 1);
+
+    stream.close();
+    for (let i = 0; i < 200 && await health() > 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    assert.equal(await health(), 0);
+    assert.equal(barEvents.listenerCount('bar'), listeners);
+  });
+
+  it('rejects missing symbols and unstored intervals', async () => {
+    const missing = (await openStream('')).res;
+    assert.equal(missing.status, 400);
+    await missing.json();
+    const res = (await openStream('symbols=AAPL&interval=3m')).res;
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error, 'Invalid interval');
+  });
+});
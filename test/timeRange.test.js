@@ -0,0 +1,65 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { installMemoryDatabase } = require('./helpers/memoryDatabase');
+
+installMemoryDatabase();
+const clock = require('../src/utils/clock');
+const { etDateTimeToUnix } = require('../src/utils/marketTime');
+const { getTimeRangeForInterval } = require('../app');
+
+const DAY = 24 * 60 * 60;
+
+/**
+ * Window for `interval` with the clock at an ET date/time
+ */
+function rangeAt(date, minutes, interval) {
+  clock.set(etDateTimeToUnix(date, minutes) * 1000);
+  return getTimeRangeForInterval(interval);
+}
+
+describe('getTimeRangeForInterval', () => {
+  after(() => clock.useSystemTime());
+
+  it('ends now while the market is open', () => {
+    const now = etDateTimeToUnix('2024-03-13', 11 * 60);
+    assert.deepEqual(rangeAt('2024-03-13', 11 * 60, '5m'), { start: now - 5 * DAY, end: now });
+    assert.deepEqual(rangeAt('2024-03-13', 11 * 60, '1h'), { start: now - 90 * DAY, end: now });
+  });
+
+  it('looks back per interval, scaling derived intervals from their source', () => {
+    const lookback = (interval) => {
+      const { start, end } = rangeAt('2024-03-13', 11 * 60, interval);
+      return (end - start) / DAY;
+    };
+
+    assert.equal(lookback('1m'), 1);
+    assert.equal(lookback('45m'), 30);
+    assert.equal(lookback('1d'), 912);
+    assert.equal(lookback('1y'), 365);
+    assert.equal(lookback('7m'), 7);        // 1m lookback x 7
+    assert.equal(lookback('26w'), 3650);    // capped at 10 years
+  });
+
+  it('ends intraday windows at the last close outside market hours', () => {
+    const fridayClose = etDateTimeToUnix('2024-03-15', 16 * 60);
+
+    // Overnight
+    assert.equal(rangeAt('2024-03-15', 20 * 60, '5m').end, fridayClose);
+    // Weekend
+    assert.equal(rangeAt('2024-03-16', 12 * 60, '5m').end, fridayClose);
+    assert.equal(rangeAt('2024-03-18', 8 * 60, '1h').end, fridayClose);
+  });
+
+  it('respects holidays and early closes', () => {
+    // Good Friday 2024 -> Thursday's close
+    assert.equal(rangeAt('2024-03-29', 12 * 60, '1m').end, etDateTimeToUnix('2024-03-28', 16 * 60));
+    // Day after Thanksgiving closes at 13:00
+    assert.equal(rangeAt('2024-11-29', 14 * 60, '15m').end, etDateTimeToUnix('2024-11-29', 13 * 60));
+  });
+
+  it('keeps daily and longer windows ending now when the market is closed', () => {
+    const saturday = etDateTimeToUnix('2024-03-16', 12 * 60);
+    assert.equal(rangeAt('2024-03-16', 12 * 60, '1d').end, saturday);
+    assert.equal(rangeAt('2024-03-16', 12 * 60, '1w').end, saturday);
+  });
+});
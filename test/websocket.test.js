@@ -0,0 +1,133 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const { WebSocket } = require('ws');
+const { installMemoryDatabase } = require('./helpers/memoryDatabase');
+const { muteConsole } = require('./helpers/console');
+
+process.env.PROVIDER_PRIORITY = 'mock';
+process.env.MOCK_SYMBOLS = 'AAPL,MSFT';
+
+installMemoryDatabase();
+const barEvents = require('../src/utils/barEvents');
+const app = require('../app');
+
+const BAR = { ts: 1710342000, open: 170, high: 171, low: 169, close: 170.5, volume: 1000, vwap: 170.2, trade_count: 12, change: 'insert' };
+
+describe('WebSocket /api/ws', () => {
+  let restoreConsole;
+  let server;
+  let wss;
+  let wsUrl;
+  let socket;
+  let messages;
+
+  /**
+   * Send `message` (a string is sent as-is) and resolve with the reply
+   */
+  async function request(message) {
+    const count = messages.length;
+    socket.send(typeof message === 'string' ? message : JSON.stringify(message));
+    for (let i = 0; i < 200 && messages.length === count; i++) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    assert.ok(messages.length > count, 'no reply');
+    return messages[count];
+  }
+
+  /**
+   * Publish a bar and resolve with the messages it produced
+   */
+  async function publish(symbol, interval) {
+    const count = messages.length;
+    barEvents.publish(symbol, interval, [BAR], 'test');
+    // Round trip a ping so anything sent before it has arrived
+    await request({ type: 'ping' });
+    return messages.slice(count, -1);
+  }
+
+  before(async () => {
+    restoreConsole = muteConsole();
+    server = app.listen(0);
+    await once(server, 'listening');
+    wss = app.attachWebSocketServer(server);
+    wsUrl = `ws://127.0.0.1:${server.address().port}/api/ws`;
+  });
+
+  after(() => {
+    wss.close();
+    server.close();
+    restoreConsole();
+  });
+
+  beforeEach(async () => {
+    messages = [];
+    socket = new WebSocket(wsUrl);
+    socket.on('message', raw => messages.push(JSON.parse(raw)));
+    await once(socket, 'open');
+  });
+
+  afterEach(() => socket.close());
+
+  it('answers ping with pong', async () => {
+    const reply = await request({ type: 'ping' });
+    assert.equal(reply.type, 'pong');
+    assert.equal(typeof reply.time, 'number');
+  });
+
+  it('subscribes to symbol + interval pairs and pushes matching bars', async () => {
+    const reply = await request({ type: 'subscribe', symbols: 'aapl,MSFT', interval: '1m' });
+    assert.equal(reply.type, 'subscribed');
+    assert.deepEqual(reply.subscriptions, [{ symbol: 'AAPL', interval: '1m' }, { symbol: 'MSFT', interval: '1m' }]);
+
+    const [bar] = await publish('AAPL', '1m');
+    assert.equal(bar.type, 'bar');
+    assert.equal(bar.symbol, 'AAPL');
+    assert.equal(bar.close, 170.5);
+    assert.equal(bar.source, 'test');
+    assert.deepEqual(await publish('AAPL', '5m'), []);
+    assert.deepEqual(await publish('NVDA', '1m'), []);
+  });
+
+  it('unsubscribes one interval or the whole symbol', async () => {
+    await request({ type: 'subscribe', symbols: ['AAPL'], interval: '1m' });
+    await request({ type: 'subscribe', symbols: ['AAPL'], interval: '5m' });
+
+    const partial = await request({ type: 'unsubscribe', symbols: ['AAPL'], interval: '1m' });
+    assert.deepEqual(partial.subscriptions, [{ symbol: 'AAPL', interval: '5m' }]);
+    assert.deepEqual(await publish('AAPL', '1m'), []);
+    assert.equal((await publish('AAPL', '5m')).length, 1);
+
+    const all = await request({ type: 'unsubscribe', symbols: ['AAPL'] });
+    assert.equal(all.type, 'unsubscribed');
+    assert.deepEqual(all.subscriptions, []);
+    assert.deepEqual(await publish('AAPL', '5m'), []);
+  });
+
+  it('rejects malformed messages with an error and keeps the connection open', async () => {
+    const cases = [
+      ['not json', /must be JSON/],
+      ['null', /must be JSON objects/],
+      ['[]', /must be JSON objects/],
+      ['42', /must be JSON objects/],
+      ['"subscribe"', /must be JSON objects/],
+      [{ type: 'dance' }, /Unknown message type: dance/],
+      [{ type: 'subscribe' }, /requires symbols as a string or an array of strings/],
+      [{ type: 'subscribe', symbols: 42 }, /requires symbols as a string or an array of strings/],
+      [{ type: 'subscribe', symbols: { AAPL: true } }, /requires symbols as a string or an array of strings/],
+      [{ type: 'unsubscribe', symbols: ['AAPL', null] }, /requires symbols as a string or an array of strings/],
+      [{ type: 'subscribe', symbols: [] }, /subscribe requires symbols/],
+      [{ type: 'subscribe', symbols: ['AAPL'], interval: 5 }, /interval must be a string/],
+      [{ type: 'subscribe', symbols: ['AAPL'], interval: '3m' }, /stored intervals only/]
+    ];
+
+    for (const [message, pattern] of cases) {
+      const reply = await request(message);
+      assert.equal(reply.type, 'error', JSON.stringify(message));
+      assert.match(reply.message, pattern);
+    }
+
+    assert.equal(socket.readyState, WebSocket.OPEN);
+    assert.equal((await request({ type: 'ping' })).type, 'pong');
+  });
+});